@@ -0,0 +1,417 @@
+/**
+ * @file Adaptive sampling of real functions y = f(x) for plotting. Uniform sampling draws vertical "connecting" lines
+ * across poles and jumps (tan(x), 1/x, floor(x)) and wastes points where the function is nearly straight. Instead, we
+ * sample uniformly, then repeatedly refine the samples where anglesBetween reports a sharp turn, and finally look for
+ * discontinuities between adjacent samples. Discontinuities are emitted as NaN breaks, which the polyline triangulator
+ * uses to split the polyline into separate pieces.
+ *
+ * Discontinuities are found in one of two ways. If an interval version of the function is provided, its def/cont flags
+ * (see {@link RealInterval}) tell us definitively whether a segment is continuous, and bisection with interval
+ * evaluation narrows down where the discontinuity is. Otherwise, we bisect steep segments towards the steepest half; a
+ * continuous function's jump shrinks as the segment shrinks, while a jump or pole's does not.
+ *
+ * Parametric curves (x(t), y(t)) are sampled similarly by adaptivelySampleParametric, refining in t until segments are
+ * short in pixel space.
+ */
+
+import {anglesBetween} from "./misc_geometry.js"
+import {RealInterval} from "../math/real_interval/interval.js"
+
+// anglesBetween uses a fixed-size buffer, so we never produce more vertices than this
+const MAX_POINTS = 100000
+
+// Maximum number of bisections used to locate a discontinuity
+const MAX_BISECTIONS = 48
+
+/**
+ * Evaluate f at x, converting non-numbers and non-finite numbers to NaN
+ * @param f {Function}
+ * @param x {number}
+ * @returns {number}
+ */
+function evaluateReal (f, x) {
+  let y = f(x)
+
+  return (typeof y === "number" && Number.isFinite(y)) ? y : NaN
+}
+
+/**
+ * Sample f at count uniformly spaced points in [xStart, xEnd], inclusive.
+ * @param f {Function}
+ * @param xStart {number}
+ * @param xEnd {number}
+ * @param count {number}
+ * @returns {Float64Array} Flat array x1, y1, x2, y2, ... where undefined values of y are NaN
+ */
+export function sampleUniformly (f, xStart, xEnd, count) {
+  let vertices = new Float64Array(2 * count)
+
+  for (let i = 0; i < count; ++i) {
+    let x = (i === count - 1) ? xEnd : xStart + (xEnd - xStart) * i / (count - 1)
+
+    vertices[2 * i] = x
+    vertices[2 * i + 1] = evaluateReal(f, x)
+  }
+
+  return vertices
+}
+
+/**
+ * Insert midpoints into every segment adjacent to a vertex where the polyline turns sharply (or borders an undefined
+ * point). Returns the same array if no refinement was needed.
+ * @param f {Function}
+ * @param vertices {Float64Array}
+ * @param angleThreshold {number} Angle in radians above which a turn is considered sharp
+ * @param aspectRatio {number} Factor by which y is scaled relative to x when measuring angles
+ * @param maxPoints {number} Maximum number of vertices to produce
+ * @returns {Float64Array}
+ */
+function refineSharpTurns (f, vertices, angleThreshold, aspectRatio, maxPoints) {
+  let vertexCount = vertices.length / 2
+  if (vertexCount < 3) return vertices
+
+  // anglesBetween returns a view into a shared buffer, with one entry per interior vertex
+  let flags = anglesBetween(vertices, angleThreshold, aspectRatio)
+
+  let segmentCount = vertexCount - 1
+  let refineSegment = new Uint8Array(segmentCount)
+  let refineCount = 0
+
+  for (let i = 0; i < flags.length; ++i) {
+    if (flags[i] !== 0) {
+      refineSegment[i] = 1
+      refineSegment[i + 1] = 1
+    }
+  }
+
+  for (let i = 0; i < segmentCount; ++i) refineCount += refineSegment[i]
+
+  if (refineCount === 0 || vertexCount + refineCount > maxPoints) return vertices
+
+  let out = new Float64Array(2 * (vertexCount + refineCount))
+  let j = 0
+
+  for (let i = 0; i < segmentCount; ++i) {
+    let x1 = vertices[2 * i]
+
+    out[j++] = x1
+    out[j++] = vertices[2 * i + 1]
+
+    if (refineSegment[i]) {
+      let x = (x1 + vertices[2 * i + 2]) / 2
+
+      out[j++] = x
+      out[j++] = evaluateReal(f, x)
+    }
+  }
+
+  out[j++] = vertices[vertices.length - 2]
+  out[j++] = vertices[vertices.length - 1]
+
+  return out
+}
+
+/**
+ * Use interval evaluation to find a discontinuity in [x1, x2]. Returns [ xl, xr ], a narrow interval containing a
+ * possible discontinuity, or null if the function is continuous on [x1, x2].
+ * @param intervalFunction {Function} Function accepting and returning a RealInterval
+ * @param x1 {number}
+ * @param x2 {number}
+ * @returns {number[]|null}
+ */
+function locateDiscontinuityByInterval (intervalFunction, x1, x2) {
+  function isContinuous (a, b) {
+    let res = intervalFunction(new RealInterval(a, b))
+
+    return res.defMin && res.contMin
+  }
+
+  if (isContinuous(x1, x2)) return null
+
+  for (let i = 0; i < MAX_BISECTIONS; ++i) {
+    let mid = (x1 + x2) / 2
+    if (mid <= x1 || mid >= x2) break
+
+    // Prefer the left half; if it is continuous, the discontinuity must be in the right half
+    if (!isContinuous(x1, mid)) {
+      x2 = mid
+    } else if (!isContinuous(mid, x2)) {
+      x1 = mid
+    } else {
+      // Both halves are continuous, so the discontinuity was an artifact of interval overestimation
+      return null
+    }
+  }
+
+  return [ x1, x2 ]
+}
+
+/**
+ * Bisect towards the steeper half of [x1, x2] to determine whether the jump between y1 and y2 is a genuine
+ * discontinuity. Returns [ xl, xr ], a narrow interval containing the discontinuity, or null if the jump shrinks below
+ * the threshold (i.e., the function is merely steep).
+ * @param f {Function}
+ * @param x1 {number}
+ * @param y1 {number}
+ * @param x2 {number}
+ * @param y2 {number}
+ * @param jumpThreshold {number}
+ * @returns {number[]|null}
+ */
+function locateDiscontinuityByBisection (f, x1, y1, x2, y2, jumpThreshold) {
+  for (let i = 0; i < MAX_BISECTIONS; ++i) {
+    if (Math.abs(y2 - y1) <= jumpThreshold) return null
+
+    let mid = (x1 + x2) / 2
+    if (mid <= x1 || mid >= x2) break
+
+    let yMid = evaluateReal(f, mid)
+
+    // An undefined point between two defined ones is certainly a break
+    if (Number.isNaN(yMid)) return [ x1, x2 ]
+
+    if (Math.abs(yMid - y1) > Math.abs(y2 - yMid)) {
+      x2 = mid
+      y2 = yMid
+    } else {
+      x1 = mid
+      y1 = yMid
+    }
+  }
+
+  return (Math.abs(y2 - y1) > jumpThreshold) ? [ x1, x2 ] : null
+}
+
+/**
+ * Find discontinuities between adjacent defined samples and insert NaN breaks there. Each break is surrounded by the
+ * samples bracketing the discontinuity, so that the pieces of the polyline extend right up to it.
+ * @param f {Function}
+ * @param vertices {Float64Array}
+ * @param intervalFunction {Function|null}
+ * @param jumpThreshold {number}
+ * @returns {Float64Array}
+ */
+function splitAtDiscontinuities (f, vertices, intervalFunction, jumpThreshold) {
+  let out = []
+  let vertexCount = vertices.length / 2
+
+  for (let i = 0; i < vertexCount; ++i) {
+    let x1 = vertices[2 * i], y1 = vertices[2 * i + 1]
+
+    out.push(x1, y1)
+    if (i === vertexCount - 1) break
+
+    let x2 = vertices[2 * i + 2], y2 = vertices[2 * i + 3]
+
+    // Segments touching an undefined point are already broken
+    if (Number.isNaN(y1) || Number.isNaN(y2)) continue
+
+    let discontinuity = intervalFunction ?
+      locateDiscontinuityByInterval(intervalFunction, x1, x2) :
+      locateDiscontinuityByBisection(f, x1, y1, x2, y2, jumpThreshold)
+
+    if (discontinuity) {
+      let [ xl, xr ] = discontinuity
+
+      if (xl !== x1) out.push(xl, evaluateReal(f, xl))
+      out.push(NaN, NaN)
+      if (xr !== x2) out.push(xr, evaluateReal(f, xr))
+    }
+  }
+
+  return new Float64Array(out)
+}
+
+/**
+ * Adaptively sample a real function across [xStart, xEnd]. The result is a flat array of vertices x1, y1, x2, y2, ...
+ * in the same coordinates as the function. Points where the function is undefined have y = NaN, and discontinuities
+ * are marked by a NaN, NaN vertex.
+ * @param f {Function} Function accepting and returning a number
+ * @param xStart {number}
+ * @param xEnd {number}
+ * @param opts {{}}
+ * @param opts.samples {number} Number of initial uniform samples (default 200)
+ * @param opts.maxDepth {number} Maximum number of refinement passes (default 6)
+ * @param opts.angleThreshold {number} Turn angle in radians above which to refine (default 0.03)
+ * @param opts.aspectRatio {number} Factor by which y is scaled relative to x when measuring angles. When plotting, this
+ * should be the ratio of the y scale to the x scale, so that angles are measured in pixel space (default 1)
+ * @param opts.intervalFunction {Function|null} Interval version of f, accepting and returning a RealInterval, used to
+ * detect discontinuities via def/cont flags (default null)
+ * @param opts.jumpThreshold {number} If no interval function is given, the smallest jump in y which is considered a
+ * discontinuity (default Infinity, meaning no detection)
+ * @param opts.maxPoints {number} Maximum number of vertices before discontinuity detection (default 100000)
+ * @returns {Float64Array}
+ */
+export function adaptivelySample (f, xStart, xEnd, opts={}) {
+  let samples = opts.samples ?? 200
+  let maxDepth = opts.maxDepth ?? 6
+  let angleThreshold = opts.angleThreshold ?? 0.03
+  let aspectRatio = opts.aspectRatio ?? 1
+  let intervalFunction = opts.intervalFunction ?? null
+  let jumpThreshold = opts.jumpThreshold ?? Infinity
+  let maxPoints = Math.min(opts.maxPoints ?? MAX_POINTS, MAX_POINTS)
+
+  if (typeof f !== "function") throw new TypeError("Function to sample must be a function")
+  if (!Number.isFinite(xStart) || !Number.isFinite(xEnd) || xEnd <= xStart)
+    throw new RangeError("Sampling range must be finite and nonempty")
+  if (!Number.isInteger(samples) || samples < 2)
+    throw new RangeError("Sample count must be an integer of at least 2")
+
+  let vertices = sampleUniformly(f, xStart, xEnd, Math.min(samples, maxPoints))
+
+  for (let depth = 0; depth < maxDepth; ++depth) {
+    let refined = refineSharpTurns(f, vertices, angleThreshold, aspectRatio, maxPoints)
+    if (refined === vertices) break
+
+    vertices = refined
+  }
+
+  if (intervalFunction || jumpThreshold !== Infinity)
+    vertices = splitAtDiscontinuities(f, vertices, intervalFunction, jumpThreshold)
+
+  return vertices
+}
+
+/**
+ * Evaluate a parametric function at t, converting results with a non-finite coordinate to [ NaN, NaN ]
+ * @param f {Function} Function accepting t and returning [ x, y ]
+ * @param t {number}
+ * @returns {number[]}
+ */
+function evaluateParametric (f, t) {
+  let p = f(t)
+  let x = p ? p[0] : NaN, y = p ? p[1] : NaN
+
+  return (typeof x === "number" && typeof y === "number" && Number.isFinite(x) && Number.isFinite(y)) ? [ x, y ] : [ NaN, NaN ]
+}
+
+/**
+ * Adaptively sample a parametric curve (x(t), y(t)) across [tStart, tEnd]. Unlike adaptivelySample, refinement is
+ * driven by the length of each segment as well as by sharp turns, because a curve may move arbitrarily fast in t; the
+ * function should therefore return coordinates in the space where lengths matter (generally pixels). The result is a
+ * flat array of vertices x1, y1, x2, y2, ..., where undefined points and discontinuities are NaN, NaN vertices.
+ * @param f {Function} Function accepting t and returning [ x, y ]
+ * @param tStart {number}
+ * @param tEnd {number}
+ * @param opts {{}}
+ * @param opts.samples {number} Number of initial uniform samples in t (default 200)
+ * @param opts.maxDepth {number} Maximum number of refinement passes (default 10)
+ * @param opts.maxSegmentLength {number} Segments longer than this are refined (default 4)
+ * @param opts.angleThreshold {number} Turn angle in radians above which to refine (default 0.03)
+ * @param opts.jumpThreshold {number} Segments still longer than this after refinement are considered discontinuities
+ * (default Infinity, meaning no detection)
+ * @param opts.maxPoints {number} Maximum number of vertices (default 100000)
+ * @param opts.box {{x: number, y: number, w: number, h: number}|null} If given, segments lying entirely to one side of
+ * this box aren't refined for their length, since they won't be visible (default null)
+ * @returns {Float64Array}
+ */
+export function adaptivelySampleParametric (f, tStart, tEnd, opts={}) {
+  let samples = opts.samples ?? 200
+  let maxDepth = opts.maxDepth ?? 10
+  let maxSegmentLength = opts.maxSegmentLength ?? 4
+  let angleThreshold = opts.angleThreshold ?? 0.03
+  let jumpThreshold = opts.jumpThreshold ?? Infinity
+  let maxPoints = Math.min(opts.maxPoints ?? MAX_POINTS, MAX_POINTS)
+  let box = opts.box ?? null
+
+  if (typeof f !== "function") throw new TypeError("Function to sample must be a function")
+  if (!Number.isFinite(tStart) || !Number.isFinite(tEnd) || tEnd <= tStart)
+    throw new RangeError("Sampling range must be finite and nonempty")
+  if (!Number.isInteger(samples) || samples < 2)
+    throw new RangeError("Sample count must be an integer of at least 2")
+
+  samples = Math.min(samples, maxPoints)
+
+  // Parameters and the corresponding flat vertices
+  let params = new Float64Array(samples)
+  let vertices = new Float64Array(2 * samples)
+
+  for (let i = 0; i < samples; ++i) {
+    let t = (i === samples - 1) ? tEnd : tStart + (tEnd - tStart) * i / (samples - 1)
+    let [ x, y ] = evaluateParametric(f, t)
+
+    params[i] = t
+    vertices[2 * i] = x
+    vertices[2 * i + 1] = y
+  }
+
+  let boxX1 = box ? box.x : -Infinity, boxX2 = box ? box.x + box.w : Infinity
+  let boxY1 = box ? box.y : -Infinity, boxY2 = box ? box.y + box.h : Infinity
+
+  // Whether the segment certainly doesn't intersect the box
+  function outsideBox (x1, y1, x2, y2) {
+    return (x1 < boxX1 && x2 < boxX1) || (x1 > boxX2 && x2 > boxX2) || (y1 < boxY1 && y2 < boxY1) || (y1 > boxY2 && y2 > boxY2)
+  }
+
+  for (let depth = 0; depth < maxDepth; ++depth) {
+    let vertexCount = params.length
+    let segmentCount = vertexCount - 1
+
+    let refineSegment = new Uint8Array(segmentCount)
+    let refineCount = 0
+
+    if (vertexCount >= 3) {
+      let flags = anglesBetween(vertices, angleThreshold, 1)
+
+      for (let i = 0; i < flags.length; ++i) {
+        if (flags[i] !== 0) {
+          refineSegment[i] = 1
+          refineSegment[i + 1] = 1
+        }
+      }
+    }
+
+    for (let i = 0; i < segmentCount; ++i) {
+      let x1 = vertices[2 * i], y1 = vertices[2 * i + 1], x2 = vertices[2 * i + 2], y2 = vertices[2 * i + 3]
+      let undefined1 = Number.isNaN(x1), undefined2 = Number.isNaN(x2)
+
+      // Refine long segments, and those bordering an undefined point so that the curve extends as close as possible to it
+      if (undefined1 !== undefined2 || (Math.hypot(x2 - x1, y2 - y1) > maxSegmentLength && !outsideBox(x1, y1, x2, y2)))
+        refineSegment[i] = 1
+
+      refineCount += refineSegment[i]
+    }
+
+    if (refineCount === 0 || vertexCount + refineCount > maxPoints) break
+
+    let newParams = new Float64Array(vertexCount + refineCount)
+    let newVertices = new Float64Array(2 * (vertexCount + refineCount))
+    let j = 0
+
+    for (let i = 0; i < vertexCount; ++i) {
+      newParams[j] = params[i]
+      newVertices[2 * j] = vertices[2 * i]
+      newVertices[2 * j + 1] = vertices[2 * i + 1]
+      ++j
+
+      if (i < segmentCount && refineSegment[i]) {
+        let t = (params[i] + params[i + 1]) / 2
+        let [ x, y ] = evaluateParametric(f, t)
+
+        newParams[j] = t
+        newVertices[2 * j] = x
+        newVertices[2 * j + 1] = y
+        ++j
+      }
+    }
+
+    params = newParams
+    vertices = newVertices
+  }
+
+  if (jumpThreshold !== Infinity) {
+    // Segments which stayed long despite refinement are jumps
+    let out = []
+
+    for (let i = 0; i < vertices.length; i += 2) {
+      if (i > 0 && Math.hypot(vertices[i] - vertices[i - 2], vertices[i + 1] - vertices[i - 1]) > jumpThreshold)
+        out.push(NaN, NaN)
+
+      out.push(vertices[i], vertices[i + 1])
+    }
+
+    vertices = new Float64Array(out)
+  }
+
+  return vertices
+}
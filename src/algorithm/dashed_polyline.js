@@ -1,6 +1,5 @@
 // This code is pretty old, but surprisingly effective!
 import { lineSegmentIntersectsBox } from './misc_geometry.js'
-import {BoundingBox} from "../math/bounding_box.js"
 
 /**
  * Compute Math.hypot(x, y), but since all the values of x and y we're using here are not extreme, we don't have to
@@ -31,8 +30,6 @@ const MAX_DASHED_POLYLINE_VERTICES = 1e7
  * @returns {Array}
  */
 export function getDashedPolyline(vertices, pen, box) {
-  if (!box) box = new BoundingBox(-Infinity, -Infinity, Infinity, Infinity)
-
   // dashPattern is the pattern of dashes, given as the length (in pixels) of consecutive dashes and gaps.
   // dashOffset is the pixel offset at which to start the dash pattern, beginning at the start of every sub polyline.
   let { dashPattern, dashOffset } = pen
@@ -61,8 +58,10 @@ export function getDashedPolyline(vertices, pen, box) {
   // The returned dashed vertices
   const result = []
 
-  // The plotting box
-  const boxX1 = box.x, boxX2 = box.x + box.w, boxY1 = box.y, boxY2 = box.y + box.h
+  // The plotting box; if none is given, the polyline is dashed everywhere. (Infinite bounds are handled explicitly
+  // because a BoundingBox with x = -Infinity and w = Infinity has x + w = NaN.)
+  const boxX1 = box ? box.x : -Infinity, boxX2 = box ? box.x + box.w : Infinity
+  const boxY1 = box ? box.y : -Infinity, boxY2 = box ? box.y + box.h : Infinity
 
   // Calculate the value of currentLesserOffset, given the length of the pattern that we have just traversed.
   function recalculateOffset(length) {
@@ -0,0 +1,172 @@
+/**
+ * @file Distances from a point to what render instructions draw, for hit-testing elements (see Element.hitTest and
+ * Scene.pick). All coordinates are in CSS pixels, like the instructions' vertices. A distance of 0 means the point is on
+ * the drawn shape (inside a filled shape, within the thickness of a line, or inside the rectangle of a label).
+ */
+
+import {forEachTriangle, getActualTextLocation, pointLineSegmentMinDistance} from "./misc_geometry.js"
+
+// Width of a character relative to the font size, when text can't be measured (e.g. in Node)
+const APPROXIMATE_CHAR_WIDTH = 0.6
+
+let measuringContext = null
+
+/**
+ * Measure text with a 2D canvas context, if one can be created
+ * @param text {string}
+ * @param style {TextStyle}
+ * @returns {TextMetrics|null}
+ */
+function measureText (text, style) {
+  if (!measuringContext) {
+    if (typeof globalThis.OffscreenCanvas !== "undefined") measuringContext = new globalThis.OffscreenCanvas(1, 1).getContext("2d")
+    else if (typeof document !== "undefined") measuringContext = document.createElement("canvas").getContext("2d")
+    else return null
+  }
+
+  measuringContext.font = `${style.fontSize}px ${style.font}`
+  return measuringContext.measureText(text)
+}
+
+/**
+ * Distance from a point to a segment
+ * @returns {number}
+ */
+function segmentDistance (px, py, ax, ay, bx, by) {
+  let dx = bx - ax, dy = by - ay
+  let lengthSquared = dx * dx + dy * dy
+  let t = lengthSquared ? Math.min(Math.max(((px - ax) * dx + (py - ay) * dy) / lengthSquared, 0), 1) : 0
+
+  return Math.hypot(px - ax - t * dx, py - ay - t * dy)
+}
+
+/**
+ * Distance from a point to a polyline of the given thickness. NaN vertices break the polyline.
+ * @param x {number}
+ * @param y {number}
+ * @param vertices {Float32Array|Array<number>}
+ * @param thickness {number}
+ * @returns {number}
+ */
+export function distanceToPolyline (x, y, vertices, thickness=0) {
+  return Math.max(pointLineSegmentMinDistance(x, y, vertices) - thickness / 2, 0)
+}
+
+/**
+ * Distance from a point to filled triangles, given as a triangle strip or a list of triangles. Degenerate triangles
+ * (e.g., those joining the pieces of a strip) are ignored.
+ * @param x {number}
+ * @param y {number}
+ * @param vertices {Float32Array|Array<number>}
+ * @param isStrip {boolean}
+ * @returns {number}
+ */
+export function distanceToTriangles (x, y, vertices, isStrip=true) {
+  let min = Infinity
+
+  forEachTriangle(vertices.length / 2, isStrip, (i1, i2, i3) => {
+    if (min === 0) return
+
+    let x1 = vertices[2 * i1], y1 = vertices[2 * i1 + 1]
+    let x2 = vertices[2 * i2], y2 = vertices[2 * i2 + 1]
+    let x3 = vertices[2 * i3], y3 = vertices[2 * i3 + 1]
+
+    let area = (x2 - x1) * (y3 - y1) - (x3 - x1) * (y2 - y1)
+    if (!area) return  // degenerate or NaN
+
+    // Signed areas of the point with each edge, which all have the sign of the triangle's inside it
+    let w1 = (x2 - x) * (y3 - y) - (x3 - x) * (y2 - y)
+    let w2 = (x3 - x) * (y1 - y) - (x1 - x) * (y3 - y)
+    let w3 = (x1 - x) * (y2 - y) - (x2 - x) * (y1 - y)
+
+    if (area > 0 ? (w1 >= 0 && w2 >= 0 && w3 >= 0) : (w1 <= 0 && w2 <= 0 && w3 <= 0)) {
+      min = 0
+      return
+    }
+
+    min = Math.min(min, segmentDistance(x, y, x1, y1, x2, y2), segmentDistance(x, y, x2, y2, x3, y3), segmentDistance(x, y, x3, y3, x1, y1))
+  })
+
+  return min
+}
+
+/**
+ * Distance from a point to a rectangle
+ * @param x {number}
+ * @param y {number}
+ * @param rect {{x: number, y: number, w: number, h: number}}
+ * @returns {number}
+ */
+export function distanceToRect (x, y, rect) {
+  let dx = Math.max(rect.x - x, 0, x - rect.x - rect.w)
+  let dy = Math.max(rect.y - y, 0, y - rect.y - rect.h)
+
+  return Math.hypot(dx, dy)
+}
+
+/**
+ * Rectangle of a text instruction, before its rotation about its anchor. The text is measured with a canvas if possible,
+ * and otherwise approximated from its font size.
+ * @param instruction {{text: string, pos: Vec2, style: TextStyle}}
+ * @returns {BoundingBox}
+ */
+export function getTextRect (instruction) {
+  const { text, pos, style } = instruction
+  const metrics = measureText(text, style)
+
+  let w, h, ascent
+
+  if (metrics) {
+    ascent = metrics.actualBoundingBoxAscent
+    w = metrics.width
+    h = ascent + metrics.actualBoundingBoxDescent
+  } else {
+    w = APPROXIMATE_CHAR_WIDTH * style.fontSize * text.length
+    h = style.fontSize
+  }
+
+  return getActualTextLocation({ w, h }, pos, { align: style.align, baseline: style.baseline, ascent })
+}
+
+/**
+ * Distance from a point to what an instruction draws; Infinity if it draws nothing hit-testable
+ * @param instruction {{}}
+ * @param x {number}
+ * @param y {number}
+ * @returns {number}
+ */
+export function instructionDistance (instruction, x, y) {
+  switch (instruction.type) {
+    case "polyline": {
+      const pen = instruction.pen
+      if (!pen || pen.visible === false) return Infinity
+
+      return distanceToPolyline(x, y, instruction.vertices, pen.thickness)
+    }
+    case "triangle_strip":
+    case "colored_triangle_strip":
+    case "image":
+      return distanceToTriangles(x, y, instruction.vertices, true)
+    case "colored_triangles":
+      return distanceToTriangles(x, y, instruction.vertices, false)
+    case "text": {
+      if (!instruction.text || !instruction.pos || !instruction.style) return Infinity
+
+      const { pos, style } = instruction
+      let px = x, py = y
+
+      // Undo the text's rotation about its anchor (see rotateVertices in scene_graph.js)
+      if (style.rotation) {
+        let c = Math.cos(style.rotation), s = Math.sin(style.rotation)
+        let dx = x - pos.x, dy = y - pos.y
+
+        px = pos.x + c * dx - s * dy
+        py = pos.y + s * dx + c * dy
+      }
+
+      return distanceToRect(px, py, getTextRect(instruction))
+    }
+    default:
+      return Infinity
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * @file Plotting of implicit relations F(x, y) = 0 and F(x, y) < 0 by interval subdivision. Starting from the plotting
+ * box, each cell is evaluated with interval arithmetic. If the interval result shows that the relation is false (or
+ * undefined) everywhere in the cell, the cell is discarded; if it shows that an inequality is true everywhere, the cell
+ * is filled. Otherwise the cell is ambiguous and split into four, until the cells reach a minimum size. Leaf cells are
+ * filled if their centers satisfy the inequality, and the curve F = 0 is traced through them by marching squares.
+ *
+ * The work is done in a bolus (see core/bolus.js), so that large subdivisions can be digested across several frames.
+ */
+
+import {RealInterval} from "../math/real_interval/interval.js"
+
+// Number of cells to process between yields of the bolus
+const CELLS_PER_YIELD = 1000
+
+// Cells are never split more than this many times, regardless of the minimum cell size
+const MAX_SUBDIVISION_DEPTH = 24
+
+/**
+ * Linearly interpolate the zero of a function along an edge, given its values f1 at p1 and f2 at p2. The points are
+ * always passed in the same order for a given edge, so adjacent cells compute bitwise identical crossings.
+ * @param p1 {number}
+ * @param f1 {number}
+ * @param p2 {number}
+ * @param f2 {number}
+ * @returns {number}
+ */
+function interpolateZero (p1, f1, p2, f2) {
+  let t = f1 / (f1 - f2)
+
+  return p1 + (p2 - p1) * t
+}
+
+/**
+ * Trace F = 0 through a leaf cell by marching squares, pushing each segment (x1, y1, x2, y2) onto segments.
+ * @param f {Function} Real version of F, accepting (x, y)
+ * @param x1 {number}
+ * @param y1 {number}
+ * @param x2 {number}
+ * @param y2 {number}
+ * @param segments {number[]}
+ */
+function marchSquare (f, x1, y1, x2, y2, segments) {
+  const f00 = f(x1, y1), f10 = f(x2, y1), f01 = f(x1, y2), f11 = f(x2, y2)
+
+  if (!Number.isFinite(f00) || !Number.isFinite(f10) || !Number.isFinite(f01) || !Number.isFinite(f11)) return
+
+  const s00 = f00 < 0, s10 = f10 < 0, s01 = f01 < 0, s11 = f11 < 0
+
+  // Crossings on the bottom, right, top and left edges, or null if the edge has no sign change
+  const bottom = (s00 !== s10) ? [ interpolateZero(x1, f00, x2, f10), y1 ] : null
+  const right = (s10 !== s11) ? [ x2, interpolateZero(y1, f10, y2, f11) ] : null
+  const top = (s01 !== s11) ? [ interpolateZero(x1, f01, x2, f11), y2 ] : null
+  const left = (s00 !== s01) ? [ x1, interpolateZero(y1, f00, y2, f01) ] : null
+
+  const crossings = [ bottom, right, top, left ].filter(c => c)
+
+  if (crossings.length === 2) {
+    segments.push(...crossings[0], ...crossings[1])
+  } else if (crossings.length === 4) {
+    // Saddle; the sign at the center decides which opposite corners are connected
+    const center = f((x1 + x2) / 2, (y1 + y2) / 2)
+
+    if ((center < 0) === s00) {
+      segments.push(...bottom, ...right, ...top, ...left)
+    } else {
+      segments.push(...bottom, ...left, ...right, ...top)
+    }
+  }
+}
+
+/**
+ * Join segments sharing endpoints into polylines, separated by NaN, NaN vertices.
+ * @param segments {number[]} Flat list of segments x1, y1, x2, y2, ...
+ * @returns {Float64Array}
+ */
+export function joinSegments (segments) {
+  const segmentCount = segments.length / 4
+
+  // Map from "x,y" to the indices of segments with an endpoint there
+  const endpoints = new Map()
+  const key = (x, y) => x + ',' + y
+
+  function addEndpoint (k, i) {
+    const list = endpoints.get(k)
+
+    if (list) list.push(i)
+    else endpoints.set(k, [ i ])
+  }
+
+  for (let i = 0; i < segmentCount; ++i) {
+    addEndpoint(key(segments[4 * i], segments[4 * i + 1]), i)
+    addEndpoint(key(segments[4 * i + 2], segments[4 * i + 3]), i)
+  }
+
+  const used = new Uint8Array(segmentCount)
+  const out = []
+
+  // Follow unused segments from the point (x, y), returning the vertices visited (excluding the start)
+  function walk (x, y) {
+    const visited = []
+
+    while (true) {
+      const candidates = endpoints.get(key(x, y))
+      const next = candidates.find(i => !used[i])
+      if (next === undefined) break
+
+      used[next] = 1
+
+      const ax = segments[4 * next], ay = segments[4 * next + 1]
+      const bx = segments[4 * next + 2], by = segments[4 * next + 3]
+
+      if (ax === x && ay === y) {
+        x = bx
+        y = by
+      } else {
+        x = ax
+        y = ay
+      }
+
+      visited.push(x, y)
+    }
+
+    return visited
+  }
+
+  for (let i = 0; i < segmentCount; ++i) {
+    if (used[i]) continue
+    used[i] = 1
+
+    const ax = segments[4 * i], ay = segments[4 * i + 1]
+    const bx = segments[4 * i + 2], by = segments[4 * i + 3]
+
+    const forward = walk(bx, by)
+    const backward = walk(ax, ay)
+
+    if (out.length > 0) out.push(NaN, NaN)
+
+    // Backward vertices are in reverse order, as (x, y) pairs
+    for (let j = backward.length - 2; j >= 0; j -= 2) out.push(backward[j], backward[j + 1])
+
+    out.push(ax, ay, bx, by, ...forward)
+  }
+
+  return new Float64Array(out)
+}
+
+/**
+ * Create a bolus which plots the relation F(x, y) = 0, if relation is "equation", or F(x, y) < 0, if relation is
+ * "inequality", in the box. The bolus's progress is the fraction of the box's area which has been resolved. Its
+ * result is { fill, curve }, where fill is a flat list of filled rectangles x1, y1, x2, y2, ... and curve is a flat
+ * list of vertices of the curve F = 0, with separate pieces separated by NaN, NaN vertices.
+ * @param intervalFunction {Function} Interval version of F, accepting two RealIntervals and returning a RealInterval
+ * @param realFunction {Function} Real version of F, accepting (x, y) and returning a number
+ * @param box {{x: number, y: number, w: number, h: number}} Box to plot in
+ * @param opts {{}}
+ * @param opts.relation {string} "equation" or "inequality"
+ * @param opts.minCellWidth {number} Width below which cells are not subdivided further
+ * @param opts.minCellHeight {number} Height below which cells are not subdivided further
+ * @returns {Bolus}
+ */
+export function implicitPlotBolus (intervalFunction, realFunction, box, opts={}) {
+  const relation = opts.relation ?? "equation"
+  const minCellWidth = opts.minCellWidth ?? box.w / 256
+  const minCellHeight = opts.minCellHeight ?? box.h / 256
+
+  if (relation !== "equation" && relation !== "inequality")
+    throw new Error(`Unknown relation ${relation}; expected "equation" or "inequality"`)
+  if (!(box.w > 0) || !(box.h > 0) || !(minCellWidth > 0) || !(minCellHeight > 0))
+    throw new RangeError("Box and minimum cell dimensions must be positive")
+
+  return (function* () {
+    const isInequality = relation === "inequality"
+    const totalArea = box.w * box.h
+
+    const fill = []
+    const segments = []
+
+    // Stack of cells x1, y1, x2, y2, depth
+    const stack = [ box.x, box.y, box.x + box.w, box.y + box.h, 0 ]
+    let resolvedArea = 0
+    let processed = 0
+
+    while (stack.length > 0) {
+      const depth = stack.pop(), y2 = stack.pop(), x2 = stack.pop(), y1 = stack.pop(), x1 = stack.pop()
+      const res = intervalFunction(new RealInterval(x1, x2), new RealInterval(y1, y2))
+
+      const w = x2 - x1, h = y2 - y1
+      let resolved = true
+
+      if (!res.defMax) {
+        // Undefined everywhere
+      } else if (isInequality && res.max < 0 && res.defMin) {
+        fill.push(x1, y1, x2, y2)
+      } else if (isInequality ? res.min >= 0 : (res.min > 0 || res.max < 0)) {
+        // Relation is false everywhere (where defined)
+      } else if (depth < MAX_SUBDIVISION_DEPTH && (w > minCellWidth || h > minCellHeight)) {
+        // Ambiguous; split along each dimension that is still too large
+        const splitX = w > minCellWidth, splitY = h > minCellHeight
+        const xm = splitX ? x1 + w / 2 : x2, ym = splitY ? y1 + h / 2 : y2
+
+        stack.push(x1, y1, xm, ym, depth + 1)
+        if (splitX) stack.push(xm, y1, x2, ym, depth + 1)
+        if (splitY) stack.push(x1, ym, xm, y2, depth + 1)
+        if (splitX && splitY) stack.push(xm, ym, x2, y2, depth + 1)
+
+        resolved = false
+      } else {
+        // Ambiguous leaf cell
+        if (isInequality && realFunction((x1 + x2) / 2, (y1 + y2) / 2) < 0) fill.push(x1, y1, x2, y2)
+
+        // A cell which may contain a discontinuity (e.g. a pole of 1/x) can have a sign change without a zero
+        if (res.defMin && res.contMin) marchSquare(realFunction, x1, y1, x2, y2, segments)
+      }
+
+      if (resolved) resolvedArea += w * h
+
+      if (++processed % CELLS_PER_YIELD === 0) yield resolvedArea / totalArea
+    }
+
+    return { fill: new Float64Array(fill), curve: joinSegments(segments) }
+  })()
+}
@@ -359,7 +359,7 @@ let stdlib = {
 
 let ASMViews = { f64: new Float64Array(heap) }
 let BufferSizes = { f64: ASMViews.f64.length }
-//var GeometryASMFunctions = GeometryASMFunctionsCreate(stdlib, null, heap)
+const GeometryASMFunctions = GeometryASMFunctionsCreate(stdlib, null, heap)
 
 /**
  * Test whether three points are in counterclockwise order
@@ -543,6 +543,64 @@ export function generateCircleTriangleStrip (radius, x=0, y=0, samples=8) {
   return new Float32Array(points)
 }
 
+/**
+ * Generate the triangles of a circle with analytic antialiasing: a polygon of full coverage, surrounded by a ring in
+ * which the coverage falls to 0, a feather band of the given width centered on the circle's edge
+ * @param radius {number}
+ * @param x {number}
+ * @param y {number}
+ * @param samples {number} Number of sides of the polygon
+ * @param feather {number} Width of the feather band, typically one device pixel
+ * @returns {{vertices: Float32Array, coverage: Float32Array}} Vertices of the triangles (each three vertices are a
+ * triangle) and the coverage of each vertex
+ */
+export function generateFeatheredCircle (radius, x=0, y=0, samples=8, feather=1) {
+  const inner = Math.max(radius - feather / 2, 0), outer = radius + feather / 2
+
+  // Circles smaller than the feather band never reach full coverage
+  const c = Math.min(2 * radius / feather, 1)
+
+  const vertices = new Float32Array(18 * samples)
+  const coverage = new Float32Array(9 * samples)
+
+  for (let i = 0; i < samples; ++i) {
+    const a1 = i / samples * 2 * Math.PI, a2 = (i + 1) / samples * 2 * Math.PI
+    const c1 = Math.cos(a1), s1 = Math.sin(a1), c2 = Math.cos(a2), s2 = Math.sin(a2)
+
+    const i1x = x + inner * c1, i1y = y + inner * s1, i2x = x + inner * c2, i2y = y + inner * s2
+    const o1x = x + outer * c1, o1y = y + outer * s1, o2x = x + outer * c2, o2y = y + outer * s2
+
+    vertices.set([
+      x, y, i1x, i1y, i2x, i2y,      // polygon
+      i1x, i1y, o1x, o1y, i2x, i2y,  // ring
+      o1x, o1y, i2x, i2y, o2x, o2y
+    ], 18 * i)
+    coverage.set([ c, c, c, c, 0, c, 0, c, 0 ], 9 * i)
+  }
+
+  return { vertices, coverage }
+}
+
+/**
+ * Convert per-vertex coverages into RGBA colors, four bytes per vertex, by multiplying the alpha of a color
+ * @param coverage {Float32Array}
+ * @param color {Color}
+ * @returns {Uint8Array}
+ */
+export function coverageToColors (coverage, color) {
+  const { r, g, b, a } = color
+  const colors = new Uint8Array(4 * coverage.length)
+
+  for (let i = 0; i < coverage.length; ++i) {
+    colors[4 * i] = r
+    colors[4 * i + 1] = g
+    colors[4 * i + 2] = b
+    colors[4 * i + 3] = Math.round(a * coverage[i])
+  }
+
+  return colors
+}
+
 export function generateRectangleTriangleStrip (rect) {
   const {x, y, w, h} = rect
 
@@ -617,6 +675,20 @@ export function combineColoredTriangleStrips (verticesBuff, colorBuff) {
 }
 
 
+/**
+ * Call a callback with the vertex indices of each triangle of a triangle strip or list of triangles
+ * @param vertexCount {number}
+ * @param isStrip {boolean} Whether the vertices form a triangle strip (otherwise, each three vertices are a triangle)
+ * @param callback {Function} Called with (i1, i2, i3)
+ */
+export function forEachTriangle (vertexCount, isStrip, callback) {
+  if (isStrip) {
+    for (let i = 0; i + 2 < vertexCount; ++i) callback(i, i + 1, i + 2)
+  } else {
+    for (let i = 0; i + 2 < vertexCount; i += 3) callback(i, i + 1, i + 2)
+  }
+}
+
 /**
  * Fill the TypedArray arr with a given pattern throughout [startIndex, endIndex). Works if either is out of bounds.
  * Worst code ever. Uses copyWithin to try make the operation FAST for large arrays (not optimized for small ones). On
@@ -708,27 +780,44 @@ export function flattenVec2Array (arr) {
 }
 
 /**
- * Get the actual bounding rectangle of a piece of text with a given vector anchor and spacing from that anchor. For
- * example, getActualTextLocation( { x: 0, y: 0, w: 10, h: 10 }, { x: 50, y: 50 }, "S", 3 ) is { x: 45, y: 37, w: 10, h: 10 } )
- * @param textRect {BoundingBox} The bounding box of the text rectangle (x and y are ignored)
- * @param anchor {Vec2} The position to anchor to
- * @param anchorDir {Vec2} The direction of the anchor
- * @param spacing {number} The additional constant spacing from the anchor
+ * Get the location of a piece of text in the scene, given the size of its rectangle in the text atlas and how it is
+ * anchored. Alignment is relative to the ink bounds of the text, which are inset from the rectangle by padding (the
+ * halo) on every side.
+ * @param textRect {{w: number, h: number}} Size of the text, including padding
+ * @param anchor {Vec2} Position of the anchor
+ * @param opts {{}}
+ * @param opts.align {string} "left", "center" or "right"; the horizontal position of the anchor on the text
+ * @param opts.baseline {string} "top", "middle", "bottom" or "alphabetic"; the vertical position of the anchor
+ * @param opts.padding {number} Padding around the ink bounds in the rectangle (default 0)
+ * @param opts.ascent {number} Distance from the alphabetic baseline to the top of the ink bounds, needed for
+ * alphabetic alignment (default: half the ink height)
  * @returns {BoundingBox}
  */
-export function getActualTextLocation (textRect, anchor, anchorDir, spacing) {
-  // We get the center of the rectangle, starting at anchor and adding anchorDir * textRect.wh / 4 * (1 + spacing / norm(textRect.wh) / 2).
-
+export function getActualTextLocation (textRect, anchor, opts={}) {
   const { w, h } = textRect
+  const { align="center", baseline="middle", padding=0 } = opts
+  const ascent = opts.ascent ?? (h / 2 - padding)
+
+  anchor = Vec2.fromObj(anchor) ?? new Vec2(0, 0)
 
-  anchor = Vec2.fromObj(anchor) ?? new Vec2(0,0)
-  anchorDir = Vec2.fromObj(anchorDir) ?? new Vec2(0, 0)
-  spacing = spacing ?? 0
+  let x, y
 
-  let centerX = anchor.x + anchorDir.x * (textRect.w / 4 + spacing)
-  let centerY = anchor.y + anchorDir.y * (textRect.h / 4 + spacing)
+  switch (align) {
+    case "left": x = anchor.x - padding; break
+    case "center": x = anchor.x - w / 2; break
+    case "right": x = anchor.x - w + padding; break
+    default: throw new Error(`Unknown text alignment ${align}`)
+  }
+
+  switch (baseline) {
+    case "top": y = anchor.y - padding; break
+    case "middle": y = anchor.y - h / 2; break
+    case "bottom": y = anchor.y - h + padding; break
+    case "alphabetic": y = anchor.y - ascent - padding; break
+    default: throw new Error(`Unknown text baseline ${baseline}`)
+  }
 
-  return BoundingBox.fromObj({ cx: centerX, cy: centerY, w, h })
+  return new BoundingBox(x, y, w, h)
 }
 
 // Merging geometries of various types is a very common operation because we want to minimize bufferData and drawArrays
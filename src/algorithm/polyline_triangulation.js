@@ -64,21 +64,165 @@ function fastAtan2(y, x) {
  * @param box {BoundingBox} The bounding box of the plot, used to optimize line dashes
  */
 export function calculatePolylineVertices(vertices, pen, box=null) {
-  if (pen.dashPattern.length === 0) {
+  if (!pen.dashPattern?.length) {
     return convertTriangleStrip(vertices, pen)
   } else {
     return convertTriangleStrip(getDashedPolyline(vertices, pen, box), pen)
   }
 }
 
+/**
+ * Triangulate a polyline with analytic antialiasing. The stroke is widened by half the feather width on each side, and
+ * drawn as triangles whose vertices carry a coverage: 1 inside the stroke, falling to 0 across a band of the given width
+ * centered on the stroke's edges (including the ends of butt and square endcaps). Multiplying the alpha of the pen's
+ * color by the coverage gives per-vertex colors for a colored_triangles instruction.
+ * @param vertices {Array} The vertices of the polyline.
+ * @param pen {Object} A JSON representation of the pen. Could also be the pen object itself.
+ * @param feather {number} Width of the feather band, typically one device pixel
+ * @param box {BoundingBox} The bounding box of the plot, used to optimize line dashes
+ * @returns {{vertices: Float32Array, coverage: Float32Array}} Vertices of the triangles (each three vertices are a
+ * triangle) and the coverage of each vertex
+ */
+export function calculateFeatheredPolylineVertices(vertices, pen, feather=1, box=null) {
+  if (pen.dashPattern?.length) vertices = getDashedPolyline(vertices, pen, box)
+
+  const centers = []
+  const strip = convertTriangleStrip(vertices, pen, centers)
+
+  return featherTriangleStrip(strip, centers, pen.thickness / 2, feather, pen.endcap !== "round")
+}
+
+/**
+ * Convert a triangle strip from convertTriangleStrip, which consists of pairs of vertices on opposite sides of (or at)
+ * centers on the polyline, into feathered triangles. Each pair becomes a cross section of four rows: outer edge,
+ * inner edge, inner edge, outer edge, found by scaling the pair about its center, and consecutive cross sections are
+ * joined by three bands of two triangles each. Scaling about the center keeps the edges of miters parallel.
+ * @param strip {Float32Array}
+ * @param centers {Array} Center of each vertex of the strip
+ * @param th {number} Half the thickness of the stroke
+ * @param feather {number}
+ * @param featherEnds {boolean} Whether to feather the ends of each part of the strip, i.e. whether the endcaps are flat
+ * @returns {{vertices: Float32Array, coverage: Float32Array}}
+ */
+function featherTriangleStrip (strip, centers, th, feather, featherEnds) {
+  const outVertices = []
+  const outCoverage = []
+
+  const innerScale = Math.max(th - feather / 2, 0) / th
+  const outerScale = (th + feather / 2) / th
+
+  // Lines thinner than the feather band never reach full coverage
+  const innerCoverage = Math.min(2 * th / feather, 1)
+  const rowCoverage = [ 0, innerCoverage, innerCoverage, 0 ]
+  const endCoverage = [ 0, 0, 0, 0 ]
+
+  // Cross sections of the current unbroken part of the strip
+  let part = []
+
+  const crossSection = (px, py, qx, qy, cx, cy) => ({
+    p: [ px, py ], q: [ qx, qy ], c: [ cx, cy ],
+    rows: [
+      cx + (px - cx) * outerScale, cy + (py - cy) * outerScale,
+      cx + (px - cx) * innerScale, cy + (py - cy) * innerScale,
+      cx + (qx - cx) * innerScale, cy + (qy - cy) * innerScale,
+      cx + (qx - cx) * outerScale, cy + (qy - cy) * outerScale
+    ],
+    coverage: rowCoverage
+  })
+
+  const translated = (section, dx, dy, coverage) => ({
+    ...section,
+    rows: section.rows.map((v, i) => v + ((i % 2 === 0) ? dx : dy)),
+    coverage
+  })
+
+  // Extend an end of the part by half the feather width, pulling its last cross section in by the same amount
+  const featherEnd = (end, next) => {
+    let dx = end.c[0] - next.c[0], dy = end.c[1] - next.c[1]
+    let len = fastHypot(dx, dy)
+
+    if (len < 1e-8) return [ end ]
+
+    dx *= feather / 2 / len
+    dy *= feather / 2 / len
+
+    return [ translated(end, dx, dy, endCoverage), translated(end, -dx, -dy, rowCoverage) ]
+  }
+
+  const flushPart = () => {
+    if (part.length >= 2) {
+      if (featherEnds) {
+        const len = part.length
+
+        part = [ ...featherEnd(part[0], part[1]), ...part.slice(1, len - 1), ...featherEnd(part[len - 1], part[len - 2]).reverse() ]
+      }
+
+      for (let i = 0; i < part.length - 1; ++i) {
+        const a = part[i], b = part[i + 1]
+
+        for (let row = 0; row < 3; ++row) {
+          const a1 = 2 * row, a2 = 2 * row + 2
+
+          outVertices.push(
+            a.rows[a1], a.rows[a1 + 1], a.rows[a2], a.rows[a2 + 1], b.rows[a1], b.rows[a1 + 1],
+            a.rows[a2], a.rows[a2 + 1], b.rows[a1], b.rows[a1 + 1], b.rows[a2], b.rows[a2 + 1]
+          )
+          outCoverage.push(
+            a.coverage[row], a.coverage[row + 1], b.coverage[row],
+            a.coverage[row + 1], b.coverage[row], b.coverage[row + 1]
+          )
+        }
+      }
+    }
+
+    part = []
+  }
+
+  const dist = (v1, v2) => fastHypot(v1[0] - v2[0], v1[1] - v2[1])
+
+  for (let i = 0; i < strip.length;) {
+    if (Number.isNaN(strip[i]) || Number.isNaN(strip[i + 1])) {
+      flushPart()
+      i += 2
+
+      continue
+    }
+
+    let section = crossSection(strip[i], strip[i + 1], strip[i + 2], strip[i + 3], centers[i], centers[i + 1])
+    let prev = part[part.length - 1]
+
+    // Joins and endcaps may emit the vertex on the polyline's other side first; match each side with the same side of
+    // the previous cross section, so that bands don't cross the stroke
+    if (prev && dist(section.p, prev.p) + dist(section.q, prev.q) > dist(section.p, prev.q) + dist(section.q, prev.p)) {
+      section = crossSection(strip[i + 2], strip[i + 3], strip[i], strip[i + 1], centers[i], centers[i + 1])
+    }
+
+    part.push(section)
+    i += 4
+  }
+
+  flushPart()
+
+  return { vertices: new Float32Array(outVertices), coverage: new Float32Array(outCoverage) }
+}
+
 // TODO convert to float array. Arrays are surprisingly memory inefficient (8 to 16x), not sure why
-export function convertTriangleStrip(vertices, pen) {
+/**
+ * Convert polyline vertices into the vertices of a triangle strip
+ * @param vertices {Array} The vertices of the polyline.
+ * @param pen {Object}
+ * @param centers {Array|null} If given, filled with the center of each vertex of the strip, i.e. the point on the
+ * polyline about which it was placed. The vertices of the strip then come in pairs (except for single NaN vertices,
+ * which break the strip) with a common center, and round endcaps are fans about their center.
+ * @returns {Float32Array}
+ */
+export function convertTriangleStrip(vertices, pen, centers=null) {
   if (pen.thickness <= 0 ||
     pen.endcapRes < MIN_RES_ANGLE ||
     pen.joinRes < MIN_RES_ANGLE ||
     vertices.length <= 3) {
 
-    return { glVertices: null, vertexCount: 0 }
+    return new Float32Array(0)
   }
 
   let glVertices = []
@@ -97,6 +241,12 @@ export function convertTriangleStrip(vertices, pen) {
     throw new Error("Undefined endcap or join.")
   }
 
+  // Add two vertices to the strip, placed about (cx, cy)
+  const pushPair = (ax, ay, bx, by, cx, cy) => {
+    glVertices.push(ax, ay, bx, by)
+    if (centers) centers.push(cx, cy, cx, cy)
+  }
+
   let x1, x2, x3, y1, y2, y3
   let v1x, v1y, v2x, v2y, v1l, v2l, b1_x, b1_y, scale, dis
   let chunkPos = 0
@@ -114,6 +264,7 @@ export function convertTriangleStrip(vertices, pen) {
 
     if (isNaN(x2) || isNaN(y2)) {
       glVertices.push(NaN, NaN)
+      if (centers) centers.push(NaN, NaN)
     }
 
     if (isNaN(x1) || isNaN(y1)) { // starting endcap
@@ -139,20 +290,23 @@ export function convertTriangleStrip(vertices, pen) {
         let theta = fastAtan2(v2y, v2x) + Math.PI / 2
         let steps_needed = Math.ceil(Math.PI / pen.endcapRes)
 
-        let o_x = x2 - th * v2y, o_y = y2 + th * v2x
+        // With centers, the endcap is a fan about the vertex, followed by the vertices beginning the next segment
+        let o_x = centers ? x2 : x2 - th * v2y, o_y = centers ? y2 : y2 + th * v2x
 
-        for (let i = 1; i <= steps_needed; ++i) {
+        for (let i = centers ? 0 : 1; i <= steps_needed; ++i) {
           let theta_c = theta + i / steps_needed * Math.PI
 
-          glVertices.push(x2 + th * fastCos(theta_c), y2 + th * fastSin(theta_c), o_x, o_y)
+          pushPair(x2 + th * fastCos(theta_c), y2 + th * fastSin(theta_c), o_x, o_y, x2, y2)
         }
+
+        if (centers) pushPair(x2 + th * v2y, y2 - th * v2x, x2 - th * v2y, y2 + th * v2x, x2, y2)
         continue
       } else if (endcap === 2) {
-        glVertices.push(x2 - th * v2x + th * v2y, y2 - th * v2y - th * v2x, x2 - th * v2x - th * v2y, y2 - th * v2y + th * v2x)
+        pushPair(x2 - th * v2x + th * v2y, y2 - th * v2y - th * v2x, x2 - th * v2x - th * v2y, y2 - th * v2y + th * v2x, x2 - th * v2x, y2 - th * v2y)
         continue
       } else {
         // no endcap
-        glVertices.push(x2 + th * v2y, y2 - th * v2x, x2 - th * v2y, y2 + th * v2x)
+        pushPair(x2 + th * v2y, y2 - th * v2x, x2 - th * v2y, y2 + th * v2x, x2, y2)
         continue
       }
     }
@@ -175,18 +329,18 @@ export function convertTriangleStrip(vertices, pen) {
         continue
       } // undefined >:(
 
-      glVertices.push(x2 + th * v1y, y2 - th * v1x, x2 - th * v1y, y2 + th * v1x)
+      pushPair(x2 + th * v1y, y2 - th * v1x, x2 - th * v1y, y2 + th * v1x, x2, y2)
 
       if (endcap === 1) {
         let theta = fastAtan2(v1y, v1x) + 3 * Math.PI / 2
         let steps_needed = Math.ceil(Math.PI / pen.endcapRes)
 
-        let o_x = x2 - th * v1y, o_y = y2 + th * v1x
+        let o_x = centers ? x2 : x2 - th * v1y, o_y = centers ? y2 : y2 + th * v1x
 
-        for (let i = 1; i <= steps_needed; ++i) {
+        for (let i = centers ? 0 : 1; i <= steps_needed; ++i) {
           let theta_c = theta + i / steps_needed * Math.PI
 
-          glVertices.push(x2 + th * fastCos(theta_c), y2 + th * fastSin(theta_c), o_x, o_y)
+          pushPair(x2 + th * fastCos(theta_c), y2 + th * fastSin(theta_c), o_x, o_y, x2, y2)
         }
       }
 
@@ -225,7 +379,7 @@ export function convertTriangleStrip(vertices, pen) {
         b1_x *= scale
         b1_y *= scale
 
-        glVertices.push(x2 - b1_x, y2 - b1_y, x2 + b1_x, y2 + b1_y)
+        pushPair(x2 - b1_x, y2 - b1_y, x2 + b1_x, y2 + b1_y, x2, y2)
 
         continue
       }
@@ -255,7 +409,7 @@ export function convertTriangleStrip(vertices, pen) {
       v1y /= dis
     }
 
-    glVertices.push(x2 + th * v1y, y2 - th * v1x, x2 - th * v1y, y2 + th * v1x)
+    pushPair(x2 + th * v1y, y2 - th * v1x, x2 - th * v1y, y2 + th * v1x, x2, y2)
 
     if (join === 1 || join === 3) {
       let a1 = fastAtan2(-v1y, -v1x) - Math.PI / 2
@@ -281,11 +435,11 @@ export function convertTriangleStrip(vertices, pen) {
       for (let i = 0; i <= steps_needed; ++i) {
         let theta_c = start_a + angle_subtended * i / steps_needed
 
-        glVertices.push(x2 + th * fastCos(theta_c), y2 + th * fastSin(theta_c), x2, y2)
+        pushPair(x2 + th * fastCos(theta_c), y2 + th * fastSin(theta_c), x2, y2, x2, y2)
       }
     }
 
-    glVertices.push(x2 + th * v2y, y2 - th * v2x, x2 - th * v2y, y2 + th * v2x)
+    pushPair(x2 + th * v2y, y2 - th * v2x, x2 - th * v2y, y2 + th * v2x, x2, y2)
   }
 
   return new Float32Array(glVertices)
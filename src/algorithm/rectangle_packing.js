@@ -70,17 +70,27 @@ export function packRectangles (rectangles) {
   return { width: textureWidth, height: textureHeight, rects }
 }
 
+/**
+ * Packs rectangles of given ids into a bin of fixed (but growable) size, allowing rectangles to be deleted and new ones
+ * to be added after a previous packing, without moving the rectangles already packed. This is what a long-lived texture
+ * atlas needs. Rectangles are packed into shelves (rows) from the top of the bin; each shelf keeps a list of its free
+ * horizontal segments, so that the space of deleted rectangles is reused. Shelf packing suits text well, since pieces
+ * of text of the same font have similar heights.
+ */
 export class DynamicRectanglePacker {
-  constructor () {
-    // Given rectangles of some ids, packs them, allowing for rectangles to be deleted and new ones to be added after
-    // a previous packing
+  /**
+   * @param width {number} Width of the bin
+   * @param height {number} Height of the bin
+   */
+  constructor (width=256, height=256) {
+    this.width = width
+    this.height = height
 
-    // Maps rectangle ids to rectangles { x, y, w, h }
+    // Maps rectangle ids to rectangles { x, y, w, h, shelf }
     this.rects = new Map()
 
-    this.packingBoundary = []
-    this.packingMaxX = 0
-    this.packingMaxY = 0
+    // Shelves, in order of increasing y, of the form { y, h, free: [{ x, w }] } where free is sorted by x
+    this.shelves = []
 
     this.queue = []
   }
@@ -90,81 +100,162 @@ export class DynamicRectanglePacker {
    */
   clear () {
     this.rects.clear()
+    this.shelves = []
+    this.queue = []
   }
 
-  // Queue a rectangle of some width and height
-  queueRectangle (id, width, height) {
-    this.queue.push({ id, w: width, h: height})
+  /**
+   * The height of the bin taken up by shelves
+   * @returns {number}
+   */
+  usedHeight () {
+    const last = this.shelves[this.shelves.length - 1]
+
+    return last ? last.y + last.h : 0
   }
 
-  pack () {
-    // Sorted by area. In the case of text, sorting by height might make more sense
-    const rectsToPack = this.queue.sort((r1, r2) => (r1.w * r1.h - r2.w * r2.h))
+  /**
+   * Get the packed rectangle of a given id
+   * @param id {string}
+   * @returns {{x: number, y: number, w: number, h: number}|undefined}
+   */
+  get (id) {
+    return this.rects.get(id)
+  }
+
+  /**
+   * Pack a rectangle, returning its position, or null if there is no room. If a rectangle of this id is already packed,
+   * it is returned unchanged.
+   * @param id {string}
+   * @param width {number}
+   * @param height {number}
+   * @returns {{x: number, y: number, w: number, h: number}|null}
+   */
+  add (id, width, height) {
+    let existing = this.rects.get(id)
+    if (existing) return existing
 
-    // The packing boundary is the minimal "step function" that encompasses the rectangles already allocated. Yes, I know
-    // this is an abysmal heuristic, but I'm busy and I will make a better one later. It is represented as a list of
-    // x and y values, alternating, starting from the bottom left. We are packing rectangles in the top left, so x
-    // will be monotonically increasing and y will be monotonically decreasing.
-    let packingBoundary = []
+    if (width > this.width || height > this.height) return null
 
-    let { packingMaxX: maxX, packingMaxY: maxY } = this
+    // Find the shelf which wastes the least height, among those not too much taller than the rectangle
+    let bestShelf = null, bestSegment = null
 
-    for (const rect of rectsToPack) {
-      // We find the position of the rectangle where the placement would expand the sum of the dims the least, which will make
-      // the positioning generally gravitate towards a square. This means examining each concave corner.
-      let bestPositionX, bestPositionY, bestMaxX, bestMaxY, bestMinDimSum = Infinity, cornerIndex
+    for (const shelf of this.shelves) {
+      let waste = shelf.h - height
+      if (waste < 0 || waste > Math.max(2, height / 2)) continue
+      if (bestShelf && waste >= bestShelf.h - height) continue
 
-      let rectW = rect.w, rectH = rect.h
+      const segment = shelf.free.find(s => s.w >= width)
 
-      if (packingBoundary.length === 0) {
-        bestPositionX = bestPositionY = 0
-        bestMaxX = rectW
-        bestMaxY = rectH
-        bestMinDimSum = rectW + rectH
-      } else {
-        bestPositionX = 0
-        bestPositionY = maxY
+      if (segment) {
+        bestShelf = shelf
+        bestSegment = segment
+      }
+    }
 
-        let x = 0, y = maxY
+    if (!bestShelf) {
+      const y = this.usedHeight()
+      if (y + height > this.height) return null
 
-        for (let i = 0; i <= packingBoundary.length; i += 2) {
-          // x, y is the corner in question
-          let rectMaxX = x + rectW
-          let rectMaxY = y + rectH
+      bestShelf = { y, h: height, free: [ { x: 0, w: this.width } ] }
+      bestSegment = bestShelf.free[0]
 
-          let dimSum = Math.max(rectMaxX + rectMaxY, maxX + maxY)
+      this.shelves.push(bestShelf)
+    }
 
-          if (dimSum < bestMinDimSum) {
-            bestMinDimSum = dimSum
-            bestMaxX = rectMaxX
-            bestMaxY = rectMaxY
-            cornerIndex = i
-          }
+    const rect = { x: bestSegment.x, y: bestShelf.y, w: width, h: height, shelf: bestShelf }
 
-          if (dimSum === maxX + maxY) break
-          if (i === packingBoundary.length) break
+    bestSegment.x += width
+    bestSegment.w -= width
 
-          let xd = packingBoundary[i], yd = packingBoundary[i + 1]
+    if (bestSegment.w === 0) bestShelf.free.splice(bestShelf.free.indexOf(bestSegment), 1)
 
-          x += xd
-          y += yd
-        }
-      }
+    this.rects.set(id, rect)
+    return rect
+  }
+
+  /**
+   * Delete a rectangle, freeing its space
+   * @param id {string}
+   */
+  delete (id) {
+    const rect = this.rects.get(id)
+    if (!rect) return
 
-      // Recalculating the boundary, adding a rectangle at (bestPositionX, bestPositionY) with width (rectW, rectH),
-      // expanding the total boundary to a size of (bestMaxX, bestMaxY)
+    this.rects.delete(id)
 
-      let xd = 0, yd = 0
-      for (let i = cornerIndex; i <= packingBoundary.length; ++i) {
-        if (xd >= rectW) {
+    const shelf = rect.shelf
+    freeSegment(shelf.free, rect.x, rect.w)
 
-        }
+    // Remove empty shelves at the bottom, so that their height may be reused by shelves of other heights
+    let shelves = this.shelves
+    let last
 
-        xd += packingBoundary[i]
-        yd += packingBoundary[i+1]
-      }
+    while ((last = shelves[shelves.length - 1]) && last.free.length === 1 && last.free[0].w === this.width) {
+      shelves.pop()
     }
   }
+
+  /**
+   * Grow the bin. Packed rectangles keep their positions.
+   * @param width {number}
+   * @param height {number}
+   */
+  resize (width, height) {
+    if (width < this.width || height < this.height) throw new Error("DynamicRectanglePacker can only grow")
+
+    if (width > this.width) {
+      for (const shelf of this.shelves) freeSegment(shelf.free, this.width, width - this.width)
+    }
+
+    this.width = width
+    this.height = height
+  }
+
+  // Queue a rectangle of some width and height
+  queueRectangle (id, width, height) {
+    this.queue.push({ id, w: width, h: height })
+  }
+
+  /**
+   * Pack all queued rectangles, tallest first, returning the ids of those which didn't fit
+   * @returns {string[]}
+   */
+  pack () {
+    const rectsToPack = this.queue.sort((r1, r2) => (r2.h - r1.h))
+    const failed = []
+
+    for (const rect of rectsToPack) {
+      if (!this.add(rect.id, rect.w, rect.h)) failed.push(rect.id)
+    }
+
+    this.queue = []
+    return failed
+  }
+}
+
+/**
+ * Return a horizontal segment to a sorted list of free segments, merging it with its neighbors
+ * @param free {Array} List of { x, w }
+ * @param x {number}
+ * @param w {number}
+ */
+function freeSegment (free, x, w) {
+  let i = 0
+  while (i < free.length && free[i].x < x) i++
+
+  free.splice(i, 0, { x, w })
+
+  // Merge with the next segment, then the previous
+  if (i + 1 < free.length && x + w === free[i + 1].x) {
+    free[i].w += free[i + 1].w
+    free.splice(i + 1, 1)
+  }
+
+  if (i > 0 && free[i - 1].x + free[i - 1].w === x) {
+    free[i - 1].w += free[i].w
+    free.splice(i, 1)
+  }
 }
 
 
@@ -4,6 +4,11 @@
  * @param opts
  */
 import {getCast, TYPES} from "./new_operator.js"
+import {RealInterval} from "../math/real_interval/interval.js"
+
+// Evaluation modes and the evaluator each uses. In "interval" mode, variables in the scope and the result are
+// RealIntervals, and operators are evaluated with rounded-outward interval arithmetic.
+const EVALUATION_MODES = [ "generic", "interval" ]
 
 export function compileNode (root, opts={}) {
   // Whether to do typechecks to passed arguments
@@ -12,6 +17,11 @@ export function compileNode (root, opts={}) {
   // Whether to allow optimizations which may change the output due to rounding
   let fastMath = !!opts.fastMath
 
+  // Which evaluator to use for each operator
+  let mode = opts.mode ?? "generic"
+  if (!EVALUATION_MODES.includes(mode))
+    throw new Error(`Unknown evaluation mode ${mode}; valid modes are ${EVALUATION_MODES.join(', ')}`)
+
   // We construct the text of a function of the form (imports) => { let setup = ... ; return function (...) { ... }}
   // then create the function via new Function. The evaluation process basically involves generating variables $0, $1,
   // $2, ... that correspond to the nodes in the graph. For example, x^2+3 becomes
@@ -117,6 +127,7 @@ export function compileNode (root, opts={}) {
 function compileEvaluationFunction (root, nodeInfo, importFunction, importConstant, exportFunction, getUnusedVarName, opts) {
   // Whether to add typechecks to the passed variables
   let doTypechecks = !!opts.typechecks
+  let mode = opts.mode ?? "generic"
 
   let scopeVarName = "scope"
   let fBody = ""
@@ -159,7 +170,12 @@ function compileEvaluationFunction (root, nodeInfo, importFunction, importConsta
       let typecheck = importFunction(TYPES[type].typecheck.generic.f)
 
       addLine(`if (${varName} === undefined) throw new Error("Variable ${name} is not defined in this scope");`)
-      addLine(`if (!${typecheck}(${varName})) throw new Error("Expected variable ${name} to have a type of ${type}");`)
+
+      if (mode === "interval") {
+        addLine(`if (!(${varName} instanceof ${importConstant(RealInterval)})) throw new Error("Expected variable ${name} to be a RealInterval");`)
+      } else {
+        addLine(`if (!${typecheck}(${varName})) throw new Error("Expected variable ${name} to have a type of ${type}");`)
+      }
     }
   }
 
@@ -173,11 +189,39 @@ function compileEvaluateVariables(root, nodeInfo, importFunction, importConstant
   // How much to try and optimize the computations
   let optimizationLevel = opts.o ?? 0
 
+  let mode = opts.mode ?? "generic"
+
+  /**
+   * Get the evaluator of an operator or typecast in the current evaluation mode
+   * @param definition {OperatorDefinition}
+   * @param name {string} Name of the operator, for error messages
+   */
+  function getEvaluator (definition, name) {
+    let evaluator = definition.evaluators[mode]
+    if (!evaluator) throw new Error(`Operator ${name} has no ${mode} evaluator`)
+
+    return evaluator
+  }
+
+  /**
+   * Get the value of a constant node in the current evaluation mode. In interval mode, constants whose literal is
+   * exactly representable (like 2 or 0.5) become exact intervals, while others (like 0.1) are rounded outward to contain
+   * the intended value.
+   * @param node {ConstantNode}
+   */
+  function getConstantValue (node) {
+    let value = node.value
+    if (mode !== "interval") return value
+    if (Number.isInteger(value)) return new RealInterval(value)
+
+    return RealInterval.from((typeof node.text === "string") ? node.text : value)
+  }
+
   function compileOperator (node) {
     let varName = getUnusedVarName()
 
     let definition = node.definition
-    let evaluator = definition.evaluators.generic
+    let evaluator = getEvaluator(definition, node.op)
     let evaluatorType = evaluator.type
 
     let children = node.children
@@ -190,10 +234,10 @@ function compileEvaluateVariables(root, nodeInfo, importFunction, importConstant
       if (srcType !== dstType) {
         let cast = getCast(srcType, dstType)
 
-        if (cast.name !== "identity") {
+        if (cast.evaluators.generic.name !== "identity") {
           let convertedVarName = getUnusedVarName()
 
-          addLine(`var ${convertedVarName}=${importFunction(cast.evaluators.generic.f)}(${varName});`)
+          addLine(`var ${convertedVarName}=${importFunction(getEvaluator(cast, `${srcType} -> ${dstType}`).f)}(${varName});`)
           varName = convertedVarName
         }
       }
@@ -224,7 +268,7 @@ function compileEvaluateVariables(root, nodeInfo, importFunction, importConstant
         varName = getScopedVariable(node.name).varName
         break
       case "const":
-        varName = importConstant(node.value)
+        varName = importConstant(getConstantValue(node))
         break
       case "group":
         // Forward the var name from the only child (since this is a grouping)
@@ -32,7 +32,7 @@ export class ASTNode {
         if (!types.has(node.name))
           types.set(node.name, node.type)
       }
-    })
+    }, false /* also visit non-group nodes, so a lone variable is found */)
 
     return types
   }
@@ -1,4 +1,5 @@
 import {FixedOperatorDefinition} from "./new_operator.js"
+import {RealIntervalFunctions} from "../math/real_interval/functions.js"
 
 export const Operators = {}
 
@@ -31,32 +32,38 @@ function registerOperator (name, ...ops) {
   }
 }
 
-function defineSimpleBinaryOperator (type, name, generic) {
+// The "interval" evaluators accept and return RealIntervals in place of ints and reals, and boolean intervals (see
+// real_interval/functions.js) in place of bools
+const Interval = RealIntervalFunctions
+
+function defineSimpleBinaryOperator (type, name, generic, interval) {
   registerOperator(name, new FixedOperatorDefinition({
     signature: [ type, type ],
     returnType: type,
     evaluators: {
-      generic
+      generic,
+      interval
     }
   }))
 }
 
-defineSimpleBinaryOperator("int", "+", "addition")
-defineSimpleBinaryOperator("int", "-", "subtraction")
-defineSimpleBinaryOperator("int", "*", "multiplication")
-defineSimpleBinaryOperator("int", "^", Math.pow)
+defineSimpleBinaryOperator("int", "+", "addition", Interval.Add)
+defineSimpleBinaryOperator("int", "-", "subtraction", Interval.Subtract)
+defineSimpleBinaryOperator("int", "*", "multiplication", Interval.Multiply)
+defineSimpleBinaryOperator("int", "^", Math.pow, Interval.Pow)
 
-defineSimpleBinaryOperator("real", "+", "addition")
-defineSimpleBinaryOperator("real", "-", "subtraction")
-defineSimpleBinaryOperator("real", "*", "multiplication")
-defineSimpleBinaryOperator("real", "/", "division")
-defineSimpleBinaryOperator("real", "^", Math.pow)
+defineSimpleBinaryOperator("real", "+", "addition", Interval.Add)
+defineSimpleBinaryOperator("real", "-", "subtraction", Interval.Subtract)
+defineSimpleBinaryOperator("real", "*", "multiplication", Interval.Multiply)
+defineSimpleBinaryOperator("real", "/", "division", Interval.Divide)
+defineSimpleBinaryOperator("real", "^", Math.pow, Interval.Pow)
 
 registerOperator('-', new FixedOperatorDefinition({
   signature: [ "int" ],
   returnType: "int",
   evaluators: {
-    generic: "unary_subtraction"
+    generic: "unary_subtraction",
+    interval: Interval.UnaryMinus
   }
 }))
 
@@ -64,29 +71,57 @@ registerOperator('-', new FixedOperatorDefinition({
   signature: [ "real" ],
   returnType: "real",
   evaluators: {
-    generic: "unary_subtraction"
+    generic: "unary_subtraction",
+    interval: Interval.UnaryMinus
   }
 }))
 
-function defineUnaryReal (name, evaluator) {
+function defineUnaryReal (name, evaluator, interval) {
   registerOperator(name, new FixedOperatorDefinition({
     signature: [ "real" ],
     returnType: "real",
     evaluators: {
-      generic: evaluator
+      generic: evaluator,
+      interval
+    }
+  }))
+}
+
+defineUnaryReal("sin", Math.sin, Interval.Sin)
+defineUnaryReal("cos", Math.cos, Interval.Cos)
+defineUnaryReal("tan", Math.tan, Interval.Tan)
+defineUnaryReal("asin", Math.asin, Interval.Asin)
+defineUnaryReal("acos", Math.acos, Interval.Acos)
+defineUnaryReal("atan", Math.atan, Interval.Atan)
+defineUnaryReal("sinh", Math.sinh, Interval.Sinh)
+defineUnaryReal("cosh", Math.cosh, Interval.Cosh)
+defineUnaryReal("tanh", Math.tanh, Interval.Tanh)
+defineUnaryReal("asinh", Math.asinh, Interval.Asinh)
+defineUnaryReal("acosh", Math.acosh, Interval.Acosh)
+defineUnaryReal("atanh", Math.atanh, Interval.Atanh)
+defineUnaryReal("sqrt", Math.sqrt, Interval.Sqrt)
+defineUnaryReal("exp", Math.exp, Interval.Exp)
+defineUnaryReal("ln", Math.log, Interval.Ln)
+defineUnaryReal("log2", Math.log2, Interval.Log2)
+defineUnaryReal("log10", Math.log10, Interval.Log10)
+defineUnaryReal("floor", Math.floor, Interval.Floor)
+defineUnaryReal("ceil", Math.ceil, Interval.Ceil)
+defineUnaryReal("abs", Math.abs, Interval.Abs)
+
+function defineComparison (name, generic, interval) {
+  registerOperator(name, new FixedOperatorDefinition({
+    signature: [ "real", "real" ],
+    returnType: "bool",
+    evaluators: {
+      generic,
+      interval
     }
   }))
 }
 
-defineUnaryReal("sin", Math.sin)
-defineUnaryReal("cos", Math.cos)
-defineUnaryReal("tan", Math.tan)
-defineUnaryReal("asin", Math.asin)
-defineUnaryReal("acos", Math.acos)
-defineUnaryReal("atan", Math.atan)
-defineUnaryReal("sinh", Math.sinh)
-defineUnaryReal("cosh", Math.cosh)
-defineUnaryReal("tanh", Math.tanh)
-defineUnaryReal("asinh", Math.asinh)
-defineUnaryReal("acosh", Math.acosh)
-defineUnaryReal("atanh", Math.atanh)
+defineComparison("<", (a, b) => a < b, Interval.Less)
+defineComparison("<=", (a, b) => a <= b, Interval.LessEqual)
+defineComparison(">", (a, b) => a > b, Interval.Greater)
+defineComparison(">=", (a, b) => a >= b, Interval.GreaterEqual)
+defineComparison("==", (a, b) => a === b, Interval.Equal)
+defineComparison("!=", (a, b) => a !== b, Interval.NotEqual)
@@ -1,10 +1,10 @@
-import {levenshtein} from "../core/utils"
-import {RealFunctions} from '../math/real/functions'
-import {RealIntervalFunctions} from '../math/real_interval/functions'
-import {ComplexFunctions} from '../math/complex/functions'
-import {LatexMethods} from './latex'
-import {Typecasts} from '../math/other/typecasts'
-import {BooleanFunctions} from '../math/other/boolean_functions'
+import {levenshtein} from "../core/utils.js"
+import {RealFunctions} from '../math/real/functions.js'
+import {RealIntervalFunctions} from '../math/real_interval/functions.js'
+import {ComplexFunctions} from '../math/complex/functions.js'
+import {LatexMethods} from './latex.js'
+import {Typecasts} from '../math/other/typecasts.js'
+import {BooleanFunctions} from '../math/other/boolean_functions.js'
 
 // List of valid types in Grapheme math language (as distinct from the props and stuff)
 const TYPES = ["bool", "int", "real", "complex", "vec2", "vec3", "vec4", "mat2", "mat3", "mat4", "real_list", "complex_list", "real_interval", "complex_interval"]
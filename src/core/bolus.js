@@ -62,17 +62,58 @@ export function testBolus (n) {
   }
 }
 
+/**
+ * Wrap a bolus which is one of several steps in a larger computation, so that its progress is reported as progress
+ * through the whole computation. For example, if a computation has four steps and the bolus is the third (stepIndex =
+ * 2), its progress of 0 to 1 is mapped to 0.5 to 0.75. Non-boluses (plain values) are converted into a bolus which
+ * immediately returns the value. cleanup() is forwarded to the wrapped bolus.
+ * @param bolus {Bolus|any} The bolus to wrap
+ * @param stepIndex {number} Index of this step, from 0 to stepCount - 1
+ * @param stepCount {number} Total number of steps
+ * @returns {Bolus}
+ */
 export function coatBolus (bolus, stepIndex, stepCount) {
+  if (typeof bolus?.next !== 'function') {
+    return {
+      next () {
+        return { value: bolus, done: true }
+      }
+    }
+  }
+
+  return {
+    next () {
+      const next = bolus.next()
 
+      if (next.done) return next
+
+      const progress = (typeof next.value === 'number') ? Math.min(Math.max(next.value, 0), 1) : 0
+
+      return { value: (stepIndex + progress) / stepCount, done: false }
+    },
+    cleanup () {
+      bolus.cleanup?.()
+    }
+  }
 }
 
-class BolusTimeoutError extends Error {
+export class BolusTimeoutError extends Error {
   constructor (message) {
     super(message)
     this.name = 'BolusTimeoutError'
   }
 }
 
+export class BolusCancellationError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'BolusCancellationError'
+  }
+}
+
+// Default amount of time, in milliseconds, a bolus is digested for before yielding to the event loop (half a frame)
+const DEFAULT_FRAME_BUDGET = 8
+
 /**
  * A Bolus is any object with a next() function and potentially a cleanup() function. The cleanup() function is called
  * only if the bolus is terminated early. If the bolus is cancelled after completing digestion, cleanup() is not called.
@@ -141,11 +182,96 @@ export function syncDigest (bolus, timeout = -1) {
 }
 
 /**
- * Digest a bolus asynchronously.
- * @param bolus
- * @param onProgress
- * @param timeout
+ * Digest a bolus asynchronously, in slices of at most frameBudget ms separated by timeouts, so that the page remains
+ * responsive. Returns a Promise which resolves to the result of the bolus, equipped with a function .cancel() which
+ * terminates digestion and rejects the Promise with a BolusCancellationError. If more than timeout ms elapse before the
+ * bolus finishes, the Promise is rejected with a BolusTimeoutError. If the bolus is cancelled, times out or throws, its
+ * cleanup() function is called.
+ *
+ * Non-boluses are forwarded directly, as with syncDigest, but as a resolved Promise.
+ * @param bolus {Bolus} The bolus to evaluate
+ * @param onProgress {Function} Optional callback called with the bolus's latest progress (its yielded value) after
+ * each slice of digestion
+ * @param timeout {number} Timeout length in milliseconds, or -1 to signify no timeout
+ * @param frameBudget {number} Maximum length of each slice in milliseconds
+ * @returns {Promise}
  */
-export function asyncDigest (bolus, onProgress, timeout = -1) {
+export function asyncDigest (bolus, onProgress, timeout = -1, frameBudget = DEFAULT_FRAME_BUDGET) {
+  if (timeout !== -1 && !(timeout >= 1 && timeout <= 8.64e7))
+    throw new RangeError('Invalid timeout, which must be between 1 and 86,400,000 ms, or -1 to signify no timeout.')
+
+  let cancel = () => {}
+
+  const promise = new Promise((resolve, reject) => {
+    if (typeof bolus?.next !== 'function') {
+      resolve(bolus)
+      return
+    }
+
+    const startTime = Date.now()
+
+    let finished = false
+    let timeoutID = -1
+
+    // Terminate digestion early, cleaning up the bolus
+    function terminate (err) {
+      finished = true
+      clearTimeout(timeoutID)
+
+      try {
+        bolus.cleanup?.()
+      } finally {
+        reject(err)
+      }
+    }
+
+    cancel = () => {
+      if (!finished) terminate(new BolusCancellationError('Bolus was cancelled.'))
+    }
+
+    function digestSlice () {
+      const sliceStart = Date.now()
+      let progress
+
+      try {
+        while (true) {
+          const next = bolus.next()
+
+          if (next.done) {
+            finished = true
+            resolve(next.value)
+
+            return
+          }
+
+          progress = next.value
+
+          const now = Date.now()
+
+          if (timeout !== -1 && now - startTime > timeout) {
+            terminate(new BolusTimeoutError('Bolus did not digest within ' + timeout + ' ms.'))
+            return
+          }
+
+          if (now - sliceStart >= frameBudget) break
+        }
+
+        if (onProgress && progress !== undefined) onProgress(progress)
+      } catch (err) {
+        // Thrown by the bolus or by onProgress
+        if (!finished) terminate(err)
+        return
+      }
+
+      // onProgress may have cancelled digestion
+      if (!finished) timeoutID = setTimeout(digestSlice, 0)
+    }
+
+    // Start asynchronously, so that .cancel() is available to onProgress and the caller immediately
+    timeoutID = setTimeout(digestSlice, 0)
+  })
+
+  promise.cancel = () => cancel()
 
+  return promise
 }
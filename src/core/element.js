@@ -9,6 +9,8 @@ import {Eventful} from "./eventful.js"
 import {getStringID, getVersionID} from "./utils.js"
 import {Props} from "./props.js"
 import {NullInterface} from "./interface.js"
+import {syncDigest} from "./bolus.js"
+import {instructionDistance} from "../algorithm/hit_testing.js"
 
 /**
  * The element class.
@@ -61,6 +63,7 @@ export class Element extends Eventful {
      * @property
      */
     this.internal = {
+      // Incremented whenever the element finishes an update, so that renderers know to recompile its instructions
       version: getVersionID()
     }
 
@@ -72,6 +75,12 @@ export class Element extends Eventful {
     this.set(params)
   }
 
+  /**
+   * Element-specific update logic. Expensive updates may return a bolus, which is digested synchronously by update(),
+   * or asynchronously by Scene.updateAllAsync(); until the bolus is digested, the element keeps its previous render
+   * info. Anything else returned is ignored.
+   * @returns {Bolus|undefined}
+   */
   _update () {
 
   }
@@ -90,6 +99,36 @@ export class Element extends Eventful {
       return this.internal.renderInfo
   }
 
+  /**
+   * Test whether a point is on the element, as last rendered. By default, the element's render instructions are tested:
+   * polylines (with their thickness), filled shapes, images and the rectangles of text. Elements may override this to
+   * be more precise or to report which part of them was hit.
+   * @param pos {Vec2} Position in CSS pixels
+   * @param tolerance {number} Maximum distance in pixels from the point to the element for it to be hit
+   * @returns {{element: Element, distance: number, index?: number, zIndex: number}|null} The hit, where index is the
+   * part (e.g., data point) hit, if the element has parts, and zIndex is that of the hit instruction; null if missed
+   */
+  hitTest (pos, tolerance=0) {
+    let instructions = this.internal.renderInfo?.instructions
+    if (!instructions) return null
+    if (!Array.isArray(instructions)) instructions = [ instructions ]
+
+    let hit = null
+
+    for (const instruction of instructions) {
+      let distance = instructionDistance(instruction, pos.x, pos.y)
+
+      if (distance <= tolerance && !(hit && hit.distance <= distance)) {
+        // Same default z-index as in the scene graph
+        let zIndex = instruction.zIndex ?? ((instruction.type === "text") ? Infinity : 0)
+
+        hit = { element: this, distance, zIndex }
+      }
+    }
+
+    return hit
+  }
+
   isChild (child, recursive=true) {
     return false
   }
@@ -138,15 +177,77 @@ export class Element extends Eventful {
     this.props.stringify()
   }
 
-  update () {
+  /**
+   * Start updating the element. If _update() returns a bolus, the element is not updated until the bolus is digested
+   * and finishUpdate() is called, so the bolus is stored in internal.pendingBolus and returned. Otherwise, null is
+   * returned. If the element's properties change while a bolus is pending, the bolus is cancelled and the element is
+   * completely updated again.
+   * @returns {Bolus|null}
+   */
+  startUpdate () {
     // If some properties have changed, set the update stage accordingly. We use .min in case the update stage is -1
-    if (this.props.hasChangedProperties)
+    if (this.props.hasChangedProperties) {
       this.updateStage = Math.min(this.updateStage, 0)
+      this.cancelPendingUpdate()
+    }
+
+    if (this.internal.pendingBolus) return this.internal.pendingBolus
+    if (this.updateStage === 100) return null
+
+    let bolus = this._update()
+
+    if (typeof bolus?.next === "function") {
+      this.internal.pendingBolus = bolus
+      return bolus
+    }
 
-    if (this.updateStage === 100) return
+    this.updateStage = 100
+    this.internal.version = getVersionID()
 
-    this._update()
+    return null
+  }
 
+  /**
+   * Mark the element as updated once the bolus returned by startUpdate() has been digested
+   */
+  finishUpdate () {
+    this.internal.pendingBolus = null
     this.updateStage = 100
+    this.internal.version = getVersionID()
+  }
+
+  /**
+   * Cancel the pending bolus, if any. Because the properties which triggered it have since been marked as unchanged,
+   * the element must be completely updated again (update stage -1).
+   */
+  cancelPendingUpdate () {
+    let bolus = this.internal.pendingBolus
+    if (!bolus) return
+
+    this.internal.pendingBolus = null
+    this.updateStage = -1
+
+    bolus.cleanup?.()
+  }
+
+  /**
+   * Update the element synchronously, digesting any bolus returned by _update()
+   */
+  update () {
+    let bolus = this.startUpdate()
+
+    if (bolus) {
+      try {
+        syncDigest(bolus)
+      } catch (e) {
+        // Try again from scratch next time
+        this.internal.pendingBolus = null
+        this.updateStage = -1
+
+        throw e
+      }
+
+      this.finishUpdate()
+    }
   }
 }
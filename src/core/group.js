@@ -1,5 +1,22 @@
 import {Element} from "./element.js"
-
+import {constructInterface} from "./interface.js"
+
+const groupInterface = constructInterface({
+  interface: {
+    opacity: {
+      description: "Opacity with which the group's children are composited, as one layer",
+      typecheck: { type: "number", min: 0, max: 1 }
+    },
+    blendMode: {
+      description: "How the group's children, as one layer, are blended with what is beneath them",
+      typecheck: { type: "string", values: [ "normal", "multiply", "screen", "additive" ] }
+    }
+  },
+  internal: {
+    opacity: { type: "number", computed: "default", default: 1 },
+    blendMode: { type: "string", computed: "default", default: "normal" }
+  }
+})
 
 export class Group extends Element {
   constructor (params={}) {
@@ -8,8 +25,34 @@ export class Group extends Element {
     this.children = []
   }
 
+  getInterface () {
+    return groupInterface
+  }
+
   _update () {
     this.defaultInheritProps()
+    this.defaultComputeProps()
+
+    this.internal.renderInfo = null
+    this.computeLayer()
+  }
+
+  /**
+   * Draw the group and its children in a layer, composited with the group's opacity and blend mode, unless they are the
+   * defaults. The layer is added as the innermost of the contexts in the group's render info, so subclasses (whose
+   * interfaces should include the group's properties) call this after computing their render info for the update.
+   */
+  computeLayer () {
+    const { opacity, blendMode } = this.props.proxy
+    if (!(opacity < 1 || blendMode !== "normal")) return
+
+    const layer = { type: "layer", opacity, blend: blendMode }
+    const info = this.internal.renderInfo
+
+    let contexts = info?.contexts
+    contexts = contexts ? [ ...(Array.isArray(contexts) ? contexts : [ contexts ]), layer ] : layer
+
+    this.internal.renderInfo = { ...info, contexts }
   }
 
   /**
@@ -103,8 +146,10 @@ export class Group extends Element {
     super.triggerEvent(eventName, data)
   }
 
-  update () {
-    super.update()
+  startUpdate () {
+    let bolus = super.startUpdate()
     this.informChildrenOfInheritance()
+
+    return bolus
   }
 }
@@ -2,6 +2,7 @@ import {Scene} from "./scene.js"
 import {constructInterface} from "./interface.js"
 import {deepClone} from "./utils.js"
 import {Vec2} from "../math/vec/vec2.js"
+import {getDefaultRenderLoop} from "../renderer/render_loop.js"
 
 let sceneInterface = Scene.prototype.getInterface()
 
@@ -28,6 +29,56 @@ export class InteractiveScene extends Scene {
 
     this.domElement = document.createElement("canvas")
     this.bitmapRenderer = this.domElement.getContext("bitmaprenderer")
+
+    // Where bitmaprenderer is unsupported, rendered frames are copied with a 2D context instead
+    this.displayContext = this.bitmapRenderer ? null : this.domElement.getContext("2d")
+
+    /**
+     * Render loop scheduling this scene's renders; if null, the default render loop, shared among scenes
+     * @type {RenderLoop|null}
+     */
+    this.renderLoop = null
+  }
+
+  /**
+   * @returns {RenderLoop}
+   */
+  getRenderLoop () {
+    return this.renderLoop ?? getDefaultRenderLoop()
+  }
+
+  /**
+   * Display a rendered frame on this scene's canvas
+   * @param canvas {HTMLCanvasElement} Canvas into which the scene was rendered
+   */
+  displayCanvas (canvas) {
+    if (this.bitmapRenderer) {
+      createImageBitmap(canvas).then(bitmap => {
+        this.bitmapRenderer.transferFromImageBitmap(bitmap)
+      })
+    } else {
+      const ctx = this.displayContext
+
+      ctx.clearRect(0, 0, this.domElement.width, this.domElement.height)
+      ctx.drawImage(canvas, 0, 0)
+    }
+  }
+
+  /**
+   * Render the scene onto its canvas immediately, with its render loop's renderer (by default, the best renderer
+   * available, shared among scenes; see createRenderer)
+   */
+  render () {
+    this.getRenderLoop().render(this)
+  }
+
+  /**
+   * Request that the scene be rendered in the next animation frame, along with any other scenes of its render loop
+   * which have changed. Unless forced, the scene is only rendered if it has changed since it was last rendered.
+   * @param force {boolean}
+   */
+  requestRender (force=false) {
+    this.getRenderLoop().requestRender(this, force)
   }
 
   #disableInteractivityListeners () {
@@ -15,7 +15,7 @@
 
 import {Vec2} from "../math/vec/vec2.js"
 import {deepMerge, isTypedArray} from "./utils.js"
-import {Color, lookupCompositionType} from "../styles/definitions.js"
+import {Color, Colormap, lookupCompositionType} from "../styles/definitions.js"
 import {Props} from "./props.js"
 
 /**
@@ -152,6 +152,16 @@ function stringTypecheck (obj) {
   return (typeof obj !== "string") ? "Expected $p to be a string, got $v." : undefined
 }
 
+function createStringTypecheck (check) {
+  let values = check.values
+
+  if (!values) return stringTypecheck
+
+  let list = values.map(v => `"${v}"`).join(", ")
+
+  return obj => (!values.includes(obj)) ? `Expected $p to be one of ${list}; got $v.` : undefined
+}
+
 function createTypecheck (check) {
   if (typeof check === "string")
     check = { type: check }
@@ -165,7 +175,7 @@ function createTypecheck (check) {
     case "boolean":
       return booleanTypecheck
     case "string":
-      return stringTypecheck
+      return createStringTypecheck(check)
     default:
       throw new Error(`Unrecognized typecheck type ${type}.`)
   }
@@ -180,6 +190,14 @@ function colorConversion (obj) {
   CONVERSION_MSG = `Expected $p to be convertible to a Color, got $v.`
 }
 
+function colormapConversion (obj) {
+  try {
+    return Colormap.fromObj(obj)
+  } catch {
+    CONVERSION_MSG = `Expected $p to be convertible to a Colormap (e.g., "viridis" or an array of colors), got $v.`
+  }
+}
+
 function vec2Conversion (obj) {
   let x=0, y=0
 
@@ -273,6 +291,8 @@ function createConversion (conversion) {
   switch (type) {
     case "Color":
       return colorConversion
+    case "Colormap":
+      return colormapConversion
     case "Vec2":
       return vec2Conversion
     case "f32_vec2_array":
@@ -357,7 +377,7 @@ export function constructInterface (description) {
       let newValue = setter.conversion(value)
 
       if (newValue === undefined)
-        throw new TypeError(`Failed conversion: ${result.replace("$v", relaxedPrint(value)).replace("$p", 'parameter "' + propName + '"')}`)
+        throw new TypeError(`Failed conversion: ${CONVERSION_MSG.replace("$v", relaxedPrint(value)).replace("$p", 'parameter "' + propName + '"')}`)
 
       value = newValue
     }
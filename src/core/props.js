@@ -304,7 +304,7 @@ export class Props {
         propStore.changed |= 0b1
         propStore.inherit = 0
 
-        this.changed |= 0b1
+        this.markHasChangedProperties()
         this.markHasChangedInheritableProperties()
       }
 
@@ -314,7 +314,7 @@ export class Props {
         propStore.value = otherPropsStore.value
         propStore.changed |= 0b1
 
-        this.changed |= 0b1
+        this.markHasChangedProperties()
         this.markHasChangedInheritableProperties()
       }
     }
@@ -2,10 +2,14 @@ import {Group} from "./group.js"
 import {BoundingBox} from "../math/bounding_box.js"
 import {attachGettersAndSetters, constructInterface} from "./interface.js"
 import {Color, Colors} from "../styles/definitions.js"
+import {asyncDigest} from "./bolus.js"
+
+const groupInterface = Group.prototype.getInterface()
 
 // Example interface
 const sceneInterface = constructInterface({
   interface: {
+    ...groupInterface.description.interface,
     width: {
       description: "The width of the scene",
       typecheck: {type: "integer", min: 100, max: 16384}
@@ -24,15 +28,21 @@ const sceneInterface = constructInterface({
       setAs: "user",
       conversion: { type: "Color" }
     },
+    antialiasing: {
+      description: "How geometry is antialiased: not at all, by rendering into a multisampled framebuffer, or by feathering the edges of polylines and points",
+      typecheck: { type: "string", values: [ "none", "msaa", "feather" ] }
+    },
     sceneDims: {
       description: "The dimensions of the scene",
       readOnly: true
     }
   }, internal: {
+    ...groupInterface.description.internal,
     width: {type: "number", computed: "default", default: 640},
     height: {type: "number", computed: "default", default: 480},
     dpr: {type: "number", computed: "default", default: 1},
     backgroundColor: {type: "Color", computed: "user", default: Colors.TRANSPARENT},
+    antialiasing: {type: "string", computed: "default", default: "msaa"},
     sceneDims: { type: "SceneDimensions", computed: "none" }
   }
 })
@@ -74,6 +84,7 @@ export class Scene extends Group {
     this.scene = this
 
     this.props.setPropertyInheritance("sceneDims", true)
+    this.props.setPropertyInheritance("antialiasing", true)
   }
 
   /**
@@ -111,9 +122,12 @@ export class Scene extends Group {
       contexts: {
         type: "scene",
         dims: this.get("sceneDims"),
-        backgroundColor: this.get("backgroundColor")
+        backgroundColor: this.get("backgroundColor"),
+        antialiasing: this.get("antialiasing")
       }
     }
+
+    this.computeLayer()
   }
 
   /**
@@ -127,6 +141,148 @@ export class Scene extends Group {
     this.apply(child => child.props.markGlobalUpdateComplete())
   }
 
+  /**
+   * Update all the elements, digesting the boluses returned by slow elements asynchronously, a few milliseconds per
+   * frame. Elements whose _update() does not return a bolus are updated synchronously, as in updateAll(); elements with
+   * a pending bolus keep their last complete render info until the bolus is digested. Calling this function again
+   * before the update completes adds any newly changed elements to the update in progress.
+   *
+   * While the update is in progress, the scene triggers "updateprogress" events with data { progress } (between 0 and
+   * 1), and then "updatecomplete" when every bolus has been digested.
+   * @returns {Promise} Promise resolving when the update completes, with a .cancel() function, which cancels the
+   * pending boluses (the elements will be completely updated again next time)
+   */
+  updateAllAsync () {
+    let pending = this.internal.pendingElements
+    if (!pending) pending = this.internal.pendingElements = new Set()
+
+    this.apply(child => {
+      if (child.startUpdate()) pending.add(child)
+    })
+
+    this.apply(child => child.props.markGlobalUpdateComplete())
+
+    if (this.internal.asyncUpdate) return this.internal.asyncUpdate
+
+    let update = asyncDigest(pendingUpdatesBolus(this, pending), progress => {
+      this.triggerEvent("updateprogress", { progress })
+    })
+
+    let finish = () => {
+      this.internal.asyncUpdate = null
+    }
+
+    update.then(() => {
+      finish()
+      this.triggerEvent("updatecomplete")
+    }, finish)
+
+    return this.internal.asyncUpdate = update
+  }
+
+  /**
+   * Whether an asynchronous update is in progress
+   * @returns {boolean}
+   */
+  isUpdatingAsync () {
+    return !!this.internal.asyncUpdate
+  }
+
+  /**
+   * Find the topmost element at a position, as last rendered. Hits are compared by z-index, and among hits with the same
+   * z-index, the element drawn later (later in the tree) is on top. Parts of elements outside an ancestor's scissor box,
+   * such as a figure's plotting box, cannot be hit.
+   * @param pos {Vec2|{x: number, y: number}|Array<number>} Position in CSS pixels
+   * @param tolerance {number} Maximum distance in pixels from the position to a hit element
+   * @returns {{element: Element, distance: number, index?: number, zIndex: number}|null} The hit, where index is the part
+   * of the element (e.g., data point) hit, if any; null if nothing was hit
+   */
+  pick (pos, tolerance=0) {
+    pos = Array.isArray(pos) ? { x: pos[0], y: pos[1] } : { x: pos.x, y: pos.y }
+
+    let top = null
+
+    const visit = element => {
+      const hit = element.hitTest(pos, tolerance)
+
+      if (hit && !(top && top.zIndex > hit.zIndex)) top = hit
+
+      if (!element.children || isOutsideScissor(element.internal.renderInfo?.contexts, pos)) return
+      element.children.forEach(visit)
+    }
+
+    visit(this)
+
+    return top
+  }
+}
+
+/**
+ * Whether a position is outside a scissor box among an element's contexts
+ * @param contexts {{}|Array<{}>|undefined}
+ * @param pos {{x: number, y: number}}
+ * @returns {boolean}
+ */
+function isOutsideScissor (contexts, pos) {
+  if (!contexts) return false
+  if (!Array.isArray(contexts)) contexts = [ contexts ]
+
+  return contexts.some(context => {
+    if (context.type !== "scissor" || !context.scissor) return false
+
+    const { x, y, w, h } = context.scissor
+    return !(pos.x >= x && pos.x <= x + w && pos.y >= y && pos.y <= y + h)
+  })
+}
+
+/**
+ * Bolus which digests the pending boluses of a set of elements one at a time, calling finishUpdate() on each element as
+ * its bolus completes. Elements may be added to the set while it is being digested. Progress is the fraction of
+ * elements finished, counting the partial progress of the current element.
+ * @param scene {Scene}
+ * @param pending {Set<Element>}
+ * @returns {Bolus}
+ */
+function pendingUpdatesBolus (scene, pending) {
+  let finishedCount = 0
+
+  return {
+    next () {
+      for (const element of pending) {
+        let bolus = element.internal.pendingBolus
+
+        // The element may have been updated synchronously or removed from the scene in the meantime
+        if (!bolus || element.scene !== scene) {
+          element.cancelPendingUpdate()
+          pending.delete(element)
+
+          continue
+        }
+
+        let next = bolus.next()
+        let progress = 0
+
+        if (next.done) {
+          element.finishUpdate()
+          pending.delete(element)
+
+          finishedCount++
+        } else if (typeof next.value === "number") {
+          progress = next.value
+        }
+
+        return { value: (finishedCount + progress) / (finishedCount + pending.size), done: false }
+      }
+
+      finishedCount = 0
+      return { value: undefined, done: true }
+    },
+    cleanup () {
+      // Cancelled or threw, so every pending element will be completely updated next time
+      for (const element of pending) element.cancelPendingUpdate()
+      pending.clear()
+    }
+  }
 }
 
 attachGettersAndSetters (Scene.prototype, sceneInterface)
@@ -0,0 +1,148 @@
+import {Element} from "../core/element.js"
+import {constructInterface} from "../core/interface.js"
+import {DefaultStyles} from "../styles/definitions.js"
+import {parseString} from "../ast/parse_string.js"
+import {compileNode} from "../ast/compile.js"
+import {adaptivelySample, sampleUniformly} from "../algorithm/adaptive_sampling.js"
+
+const functionPlot2DInterface = constructInterface({
+  interface: {
+    function: {
+      description: "The function to plot, as an expression in x (e.g. \"x^2+sin(x)\")",
+      typecheck: "string"
+    },
+    pen: {
+      description: "The pen used to draw the function",
+      setAs: "user"
+    },
+    samples: {
+      description: "The number of points at which to sample the function across the visible x-range (the initial number, if sampling adaptively)",
+      typecheck: { type: "integer", min: 2, max: 1e5 }
+    },
+    adaptive: {
+      description: "Whether to refine the samples where the function turns sharply and break the plot at discontinuities",
+      typecheck: "boolean"
+    }
+  }, internal: {
+    function: { type: "string", computed: "none" },
+    pen: { type: "Pen", computed: "user", default: DefaultStyles.Pen, compose: true },
+    samples: { type: "integer", computed: "default", default: 500 },
+    adaptive: { type: "boolean", computed: "default", default: true }
+  }
+})
+
+// Jumps in the function larger than this many pixels are considered discontinuities when sampling adaptively
+const JUMP_THRESHOLD_PIXELS = 2
+
+/**
+ * Plots y = f(x), where f is given as a string expression in x, under the inherited plotTransform. The function is
+ * sampled across the visible x-range, adaptively by default (see adaptive_sampling.js); points where it is undefined
+ * (NaN, undefined, or not finite) and discontinuities break the polyline into separate pieces.
+ */
+export class FunctionPlot2D extends Element {
+  getInterface () {
+    return functionPlot2DInterface
+  }
+
+  _update () {
+    this.defaultInheritProps()
+    this.defaultComputeProps()
+
+    this.compileFunction()
+    this.computeVertices()
+    this.computeRenderInfo()
+  }
+
+  /**
+   * Parse and compile the function expression, storing the evaluator in internal.evaluate and its interval version,
+   * used to detect discontinuities, in internal.evaluateInterval
+   */
+  compileFunction () {
+    const { props, internal } = this
+
+    if (props.hasChanged("function") || this.updateStage === -1) {
+      let expression = props.get("function")
+
+      if (!expression) {
+        internal.evaluate = internal.evaluateInterval = null
+        return
+      }
+
+      let node = parseString(expression)
+      node.resolveTypes({ x: "real" })
+
+      internal.evaluate = compileNode(node).evaluate
+      internal.evaluateInterval = compileNode(node, { mode: "interval" }).evaluate
+    }
+  }
+
+  /**
+   * Sample the function across the visible x-range and convert the samples to pixel coordinates. Only done if the
+   * transform, expression or sampling parameters have changed.
+   */
+  computeVertices () {
+    const { props, internal } = this
+
+    if (!props.haveChanged(["plotTransform", "function", "samples", "adaptive"]) && this.updateStage !== -1) return
+
+    let { plotTransform, samples, adaptive } = props.proxy
+    let { evaluate, evaluateInterval } = internal
+
+    if (!plotTransform || !evaluate) {
+      internal.vertices = null
+      return
+    }
+
+    let { xm, ym, xb, yb } = plotTransform.getReducedGraphToPixelTransform()
+    let scope = { x: 0 }
+    let f = x => {
+      scope.x = x
+      return evaluate(scope)
+    }
+
+    let intervalScope = { x: null }
+    let intervalFunction = int => {
+      intervalScope.x = int
+      return evaluateInterval(intervalScope)
+    }
+
+    let xStart = plotTransform.gx1, xEnd = plotTransform.gx2
+    let graphVertices = adaptive ?
+      adaptivelySample(f, xStart, xEnd, {
+        samples,
+        aspectRatio: Math.abs(ym / xm),
+        intervalFunction,
+        jumpThreshold: JUMP_THRESHOLD_PIXELS / Math.abs(ym)
+      }) :
+      sampleUniformly(f, xStart, xEnd, samples)
+
+    let vertices = new Float32Array(graphVertices.length)
+
+    for (let i = 0; i < vertices.length; i += 2) {
+      let x = graphVertices[i], y = graphVertices[i + 1]
+
+      // Undefined points break the polyline
+      if (Number.isNaN(x) || Number.isNaN(y)) {
+        vertices[i] = NaN
+        vertices[i + 1] = NaN
+      } else {
+        vertices[i] = xm * x + xb
+        vertices[i + 1] = ym * y + yb
+      }
+    }
+
+    internal.vertices = vertices
+  }
+
+  computeRenderInfo () {
+    let { vertices } = this.internal
+    let pen = this.props.get("pen")
+
+    if (!vertices || !pen) {
+      this.internal.renderInfo = null
+      return
+    }
+
+    this.internal.renderInfo = { instructions: { type: "polyline", vertices, pen } }
+  }
+}
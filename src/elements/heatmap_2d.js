@@ -0,0 +1,341 @@
+import {Element} from "../core/element.js"
+import {constructInterface} from "../core/interface.js"
+import {getVersionID} from "../core/utils.js"
+import {Color, Colormap, Pen, TextStyle} from "../styles/definitions.js"
+import {parseString} from "../ast/parse_string.js"
+import {compileNode} from "../ast/compile.js"
+import {generateRectangleCycle} from "../algorithm/misc_geometry.js"
+import {Vec2} from "../math/vec/vec2.js"
+
+const heatmap2DInterface = constructInterface({
+  interface: {
+    function: {
+      description: "The scalar field to plot, as an expression in x and y (e.g. \"sin(x)cos(y)\")",
+      typecheck: "string"
+    },
+    grid: {
+      description: "Values to plot instead of a function, as { values: Array|Float32Array|Float64Array, width, height }, row by row from the bottom (lowest y) up, covering graphRect"
+    },
+    graphRect: {
+      description: "The rectangle { x, y, w, h } in graph coordinates, (x, y) being its bottom left corner, covered by the grid"
+    },
+    colormap: {
+      description: "The colormap through which values are mapped, from the bottom to the top of the range: a Colormap, the name of a built-in one (e.g. \"magma\"), or anything else Colormap.fromObj accepts",
+      conversion: { type: "Colormap" }
+    },
+    range: {
+      description: "The values mapped to the ends of the colormap, as [ min, max ], or \"auto\" to use the extent of the visible values; values outside the range are clamped"
+    },
+    colorBar: {
+      description: "Whether to draw a bar showing the colormap and its range along the right of the plot",
+      typecheck: "boolean"
+    },
+    resolution: {
+      description: "Size in pixels of the cells at whose centers the function is evaluated",
+      typecheck: { type: "number", min: 0.5, max: 64 }
+    },
+    smoothing: {
+      description: "Whether to interpolate colors between cells, rather than show them as squares",
+      typecheck: "boolean"
+    },
+    opacity: {
+      description: "Opacity of the heatmap",
+      typecheck: { type: "number", min: 0, max: 1 }
+    }
+  }, internal: {
+    function: { type: "string", computed: "none" },
+    grid: { computed: "none" },
+    graphRect: { computed: "none" },
+    colormap: { type: "Colormap", computed: "default", default: Colormap.default },
+    range: { computed: "default", default: "auto" },
+    colorBar: { type: "boolean", computed: "default", default: true },
+    resolution: { type: "number", computed: "default", default: 2 },
+    smoothing: { type: "boolean", computed: "default", default: true },
+    opacity: { type: "number", computed: "default", default: 1 }
+  }
+})
+
+// Number of entries of the lookup table to which colormaps are sampled
+const LUT_SIZE = 256
+
+// Dimensions of the color bar, in pixels
+const COLOR_BAR_WIDTH = 12
+const COLOR_BAR_MARGIN = 10
+const COLOR_BAR_LABEL_GAP = 4
+
+const COLOR_BAR_PEN = Pen.create({ thickness: 1, color: Color.rgba(0, 0, 0, 160), endcap: "butt" })
+const COLOR_BAR_LABEL_STYLE = TextStyle.create({ fontSize: 12, shadowRadius: 2, align: "right", baseline: "middle" })
+
+/**
+ * Plots a scalar field f(x, y), or a grid of values (a 2D histogram, a probability density), as colors under the inherited
+ * plotTransform. A function is evaluated at the centers of cells of resolution pixels, aligned to a lattice in graph
+ * coordinates, so that when the plot is panned (but not zoomed), cells still visible keep their values and only the
+ * newly visible ones are evaluated. Values are mapped through the colormap, clamped to the range, and drawn as an image
+ * (see ImageElement); undefined values (NaN, not finite) are transparent. A color bar labeled with the range may be
+ * drawn along the right of the plot.
+ */
+export class Heatmap2D extends Element {
+  getInterface () {
+    return heatmap2DInterface
+  }
+
+  _update () {
+    this.defaultInheritProps()
+    this.defaultComputeProps()
+
+    this.compileFunction()
+    this.computeColormap()
+    this.computeImage(this.computeValues())
+    this.computeRenderInfo()
+  }
+
+  /**
+   * Parse and compile the function expression, storing the evaluator in internal.evaluate
+   */
+  compileFunction () {
+    const { props, internal } = this
+
+    if (props.hasChanged("function") || this.updateStage === -1) {
+      let expression = props.get("function")
+
+      if (!expression) {
+        internal.evaluate = null
+        return
+      }
+
+      let node = parseString(expression)
+      node.resolveTypes({ x: "real", y: "real" })
+
+      internal.evaluate = compileNode(node).evaluate
+    }
+  }
+
+  /**
+   * Sample the colormap to a lookup table, internal.lut, whose version is internal.lutVersion
+   */
+  computeColormap () {
+    const { props, internal } = this
+
+    if (props.hasChanged("colormap") || this.updateStage === -1) {
+      internal.lut = props.get("colormap").toLUT(LUT_SIZE)
+      internal.lutVersion = getVersionID()
+    }
+  }
+
+  /**
+   * Compute the grid of values, internal.cells: { values, cols, rows, rect }, where rect is the rectangle covered by the
+   * grid in graph coordinates. Returns whether it changed.
+   * @returns {boolean}
+   */
+  computeValues () {
+    const { props, internal } = this
+    const { evaluate } = internal
+    const grid = props.get("grid")
+
+    if (grid) {
+      if (!props.haveChanged([ "grid", "graphRect" ]) && this.updateStage !== -1) return false
+
+      let { values, width, height } = grid
+      let graphRect = props.get("graphRect")
+
+      if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0))
+        throw new RangeError(`Heatmap2D grid has invalid dimensions ${width}x${height}`)
+      if (values.length !== width * height)
+        throw new RangeError(`Heatmap2D grid has ${values.length} values, but a grid of ${width}x${height} needs ${width * height}`)
+      if (!graphRect) throw new Error("Heatmap2D grid requires a graphRect")
+
+      internal.cells = { values, cols: width, rows: height, rect: graphRect }
+      internal.evaluatedCells = 0
+
+      return true
+    }
+
+    if (!props.haveChanged([ "plotTransform", "function", "resolution", "grid" ]) && this.updateStage !== -1) return false
+
+    let { plotTransform, resolution } = props.proxy
+
+    if (!plotTransform || !evaluate) {
+      internal.cells = null
+      return true
+    }
+
+    let { xm, ym } = plotTransform.getReducedGraphToPixelTransform()
+    let box = plotTransform.graphBox()
+
+    // Cells of the lattice are [i dx, (i + 1) dx] x [j dy, (j + 1) dy]; those overlapping the visible box are computed
+    let dx = resolution / Math.abs(xm), dy = resolution / Math.abs(ym)
+
+    let i0 = Math.floor(box.x / dx), j0 = Math.floor(box.y / dy)
+    let cols = Math.max(Math.ceil((box.x + box.w) / dx) - i0, 1)
+    let rows = Math.max(Math.ceil((box.y + box.h) / dy) - j0, 1)
+
+    // Values of the previous lattice may be reused if it has the same cells and function
+    let prev = internal.cells
+    if (!(prev && prev.evaluate === evaluate && prev.dx === dx && prev.dy === dy)) prev = null
+
+    let values = new Float64Array(cols * rows)
+    let scope = { x: 0, y: 0 }
+    let evaluated = 0
+
+    for (let j = 0; j < rows; ++j) {
+      let pj = prev ? j + j0 - prev.j0 : -1
+
+      for (let i = 0; i < cols; ++i) {
+        let pi = prev ? i + i0 - prev.i0 : -1
+
+        if (prev && pi >= 0 && pi < prev.cols && pj >= 0 && pj < prev.rows) {
+          values[j * cols + i] = prev.values[pj * prev.cols + pi]
+          continue
+        }
+
+        scope.x = (i0 + i + 0.5) * dx
+        scope.y = (j0 + j + 0.5) * dy
+
+        values[j * cols + i] = evaluate(scope)
+        evaluated++
+      }
+    }
+
+    internal.cells = { values, cols, rows, rect: { x: i0 * dx, y: j0 * dy, w: cols * dx, h: rows * dy }, evaluate, dx, dy, i0, j0 }
+
+    // Number of cells evaluated in the last computation, rather than copied from the previous one
+    internal.evaluatedCells = evaluated
+
+    return true
+  }
+
+  /**
+   * Map the values through the colormap into an RGBA image, internal.image, and record the range used in
+   * internal.valueRange
+   * @param valuesChanged {boolean} Whether the values changed
+   */
+  computeImage (valuesChanged) {
+    const { props, internal } = this
+    const { cells, lut } = internal
+
+    if (!props.haveChanged([ "colormap", "range" ]) && !valuesChanged && this.updateStage !== -1) return
+
+    if (!cells) {
+      internal.image = null
+      return
+    }
+
+    const { values, cols, rows } = cells
+    let range = props.get("range")
+    let lo, hi
+
+    if (range === "auto") {
+      lo = Infinity
+      hi = -Infinity
+
+      for (let i = 0; i < values.length; ++i) {
+        let v = values[i]
+
+        if (Number.isFinite(v)) {
+          if (v < lo) lo = v
+          if (v > hi) hi = v
+        }
+      }
+
+      if (lo > hi) lo = hi = 0
+    } else if (Array.isArray(range) && range.length === 2) {
+      [ lo, hi ] = range
+    } else {
+      throw new TypeError("Heatmap2D range must be \"auto\" or [ min, max ]")
+    }
+
+    let data = new Uint8Array(4 * cols * rows)
+    let scale = (hi > lo) ? (LUT_SIZE - 1) / (hi - lo) : 0
+
+    for (let j = 0; j < rows; ++j) {
+      // Image rows are from the top, grid rows from the bottom
+      let rowOffset = 4 * (rows - 1 - j) * cols
+
+      for (let i = 0; i < cols; ++i) {
+        let v = values[j * cols + i]
+        if (!Number.isFinite(v)) continue  // transparent
+
+        let index = (hi > lo) ? Math.round(Math.min(Math.max((v - lo) * scale, 0), LUT_SIZE - 1)) : (LUT_SIZE >> 1)
+        let offset = rowOffset + 4 * i
+
+        data[offset] = lut[4 * index]
+        data[offset + 1] = lut[4 * index + 1]
+        data[offset + 2] = lut[4 * index + 2]
+        data[offset + 3] = lut[4 * index + 3]
+      }
+    }
+
+    internal.image = { data, width: cols, height: rows }
+    internal.imageVersion = getVersionID()
+    internal.valueRange = [ lo, hi ]
+  }
+
+  /**
+   * Instructions of the color bar: the colormap as an image, its outline, and labels of the ends of the range
+   * @returns {Array<{}>}
+   */
+  computeColorBar () {
+    const { props, internal } = this
+    const { plotTransform, opacity } = props.proxy
+    const { lut, lutVersion, valueRange } = internal
+
+    let box = plotTransform.pixelBox()
+    let x2 = box.x + box.w - COLOR_BAR_MARGIN, x1 = x2 - COLOR_BAR_WIDTH
+    let y1 = box.y + COLOR_BAR_MARGIN, y2 = box.y + box.h - COLOR_BAR_MARGIN
+
+    if (y2 <= y1 || x1 <= box.x) return []
+
+    // The top of the bar is the top of the range
+    let data = new Uint8Array(4 * LUT_SIZE)
+    for (let i = 0; i < LUT_SIZE; ++i) data.set(lut.subarray(4 * (LUT_SIZE - 1 - i), 4 * (LUT_SIZE - i)), 4 * i)
+
+    let [ lo, hi ] = valueRange
+    let label = v => +v.toPrecision(4) + ""
+
+    return [
+      {
+        type: "image",
+        vertices: new Float32Array([ x1, y1, x2, y1, x1, y2, x2, y2 ]),
+        source: { data, width: 1, height: LUT_SIZE },
+        textureKey: this.id + "-colorbar",
+        sourceVersion: lutVersion,
+        smoothing: true,
+        opacity
+      },
+      { type: "polyline", vertices: generateRectangleCycle({ x: x1, y: y1, w: COLOR_BAR_WIDTH, h: y2 - y1 }), pen: COLOR_BAR_PEN },
+      { type: "text", text: label(hi), pos: new Vec2(x1 - COLOR_BAR_LABEL_GAP, y1), style: COLOR_BAR_LABEL_STYLE },
+      { type: "text", text: label(lo), pos: new Vec2(x1 - COLOR_BAR_LABEL_GAP, y2), style: COLOR_BAR_LABEL_STYLE }
+    ]
+  }
+
+  computeRenderInfo () {
+    const { props, internal } = this
+    const { image, cells, imageVersion } = internal
+    const { plotTransform, smoothing, opacity, colorBar } = props.proxy
+
+    if (!image || !plotTransform) {
+      internal.renderInfo = null
+      return
+    }
+
+    let { xm, ym, xb, yb } = plotTransform.getReducedGraphToPixelTransform()
+    let { x, y, w, h } = cells.rect
+
+    let x1 = xm * x + xb, x2 = xm * (x + w) + xb
+    let y1 = ym * (y + h) + yb, y2 = ym * y + yb
+
+    let instructions = [ {
+      type: "image",
+      vertices: new Float32Array([ x1, y1, x2, y1, x1, y2, x2, y2 ]),
+      source: image,
+      textureKey: this.id,
+      sourceVersion: imageVersion,
+      smoothing,
+      opacity
+    } ]
+
+    if (colorBar) instructions.push(...this.computeColorBar())
+
+    internal.renderInfo = { instructions }
+  }
+}
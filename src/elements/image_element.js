@@ -0,0 +1,130 @@
+import {Element} from "../core/element.js"
+import {constructInterface} from "../core/interface.js"
+import {getVersionID} from "../core/utils.js"
+import {Vec2} from "../math/vec/vec2.js"
+
+const imageElementInterface = constructInterface({
+  interface: {
+    source: {
+      description: "The image: an ImageBitmap (or other image source uploadable as a texture), an ImageData, or RGBA pixels { data: Uint8Array|Uint8ClampedArray, width, height }, row by row from the top left"
+    },
+    graphRect: {
+      description: "The rectangle { x, y, w, h } covered by the image, in graph coordinates, where (x, y) is its bottom left corner; without a plot transformation, in pixels, where (x, y) is its top left corner"
+    },
+    smoothing: {
+      description: "Whether to interpolate the image's pixels when it is scaled, rather than show them as squares",
+      typecheck: { type: "boolean" }
+    },
+    opacity: {
+      description: "Opacity of the image",
+      typecheck: { type: "number", min: 0, max: 1 }
+    }
+  },
+  internal: {
+    source: { computed: "none" },
+    graphRect: { computed: "none" },
+    smoothing: { type: "boolean", computed: "default", default: true },
+    opacity: { type: "number", computed: "default", default: 1 }
+  }
+})
+
+/**
+ * Check an image source, returning it as is (to be uploaded as a texture) if it is an image source, or as
+ * { data, width, height } if it is pixel data
+ * @param source {*}
+ * @returns {{}}
+ */
+function normalizeSource (source) {
+  if (!source || typeof source !== "object") throw new TypeError("ImageElement source must be an image or pixel data")
+
+  const { data, width, height } = source
+
+  if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0))
+    throw new RangeError(`ImageElement source has invalid dimensions ${width}x${height}`)
+
+  if (data === undefined) return source
+
+  if (!(data instanceof Uint8Array || data instanceof Uint8ClampedArray))
+    throw new TypeError("ImageElement pixel data must be a Uint8Array or Uint8ClampedArray")
+
+  if (data.length !== 4 * width * height)
+    throw new RangeError(`ImageElement pixel data has length ${data.length}, but an RGBA image of ${width}x${height} needs ${4 * width * height}`)
+
+  return { data, width, height }
+}
+
+/**
+ * Draws raster content (a photo, a precomputed heatmap, a screenshot) over a rectangle in graph coordinates, under the
+ * inherited plotTransform. The image is emitted as an "image" instruction, whose texture the renderer keys by the
+ * element's id and only uploads again when the source changes (not, say, when the figure is panned). If the pixel data
+ * of the source is modified in place, call invalidateSource() so that it is uploaded again.
+ */
+export class ImageElement extends Element {
+  getInterface () {
+    return imageElementInterface
+  }
+
+  _update () {
+    this.defaultInheritProps()
+    this.defaultComputeProps()
+
+    this.computeSource()
+    this.computeRenderInfo()
+  }
+
+  /**
+   * Mark the source as changed, for when its pixel data has been modified in place
+   */
+  invalidateSource () {
+    this.props.markChanged("source")
+  }
+
+  computeSource () {
+    const { props, internal } = this
+
+    if (props.hasChanged("source") || this.updateStage === -1) {
+      const source = props.get("source")
+
+      internal.source = source ? normalizeSource(source) : null
+      internal.sourceVersion = getVersionID()
+    }
+  }
+
+  /**
+   * Corners of the image in pixels, top left, top right, bottom left and bottom right, as a triangle strip
+   * @returns {Float32Array|null}
+   */
+  computeVertices () {
+    const { graphRect, plotTransform } = this.props.proxy
+    if (!graphRect) return null
+
+    const { x, y, w, h } = graphRect
+    let corners = [ [ x, y ], [ x + w, y ], [ x, y + h ], [ x + w, y + h ] ]
+
+    if (plotTransform) {
+      corners = [ [ x, y + h ], [ x + w, y + h ], [ x, y ], [ x + w, y ] ].map(([ gx, gy ]) => {
+        const p = plotTransform.graphToPixel(new Vec2(gx, gy))
+
+        return [ p.x, p.y ]
+      })
+    }
+
+    return new Float32Array(corners.flat())
+  }
+
+  computeRenderInfo () {
+    const { source, sourceVersion } = this.internal
+    const vertices = this.computeVertices()
+
+    if (!source || !vertices) {
+      this.internal.renderInfo = null
+      return
+    }
+
+    const { smoothing, opacity } = this.props.proxy
+
+    this.internal.renderInfo = {
+      instructions: { type: "image", vertices, source, textureKey: this.id, sourceVersion, smoothing, opacity }
+    }
+  }
+}
@@ -0,0 +1,225 @@
+import {Element} from "../core/element.js"
+import {constructInterface} from "../core/interface.js"
+import {Color, DefaultStyles} from "../styles/definitions.js"
+import {parseString} from "../ast/parse_string.js"
+import {OperatorNode} from "../ast/new_node.js"
+import {compileNode} from "../ast/compile.js"
+import {implicitPlotBolus} from "../algorithm/implicit_plot.js"
+
+const implicitPlot2DInterface = constructInterface({
+  interface: {
+    function: {
+      description: "The relation to plot, as an equation or inequality in x and y (e.g. \"x^2+y^2=1\", \"sin(x*y)>0.5\")",
+      typecheck: "string"
+    },
+    pen: {
+      description: "The pen used to draw the curve of an equation, or the boundary of an inequality",
+      setAs: "user"
+    },
+    fillColor: {
+      description: "The color used to fill the region where an inequality holds",
+      conversion: { type: "Color" },
+      setAs: "user"
+    },
+    resolution: {
+      description: "Size in pixels below which cells are not subdivided further",
+      typecheck: { type: "number", min: 0.5, max: 64 }
+    }
+  }, internal: {
+    function: { type: "string", computed: "none" },
+    pen: { type: "Pen", computed: "user", default: DefaultStyles.Pen, compose: true },
+    fillColor: { type: "Color", computed: "user", default: Color.rgba(0, 0, 255, 64) },
+    resolution: { type: "number", computed: "default", default: 2 }
+  }
+})
+
+// Comparison operators and whether F = lhs - rhs must be negated so that the relation becomes F < 0 (or F = 0)
+const RELATIONS = {
+  "==": { relation: "equation", negate: false },
+  "<": { relation: "inequality", negate: false },
+  "<=": { relation: "inequality", negate: false },
+  ">": { relation: "inequality", negate: true },
+  ">=": { relation: "inequality", negate: true }
+}
+
+/**
+ * Parse a relation like "x^2+y^2=1" into the function F(x, y) = lhs - rhs (or rhs - lhs), such that the relation is
+ * F = 0 or F < 0. A single = is accepted as an equation.
+ * @param expression {string}
+ * @returns {{node: ASTNode, relation: string}}
+ */
+function parseRelation (expression) {
+  let root = parseString(expression.replace(/(^|[^<>=!])=(?!=)/g, "$1=="))
+
+  // Unwrap grouping
+  while (root.nodeType() === "group" && root.children.length === 1) root = root.children[0]
+
+  let info = (root.nodeType() === "op") ? RELATIONS[root.op] : null
+  if (!info || root.children.length !== 2)
+    throw new Error(`Expected an equation or inequality in x and y, not ${expression}`)
+
+  let [ lhs, rhs ] = root.children
+  let difference = new OperatorNode("-")
+
+  difference.children = info.negate ? [ rhs, lhs ] : [ lhs, rhs ]
+  difference.resolveTypes({ x: "real", y: "real" })
+
+  return { node: difference, relation: info.relation }
+}
+
+/**
+ * Plots an equation F(x, y) = 0 or an inequality like F(x, y) > 0, given as a string relation in x and y, under the
+ * inherited plotTransform. The visible box is recursively subdivided with interval arithmetic (see implicit_plot.js);
+ * inequalities are filled with fillColor and curves are drawn with pen. Because subdivision may be slow, _update returns
+ * a bolus when the plot must be recomputed, so that it can be computed asynchronously via Scene.updateAllAsync.
+ */
+export class ImplicitPlot2D extends Element {
+  getInterface () {
+    return implicitPlot2DInterface
+  }
+
+  _update () {
+    this.defaultInheritProps()
+    this.defaultComputeProps()
+
+    this.compileFunction()
+
+    let bolus = this.computePlotBolus()
+
+    if (!bolus) {
+      this.computeRenderInfo()
+      return
+    }
+
+    // Subdivision may be slow, so we return a bolus which computes the plot and then the render info
+    return (function* () {
+      let next
+
+      while (!(next = bolus.next()).done) yield next.value
+
+      this.internal.plot = next.value
+      this.computeRenderInfo()
+    }).call(this)
+  }
+
+  /**
+   * Parse and compile the relation, storing its real and interval evaluators in internal.relation
+   */
+  compileFunction () {
+    const { props, internal } = this
+
+    if (props.hasChanged("function") || this.updateStage === -1) {
+      let expression = props.get("function")
+
+      if (!expression) {
+        internal.relation = null
+        return
+      }
+
+      let { node, relation } = parseRelation(expression)
+
+      let evaluate = compileNode(node).evaluate
+      let evaluateInterval = compileNode(node, { mode: "interval" }).evaluate
+
+      internal.relation = { relation, evaluate, evaluateInterval }
+    }
+  }
+
+  /**
+   * Return a bolus computing the plot in graph coordinates, or null if the plot needn't be recomputed
+   * @returns {Bolus|null}
+   */
+  computePlotBolus () {
+    const { props, internal } = this
+
+    if (!props.haveChanged(["plotTransform", "function", "resolution"]) && this.updateStage !== -1) return null
+
+    let { plotTransform, resolution } = props.proxy
+
+    if (!plotTransform || !internal.relation) {
+      internal.plot = null
+      return null
+    }
+
+    let { relation, evaluate, evaluateInterval } = internal.relation
+    let scope = { x: 0, y: 0 }
+
+    let realFunction = (x, y) => {
+      scope.x = x
+      scope.y = y
+
+      return evaluate(scope)
+    }
+
+    let intervalFunction = (x, y) => {
+      scope.x = x
+      scope.y = y
+
+      return evaluateInterval(scope)
+    }
+
+    let { xm, ym } = plotTransform.getReducedGraphToPixelTransform()
+
+    return implicitPlotBolus(intervalFunction, realFunction, plotTransform.graphBox(), {
+      relation,
+      minCellWidth: resolution / Math.abs(xm),
+      minCellHeight: resolution / Math.abs(ym)
+    })
+  }
+
+  computeRenderInfo () {
+    const { props, internal } = this
+    let { plot } = internal
+    let { plotTransform, pen, fillColor } = props.proxy
+
+    if (!plot || !plotTransform) {
+      internal.renderInfo = null
+      return
+    }
+
+    let { xm, ym, xb, yb } = plotTransform.getReducedGraphToPixelTransform()
+    let instructions = []
+
+    let { fill, curve } = plot
+
+    if (fill.length > 0 && fillColor) {
+      // Each rectangle becomes four vertices, joined to the next by repeating a vertex from each (degenerate triangles)
+      let rectCount = fill.length / 4
+      let vertices = new Float32Array(12 * rectCount - 4)
+      let j = 0
+
+      for (let i = 0; i < fill.length; i += 4) {
+        let x1 = xm * fill[i] + xb, y1 = ym * fill[i + 1] + yb
+        let x2 = xm * fill[i + 2] + xb, y2 = ym * fill[i + 3] + yb
+
+        if (i > 0) {
+          vertices[j] = vertices[j - 2]
+          vertices[j + 1] = vertices[j - 1]
+          vertices[j + 2] = x1
+          vertices[j + 3] = y1
+
+          j += 4
+        }
+
+        vertices.set([ x1, y1, x2, y1, x1, y2, x2, y2 ], j)
+        j += 8
+      }
+
+      instructions.push({ type: "triangle_strip", vertices, color: fillColor })
+    }
+
+    if (curve.length > 0 && pen) {
+      let vertices = new Float32Array(curve.length)
+
+      for (let i = 0; i < curve.length; i += 2) {
+        // NaN breaks are preserved
+        vertices[i] = xm * curve[i] + xb
+        vertices[i + 1] = ym * curve[i + 1] + yb
+      }
+
+      instructions.push({ type: "polyline", vertices, pen })
+    }
+
+    internal.renderInfo = { instructions }
+  }
+}
@@ -6,14 +6,19 @@ import {Vec2} from "../math/vec/vec2.js"
 
 const defaultView = [ -1, -1, 2, 2 ]
 
+const groupInterface = Group.prototype.getInterface()
+
 const figureInterface = constructInterface({
   interface: {
+    ...groupInterface.description.interface,
     "interactivity": {
       description: "Whether interactivity is enabled",
       typecheck: { type: "boolean" }
     }
   },
   internal: {
+    ...groupInterface.description.internal,
+
     // Scene dims (inherited from above)
     "sceneDims": { computed: "none" },
 
@@ -55,6 +60,7 @@ export class NewFigure extends Group {
     this.computeBoxes()
     this.computeScissor()
     this.computePlotTransform()
+    this.computeLayer()
 
     this.toggleInteractivity()
   }
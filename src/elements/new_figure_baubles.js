@@ -2,19 +2,26 @@ import {Group} from "../core/group.js"
 import {constructInterface} from "../core/interface.js"
 import {DefaultStyles, Pen, TextStyle} from "../styles/definitions.js"
 import {generateRectangleCycle} from "../algorithm/misc_geometry.js"
-import {get2DDemarcations} from "../algorithm/tick_allocator.js"
+import {get2DDemarcations, getDemarcations} from "../algorithm/tick_allocator.js"
 import {Vec2} from "../math/vec/vec2.js"
 
 const DefaultOutlinePen = Pen.create({ endcap: "square" })
 const DefaultGridlinePens = { major: DefaultStyles.gridlinesMajor, minor: DefaultStyles.gridlinesMinor, axis: DefaultStyles.gridlinesAxis }
 
+const groupInterface = Group.prototype.getInterface()
+
 const figureBaublesInterface = constructInterface({
   interface: {
+    ...groupInterface.description.interface,
     showOutline: { typecheck: "boolean", description: "Whether to show an outline of the figure" },
     showGridlines: { setAs: "user", description: "Whether to show gridlines" },
     sharpenGridlines: { typecheck: "boolean", description: "Whether to make the gridlines look sharp by aligning them to pixel boundaries" },
-    outlinePen: { setAs: "user", description: "The pen used to draw the outline" }
+    outlinePen: { setAs: "user", description: "The pen used to draw the outline" },
+    gridType: { typecheck: { type: "string", values: [ "cartesian", "polar" ] }, description: "Whether to draw a Cartesian grid or a polar grid of concentric circles and radial spokes" },
+    angleUnits: { typecheck: { type: "string", values: [ "radians", "degrees" ] }, description: "The units in which the angles of a polar grid are labeled" }
   }, internal: {
+    ...groupInterface.description.internal,
+
     // Whether to show a bounding outline of the figure
     showOutline: { type: "boolean", computed: "default", default: true },
 
@@ -42,7 +49,11 @@ const figureBaublesInterface = constructInterface({
     // Where to put the labels
     labelPosition: { type: "LabelPosition", computed: "user", default: DefaultStyles.plotLabelPositions, compose: true },
 
+    // "cartesian" or "polar"
+    gridType: { type: "string", computed: "default", default: "cartesian" },
 
+    // Units of the polar grid's angle labels, "radians" or "degrees"
+    angleUnits: { type: "string", computed: "default", default: "radians" }
   }
 })
 
@@ -112,6 +123,153 @@ const standardLabelFunction = x => {
   }
 }
 
+const PI = String.fromCharCode(960)
+const DEGREE = String.fromCharCode(176)
+
+/**
+ * Format an angle in radians as a multiple of π (e.g. "3π/4"), or in degrees (e.g. "135°")
+ * @param theta {number}
+ * @param units {string} "radians" or "degrees"
+ * @returns {string}
+ */
+function formatAngle (theta, units) {
+  if (units === "degrees") return beautifyFloat(theta * 180 / Math.PI, 6) + DEGREE
+
+  let multiple = theta / Math.PI
+
+  for (let denominator = 1; denominator <= 12; ++denominator) {
+    let numerator = Math.round(multiple * denominator)
+    if (!isApproxEqual(numerator, multiple * denominator, 1e-9)) continue
+
+    if (numerator === 0) return "0"
+
+    let prefix = (numerator === 1) ? "" : (numerator === -1) ? "-" : numerator + ""
+
+    return prefix + PI + ((denominator === 1) ? "" : "/" + denominator)
+  }
+
+  return beautifyFloat(theta, 3)
+}
+
+// Angular separation of major and minor spokes in a polar grid
+const POLAR_MAJOR_ANGLE = Math.PI / 6
+const POLAR_MINOR_ANGLE = Math.PI / 12
+
+/**
+ * Compute the ticks of a polar grid, of the form { major: { r: [ ... ], theta: [ ... ] }, minor: ..., axis: ... }, as
+ * well as the range of radii and angles which is visible in the plot transform's graph box.
+ * @param tr {LinearPlot2DTransform}
+ * @param emitAxis {boolean} Whether to emit the axes (multiples of π/2) separately from the major spokes
+ * @returns {{}}
+ */
+function getPolarDemarcations (tr, emitAxis=true) {
+  let box = tr.graphBox()
+  let x1 = box.x, x2 = box.x + box.w, y1 = box.y, y2 = box.y + box.h
+  let corners = [ [ x1, y1 ], [ x2, y1 ], [ x2, y2 ], [ x1, y2 ] ]
+
+  let containsOrigin = x1 <= 0 && 0 <= x2 && y1 <= 0 && 0 <= y2
+  let rMin = containsOrigin ? 0 : Math.hypot(Math.max(x1, 0, -x2), Math.max(y1, 0, -y2))
+  let rMax = Math.max(...corners.map(([ x, y ]) => Math.hypot(x, y)))
+
+  let thetaMin = 0, thetaMax = 2 * Math.PI
+
+  if (!containsOrigin) {
+    // The box subtends less than a half turn as seen from the origin, so we measure its corners' angles relative to
+    // that of its center, avoiding the wraparound at ±π
+    let center = Math.atan2((y1 + y2) / 2, (x1 + x2) / 2)
+    let offsets = corners.map(([ x, y ]) => {
+      let offset = Math.atan2(y, x) - center
+
+      if (offset > Math.PI) offset -= 2 * Math.PI
+      else if (offset < -Math.PI) offset += 2 * Math.PI
+
+      return offset
+    })
+
+    thetaMin = center + Math.min(...offsets)
+    thetaMax = center + Math.max(...offsets)
+  }
+
+  // Radii are spaced according to the horizontal scale
+  let rTicks = getDemarcations(rMin, rMax, (rMax - rMin) * tr.pw / tr.gw, 20, 150, [ [ 4, 5 ], [ 5, 2 ], [ 5, 1 ] ], false)
+  let rMajor = rTicks.maj ?? [], rMinor = rTicks.min ?? []
+
+  function spokeAngles (sep, exclude) {
+    let angles = []
+    let end = containsOrigin ? Math.round(thetaMax / sep) - 1 : Math.floor(thetaMax / sep)
+
+    for (let k = Math.ceil(thetaMin / sep); k <= end; ++k) {
+      let theta = k * sep
+
+      if (!exclude(theta)) angles.push(theta)
+    }
+
+    return angles
+  }
+
+  let isMultipleOf = (theta, sep) => isApproxEqual(theta / sep, Math.round(theta / sep), 1e-9)
+  let isAxis = theta => emitAxis && isMultipleOf(theta, Math.PI / 2)
+
+  let ticks = {
+    rMin, rMax, thetaMin, thetaMax,
+    major: { r: rMajor, theta: spokeAngles(POLAR_MAJOR_ANGLE, isAxis) },
+    minor: { r: rMinor, theta: spokeAngles(POLAR_MINOR_ANGLE, theta => isMultipleOf(theta, POLAR_MAJOR_ANGLE)) }
+  }
+
+  if (emitAxis) ticks.axis = { r: [], theta: spokeAngles(Math.PI / 2, () => false) }
+
+  return ticks
+}
+
+/**
+ * Given a plot transform, polar ticks and set of pens, generate a set of polyline calls that draw the concentric
+ * circles and radial spokes of a polar grid. Only the visible arcs of the circles are generated.
+ * @param plotTransform {LinearPlot2DTransform}
+ * @param ticks Result of getPolarDemarcations
+ * @param gridlinePens
+ * @param enabledPens {{}|null} Dict (pen name -> boolean) of enabled pens to generate ticks for
+ * @returns {Array}
+ */
+function generatePolarGridlinesInstructions (plotTransform, ticks, gridlinePens, enabledPens=null) {
+  let { rMin, rMax, thetaMin, thetaMax } = ticks
+  let { xm, ym, xb, yb } = plotTransform.getReducedGraphToPixelTransform()
+  let scale = Math.max(Math.abs(xm), Math.abs(ym))
+  let instructions = []
+
+  for (let style of [ "minor", "major", "axis" ]) {
+    let entries = ticks[style]
+    let pen = gridlinePens[style]
+
+    if (!entries || !pen || (enabledPens && !enabledPens[style])) continue
+
+    let vertices = []
+
+    for (let r of entries.r) {
+      // Segments of about two pixels
+      let segments = Math.min(Math.max(Math.ceil(r * scale * (thetaMax - thetaMin) / 2), 8), 4000)
+
+      for (let i = 0; i <= segments; ++i) {
+        let theta = thetaMin + (thetaMax - thetaMin) * i / segments
+
+        vertices.push(xm * r * Math.cos(theta) + xb, ym * r * Math.sin(theta) + yb)
+      }
+
+      vertices.push(NaN, NaN)
+    }
+
+    for (let theta of entries.theta) {
+      let c = Math.cos(theta), s = Math.sin(theta)
+
+      vertices.push(xm * rMin * c + xb, ym * rMin * s + yb, xm * rMax * c + xb, ym * rMax * s + yb)
+      vertices.push(NaN, NaN)
+    }
+
+    instructions.push({ type: "polyline", vertices: new Float32Array(vertices), pen })
+  }
+
+  return instructions
+}
+
 /**
  * Given a plot transform, ticks and set of pens, generate a set of polyline calls that draw gridlines.
  * @param plotTransform {LinearPlot2DTransform}
@@ -165,6 +323,67 @@ function generateGridlinesInstructions (plotTransform, ticks, gridlinePens, enab
   return instructions
 }
 
+// Distance in pixels between the edge of the plot and the angle labels of a polar grid
+const POLAR_ANGLE_LABEL_INSET = 16
+
+/**
+ * Generate the labels of a polar grid: radii along the positive x-axis (or the middle of the visible angles, if it
+ * isn't visible), and angles where their spokes leave the plot.
+ * @param plotTransform {LinearPlot2DTransform}
+ * @param ticks Result of getPolarDemarcations
+ * @param angleUnits {string}
+ * @returns {Array}
+ */
+function computePolarLabels (plotTransform, ticks, angleUnits) {
+  let { thetaMin, thetaMax } = ticks
+  let instructions = []
+
+  let radiusAngle = (thetaMin <= 0 && 0 <= thetaMax) ? 0 : (thetaMin + thetaMax) / 2
+  let c = Math.cos(radiusAngle), s = Math.sin(radiusAngle)
+  let pixelBox = plotTransform.pixelBox()
+
+  for (let r of ticks.major.r) {
+    if (r === 0) continue
+
+    let pos = plotTransform.graphToPixel(new Vec2(r * c, r * s)).add(new Vec2(0, 10))
+    if (pos.x < pixelBox.x || pos.x > pixelBox.x2 || pos.y < pixelBox.y || pos.y > pixelBox.y2) continue
+    instructions.push({ type: "text", text: standardLabelFunction(r), pos, style: DefaultStyles.label })
+  }
+
+  let box = plotTransform.pixelBox().squish(POLAR_ANGLE_LABEL_INSET)
+  let origin = plotTransform.graphToPixel(new Vec2(0, 0))
+  let angles = [ ...ticks.major.theta, ...(ticks.axis?.theta ?? []) ]
+
+  for (let theta of angles) {
+    // Pixel direction of the spoke (y is flipped)
+    let dx = Math.cos(theta), dy = -Math.sin(theta)
+
+    // Find where the ray from the origin leaves the inset box, by clipping it against each pair of sides
+    let tEnter = 0, tExit = Infinity
+
+    for (let [ o, d, lo, hi ] of [ [ origin.x, dx, box.x, box.x + box.w ], [ origin.y, dy, box.y, box.y + box.h ] ]) {
+      if (Math.abs(d) < 1e-12) {
+        if (o < lo || o > hi) tExit = -Infinity
+        continue
+      }
+
+      let t1 = (lo - o) / d, t2 = (hi - o) / d
+
+      tEnter = Math.max(tEnter, Math.min(t1, t2))
+      tExit = Math.min(tExit, Math.max(t1, t2))
+    }
+
+    if (!(tExit >= tEnter) || !Number.isFinite(tExit)) continue
+
+    let normalized = theta - 2 * Math.PI * Math.floor(theta / (2 * Math.PI) + 1e-9)
+    let pos = new Vec2(origin.x + dx * tExit, origin.y + dy * tExit)
+
+    instructions.push({ type: "text", text: formatAngle(normalized, angleUnits), pos, style: DefaultStyles.label })
+  }
+
+  return instructions
+}
+
 export class FigureBaubles extends Group {
   getInterface () {
     return figureBaublesInterface
@@ -179,14 +398,18 @@ export class FigureBaubles extends Group {
     this.computeLabels()
     this.toggleOutline()
     this.computeRenderInfo()
+    this.computeLayer()
   }
 
   computeTicks () {
     const { props } = this
 
-    if (props.hasChanged("plotTransform")) {
+    if (props.haveChanged(["plotTransform", "gridType"])) {
       let tr = props.get("plotTransform")
-      let ticks = get2DDemarcations(tr.gx1, tr.gx1 + tr.gw, tr.pw, tr.gy1, tr.gy1 + tr.gh, tr.ph, { emitAxis: props.get("generateGridlinesAxis")})
+      let emitAxis = props.get("generateGridlinesAxis")
+      let ticks = (props.get("gridType") === "polar") ?
+        getPolarDemarcations(tr, emitAxis) :
+        get2DDemarcations(tr.gx1, tr.gx1 + tr.gw, tr.pw, tr.gy1, tr.gy1 + tr.gh, tr.ph, { emitAxis })
 
       props.set("ticks", ticks)
     }
@@ -195,8 +418,13 @@ export class FigureBaubles extends Group {
   computeLabels () {
     const instructions = []
 
-    if (this.props.haveChanged(["ticks", "showLabels"])) {
-      let { ticks, plotTransform } = this.props.proxy
+    if (this.props.haveChanged(["ticks", "showLabels", "angleUnits"])) {
+      let { ticks, plotTransform, gridType, angleUnits } = this.props.proxy
+
+      if (gridType === "polar") {
+        this.internal.labelInstructions = computePolarLabels(plotTransform, ticks, angleUnits)
+        return
+      }
 
       for (let style of ["major"]) {
         let entries = ticks[style]
@@ -221,9 +449,11 @@ export class FigureBaubles extends Group {
 
   computeGridlines () {
     if (this.props.haveChanged(["ticks", "showGridlines", "sharpenGridlines"])) {
-      let { showGridlines, ticks, gridlinePens, plotTransform, sharpenGridlines } = this.props.proxy
+      let { showGridlines, ticks, gridlinePens, plotTransform, sharpenGridlines, gridType } = this.props.proxy
 
-      this.internal.gridlinesInstructions = generateGridlinesInstructions(plotTransform, ticks, gridlinePens, showGridlines, sharpenGridlines)
+      this.internal.gridlinesInstructions = (gridType === "polar") ?
+        generatePolarGridlinesInstructions(plotTransform, ticks, gridlinePens, showGridlines) :
+        generateGridlinesInstructions(plotTransform, ticks, gridlinePens, showGridlines, sharpenGridlines)
     }
   }
 
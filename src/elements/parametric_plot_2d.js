@@ -0,0 +1,172 @@
+import {Element} from "../core/element.js"
+import {constructInterface} from "../core/interface.js"
+import {DefaultStyles} from "../styles/definitions.js"
+import {Vec2} from "../math/vec/vec2.js"
+import {parseString} from "../ast/parse_string.js"
+import {compileNode} from "../ast/compile.js"
+import {adaptivelySampleParametric} from "../algorithm/adaptive_sampling.js"
+
+const parametricPlot2DInterface = constructInterface({
+  interface: {
+    function: {
+      description: "The curve to plot, as a pair of expressions in t (e.g. \"(cos(t), sin(t))\" or \"vec2(cos(t), sin(t))\"). Overrides xFunction and yFunction",
+      typecheck: "string"
+    },
+    xFunction: {
+      description: "The x coordinate of the curve, as an expression in t",
+      typecheck: "string"
+    },
+    yFunction: {
+      description: "The y coordinate of the curve, as an expression in t",
+      typecheck: "string"
+    },
+    tRange: {
+      description: "The range [tStart, tEnd] of the parameter",
+      conversion: { type: "Vec2" }
+    },
+    pen: {
+      description: "The pen used to draw the curve",
+      setAs: "user"
+    },
+    samples: {
+      description: "The initial number of samples across the parameter range, before adaptive refinement",
+      typecheck: { type: "integer", min: 2, max: 1e5 }
+    },
+    maxSegmentLength: {
+      description: "The length in pixels above which segments of the curve are refined",
+      typecheck: { type: "number", min: 0.1, max: 1000 }
+    }
+  }, internal: {
+    function: { type: "string", computed: "none" },
+    xFunction: { type: "string", computed: "none" },
+    yFunction: { type: "string", computed: "none" },
+    tRange: { type: "Vec2", computed: "default", default: new Vec2(0, 2 * Math.PI) },
+    pen: { type: "Pen", computed: "user", default: DefaultStyles.Pen, compose: true },
+    samples: { type: "integer", computed: "default", default: 200 },
+    maxSegmentLength: { type: "number", computed: "default", default: 4 }
+  }
+})
+
+// Segments longer than this many pixels after refinement are considered discontinuities
+const JUMP_THRESHOLD_PIXELS = 20
+
+/**
+ * Split a parsed pair like "(x, y)" or "vec2(x, y)" into its two components
+ * @param node {ASTNode}
+ * @returns {ASTNode[]|null}
+ */
+function splitPair (node) {
+  // Unwrap grouping
+  while (node.nodeType() === "group" && node.children.length === 1) node = node.children[0]
+
+  let isPair = (node.nodeType() === "group") || (node.nodeType() === "op" && node.op === "vec2")
+
+  return (isPair && node.children.length === 2) ? node.children : null
+}
+
+/**
+ * Compile an expression in t
+ * @param node {ASTNode}
+ * @returns {Function}
+ */
+function compileInT (node) {
+  node.resolveTypes({ t: "real" })
+
+  return compileNode(node).evaluate
+}
+
+/**
+ * Plots a parametric curve (x(t), y(t)) under the inherited plotTransform, for t in tRange. The curve is given either
+ * as a single pair-valued expression (function) or as two expressions (xFunction and yFunction). Because a curve may
+ * move at any speed in t, it is sampled adaptively by its length in pixels (see adaptivelySampleParametric); undefined
+ * points and jumps break the polyline.
+ */
+export class ParametricPlot2D extends Element {
+  getInterface () {
+    return parametricPlot2DInterface
+  }
+
+  _update () {
+    this.defaultInheritProps()
+    this.defaultComputeProps()
+
+    this.compileFunction()
+    this.computeVertices()
+    this.computeRenderInfo()
+  }
+
+  /**
+   * Parse and compile the coordinate expressions, storing the evaluators in internal.evaluateX and internal.evaluateY
+   */
+  compileFunction () {
+    const { props, internal } = this
+
+    if (props.haveChanged(["function", "xFunction", "yFunction"]) || this.updateStage === -1) {
+      let { function: expression, xFunction, yFunction } = props.proxy
+      let xNode, yNode
+
+      if (expression) {
+        let pair = splitPair(parseString(expression))
+        if (!pair) throw new Error(`Expected a pair of expressions in t, like (cos(t), sin(t)), not ${expression}`)
+
+        ;[ xNode, yNode ] = pair
+      } else if (xFunction && yFunction) {
+        xNode = parseString(xFunction)
+        yNode = parseString(yFunction)
+      } else {
+        internal.evaluateX = internal.evaluateY = null
+        return
+      }
+
+      internal.evaluateX = compileInT(xNode)
+      internal.evaluateY = compileInT(yNode)
+    }
+  }
+
+  /**
+   * Sample the curve in pixel coordinates. Only done if the transform, expressions or sampling parameters have changed.
+   */
+  computeVertices () {
+    const { props, internal } = this
+
+    if (!props.haveChanged(["plotTransform", "function", "xFunction", "yFunction", "tRange", "samples", "maxSegmentLength"]) &&
+      this.updateStage !== -1) return
+
+    let { plotTransform, tRange, samples, maxSegmentLength } = props.proxy
+    let { evaluateX, evaluateY } = internal
+
+    if (!plotTransform || !evaluateX || !evaluateY || !(tRange.y > tRange.x)) {
+      internal.vertices = null
+      return
+    }
+
+    let { xm, ym, xb, yb } = plotTransform.getReducedGraphToPixelTransform()
+    let scope = { t: 0 }
+    let f = t => {
+      scope.t = t
+
+      return [ xm * evaluateX(scope) + xb, ym * evaluateY(scope) + yb ]
+    }
+
+    let vertices = adaptivelySampleParametric(f, tRange.x, tRange.y, {
+      samples,
+      maxSegmentLength,
+      jumpThreshold: JUMP_THRESHOLD_PIXELS,
+      box: plotTransform.pixelBox()
+    })
+
+    internal.vertices = new Float32Array(vertices)
+  }
+
+  computeRenderInfo () {
+    let { vertices } = this.internal
+    let pen = this.props.get("pen")
+
+    if (!vertices || !pen) {
+      this.internal.renderInfo = null
+      return
+    }
+
+    this.internal.renderInfo = { instructions: { type: "polyline", vertices, pen } }
+  }
+}
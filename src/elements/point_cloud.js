@@ -30,6 +30,9 @@ export class PointCloudElement extends Element {
     let vertices = new Float32Array(circle.length * data.length / 2)
     let { xm, ym, xb, yb } = plotTransform.getReducedGraphToPixelTransform()
 
+    // Pixel positions of the points, for hit-testing
+    let positions = new Float32Array(data.length)
+
     let verticesOffset = 0
     for (let i = 0; i < data.length; i += 2) {
       let x = data[i], y = data[i+1]
@@ -37,6 +40,9 @@ export class PointCloudElement extends Element {
       x = xm * x + xb
       y = ym * y + yb
 
+      positions[i] = x
+      positions[i + 1] = y
+
       for (let j = 0; j < circle.length; j += 2) {
         vertices[verticesOffset + j] = circle[j] + x
         vertices[verticesOffset + j + 1] = circle[j + 1] + y
@@ -45,6 +51,30 @@ export class PointCloudElement extends Element {
       verticesOffset += circle.length
     }
 
+    this.internal.positions = positions
     this.internal.renderInfo = { instructions: { type: "triangle_strip", vertices, color } }
   }
+
+  /**
+   * Hit if the point is within a dot; the index of the hit is that of the nearest point
+   */
+  hitTest (pos, tolerance=0) {
+    const { positions } = this.internal
+    if (!positions) return null
+
+    let index = -1, min = Infinity
+
+    for (let i = 0; i < positions.length; i += 2) {
+      let d = Math.hypot(pos.x - positions[i], pos.y - positions[i + 1])
+
+      if (d < min) {
+        min = d
+        index = i / 2
+      }
+    }
+
+    let distance = Math.max(min - this.props.get("pointRadius"), 0)
+
+    return (index !== -1 && distance <= tolerance) ? { element: this, distance, index, zIndex: 0 } : null
+  }
 }
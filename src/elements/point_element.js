@@ -1,5 +1,5 @@
 import {Element} from "../core/element.js"
-import {generateCircleTriangleStrip} from "../algorithm/misc_geometry.js"
+import {coverageToColors, generateCircleTriangleStrip, generateFeatheredCircle} from "../algorithm/misc_geometry.js"
 import {constructInterface} from "../core/interface.js"
 import {Vec2} from "../math/vec/vec2.js"
 import {Colors} from "../styles/definitions.js"
@@ -37,9 +37,9 @@ export class PointElement extends Element {
     this.defaultInheritProps()
     this.defaultComputeProps()
 
-    let { pos, color, size, plotTransform } = this.props.proxy
+    let { pos, color, size, plotTransform, antialiasing, sceneDims } = this.props.proxy
     if (!pos || !color || !size) {
-      this.internal.renderInfo = null
+      this.internal.renderInfo = this.internal.pixelPos = null
       return
     }
 
@@ -47,8 +47,29 @@ export class PointElement extends Element {
       pos = plotTransform.graphToPixel(pos)
     }
 
+    this.internal.pixelPos = pos
+
+    if (antialiasing === "feather") {
+      const { vertices, coverage } = generateFeatheredCircle(size, pos.x, pos.y, 8, 1 / (sceneDims?.dpr ?? 1))
+
+      this.internal.renderInfo = { instructions: { type: "colored_triangles", vertices, colors: coverageToColors(coverage, color) } }
+      return
+    }
+
     let circleVertices = generateCircleTriangleStrip(size, pos.x, pos.y)
 
     this.internal.renderInfo = { instructions: { type: "triangle_strip", color, vertices: circleVertices } }
   }
+
+  /**
+   * Hit if the point is within the dot
+   */
+  hitTest (pos, tolerance=0) {
+    const { pixelPos } = this.internal
+    if (!pixelPos) return null
+
+    let distance = Math.max(Math.hypot(pos.x - pixelPos.x, pos.y - pixelPos.y) - this.props.get("size"), 0)
+
+    return (distance <= tolerance) ? { element: this, distance, zIndex: 0 } : null
+  }
 }
@@ -0,0 +1,131 @@
+import {Element} from "../core/element.js"
+import {constructInterface} from "../core/interface.js"
+import {DefaultStyles} from "../styles/definitions.js"
+import {Vec2} from "../math/vec/vec2.js"
+import {parseString} from "../ast/parse_string.js"
+import {compileNode} from "../ast/compile.js"
+import {adaptivelySampleParametric} from "../algorithm/adaptive_sampling.js"
+
+const polarPlot2DInterface = constructInterface({
+  interface: {
+    function: {
+      description: "The radius as an expression in theta, which may also be written θ (e.g. \"1+cos(θ)\", \"sin(4*theta)\")",
+      typecheck: "string"
+    },
+    thetaRange: {
+      description: "The range [thetaStart, thetaEnd] of the angle, in radians",
+      conversion: { type: "Vec2" }
+    },
+    pen: {
+      description: "The pen used to draw the curve",
+      setAs: "user"
+    },
+    samples: {
+      description: "The initial number of samples across the angle range, before adaptive refinement",
+      typecheck: { type: "integer", min: 2, max: 1e5 }
+    },
+    maxSegmentLength: {
+      description: "The length in pixels above which segments of the curve are refined",
+      typecheck: { type: "number", min: 0.1, max: 1000 }
+    }
+  }, internal: {
+    function: { type: "string", computed: "none" },
+    thetaRange: { type: "Vec2", computed: "default", default: new Vec2(0, 2 * Math.PI) },
+    pen: { type: "Pen", computed: "user", default: DefaultStyles.Pen, compose: true },
+    samples: { type: "integer", computed: "default", default: 200 },
+    maxSegmentLength: { type: "number", computed: "default", default: 4 }
+  }
+})
+
+// Segments longer than this many pixels after refinement are considered discontinuities
+const JUMP_THRESHOLD_PIXELS = 20
+
+/**
+ * Plots a polar curve r = f(θ) under the inherited plotTransform, for θ in thetaRange. Each angle is converted to the
+ * Cartesian point (r cos θ, r sin θ), and the resulting curve is sampled adaptively by its length in pixels (see
+ * adaptivelySampleParametric), so that roses and spirals stay smooth at any zoom. Negative radii are plotted on the
+ * opposite side of the origin, as usual; undefined radii break the polyline.
+ */
+export class PolarPlot2D extends Element {
+  getInterface () {
+    return polarPlot2DInterface
+  }
+
+  _update () {
+    this.defaultInheritProps()
+    this.defaultComputeProps()
+
+    this.compileFunction()
+    this.computeVertices()
+    this.computeRenderInfo()
+  }
+
+  /**
+   * Parse and compile the radius expression, storing the evaluator in internal.evaluate
+   */
+  compileFunction () {
+    const { props, internal } = this
+
+    if (props.hasChanged("function") || this.updateStage === -1) {
+      let expression = props.get("function")
+
+      if (!expression) {
+        internal.evaluate = null
+        return
+      }
+
+      let node = parseString(expression.replace(/θ/g, "theta"))
+      node.resolveTypes({ theta: "real" })
+
+      internal.evaluate = compileNode(node).evaluate
+    }
+  }
+
+  /**
+   * Sample the curve in pixel coordinates. Only done if the transform, expression or sampling parameters have changed.
+   */
+  computeVertices () {
+    const { props, internal } = this
+
+    if (!props.haveChanged(["plotTransform", "function", "thetaRange", "samples", "maxSegmentLength"]) &&
+      this.updateStage !== -1) return
+
+    let { plotTransform, thetaRange, samples, maxSegmentLength } = props.proxy
+    let { evaluate } = internal
+
+    if (!plotTransform || !evaluate || !(thetaRange.y > thetaRange.x)) {
+      internal.vertices = null
+      return
+    }
+
+    let { xm, ym, xb, yb } = plotTransform.getReducedGraphToPixelTransform()
+    let scope = { theta: 0 }
+    let f = theta => {
+      scope.theta = theta
+      let r = evaluate(scope)
+
+      return [ xm * r * Math.cos(theta) + xb, ym * r * Math.sin(theta) + yb ]
+    }
+
+    let vertices = adaptivelySampleParametric(f, thetaRange.x, thetaRange.y, {
+      samples,
+      maxSegmentLength,
+      jumpThreshold: JUMP_THRESHOLD_PIXELS,
+      box: plotTransform.pixelBox()
+    })
+
+    internal.vertices = new Float32Array(vertices)
+  }
+
+  computeRenderInfo () {
+    let { vertices } = this.internal
+    let pen = this.props.get("pen")
+
+    if (!vertices || !pen) {
+      this.internal.renderInfo = null
+      return
+    }
+
+    this.internal.renderInfo = { instructions: { type: "polyline", vertices, pen } }
+  }
+}
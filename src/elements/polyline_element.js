@@ -1,6 +1,7 @@
 import {Element} from "../core/element.js"
 import {constructInterface} from "../core/interface.js"
 import {DefaultStyles, Pen} from "../styles/definitions.js"
+import {distanceToPolyline} from "../algorithm/hit_testing.js"
 
 const polylineInterface = constructInterface({
   pen: { setAs: "user", setMerge: true, getAs: "real", description: "The pen used to draw the polyline." },
@@ -28,4 +29,16 @@ export class PolylineElement extends Element {
 
     return { type: "polyline", vertices, pen }
   }
+
+  /**
+   * Hit if the point is within the pen's thickness of the polyline
+   */
+  hitTest (pos, tolerance=0) {
+    let { vertices, pen } = this.props.proxy
+    if (!vertices || !pen || pen.visible === false) return null
+
+    let distance = distanceToPolyline(pos.x, pos.y, vertices, pen.thickness)
+
+    return (distance <= tolerance) ? { element: this, distance, zIndex: 0 } : null
+  }
 }
@@ -29,10 +29,16 @@ export * from './algorithm/rectangle_packing.js'
 export * from './renderer/text_renderer.js'
 export * from './core/interactive_scene.js'
 export * from './renderer/renderer.js'
+export * from './renderer/render_loop.js'
+export * from './renderer/canvas_2d_renderer.js'
+export * from './renderer/svg_renderer.js'
+export * from './renderer/software_renderer.js'
+export * from './renderer/image_utils.js'
 export * from './elements/text_element.js'
 export * from './core/interface.js'
 export * from './elements/point_cloud.js'
 export * from "./algorithm/misc_geometry"
+export * from './algorithm/hit_testing.js'
 export * from './styles/definitions.js'
 export * from './elements/polyline_element.js'
 export * from './math/bigint/bigint.js'
@@ -40,6 +46,12 @@ export * from './math/bigint/bigfloat.js'
 export * from './math/rounding_modes.js'
 export * from './math/vec/vec2.js'
 export * from './elements/point_element.js'
+export * from './elements/image_element.js'
+export * from './elements/function_plot_2d.js'
+export * from './elements/implicit_plot_2d.js'
+export * from './elements/heatmap_2d.js'
+export * from './elements/parametric_plot_2d.js'
+export * from './elements/polar_plot_2d.js'
 export * from './elements/new_figure_baubles.js'
 export * from './algorithm/tick_allocator.js'
 export * from './other/text_utils.js'
@@ -1,4 +1,4 @@
-import { Complex } from './complex'
+import { Complex } from './complex.js'
 
 /**
  * Returns a + b.
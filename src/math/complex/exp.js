@@ -1,4 +1,4 @@
-import Cis from "./cis"
+import Cis from "./cis.js"
 
 /**
  * Returns e^z for complex z.
@@ -1,5 +1,5 @@
-import * as BasicArithmeticFunctions from "./basic_arithmetic"
-import * as PowFunctions from "./pow"
+import * as BasicArithmeticFunctions from "./basic_arithmetic.js"
+import * as PowFunctions from "./pow.js"
 /*import * as TrigFunctions from "./trig_functions"
 import Exp from './exp'
 import Cis from './cis'
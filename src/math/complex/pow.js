@@ -1,7 +1,7 @@
-import { Complex } from './complex'
-import { Add, Multiply } from './basic_arithmetic'
-import Cis from './cis'
-import Exp from './exp'
+import { Complex } from './complex.js'
+import { Add, Multiply } from './basic_arithmetic.js'
+import Cis from './cis.js'
+import Exp from './exp.js'
 
 /**
  * Return the principal value of z^w.
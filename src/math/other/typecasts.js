@@ -1,4 +1,4 @@
-import { Complex } from '../complex/complex'
+import { Complex } from '../complex/complex.js'
 
 const Typecasts = {
   RealToComplex: (r) => new Complex(r),
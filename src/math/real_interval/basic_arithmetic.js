@@ -1,8 +1,134 @@
+/**
+ * @file Basic arithmetic on {@link RealInterval}s. Every bound is rounded outward with {@link FP.roundDown} and
+ * {@link FP.roundUp}, so the true result of the operation on any numbers in the input intervals is always contained in
+ * the output interval. The *Internal functions accept only RealIntervals; the exported functions are wrapped by
+ * {@link wrapIntervalFunction} so that they also accept RealIntervalSets.
+ */
+
+import { roundDown, roundUp } from '../real/fp_manip.js'
+import { BAD_INTERVAL, intervalResult, RealInterval, wrapIntervalFunction } from './interval.js'
+
 /**
  * Add two RealIntervals.
  * @param int1 {RealInterval}
  * @param int2 {RealInterval}
+ * @returns {RealInterval}
+ */
+export function addInternal (int1, int2) {
+  if (!int1.defMax || !int2.defMax) return BAD_INTERVAL
+
+  return intervalResult(roundDown(int1.min + int2.min), roundUp(int1.max + int2.max), [ int1, int2 ])
+}
+
+/**
+ * Subtract two RealIntervals.
+ * @param int1 {RealInterval}
+ * @param int2 {RealInterval}
+ * @returns {RealInterval}
+ */
+export function subtractInternal (int1, int2) {
+  if (!int1.defMax || !int2.defMax) return BAD_INTERVAL
+
+  return intervalResult(roundDown(int1.min - int2.max), roundUp(int1.max - int2.min), [ int1, int2 ])
+}
+
+/**
+ * Negate a RealInterval. No rounding is needed.
+ * @param int {RealInterval}
+ * @returns {RealInterval}
+ */
+export function unaryMinusInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  return intervalResult(-int.max, -int.min, [ int ])
+}
+
+/**
+ * Product of two interval bounds, where 0 * ±Infinity is taken to be 0 (the bound being a limit, not a value)
+ * @param a {number}
+ * @param b {number}
+ * @returns {number}
+ */
+function boundProduct (a, b) {
+  return (a === 0 || b === 0) ? 0 : a * b
+}
+
+/**
+ * Multiply two RealIntervals.
+ * @param int1 {RealInterval}
+ * @param int2 {RealInterval}
+ * @returns {RealInterval}
  */
-function addInternal (int1, int2) {
+export function multiplyInternal (int1, int2) {
+  if (!int1.defMax || !int2.defMax) return BAD_INTERVAL
+
+  const p1 = boundProduct(int1.min, int2.min)
+  const p2 = boundProduct(int1.min, int2.max)
+  const p3 = boundProduct(int1.max, int2.min)
+  const p4 = boundProduct(int1.max, int2.max)
 
+  return intervalResult(roundDown(Math.min(p1, p2, p3, p4)), roundUp(Math.max(p1, p2, p3, p4)), [ int1, int2 ])
 }
+
+/**
+ * Divide two RealIntervals. If the divisor contains 0, the result is [-Infinity, Infinity] and is neither always
+ * defined nor always continuous; if the divisor is exactly 0, the result is undefined.
+ * @param int1 {RealInterval}
+ * @param int2 {RealInterval}
+ * @returns {RealInterval}
+ */
+export function divideInternal (int1, int2) {
+  if (!int1.defMax || !int2.defMax) return BAD_INTERVAL
+
+  const { min, max } = int2
+
+  if (min === 0 && max === 0) return BAD_INTERVAL
+  if (min <= 0 && max >= 0) return intervalResult(-Infinity, Infinity, [ int1, int2 ], false, false)
+
+  return multiplyInternal(int1, new RealInterval(roundDown(1 / max), roundUp(1 / min),
+    int2.defMin, int2.defMax, int2.contMin, int2.contMax))
+}
+
+/**
+ * Add two RealIntervals or RealIntervalSets.
+ * @function
+ * @param int1 {RealIntervalLike}
+ * @param int2 {RealIntervalLike}
+ * @returns {RealIntervalLike}
+ */
+export const Add = wrapIntervalFunction(addInternal)
+
+/**
+ * Subtract two RealIntervals or RealIntervalSets.
+ * @function
+ * @param int1 {RealIntervalLike}
+ * @param int2 {RealIntervalLike}
+ * @returns {RealIntervalLike}
+ */
+export const Subtract = wrapIntervalFunction(subtractInternal)
+
+/**
+ * Negate a RealInterval or RealIntervalSet.
+ * @function
+ * @param int {RealIntervalLike}
+ * @returns {RealIntervalLike}
+ */
+export const UnaryMinus = wrapIntervalFunction(unaryMinusInternal, 1)
+
+/**
+ * Multiply two RealIntervals or RealIntervalSets.
+ * @function
+ * @param int1 {RealIntervalLike}
+ * @param int2 {RealIntervalLike}
+ * @returns {RealIntervalLike}
+ */
+export const Multiply = wrapIntervalFunction(multiplyInternal)
+
+/**
+ * Divide two RealIntervals or RealIntervalSets.
+ * @function
+ * @param int1 {RealIntervalLike}
+ * @param int2 {RealIntervalLike}
+ * @returns {RealIntervalLike}
+ */
+export const Divide = wrapIntervalFunction(divideInternal)
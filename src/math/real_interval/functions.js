@@ -1,4 +1,440 @@
+/**
+ * @file Definition of the {@link RealIntervalFunctions}, which are the interval versions of the common real functions.
+ * Like the basic arithmetic operations, they round their bounds outward, so that the result contains the image of
+ * every point in the input. We assume that the Math functions are accurate to within one ulp, which holds for
+ * V8 and SpiderMonkey; the outward rounding then accounts for their error.
+ *
+ * Comparisons produce "boolean intervals": [1, 1] if the comparison is true for every pair of points in the inputs,
+ * [0, 0] if it is false for every pair, and [0, 1] if it may be either.
+ */
 
-const RealIntervalFunctions = {}
+import { roundDown, roundUp } from '../real/fp_manip.js'
+import { BAD_INTERVAL, intervalResult, RealInterval, wrapIntervalFunction } from './interval.js'
+import { Add, Subtract, UnaryMinus, Multiply, Divide, divideInternal } from './basic_arithmetic.js'
+
+// Relative slack used when deciding whether an interval contains an extremum or pole of a trigonometric function,
+// since multiples of pi are inexact. Erring towards "contains" only ever widens the result.
+const TRIG_SLACK = 1e-12
+
+const ONE = Object.freeze(new RealInterval(1, 1))
+
+/**
+ * Apply an increasing function to an interval whose bounds lie in the function's domain
+ * @param f {Function}
+ * @param int {RealInterval}
+ * @param defined {boolean} Whether the function is defined on the entire (unrestricted) input
+ * @param min {number} Minimum of the input, possibly restricted to the domain
+ * @param max {number} Maximum of the input, possibly restricted to the domain
+ * @returns {RealInterval}
+ */
+function applyIncreasing (f, int, defined = true, min = int.min, max = int.max) {
+  return intervalResult(roundDown(f(min)), roundUp(f(max)), [ int ], defined)
+}
+
+/**
+ * Apply a decreasing function to an interval whose bounds lie in the function's domain
+ * @param f {Function}
+ * @param int {RealInterval}
+ * @param defined {boolean}
+ * @param min {number}
+ * @param max {number}
+ * @returns {RealInterval}
+ */
+function applyDecreasing (f, int, defined = true, min = int.min, max = int.max) {
+  return intervalResult(roundDown(f(max)), roundUp(f(min)), [ int ], defined)
+}
+
+/**
+ * Whether some point of the form offset + k * period (k an integer) lies in [min, max], give or take TRIG_SLACK
+ * @param min {number}
+ * @param max {number}
+ * @param offset {number}
+ * @param period {number}
+ * @returns {boolean}
+ */
+function containsPeriodicPoint (min, max, offset, period) {
+  const k = Math.ceil((min - offset) / period)
+  const point = offset + k * period
+  const slack = TRIG_SLACK * Math.max(1, Math.abs(point))
+
+  return point <= max + slack || point - period >= min - slack
+}
+
+/**
+ * Compute the image of an interval under sin or cos, given the locations of the function's maxima
+ * @param f {Function} Math.sin or Math.cos
+ * @param maxOffset {number} Location of a maximum; maxima are at maxOffset + 2πk and minima at maxOffset + π + 2πk
+ * @param int {RealInterval}
+ * @returns {RealInterval}
+ */
+function sinusoidInternal (f, maxOffset, int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  const { min, max } = int
+
+  if (!Number.isFinite(min) || !Number.isFinite(max) || max - min >= 2 * Math.PI)
+    return intervalResult(-1, 1, [ int ])
+
+  const fMin = f(min), fMax = f(max)
+
+  let lo = roundDown(Math.min(fMin, fMax)), hi = roundUp(Math.max(fMin, fMax))
+
+  if (containsPeriodicPoint(min, max, maxOffset, 2 * Math.PI)) hi = 1
+  if (containsPeriodicPoint(min, max, maxOffset + Math.PI, 2 * Math.PI)) lo = -1
+
+  return intervalResult(Math.max(lo, -1), Math.min(hi, 1), [ int ])
+}
+
+export function sinInternal (int) {
+  return sinusoidInternal(Math.sin, Math.PI / 2, int)
+}
+
+export function cosInternal (int) {
+  return sinusoidInternal(Math.cos, 0, int)
+}
+
+/**
+ * tan is increasing between its poles at π/2 + πk. If the interval contains a pole, the result is [-Infinity,
+ * Infinity] and is neither always defined nor always continuous.
+ * @param int {RealInterval}
+ * @returns {RealInterval}
+ */
+export function tanInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  const { min, max } = int
+
+  if (!Number.isFinite(min) || !Number.isFinite(max) || max - min >= Math.PI ||
+    containsPeriodicPoint(min, max, Math.PI / 2, Math.PI))
+    return intervalResult(-Infinity, Infinity, [ int ], false, false)
+
+  return applyIncreasing(Math.tan, int)
+}
+
+/**
+ * Apply an increasing function defined on the closed interval [domainMin, domainMax]
+ * @param f {Function}
+ * @param domainMin {number}
+ * @param domainMax {number}
+ * @param int {RealInterval}
+ * @param increasing {boolean} Whether f is increasing (otherwise, decreasing)
+ * @returns {RealInterval}
+ */
+function applyOnDomain (f, domainMin, domainMax, int, increasing = true) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  const { min, max } = int
+  if (max < domainMin || min > domainMax) return BAD_INTERVAL
+
+  const defined = min >= domainMin && max <= domainMax
+  const clippedMin = Math.max(min, domainMin), clippedMax = Math.min(max, domainMax)
+
+  return increasing ?
+    applyIncreasing(f, int, defined, clippedMin, clippedMax) :
+    applyDecreasing(f, int, defined, clippedMin, clippedMax)
+}
+
+export function sqrtInternal (int) {
+  const res = applyOnDomain(Math.sqrt, 0, Infinity, int)
+  if (res.min < 0) res.min = 0
+
+  return res
+}
+
+export function expInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  const res = applyIncreasing(Math.exp, int)
+  if (res.min < 0) res.min = 0
+
+  return res
+}
+
+/**
+ * Make the interval version of a logarithm, which is defined on (0, Infinity]. If the interval includes 0, the minimum
+ * of the result is -Infinity.
+ * @param f {Function}
+ * @returns {Function}
+ */
+function logarithmInternal (f) {
+  return int => {
+    if (!int.defMax || int.max <= 0) return BAD_INTERVAL
+
+    const { min, max } = int
+
+    if (min <= 0) return intervalResult(-Infinity, roundUp(f(max)), [ int ], false)
+
+    return applyIncreasing(f, int)
+  }
+}
+
+export const lnInternal = logarithmInternal(Math.log)
+export const log2Internal = logarithmInternal(Math.log2)
+export const log10Internal = logarithmInternal(Math.log10)
+
+export function asinInternal (int) {
+  return applyOnDomain(Math.asin, -1, 1, int)
+}
+
+export function acosInternal (int) {
+  return applyOnDomain(Math.acos, -1, 1, int, false)
+}
+
+export function atanInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  return applyIncreasing(Math.atan, int)
+}
+
+export function sinhInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  return applyIncreasing(Math.sinh, int)
+}
+
+export function coshInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  const { min, max } = int
+
+  if (min >= 0) return applyIncreasing(Math.cosh, int)
+  if (max <= 0) return applyDecreasing(Math.cosh, int)
+
+  return intervalResult(1, roundUp(Math.cosh(Math.max(-min, max))), [ int ])
+}
+
+export function tanhInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  const res = applyIncreasing(Math.tanh, int)
+
+  res.min = Math.max(res.min, -1)
+  res.max = Math.min(res.max, 1)
+
+  return res
+}
+
+export function asinhInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  return applyIncreasing(Math.asinh, int)
+}
+
+export function acoshInternal (int) {
+  return applyOnDomain(Math.acosh, 1, Infinity, int)
+}
+
+/**
+ * atanh is defined on the open interval (-1, 1), going to ±Infinity at its ends
+ * @param int {RealInterval}
+ * @returns {RealInterval}
+ */
+export function atanhInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  const { min, max } = int
+  if (max <= -1 || min >= 1) return BAD_INTERVAL
+
+  const defined = min > -1 && max < 1
+  const lo = (min <= -1) ? -Infinity : roundDown(Math.atanh(min))
+  const hi = (max >= 1) ? Infinity : roundUp(Math.atanh(max))
+
+  return intervalResult(lo, hi, [ int ], defined)
+}
+
+export function absInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  const { min, max } = int
+
+  if (min >= 0) return intervalResult(min, max, [ int ])
+  if (max <= 0) return intervalResult(-max, -min, [ int ])
+
+  return intervalResult(0, Math.max(-min, max), [ int ])
+}
+
+/**
+ * floor is exact, but discontinuous at each integer. The result is only always continuous if the interval does not
+ * cross an integer.
+ * @param int {RealInterval}
+ * @returns {RealInterval}
+ */
+export function floorInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  const lo = Math.floor(int.min), hi = Math.floor(int.max)
+
+  return intervalResult(lo, hi, [ int ], true, lo === hi)
+}
+
+export function ceilInternal (int) {
+  if (!int.defMax) return BAD_INTERVAL
+
+  const lo = Math.ceil(int.min), hi = Math.ceil(int.max)
+
+  return intervalResult(lo, hi, [ int ], true, lo === hi)
+}
+
+/**
+ * Raise an interval to an integer power n.
+ * @param int {RealInterval}
+ * @param n {number}
+ * @returns {RealInterval}
+ */
+function powIntegerInternal (int, n) {
+  const { min, max } = int
+
+  if (n === 0) return intervalResult(1, 1, [ int ])
+  if (n < 0) return divideInternal(ONE, powIntegerInternal(int, -n))
+
+  if (n % 2 === 1) return applyIncreasing(x => Math.pow(x, n), int)
+
+  // Even powers are increasing in |x|
+  const absMin = (min <= 0 && max >= 0) ? 0 : Math.min(Math.abs(min), Math.abs(max))
+  const absMax = Math.max(Math.abs(min), Math.abs(max))
+
+  return intervalResult(Math.max(roundDown(Math.pow(absMin, n)), 0), roundUp(Math.pow(absMax, n)), [ int ])
+}
+
+/**
+ * Raise an interval to an interval power. If the exponent is an exact integer, negative bases are allowed; otherwise,
+ * consistent with Math.pow, the base is restricted to [0, Infinity], and for nonnegative bases a ^ b is monotonic in
+ * each argument, so the extrema are attained at the corners.
+ * @param int1 {RealInterval}
+ * @param int2 {RealInterval}
+ * @returns {RealInterval}
+ */
+export function powInternal (int1, int2) {
+  if (!int1.defMax || !int2.defMax) return BAD_INTERVAL
+
+  const { min: c, max: d } = int2
+
+  if (c === d && Number.isInteger(c)) {
+    const res = powIntegerInternal(int1, c)
+
+    return intervalResult(res.min, res.max, [ res, int2 ], res.defMin, res.contMin)
+  }
+
+  let { min: a, max: b } = int1
+  let defined = true, continuous = true
+
+  if (a < 0) {
+    // A non-exact exponent may contain integers, for which negative bases give defined results we don't track
+    if (c !== d) return intervalResult(-Infinity, Infinity, [ int1, int2 ], false, false)
+    if (b < 0) return BAD_INTERVAL
+
+    a = 0
+    defined = false
+  }
+
+  // 0 ^ (negative number) is a pole
+  if (a === 0 && c < 0) {
+    defined = false
+    continuous = false
+  }
+
+  const p1 = Math.pow(a, c), p2 = Math.pow(a, d), p3 = Math.pow(b, c), p4 = Math.pow(b, d)
+
+  // 1 ^ ±Infinity is NaN in JS
+  if (Number.isNaN(p1) || Number.isNaN(p2) || Number.isNaN(p3) || Number.isNaN(p4))
+    return intervalResult(0, Infinity, [ int1, int2 ], false, false)
+
+  const lo = Math.max(roundDown(Math.min(p1, p2, p3, p4)), 0)
+  const hi = roundUp(Math.max(p1, p2, p3, p4))
+
+  return intervalResult(lo, hi, [ int1, int2 ], defined, continuous)
+}
+
+/**
+ * Make a boolean interval from whether a comparison is certainly true and whether it is certainly false. An
+ * indeterminate comparison may flip within the inputs, so it is not always continuous.
+ * @param isTrue {boolean}
+ * @param isFalse {boolean}
+ * @param int1 {RealInterval}
+ * @param int2 {RealInterval}
+ * @returns {RealInterval}
+ */
+function booleanResult (isTrue, isFalse, int1, int2) {
+  if (isTrue) return intervalResult(1, 1, [ int1, int2 ])
+  if (isFalse) return intervalResult(0, 0, [ int1, int2 ])
+
+  return intervalResult(0, 1, [ int1, int2 ], true, false)
+}
+
+export function lessInternal (int1, int2) {
+  if (!int1.defMax || !int2.defMax) return BAD_INTERVAL
+
+  return booleanResult(int1.max < int2.min, int1.min >= int2.max, int1, int2)
+}
+
+export function lessEqualInternal (int1, int2) {
+  if (!int1.defMax || !int2.defMax) return BAD_INTERVAL
+
+  return booleanResult(int1.max <= int2.min, int1.min > int2.max, int1, int2)
+}
+
+export function greaterInternal (int1, int2) {
+  return lessInternal(int2, int1)
+}
+
+export function greaterEqualInternal (int1, int2) {
+  return lessEqualInternal(int2, int1)
+}
+
+export function equalInternal (int1, int2) {
+  if (!int1.defMax || !int2.defMax) return BAD_INTERVAL
+
+  const isTrue = int1.isExact() && int2.isExact() && int1.min === int2.min
+  const isFalse = int1.max < int2.min || int2.max < int1.min
+
+  return booleanResult(isTrue, isFalse, int1, int2)
+}
+
+export function notEqualInternal (int1, int2) {
+  const res = equalInternal(int1, int2)
+  if (!res.defMax) return res
+
+  return intervalResult(1 - res.max, 1 - res.min, [ res ])
+}
+
+/**
+ * Interval versions of common real functions, accepting {@link RealIntervalLike}s. The internal versions, which only
+ * accept RealIntervals, are stored under the property internal of each function.
+ * @namespace RealIntervalFunctions
+ */
+const RealIntervalFunctions = Object.freeze({
+  Add,
+  Subtract,
+  UnaryMinus,
+  Multiply,
+  Divide,
+  Pow: wrapIntervalFunction(powInternal),
+  Sqrt: wrapIntervalFunction(sqrtInternal, 1),
+  Exp: wrapIntervalFunction(expInternal, 1),
+  Ln: wrapIntervalFunction(lnInternal, 1),
+  Log2: wrapIntervalFunction(log2Internal, 1),
+  Log10: wrapIntervalFunction(log10Internal, 1),
+  Sin: wrapIntervalFunction(sinInternal, 1),
+  Cos: wrapIntervalFunction(cosInternal, 1),
+  Tan: wrapIntervalFunction(tanInternal, 1),
+  Asin: wrapIntervalFunction(asinInternal, 1),
+  Acos: wrapIntervalFunction(acosInternal, 1),
+  Atan: wrapIntervalFunction(atanInternal, 1),
+  Sinh: wrapIntervalFunction(sinhInternal, 1),
+  Cosh: wrapIntervalFunction(coshInternal, 1),
+  Tanh: wrapIntervalFunction(tanhInternal, 1),
+  Asinh: wrapIntervalFunction(asinhInternal, 1),
+  Acosh: wrapIntervalFunction(acoshInternal, 1),
+  Atanh: wrapIntervalFunction(atanhInternal, 1),
+  Abs: wrapIntervalFunction(absInternal, 1),
+  Floor: wrapIntervalFunction(floorInternal, 1),
+  Ceil: wrapIntervalFunction(ceilInternal, 1),
+  Less: wrapIntervalFunction(lessInternal),
+  LessEqual: wrapIntervalFunction(lessEqualInternal),
+  Greater: wrapIntervalFunction(greaterInternal),
+  GreaterEqual: wrapIntervalFunction(greaterEqualInternal),
+  Equal: wrapIntervalFunction(equalInternal),
+  NotEqual: wrapIntervalFunction(notEqualInternal)
+})
 
 export { RealIntervalFunctions }
@@ -162,20 +162,47 @@ export class RealInterval {
    * @returns {RealInterval}
    */
   static from (x, correctRounding = true) {
-    /* if (correctRounding && typeof x === 'string') {
-      const val = toExactFloat(x)
-
-      if (!Number.isNaN(val)) { return new RealInterval(val, val) }
-    } */
-
     const val = parseFloat(x)
 
     if (Number.isNaN(val)) { return BAD_INTERVAL }
 
+    if (!correctRounding || (typeof x === 'string' && isExactDecimal(x, val))) { return new RealInterval(val, val) }
+
     return new RealInterval(roundDown(val), roundUp(val))
   }
 }
 
+/**
+ * Whether a decimal string (like "0.25" or "1.5e-3") denotes exactly the float it was parsed to. The float is a dyadic
+ * rational M * 2^e, and the decimal is N * 10^k, so the two are compared exactly as native BigInts.
+ * @param str {string} Decimal string
+ * @param val {number} parseFloat(str)
+ * @returns {boolean}
+ * @private
+ */
+function isExactDecimal (str, val) {
+  const match = /^\s*[+-]?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?\s*$/i.exec(str)
+  if (!match || !Number.isFinite(val)) return false
+
+  const [ , intDigits, fracDigits = '', exponent = '0' ] = match
+  if (!intDigits && !fracDigits) return false
+
+  let n = globalThis.BigInt(intDigits + fracDigits)
+  let k = parseInt(exponent) - fracDigits.length
+
+  // Scaling by powers of two is exact, and a non-integer float is less than 2^53, so this cannot overflow
+  let m = Math.abs(val), e = 0
+  while (!Number.isInteger(m)) {
+    m *= 2
+    --e
+  }
+
+  let lhs = n * (k > 0 ? 10n ** globalThis.BigInt(k) : 1n) * (e < 0 ? 2n ** globalThis.BigInt(-e) : 1n)
+  let rhs = globalThis.BigInt(m) * (k < 0 ? 10n ** globalThis.BigInt(-k) : 1n)
+
+  return lhs === rhs
+}
+
 /**
  * Similar to a standard RealInterval, but supports tags, which is an object stored in a tags parameter. There are a
  * variety of tags that can be used, and there needs to be a balancing act between more tags for tighter and faster
@@ -230,7 +257,7 @@ export class RealIntervalSet {
    * @returns {boolean} true.
    */
   isSet () {
-    return false
+    return true
   }
 
   /**
@@ -253,8 +280,35 @@ export function getIntervals (int) {
   }
 }
 
+/**
+ * Construct the result of an interval function from its bounds, the arguments it was computed from, and whether the
+ * function itself is always defined and continuous on those arguments. The result is only always defined (continuous)
+ * if every argument is always defined (continuous) and the function is too; it is potentially defined if every argument
+ * is potentially defined. Used by the interval functions in basic_arithmetic.js and functions.js.
+ * @param min {number}
+ * @param max {number}
+ * @param args {RealInterval[]} The arguments to the interval function
+ * @param defined {boolean} Whether the function is defined on the entire input
+ * @param continuous {boolean} Whether the function is continuous on the entire input
+ * @returns {RealInterval}
+ */
+export function intervalResult (min, max, args, defined = true, continuous = true) {
+  let defMin = defined, defMax = true, contMin = continuous, contMax = true
+
+  for (let i = 0; i < args.length; ++i) {
+    const arg = args[i]
+
+    defMin = defMin && arg.defMin
+    defMax = defMax && arg.defMax
+    contMin = contMin && arg.contMin
+    contMax = contMax && arg.contMax
+  }
+
+  return new RealInterval(min, max, defMin, defMax, contMin, contMax)
+}
+
 /** Interval returned when a function is completely undefined. */
-const BAD_INTERVAL = Object.freeze(new RealInterval(NaN, NaN, false, false, false, false))
+export const BAD_INTERVAL = Object.freeze(new RealInterval(NaN, NaN, false, false, false, false))
 
 function evalIntervalSet1 (func, int1, furtherArgs) {
   const intervals = []
@@ -262,7 +316,7 @@ function evalIntervalSet1 (func, int1, furtherArgs) {
 
   for (const int of int1.intervals) {
     if (int.defMax) {
-      const res = func(int1, ...furtherArgs)
+      const res = func(int, ...furtherArgs)
 
       if (res.defMax) { // record the interval if it is defined
         intervals.push(res)
@@ -0,0 +1,447 @@
+/**
+ * Fallback renderer for environments without WebGL2 (older browsers, locked-down VMs, headless tests). It walks the
+ * same scene graph as the WebGL renderer and draws its instructions with a Canvas2D context. Because Canvas2D strokes
+ * and draws text natively, polylines and text don't need to be triangulated or packed into an atlas; the output is
+ * therefore comparable to the WebGL renderer's, though not identical. Layer contexts are drawn into offscreen canvases,
+ * then composited with globalAlpha and globalCompositeOperation.
+ */
+
+import {SceneGraph} from "./scene_graph.js"
+import {forEachTriangle} from "../algorithm/misc_geometry.js"
+
+const ENDCAPS = { butt: "butt", round: "round", square: "square" }
+
+// Canvas2D has no equivalent of the "dynamic" join (miter if short, round otherwise); its miter limit fallback is a bevel
+const JOINS = { bevel: "bevel", round: "round", miter: "miter", dynamic: "miter" }
+
+// Our miters are never limited, but Canvas2D requires some limit
+const MITER_LIMIT = 100
+
+// Composite operations of layer blend modes
+const COMPOSITE_OPERATIONS = { normal: "source-over", multiply: "multiply", screen: "screen", additive: "lighter" }
+
+// Text anchoring by TextStyle align and baseline
+const TEXT_ALIGNS = { left: "left", center: "center", right: "right" }
+const TEXT_BASELINES = { top: "top", middle: "middle", bottom: "bottom", alphabetic: "alphabetic" }
+
+/**
+ * Convert a color into a CSS color string
+ * @param color {{r: number, g: number, b: number, a: number}}
+ * @returns {string}
+ */
+function colorToCSS (color) {
+  return `rgba(${Math.round(color.r)},${Math.round(color.g)},${Math.round(color.b)},${(color.a ?? 255) / 255})`
+}
+
+export class Canvas2DRenderer {
+  /**
+   * @param canvas {HTMLCanvasElement|OffscreenCanvas} Canvas to draw to; if not given, a new canvas is created
+   */
+  constructor (canvas=null) {
+    canvas = canvas ?? document.createElement("canvas")
+    const ctx = canvas.getContext("2d")
+
+    if (!ctx) throw new Error("Canvas2DRenderer requires a 2D canvas context, which is unavailable.")
+
+    /**
+     * The main rendering buffer
+     * @type {HTMLCanvasElement}
+     */
+    this.canvas = canvas
+
+    /**
+     * The renderer's 2D context
+     * @type {CanvasRenderingContext2D}
+     */
+    this.ctx = ctx
+
+    this.dpr = 1
+
+    /**
+     * Offscreen canvases into which layers are drawn, by depth of nesting
+     * @type {Array<HTMLCanvasElement|OffscreenCanvas>}
+     */
+    this.layerCanvases = []
+
+    /**
+     * Canvases holding the pixel data of image instructions, which Canvas2D can't draw directly, by texture key
+     * @type {Map<string, {version: number, canvas: HTMLCanvasElement|OffscreenCanvas}>}
+     */
+    this.imageCanvases = new Map()
+  }
+
+  /**
+   * Create a canvas into which a layer is drawn
+   * @param width {number}
+   * @param height {number}
+   * @returns {HTMLCanvasElement|OffscreenCanvas}
+   */
+  createLayerCanvas (width, height) {
+    if (typeof globalThis.OffscreenCanvas !== "undefined") return new globalThis.OffscreenCanvas(width, height)
+
+    const canvas = document.createElement("canvas")
+
+    canvas.width = width
+    canvas.height = height
+
+    return canvas
+  }
+
+  /**
+   * Get the cleared 2D context of the layer canvas at a given depth of nesting, of the size of the canvas, with the
+   * transform from CSS pixels
+   * @param depth {number}
+   * @returns {CanvasRenderingContext2D}
+   */
+  getLayerContext (depth) {
+    const { width, height } = this.canvas
+    let canvas = this.layerCanvases[depth]
+
+    if (!canvas) {
+      canvas = this.layerCanvases[depth] = this.createLayerCanvas(width, height)
+    } else if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width
+      canvas.height = height
+    }
+
+    const ctx = canvas.getContext("2d")
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, width, height)
+    ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0)
+
+    return ctx
+  }
+
+  /**
+   * Resize the canvas to the given size in CSS pixels and fill it with the given color
+   * @param width {number}
+   * @param height {number}
+   * @param dpr {number}
+   * @param clear {Color}
+   */
+  clearAndResizeCanvas (width, height, dpr=1, clear) {
+    const { canvas, ctx } = this
+
+    this.dpr = dpr
+
+    if (canvas.width !== width * dpr || canvas.height !== height * dpr) {
+      canvas.width = width * dpr
+      canvas.height = height * dpr
+    }
+
+    // Instructions are in CSS pixels
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    ctx.clearRect(0, 0, width, height)
+
+    if (clear && clear.a) {
+      ctx.fillStyle = colorToCSS(clear)
+      ctx.fillRect(0, 0, width, height)
+    }
+  }
+
+  renderScene (scene) {
+    if (scene.isUpdatingAsync()) {
+      scene.updateAllAsync()
+    } else {
+      scene.updateAll()
+    }
+
+    const graph = new SceneGraph()
+
+    graph.constructFromScene(scene)
+    graph.computeInstructions()
+
+    // For each entered context, whether it saved the context state, to be restored when it is popped, or, for layers,
+    // the layer to composite into the context it was entered from
+    const contexts = []
+
+    graph.forEachInstruction(instruction => {
+      switch (instruction.type) {
+        case "scene": {
+          const { dims, backgroundColor } = instruction
+
+          this.clearAndResizeCanvas(dims.width, dims.height, dims.dpr, backgroundColor)
+          contexts.push(false)
+
+          break
+        }
+        case "scissor": {
+          const box = instruction.scissor
+          const { ctx } = this
+
+          ctx.save()
+          ctx.beginPath()
+          ctx.rect(box.x, box.y, box.w, box.h)
+          ctx.clip()
+
+          contexts.push(true)
+
+          break
+        }
+        case "layer": {
+          const depth = contexts.filter(c => c?.layer).length
+          const layerCtx = this.getLayerContext(depth)
+
+          contexts.push({ layer: instruction, parent: this.ctx, canvas: this.layerCanvases[depth] })
+          this.ctx = layerCtx
+
+          break
+        }
+        case "polyline":
+          this.drawPolyline(instruction.vertices, instruction.pen)
+          break
+        case "triangle_strip":
+          this.drawTriangleStrip(instruction.vertices, instruction.color)
+          break
+        case "colored_triangle_strip":
+        case "colored_triangles":
+          this.drawColoredTriangles(instruction.vertices, instruction.colors, instruction.type === "colored_triangle_strip")
+          break
+        case "text":
+          this.drawText(instruction)
+          break
+        case "image":
+          this.drawImage(instruction)
+          break
+        case "debug": {
+          const rect = instruction.rect
+          if (!rect) throw new Error("Unrecognized debug instruction")
+
+          const { ctx } = this
+
+          ctx.strokeStyle = "red"
+          ctx.lineWidth = 1
+          ctx.setLineDash([])
+          ctx.strokeRect(rect.x, rect.y, rect.w, rect.h)
+
+          break
+        }
+        case "pop_context": {
+          const popped = contexts.pop()
+
+          if (popped?.layer) {
+            this.ctx = popped.parent
+            this.compositeLayer(popped.canvas, popped.layer.opacity ?? 1, popped.layer.blend ?? "normal")
+          } else if (popped) {
+            this.ctx.restore()
+          }
+
+          break
+        }
+        default:
+          throw new Error(`Unknown instruction type ${instruction.type}`)
+      }
+    })
+  }
+
+  /**
+   * Composite a layer's canvas into the current context
+   * @param canvas {HTMLCanvasElement|OffscreenCanvas}
+   * @param opacity {number}
+   * @param blend {string} "normal", "multiply", "screen" or "additive"
+   */
+  compositeLayer (canvas, opacity, blend) {
+    const { ctx } = this
+    const operation = COMPOSITE_OPERATIONS[blend]
+
+    if (!operation) throw new Error(`Unknown blend mode ${blend}`)
+
+    ctx.save()
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.globalAlpha = opacity
+    ctx.globalCompositeOperation = operation
+    ctx.drawImage(canvas, 0, 0)
+    ctx.restore()
+  }
+
+  drawPolyline (vertices, pen) {
+    if (!pen || pen.visible === false) return
+
+    const { ctx } = this
+
+    ctx.beginPath()
+
+    let penDown = false
+    for (let i = 0; i < vertices.length; i += 2) {
+      let x = vertices[i], y = vertices[i + 1]
+
+      // NaN vertices break the polyline
+      if (Number.isNaN(x) || Number.isNaN(y)) {
+        penDown = false
+      } else if (penDown) {
+        ctx.lineTo(x, y)
+      } else {
+        ctx.moveTo(x, y)
+        penDown = true
+      }
+    }
+
+    ctx.strokeStyle = colorToCSS(pen.color)
+    ctx.lineWidth = pen.thickness
+    ctx.lineCap = ENDCAPS[pen.endcap] ?? "butt"
+    ctx.lineJoin = JOINS[pen.join] ?? "miter"
+    ctx.miterLimit = (pen.join === "miter") ? MITER_LIMIT : 10
+    ctx.setLineDash(pen.dashPattern ?? [])
+    ctx.lineDashOffset = pen.dashOffset ?? 0
+
+    ctx.stroke()
+  }
+
+  /**
+   * Add a triangle, given by the indices of its vertices, to the current path, unless it is degenerate. The triangle is
+   * made counterclockwise so that overlapping triangles don't cancel under the nonzero fill rule.
+   * @param vertices {Float32Array}
+   * @param i1 {number}
+   * @param i2 {number}
+   * @param i3 {number}
+   */
+  traceTriangle (vertices, i1, i2, i3) {
+    const { ctx } = this
+
+    let x1 = vertices[2 * i1], y1 = vertices[2 * i1 + 1]
+    let x2 = vertices[2 * i2], y2 = vertices[2 * i2 + 1]
+    let x3 = vertices[2 * i3], y3 = vertices[2 * i3 + 1]
+
+    let area = (x2 - x1) * (y3 - y1) - (x3 - x1) * (y2 - y1)
+    if (!area) return  // degenerate or NaN
+
+    ctx.moveTo(x1, y1)
+
+    if (area > 0) {
+      ctx.lineTo(x2, y2)
+      ctx.lineTo(x3, y3)
+    } else {
+      ctx.lineTo(x3, y3)
+      ctx.lineTo(x2, y2)
+    }
+
+    ctx.closePath()
+  }
+
+  drawTriangleStrip (vertices, color) {
+    const { ctx } = this
+
+    // All triangles are filled as one path, so that translucent strips aren't darkened where triangles meet
+    ctx.beginPath()
+    forEachTriangle(vertices.length / 2, true, (i1, i2, i3) => this.traceTriangle(vertices, i1, i2, i3))
+
+    ctx.fillStyle = colorToCSS(color)
+    ctx.fill()
+  }
+
+  /**
+   * Draw triangles with per-vertex colors. Canvas2D can't interpolate colors across a triangle, so each triangle is
+   * filled with the average color of its vertices, and triangles of the same color are filled as one path.
+   * @param vertices {Float32Array}
+   * @param colors {Uint8Array} RGBA colors, four per vertex
+   * @param isStrip {boolean}
+   */
+  drawColoredTriangles (vertices, colors, isStrip) {
+    const { ctx } = this
+
+    // Map of CSS color -> triangles
+    const triangles = new Map()
+
+    forEachTriangle(vertices.length / 2, isStrip, (i1, i2, i3) => {
+      const [ r, g, b, a ] = [ 0, 1, 2, 3 ].map(c => (colors[4 * i1 + c] + colors[4 * i2 + c] + colors[4 * i3 + c]) / 3)
+      const color = colorToCSS({ r, g, b, a: Math.round(a) })
+
+      if (!triangles.has(color)) triangles.set(color, [])
+      triangles.get(color).push(i1, i2, i3)
+    })
+
+    for (const [ color, indices ] of triangles) {
+      ctx.beginPath()
+
+      for (let i = 0; i < indices.length; i += 3) this.traceTriangle(vertices, indices[i], indices[i + 1], indices[i + 2])
+
+      ctx.fillStyle = color
+      ctx.fill()
+    }
+  }
+
+  drawText (instruction) {
+    const { ctx } = this
+    const style = instruction.style ?? {}
+    const { x, y } = instruction.pos
+    const shadowRadius = style.shadowRadius ?? 0
+
+    ctx.save()
+
+    // Rotate about the anchor; Canvas2D rotations are clockwise
+    ctx.translate(x, y)
+    if (style.rotation) ctx.rotate(-style.rotation)
+
+    ctx.font = `${style.fontSize}px ${style.font}`
+    ctx.textAlign = TEXT_ALIGNS[style.align] ?? "center"
+    ctx.textBaseline = TEXT_BASELINES[style.baseline] ?? "middle"
+
+    if (shadowRadius) {
+      ctx.strokeStyle = colorToCSS(style.shadowColor ?? { r: 255, g: 255, b: 255, a: 255 })
+      ctx.lineWidth = shadowRadius
+      ctx.lineJoin = "round"
+      ctx.setLineDash([])
+
+      ctx.strokeText(instruction.text, 0, 0)
+    }
+
+    ctx.fillStyle = colorToCSS(style.color ?? { r: 0, g: 0, b: 0, a: 255 })
+    ctx.fillText(instruction.text, 0, 0)
+
+    ctx.restore()
+  }
+
+  /**
+   * Get a drawable image of an image instruction's source, putting pixel data into a canvas (kept until the source
+   * changes)
+   * @param instruction {{}}
+   * @returns {CanvasImageSource}
+   */
+  getImageSource (instruction) {
+    const { source, textureKey, sourceVersion } = instruction
+    if (!ArrayBuffer.isView(source.data)) return source
+
+    let cached = this.imageCanvases.get(textureKey)
+
+    if (!cached || cached.version !== sourceVersion) {
+      const { data, width, height } = source
+      const canvas = cached?.canvas ?? this.createLayerCanvas(width, height)
+
+      canvas.width = width
+      canvas.height = height
+      canvas.getContext("2d").putImageData(new globalThis.ImageData(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width, height), 0, 0)
+
+      cached = { version: sourceVersion, canvas }
+      this.imageCanvases.set(textureKey, cached)
+    }
+
+    return cached.canvas
+  }
+
+  drawImage (instruction) {
+    const { ctx } = this
+    const { vertices, smoothing, opacity } = instruction
+    const image = this.getImageSource(instruction)
+    const { width, height } = instruction.source
+
+    ctx.save()
+
+    // Map the image onto the parallelogram of its top left, top right and bottom left corners
+    ctx.transform(
+      (vertices[2] - vertices[0]) / width, (vertices[3] - vertices[1]) / width,
+      (vertices[4] - vertices[0]) / height, (vertices[5] - vertices[1]) / height,
+      vertices[0], vertices[1])
+
+    ctx.imageSmoothingEnabled = smoothing ?? true
+    ctx.globalAlpha = opacity ?? 1
+    ctx.drawImage(image, 0, 0)
+
+    ctx.restore()
+  }
+
+  renderDOMScene (scene) {
+    this.renderScene(scene)
+    scene.displayCanvas(this.canvas)
+  }
+}
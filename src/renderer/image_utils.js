@@ -0,0 +1,192 @@
+/**
+ * Utilities for RGBA images of the form { data: Uint8ClampedArray, width, height } (like ImageData), as produced by the
+ * SoftwareRenderer: a minimal PNG encoder, so that rendered images can be saved and inspected, and a pixel diff, so that
+ * they can be compared against reference images in tests.
+ */
+
+const PNG_SIGNATURE = [ 137, 80, 78, 71, 13, 10, 26, 10 ]
+
+// Largest amount of data in a stored (uncompressed) deflate block
+const MAX_STORED_BLOCK = 65535
+
+let crcTable = null
+
+function getCRCTable () {
+  if (crcTable) return crcTable
+
+  crcTable = new Uint32Array(256)
+
+  for (let n = 0; n < 256; ++n) {
+    let c = n
+
+    for (let k = 0; k < 8; ++k) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1)
+    crcTable[n] = c >>> 0
+  }
+
+  return crcTable
+}
+
+/**
+ * CRC-32 of a range of bytes, as used by PNG chunks
+ * @param bytes {Uint8Array}
+ * @param start {number}
+ * @param end {number}
+ * @returns {number}
+ */
+export function crc32 (bytes, start=0, end=bytes.length) {
+  const table = getCRCTable()
+  let c = 0xffffffff
+
+  for (let i = start; i < end; ++i) c = table[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+
+  return (c ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Adler-32 checksum of some bytes, as used by zlib streams
+ * @param bytes {Uint8Array}
+ * @returns {number}
+ */
+function adler32 (bytes) {
+  let a = 1, b = 0
+
+  for (let i = 0; i < bytes.length; ++i) {
+    a = (a + bytes[i]) % 65521
+    b = (b + a) % 65521
+  }
+
+  return ((b << 16) | a) >>> 0
+}
+
+/**
+ * Wrap bytes in a zlib stream of stored (uncompressed) deflate blocks
+ * @param bytes {Uint8Array}
+ * @returns {Uint8Array}
+ */
+function zlibStore (bytes) {
+  const blockCount = Math.max(Math.ceil(bytes.length / MAX_STORED_BLOCK), 1)
+  const out = new Uint8Array(2 + 5 * blockCount + bytes.length + 4)
+
+  // Deflate, 32K window, no preset dictionary, lowest compression level
+  out[0] = 0x78
+  out[1] = 0x01
+
+  let offset = 2
+
+  for (let i = 0; i < blockCount; ++i) {
+    const start = i * MAX_STORED_BLOCK
+    const len = Math.min(bytes.length - start, MAX_STORED_BLOCK)
+
+    out[offset] = (i === blockCount - 1) ? 1 : 0  // BFINAL, stored
+    out[offset + 1] = len & 0xff
+    out[offset + 2] = len >>> 8
+    out[offset + 3] = ~len & 0xff
+    out[offset + 4] = (~len >>> 8) & 0xff
+
+    out.set(bytes.subarray(start, start + len), offset + 5)
+    offset += 5 + len
+  }
+
+  new DataView(out.buffer).setUint32(offset, adler32(bytes))
+
+  return out
+}
+
+/**
+ * Encode an RGBA image as a PNG (8 bits per channel, no filtering). By default the pixel data is stored uncompressed,
+ * which keeps the encoder small; a zlib compressor (like Node's zlib.deflateSync) may be given to produce smaller files.
+ * @param image {{data: Uint8ClampedArray|Uint8Array, width: number, height: number}}
+ * @param opts {{}}
+ * @param opts.deflate {Function} Function taking a Uint8Array and returning it as a zlib stream
+ * @returns {Uint8Array}
+ */
+export function encodePNG (image, opts={}) {
+  const { data, width, height } = image
+
+  if (data.length !== 4 * width * height)
+    throw new Error(`Image data has length ${data.length}, but an RGBA image of ${width}x${height} needs ${4 * width * height}`)
+
+  // Each scanline is preceded by its filter type, which is always 0 (none)
+  const stride = 4 * width
+  const raw = new Uint8Array((stride + 1) * height)
+
+  for (let y = 0; y < height; ++y) {
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1)
+  }
+
+  const compressed = opts.deflate ? new Uint8Array(opts.deflate(raw)) : zlibStore(raw)
+
+  const header = new Uint8Array(13)
+  const headerView = new DataView(header.buffer)
+
+  headerView.setUint32(0, width)
+  headerView.setUint32(4, height)
+  header[8] = 8  // bit depth
+  header[9] = 6  // color type: RGBA
+  // compression, filter and interlace methods are all 0
+
+  const chunks = [ [ "IHDR", header ], [ "IDAT", compressed ], [ "IEND", new Uint8Array(0) ] ]
+  const out = new Uint8Array(PNG_SIGNATURE.length + chunks.reduce((len, [ , chunk ]) => len + chunk.length + 12, 0))
+  const view = new DataView(out.buffer)
+
+  out.set(PNG_SIGNATURE)
+  let offset = PNG_SIGNATURE.length
+
+  for (const [ type, chunk ] of chunks) {
+    view.setUint32(offset, chunk.length)
+    for (let i = 0; i < 4; ++i) out[offset + 4 + i] = type.charCodeAt(i)
+
+    out.set(chunk, offset + 8)
+
+    // The CRC covers the chunk's type and data
+    view.setUint32(offset + 8 + chunk.length, crc32(out, offset + 4, offset + 8 + chunk.length))
+    offset += chunk.length + 12
+  }
+
+  return out
+}
+
+/**
+ * Compare two RGBA images pixel by pixel. Pixels differ if any of their channels differ by more than the threshold.
+ * Returns the number of differing pixels, the largest difference of any channel, and an image highlighting the
+ * differing pixels in red over a faded copy of the first image.
+ * @param a {{data: Uint8ClampedArray, width: number, height: number}}
+ * @param b {{data: Uint8ClampedArray, width: number, height: number}}
+ * @param opts {{}}
+ * @param opts.threshold {number} Largest difference in a channel which is tolerated (default 0)
+ * @returns {{count: number, maxDifference: number, image: {data: Uint8ClampedArray, width: number, height: number}}}
+ */
+export function diffImages (a, b, opts={}) {
+  const threshold = opts.threshold ?? 0
+  const { width, height } = a
+
+  if (width !== b.width || height !== b.height)
+    throw new Error(`Cannot compare images of different sizes (${width}x${height} and ${b.width}x${b.height})`)
+
+  const data = new Uint8ClampedArray(4 * width * height)
+  let count = 0, maxDifference = 0
+
+  for (let i = 0; i < data.length; i += 4) {
+    let difference = 0
+
+    for (let c = 0; c < 4; ++c) difference = Math.max(difference, Math.abs(a.data[i + c] - b.data[i + c]))
+
+    maxDifference = Math.max(maxDifference, difference)
+
+    if (difference > threshold) {
+      count++
+
+      data[i] = 255
+      data[i + 1] = data[i + 2] = 0
+    } else {
+      // Faded grayscale of the first image, over white
+      const gray = 255 - (255 - (a.data[i] + a.data[i + 1] + a.data[i + 2]) / 3) * (a.data[i + 3] / 255)
+
+      data[i] = data[i + 1] = data[i + 2] = 255 - (255 - gray) / 4
+    }
+
+    data[i + 3] = 255
+  }
+
+  return { count, maxDifference, image: { data, width, height } }
+}
@@ -0,0 +1,233 @@
+import {createRenderer} from "./renderer.js"
+
+// Number of recent frames over which frame times are averaged
+const STATS_WINDOW = 60
+
+/**
+ * Whether a scene has changed since it was last rendered: an element has changed properties or needs updating, or an
+ * element was removed (seen as a change in the number of elements; added elements always need updating)
+ * @param scene {Scene}
+ * @param elementCount {number} Number of elements in the scene when it was last rendered
+ * @returns {boolean}
+ */
+function hasSceneChanged (scene, elementCount) {
+  let changed = false
+  let count = 0
+
+  scene.apply(elem => {
+    count++
+    if (elem.props.hasChangedProperties || elem.updateStage !== 100) changed = true
+  })
+
+  return changed || count !== elementCount
+}
+
+/**
+ * Schedules the rendering of any number of InteractiveScenes through one shared renderer. Requests to render (see
+ * InteractiveScene.requestRender) are coalesced into a single animation frame, in which only the registered scenes which
+ * have changed since they were last rendered, or whose render was forced, are rendered. Scenes which are updating
+ * asynchronously are rendered each frame until their update completes, so that its progress is shown. Frame times are
+ * recorded (see getStats).
+ */
+export class RenderLoop {
+  /**
+   * @param opts {{}}
+   * @param opts.renderer {WebGLRenderer|Canvas2DRenderer} Renderer to use; if not given, one is created with
+   * createRenderer when first needed
+   * @param opts.requestFrame {Function} Function scheduling a callback for the next frame (default requestAnimationFrame)
+   * @param opts.cancelFrame {Function} Function cancelling a scheduled callback (default cancelAnimationFrame)
+   */
+  constructor (opts={}) {
+    this.renderer = opts.renderer ?? null
+
+    this.requestFrame = opts.requestFrame ?? (callback => globalThis.requestAnimationFrame(callback))
+    this.cancelFrame = opts.cancelFrame ?? (handle => globalThis.cancelAnimationFrame(handle))
+
+    /**
+     * Map of scene ids to registered scenes and their state: { scene, forced, elementCount, updatingAsync }, where
+     * elementCount is -1 if the scene has never been rendered
+     * @type {Map<string, {}>}
+     */
+    this.scenes = new Map()
+
+    /**
+     * Handle of the scheduled frame, if any
+     * @type {*}
+     */
+    this.pendingFrame = null
+
+    this.resetStats()
+  }
+
+  /**
+   * Get the renderer, creating it if necessary
+   * @returns {WebGLRenderer|Canvas2DRenderer}
+   */
+  getRenderer () {
+    if (!this.renderer) this.renderer = createRenderer()
+
+    return this.renderer
+  }
+
+  /**
+   * Register a scene, so that it is rendered in the next frames in which it has changed
+   * @param scene {InteractiveScene}
+   * @returns {{}} The scene's state
+   */
+  add (scene) {
+    let entry = this.scenes.get(scene.id)
+
+    if (!entry) {
+      entry = { scene, forced: false, elementCount: -1, updatingAsync: false }
+      this.scenes.set(scene.id, entry)
+    }
+
+    return entry
+  }
+
+  /**
+   * Unregister a scene, freeing the renderer's resources for it
+   * @param scene {InteractiveScene}
+   */
+  remove (scene) {
+    if (!this.scenes.delete(scene.id)) return
+
+    this.renderer?.deleteSceneCache?.(scene)
+    if (this.scenes.size === 0) this.cancel()
+  }
+
+  /**
+   * Request that a scene be rendered in the next frame, registering it if necessary. Unless forced, the scene is only
+   * rendered if it has changed by then.
+   * @param scene {InteractiveScene}
+   * @param force {boolean}
+   */
+  requestRender (scene, force=false) {
+    const entry = this.add(scene)
+    if (force) entry.forced = true
+
+    this.schedule()
+  }
+
+  /**
+   * Schedule a frame, if one isn't already scheduled
+   */
+  schedule () {
+    if (this.pendingFrame === null) this.pendingFrame = this.requestFrame(() => this.frame())
+  }
+
+  /**
+   * Cancel the scheduled frame, if any
+   */
+  cancel () {
+    if (this.pendingFrame !== null) {
+      this.cancelFrame(this.pendingFrame)
+      this.pendingFrame = null
+    }
+  }
+
+  /**
+   * Whether a registered scene should be rendered in the next frame
+   * @param scene {InteractiveScene}
+   * @returns {boolean}
+   */
+  isDirty (scene) {
+    const entry = this.scenes.get(scene.id)
+    if (!entry) return false
+
+    return entry.forced || entry.updatingAsync || scene.isUpdatingAsync() || hasSceneChanged(scene, entry.elementCount)
+  }
+
+  /**
+   * Render a scene immediately, registering it if necessary
+   * @param scene {InteractiveScene}
+   */
+  render (scene) {
+    const entry = this.add(scene)
+
+    // An asynchronous update in progress must be rendered again next frame, even if it completes in between
+    entry.updatingAsync = scene.isUpdatingAsync()
+    entry.forced = false
+
+    this.getRenderer().renderDOMScene(scene)
+
+    let count = 0
+    scene.apply(() => { count++ })
+
+    entry.elementCount = count
+    entry.updatingAsync = entry.updatingAsync || scene.isUpdatingAsync()
+  }
+
+  /**
+   * Render the dirty scenes. Called by the scheduled frame.
+   */
+  frame () {
+    this.pendingFrame = null
+
+    const start = performance.now()
+    let rendered = 0
+
+    for (const { scene } of Array.from(this.scenes.values())) {
+      if (this.isDirty(scene)) {
+        this.render(scene)
+        rendered++
+      }
+    }
+
+    this.recordFrame(performance.now() - start, rendered, this.scenes.size - rendered)
+
+    // Keep rendering while asynchronous updates are in progress
+    for (const entry of this.scenes.values()) {
+      if (entry.updatingAsync) {
+        this.schedule()
+        break
+      }
+    }
+  }
+
+  /**
+   * @param frameTime {number} Time spent in the frame, in milliseconds
+   * @param rendered {number} Number of scenes rendered
+   * @param skipped {number} Number of unchanged scenes which were not rendered
+   */
+  recordFrame (frameTime, rendered, skipped) {
+    const stats = this.stats
+    const recent = this.recentFrameTimes
+
+    recent.push(frameTime)
+    if (recent.length > STATS_WINDOW) recent.shift()
+
+    stats.frames++
+    stats.scenesRendered += rendered
+    stats.scenesSkipped += skipped
+    stats.lastFrameTime = frameTime
+    stats.averageFrameTime = recent.reduce((sum, t) => sum + t, 0) / recent.length
+    stats.maxFrameTime = Math.max(stats.maxFrameTime, frameTime)
+  }
+
+  /**
+   * Get statistics of the frames rendered since the loop was created (or the statistics were reset). Frame times, in
+   * milliseconds, are the time spent rendering in each frame; the average is over the last 60 frames.
+   * @returns {{frames: number, scenesRendered: number, scenesSkipped: number, lastFrameTime: number, averageFrameTime: number, maxFrameTime: number}}
+   */
+  getStats () {
+    return { ...this.stats }
+  }
+
+  resetStats () {
+    this.stats = { frames: 0, scenesRendered: 0, scenesSkipped: 0, lastFrameTime: 0, averageFrameTime: 0, maxFrameTime: 0 }
+    this.recentFrameTimes = []
+  }
+}
+
+let defaultRenderLoop = null
+
+/**
+ * Get the render loop shared by all InteractiveScenes which don't have their own
+ * @returns {RenderLoop}
+ */
+export function getDefaultRenderLoop () {
+  if (!defaultRenderLoop) defaultRenderLoop = new RenderLoop()
+
+  return defaultRenderLoop
+}
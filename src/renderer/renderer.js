@@ -69,9 +69,9 @@
  * instructions which are very prone to change and where its values should be tied solely to the element updating.
  */
 
-import {TextRenderer} from "./text_renderer.js"
 import {Colors, Pen} from "../styles/definitions.js"
 import {SceneGraph} from "./scene_graph.js"
+import {Canvas2DRenderer} from "./canvas_2d_renderer.js"
 
 // Functions taken from Mozilla docs
 function createShaderFromSource (gl, shaderType, shaderSource) {
@@ -125,7 +125,7 @@ void main() {
 }`
 }
 
-const MulticolorGeometryProgram = [`
+const MulticolorGeometryProgram = { vert: `
 precision highp float;
 attribute vec2 vertexPosition;
 attribute vec4 vertexColor;
@@ -140,16 +140,13 @@ vec2 displacement = vec2(-1, 1);
 void main() {
    gl_Position = vec4(vertexPosition * xyScale + displacement, 0, 1);
    fragmentColor = vertexColor;
-}`, `
+}`, frag: `
 precision highp float;
 varying vec4 fragmentColor;
   
 void main() {
    gl_FragColor = fragmentColor;
-}`,
-
-  ["vertexPosition", "vertexColor"], ["xyScale"]
-]
+}`}
 
 const TextProgram = { vert: `
 precision highp float;
@@ -168,27 +165,160 @@ void main() {
 }`, frag: `
 precision highp float;
         
+// Colors of the text and its halo, not premultiplied
 uniform vec4 color;
+uniform vec4 shadowColor;
 uniform sampler2D textAtlas;
         
 varying vec2 texCoord;
         
 void main() {
-  gl_FragColor = texture2D(textAtlas, texCoord);
+  // The atlas stores the coverage of the text in red and the coverage of its halo in green
+  vec4 coverage = texture2D(textAtlas, texCoord);
+
+  float textAlpha = color.a * coverage.r;
+  float haloAlpha = shadowColor.a * coverage.g * (1.0 - textAlpha);
+  float alpha = textAlpha + haloAlpha;
+
+  if (alpha <= 0.0) discard;
+
+  // Text over its halo
+  gl_FragColor = vec4((color.rgb * textAlpha + shadowColor.rgb * haloAlpha) / alpha, alpha);
+}`}
+
+const SDFTextProgram = { vert: `
+precision highp float;
+attribute vec2 vertexPosition;
+attribute vec2 texCoords;
+
+uniform vec2 xyScale;
+uniform vec2 textureSize;
+
+varying vec2 texCoord;
+vec2 displace = vec2(-1, 1);
+
+void main() {
+  gl_Position = vec4(vertexPosition * xyScale + displace, 0, 1);
+  texCoord = texCoords / textureSize;
+}`, frag: `
+precision highp float;
+
+// Colors of the text and its outline, not premultiplied
+uniform vec4 color;
+uniform vec4 shadowColor;
+uniform sampler2D sdfAtlas;
+
+// Distance values of the edges of the glyph and of its outline, and the half width of their antialiasing, which depend
+// on the size of the text
+uniform float edge;
+uniform float haloEdge;
+uniform float smoothing;
+
+varying vec2 texCoord;
+
+void main() {
+  float dist = texture2D(sdfAtlas, texCoord).r;
+
+  float textAlpha = color.a * smoothstep(edge - smoothing, edge + smoothing, dist);
+  float haloAlpha = shadowColor.a * smoothstep(haloEdge - smoothing, haloEdge + smoothing, dist) * (1.0 - textAlpha);
+  float alpha = textAlpha + haloAlpha;
+
+  if (alpha <= 0.0) discard;
+
+  // Text over its outline
+  gl_FragColor = vec4((color.rgb * textAlpha + shadowColor.rgb * haloAlpha) / alpha, alpha);
 }`}
 
+// Draws a layer, whose colors are premultiplied, over the whole canvas
+const LayerCompositeProgram = { vert: `
+precision highp float;
+attribute vec2 vertexPosition;
+
+void main() {
+  gl_Position = vec4(vertexPosition, 0, 1);
+}`, frag: `
+precision highp float;
+
+uniform sampler2D layer;
+uniform vec2 layerSize;
+uniform float opacity;
+
+void main() {
+  gl_FragColor = texture2D(layer, gl_FragCoord.xy / layerSize) * opacity;
+}`}
+
+// Draws an image, whose colors are not premultiplied, with an opacity
+const ImageProgram = { vert: `
+precision highp float;
+attribute vec2 vertexPosition;
+attribute vec2 texCoords;
+
+uniform vec2 xyScale;
+
+varying vec2 texCoord;
+vec2 displace = vec2(-1, 1);
+
+void main() {
+  gl_Position = vec4(vertexPosition * xyScale + displace, 0, 1);
+  texCoord = texCoords;
+}`, frag: `
+precision highp float;
+
+uniform sampler2D image;
+uniform float opacity;
+
+varying vec2 texCoord;
+
+void main() {
+  gl_FragColor = texture2D(image, texCoord) * vec4(1, 1, 1, opacity);
+}`}
+
+// Blend functions (source and destination factors of the color, then of the alpha) with which layers are composited.
+// Multiply is exact over an opaque backdrop; over a transparent one, it draws nothing.
+const LAYER_BLEND_FUNCTIONS = {
+  normal: [ "ONE", "ONE_MINUS_SRC_ALPHA", "ONE", "ONE_MINUS_SRC_ALPHA" ],
+  multiply: [ "DST_COLOR", "ONE_MINUS_SRC_ALPHA", "ONE", "ONE_MINUS_SRC_ALPHA" ],
+  screen: [ "ONE", "ONE_MINUS_SRC_COLOR", "ONE", "ONE_MINUS_SRC_ALPHA" ],
+  additive: [ "ONE", "ONE", "ONE", "ONE" ]
+}
+
 /**
  * Currently accepted draw calls:
  *
  * Triangle strip: { type: "triangle_strip", vertices: Float32Array, color: { r: (int), g: (int), b: (int), a: (int) } }
+ * Colored triangle strip: { type: "colored_triangle_strip", vertices: Float32Array, colors: Uint8Array } (RGBA colors,
+ *   four bytes per vertex; also compiled from batches of differently colored instructions)
+ * Colored triangles: { type: "colored_triangles", vertices: Float32Array, colors: Uint8Array } (each three vertices are
+ *   a triangle)
  * Debug: { type: "debug" }
- * Text: { type: "text", font: (string), x: (float), y: (float), color: { r: ... } }
+ * Text: { type: "text", text: (string), pos: Vec2, style: TextStyle } (the style's color, halo, align, baseline and
+ *   rotation are honored)
+ * Image: { type: "image", vertices: Float32Array, source, textureKey: (string), sourceVersion: (int), smoothing: (bool),
+ *   opacity: (number) } (vertices are the top left, top right, bottom left and bottom right corners; the source is a
+ *   TexImageSource or RGBA pixels { data, width, height }, uploaded to a texture named after textureKey only when
+ *   sourceVersion changes)
+ *
+ * Contexts: scene, scissor ({ type: "scissor", scissor: BoundingBox }) and layer ({ type: "layer", opacity, blend }),
+ * whose contents are drawn into an offscreen texture, then composited with the given opacity and blend mode.
  */
 
+// Cached result of WebGLRenderer.isSupported
+let webGL2Supported = null
+
 export class WebGLRenderer {
-  constructor () {
-    const canvas = document.createElement("canvas")
-    const gl = canvas.getContext("webgl2")
+  /**
+   * @param canvas {HTMLCanvasElement|OffscreenCanvas} Canvas to draw to; if not given, a new canvas is created
+   * @param opts {{}}
+   * @param opts.textRendering {string} "sdf" to draw text from an atlas of glyph signed distance fields (the default),
+   * or "bitmap" to draw text from an atlas of rasterized strings, which preserves kerning and ligatures but blurs when
+   * scaled
+   */
+  constructor (canvas=null, opts={}) {
+    canvas = canvas ?? document.createElement("canvas")
+    // The scene's antialiasing prop decides whether to antialias, by rendering into a multisampled framebuffer
+    const gl = canvas.getContext("webgl2", { antialias: false })
+
+    if (!gl) throw new Error("WebGLRenderer requires WebGL2, which is unavailable. Use Canvas2DRenderer (or createRenderer) instead.")
 
     /**
      * The main rendering buffer
@@ -203,8 +333,9 @@ export class WebGLRenderer {
     this.gl = gl
 
     /**
-     * Map between scene ids and known information about them
-     * @type {Map<string, {}>}
+     * Map between scene ids and known information about them, notably the persistent scene graph used to render them
+     * and whether the scene is displayed (and should thus be rerendered after a context loss)
+     * @type {Map<string, { graph: SceneGraph, scene: Scene, displayed: boolean }>}
      */
     this.sceneCaches = new Map()
 
@@ -218,9 +349,81 @@ export class WebGLRenderer {
 
     this.textures = new Map()
 
+    /**
+     * Versions of the sources last uploaded to image textures (see loadImageTexture), by texture name
+     * @type {Map<string, number>}
+     */
+    this.imageVersions = new Map()
+
     this.vaos = new Map()
 
-    this.textRenderer = new TextRenderer()
+    /**
+     * Multisampled framebuffer into which scenes with antialiasing "msaa" are rendered before being resolved to the
+     * canvas, created when first needed and recreated when the canvas is resized
+     * @type {{framebuffer: WebGLFramebuffer, renderbuffer: WebGLRenderbuffer, width: number, height: number, samples: number}|null}
+     */
+    this.multisampled = null
+
+    /**
+     * Offscreen targets of layers, by depth of nesting: { texture, framebuffer, width, height, samples, msFramebuffer,
+     * renderbuffer }, where the multisampled framebuffer and its renderbuffer are only present when multisampling
+     * @type {Array<{}>}
+     */
+    this.layerTargets = []
+
+    /**
+     * How text is drawn; see the constructor
+     * @type {string}
+     */
+    this.textRendering = opts.textRendering ?? "sdf"
+
+    if (this.textRendering !== "sdf" && this.textRendering !== "bitmap")
+      throw new Error(`Unknown text rendering mode ${this.textRendering}; expected "sdf" or "bitmap"`)
+
+    /**
+     * Sizes in bytes of the data last uploaded to each buffer and texture, for resource accounting
+     * @type {{buffers: Map<string, number>, textures: Map<string, number>}}
+     */
+    this.resourceSizes = { buffers: new Map(), textures: new Map() }
+
+    /**
+     * Whether the context is currently lost, in which case nothing is rendered until it is restored
+     * @type {boolean}
+     */
+    this.contextLost = false
+
+    /**
+     * Whether destroy() has been called
+     * @type {boolean}
+     */
+    this.destroyed = false
+
+    this.contextLostListener = e => {
+      // Signal that we will handle restoration; otherwise the context is never restored
+      e.preventDefault()
+      this.onContextLost()
+    }
+
+    this.contextRestoredListener = () => this.onContextRestored()
+
+    canvas.addEventListener("webglcontextlost", this.contextLostListener)
+    canvas.addEventListener("webglcontextrestored", this.contextRestoredListener)
+  }
+
+  /**
+   * Whether WebGL2 is available in this environment
+   * @returns {boolean}
+   */
+  static isSupported () {
+    if (webGL2Supported === null) {
+      try {
+        webGL2Supported = typeof document !== "undefined" && !!document.createElement("canvas").getContext("webgl2")
+      } catch {
+        webGL2Supported = false
+      }
+    }
+
+    return webGL2Supported
   }
 
   /**
@@ -292,6 +495,8 @@ export class WebGLRenderer {
     if (texture !== undefined) {
       this.gl.deleteTexture(this.getTexture(textureName))
       this.textures.delete(textureName)
+      this.imageVersions.delete(textureName)
+      this.resourceSizes.textures.delete(textureName)
     }
   }
 
@@ -303,6 +508,63 @@ export class WebGLRenderer {
     return texture
   }
 
+  /**
+   * Upload an image to a texture, recording its size. The image is either a TexImageSource, uploaded as RGBA, or raw
+   * pixel data { data: Uint8Array, width, height } of one (RED) or four (RGBA) channels.
+   * @param textureName {string}
+   * @param img {TexImageSource|{data: Uint8Array, width: number, height: number}}
+   * @param channels {number} 1 or 4; the number of channels of raw pixel data
+   */
+  texImage2D (textureName, img, channels=4) {
+    const { gl } = this
+
+    gl.bindTexture(gl.TEXTURE_2D, this.getTexture(textureName))
+
+    if (ArrayBuffer.isView(img.data)) {
+      const [ internalFormat, format ] = (channels === 1) ? [ gl.R8, gl.RED ] : [ gl.RGBA8, gl.RGBA ]
+
+      // Rows of single-channel data needn't be aligned to four bytes
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1)
+      gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, img.width, img.height, 0, format, gl.UNSIGNED_BYTE, img.data)
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4)
+    } else {
+      channels = 4
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img)
+    }
+
+    this.resourceSizes.textures.set(textureName, channels * img.width * img.height)
+  }
+
+  /**
+   * Load an image into a texture, uploading it only if the texture doesn't exist or was last loaded with a different
+   * version of the source
+   * @param textureName {string}
+   * @param source {TexImageSource|{data: Uint8Array|Uint8ClampedArray, width: number, height: number}} Image source,
+   * or RGBA pixel data
+   * @param version {number} Version of the source
+   * @param smoothing {boolean} Whether to sample the texture linearly, rather than the nearest pixel
+   */
+  loadImageTexture (textureName, source, version, smoothing=true) {
+    const { gl } = this
+    let texture = this.getTexture(textureName)
+
+    if (!texture || this.imageVersions.get(textureName) !== version) {
+      if (!texture) texture = this.createTexture(textureName)
+
+      this.texImage2D(textureName, source, 4)
+      this.imageVersions.set(textureName, version)
+    } else {
+      gl.bindTexture(gl.TEXTURE_2D, texture)
+    }
+
+    const filter = smoothing ? gl.LINEAR : gl.NEAREST
+
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter)
+  }
+
   getBuffer (bufferName) {
     return this.buffers.get(bufferName)
   }
@@ -323,10 +585,60 @@ export class WebGLRenderer {
 
     if (buffer !== undefined) {
       this.buffers.delete(bufferName)
+      this.resourceSizes.buffers.delete(bufferName)
       this.gl.deleteBuffer(buffer)
     }
   }
 
+  /**
+   * Upload a rectangle of an image to the same rectangle of a texture, which must already be of the image's size. The
+   * image is of either form accepted by texImage2D.
+   * @param textureName {string}
+   * @param img {TexImageSource|{data: Uint8Array, width: number, height: number}}
+   * @param rect {{x: number, y: number, w: number, h: number}}
+   * @param channels {number} 1 or 4; the number of channels of raw pixel data
+   */
+  texSubImage2D (textureName, img, rect, channels=4) {
+    const { gl } = this
+    const isData = ArrayBuffer.isView(img.data)
+
+    gl.bindTexture(gl.TEXTURE_2D, this.getTexture(textureName))
+
+    gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, rect.x)
+    gl.pixelStorei(gl.UNPACK_SKIP_ROWS, rect.y)
+
+    if (isData) {
+      gl.pixelStorei(gl.UNPACK_ROW_LENGTH, img.width)
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1)
+
+      const format = (channels === 1) ? gl.RED : gl.RGBA
+      gl.texSubImage2D(gl.TEXTURE_2D, 0, rect.x, rect.y, rect.w, rect.h, format, gl.UNSIGNED_BYTE, img.data)
+
+      gl.pixelStorei(gl.UNPACK_ROW_LENGTH, 0)
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4)
+    } else {
+      gl.texSubImage2D(gl.TEXTURE_2D, 0, rect.x, rect.y, rect.w, rect.h, gl.RGBA, gl.UNSIGNED_BYTE, img)
+    }
+
+    gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, 0)
+    gl.pixelStorei(gl.UNPACK_SKIP_ROWS, 0)
+  }
+
+  /**
+   * Bind a buffer to ARRAY_BUFFER and upload data to it, recording its size. The buffer remains bound.
+   * @param bufferName {string}
+   * @param data {ArrayBufferView}
+   * @param usage {number} Defaults to STATIC_DRAW
+   */
+  bufferData (bufferName, data, usage=this.gl.STATIC_DRAW) {
+    const { gl } = this
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.getBuffer(bufferName))
+    gl.bufferData(gl.ARRAY_BUFFER, data, usage)
+
+    this.resourceSizes.buffers.set(bufferName, data.byteLength)
+  }
+
   getVAO (vaoName) {
     return this.vaos.get(vaoName)
   }
@@ -351,6 +663,116 @@ export class WebGLRenderer {
     }
   }
 
+  /**
+   * Get the number and total size in bytes of each kind of GPU resource held by the renderer. Sizes of programs and VAOs
+   * aren't known, and are reported as 0. The multisampled framebuffer's renderbuffer is counted at four bytes per sample.
+   * Layers are the offscreen targets of layer contexts, including their renderbuffers. Useful for detecting leaked
+   * resources.
+   * @returns {{programs: {count: number, bytes: number}, buffers: {count: number, bytes: number}, textures: {count: number, bytes: number}, vaos: {count: number, bytes: number}, renderbuffers: {count: number, bytes: number}, layers: {count: number, bytes: number}, totalBytes: number}}
+   */
+  getResourceUsage () {
+    const sum = sizes => {
+      let bytes = 0
+      for (const size of sizes.values()) bytes += size
+
+      return bytes
+    }
+
+    const usage = {
+      programs: { count: this.programs.size, bytes: 0 },
+      buffers: { count: this.buffers.size, bytes: sum(this.resourceSizes.buffers) },
+      textures: { count: this.textures.size, bytes: sum(this.resourceSizes.textures) },
+      vaos: { count: this.vaos.size, bytes: 0 },
+      renderbuffers: { count: 0, bytes: 0 },
+      layers: { count: 0, bytes: 0 }
+    }
+
+    const multisampled = this.multisampled
+
+    if (multisampled) {
+      usage.renderbuffers = { count: 1, bytes: 4 * multisampled.width * multisampled.height * multisampled.samples }
+    }
+
+    for (const target of this.layerTargets) {
+      if (!target) continue
+
+      usage.layers.count++
+      usage.layers.bytes += 4 * target.width * target.height * (1 + target.samples)
+    }
+
+    usage.totalBytes = usage.buffers.bytes + usage.textures.bytes + usage.renderbuffers.bytes + usage.layers.bytes
+
+    return usage
+  }
+
+  /**
+   * Forget all GPU resources without deleting them, since they are invalid after a context loss
+   */
+  forgetResources () {
+    this.programs.clear()
+    this.buffers.clear()
+    this.textures.clear()
+    this.imageVersions.clear()
+    this.vaos.clear()
+    this.multisampled = null
+    this.layerTargets = []
+
+    this.resourceSizes.buffers.clear()
+    this.resourceSizes.textures.clear()
+  }
+
+  /**
+   * Called when the WebGL context is lost. Rendering is suspended until the context is restored.
+   */
+  onContextLost () {
+    this.contextLost = true
+  }
+
+  /**
+   * Called when the WebGL context is restored. All resources are recreated lazily: programs when they are next used, and
+   * buffers and text atlases when the scene graphs, whose compiled instructions are invalidated, next compile. Displayed
+   * scenes are rerendered immediately.
+   */
+  onContextRestored () {
+    this.contextLost = false
+    this.forgetResources()
+
+    for (const cache of this.sceneCaches.values()) cache.graph.invalidate()
+
+    for (const cache of this.sceneCaches.values()) {
+      if (cache.displayed) this.renderDOMScene(cache.scene)
+    }
+  }
+
+  /**
+   * Delete all GPU resources and scene graphs and stop listening to the canvas. The renderer cannot be used afterwards.
+   */
+  destroy () {
+    if (this.destroyed) return
+
+    for (const cache of this.sceneCaches.values()) cache.graph.destroy()
+    this.sceneCaches.clear()
+
+    const { gl } = this
+
+    if (!this.contextLost) {
+      for (const program of this.programs.values()) gl.deleteProgram(program.glProgram)
+      for (const buffer of this.buffers.values()) gl.deleteBuffer(buffer)
+      for (const texture of this.textures.values()) gl.deleteTexture(texture)
+      for (const vao of this.vaos.values()) gl.deleteVertexArray(vao)
+
+      this.deleteMultisampledFramebuffer()
+      this.layerTargets.forEach((target, depth) => this.deleteLayerTarget(depth))
+    }
+
+    this.forgetResources()
+
+    this.canvas.removeEventListener("webglcontextlost", this.contextLostListener)
+    this.canvas.removeEventListener("webglcontextrestored", this.contextRestoredListener)
+
+    this.destroyed = true
+  }
+
   monochromaticGeometryProgram () {
     let program = this.getProgram("__MonochromaticGeometry")
 
@@ -365,6 +787,20 @@ export class WebGLRenderer {
     return program
   }
 
+  multicolorGeometryProgram () {
+    let program = this.getProgram("__MulticolorGeometry")
+
+    if (!program) {
+      const programDesc = MulticolorGeometryProgram
+      program = this.createProgram("__MulticolorGeometry",
+        programDesc.vert,
+        programDesc.frag,
+        { vertexPosition: 0, vertexColor: 1 }, ['xyScale'])
+    }
+
+    return program
+  }
+
   textProgram () {
     let program = this.getProgram("__Text")
 
@@ -373,12 +809,88 @@ export class WebGLRenderer {
       program = this.createProgram("__Text",
         programDesc.vert,
         programDesc.frag,
-        { vertexPosition: 0, texCoords: 1}, ["textureSize", "xyScale", "textAtlas", "color"])
+        { vertexPosition: 0, texCoords: 1}, ["textureSize", "xyScale", "textAtlas", "color", "shadowColor"])
+    }
+
+    return program
+  }
+
+  sdfTextProgram () {
+    let program = this.getProgram("__SDFText")
+
+    if (!program) {
+      const programDesc = SDFTextProgram
+      program = this.createProgram("__SDFText",
+        programDesc.vert,
+        programDesc.frag,
+        { vertexPosition: 0, texCoords: 1 },
+        ["textureSize", "xyScale", "sdfAtlas", "color", "shadowColor", "edge", "haloEdge", "smoothing"])
+    }
+
+    return program
+  }
+
+  imageProgram () {
+    let program = this.getProgram("__Image")
+
+    if (!program) {
+      const programDesc = ImageProgram
+      program = this.createProgram("__Image",
+        programDesc.vert,
+        programDesc.frag,
+        { vertexPosition: 0, texCoords: 1 }, ["xyScale", "image", "opacity"])
+    }
+
+    return program
+  }
+
+  layerCompositeProgram () {
+    let program = this.getProgram("__LayerComposite")
+
+    if (!program) {
+      const programDesc = LayerCompositeProgram
+      program = this.createProgram("__LayerComposite",
+        programDesc.vert,
+        programDesc.frag,
+        { vertexPosition: 0 }, ["layer", "layerSize", "opacity"])
     }
 
     return program
   }
 
+  /**
+   * Get the VAO of a quad covering the canvas in clip space, as a triangle strip, creating it if necessary
+   * @returns {WebGLVertexArrayObject}
+   */
+  layerQuadVAO () {
+    let vao = this.getVAO("__LayerQuad")
+
+    if (!vao) {
+      const { gl } = this
+
+      vao = this.createVAO("__LayerQuad")
+      this.createBuffer("__LayerQuad")
+
+      gl.bindVertexArray(vao)
+      this.bufferData("__LayerQuad", new Float32Array([ -1, -1, 1, -1, -1, 1, 1, 1 ]))
+
+      gl.enableVertexAttribArray(0 /* position buffer */)
+      gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+    }
+
+    return vao
+  }
+
+  /**
+   * Blend as is appropriate for drawing geometry and text, whose colors are not premultiplied, into the canvas or a
+   * layer. The resulting colors are premultiplied (as the canvas expects), so that layers can be composited.
+   */
+  setDefaultBlending () {
+    const { gl } = this
+
+    gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA)
+  }
+
   /**
    * Resize and clear the canvas, only clearing if the dimensions haven't changed, since the buffer will be erased.
    * @param width
@@ -415,15 +927,200 @@ export class WebGLRenderer {
     gl.clear(gl.COLOR_BUFFER_BIT)
   }
 
+  /**
+   * Bind a multisampled framebuffer the size of the canvas, (re)creating it if necessary. Returns false, leaving the
+   * canvas bound, if the context doesn't support multisampling.
+   * @returns {boolean}
+   */
+  bindMultisampledFramebuffer () {
+    const { gl, canvas } = this
+    const { width, height } = canvas
+
+    let multisampled = this.multisampled
+
+    if (!multisampled || multisampled.width !== width || multisampled.height !== height) {
+      const samples = Math.min(4, gl.getParameter(gl.MAX_SAMPLES) ?? 0)
+      if (!samples) return false
+
+      this.deleteMultisampledFramebuffer()
+
+      multisampled = this.multisampled = { ...this.createMultisampledFramebuffer(width, height, samples), width, height, samples }
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, multisampled.framebuffer)
+    return true
+  }
+
+  /**
+   * Create a framebuffer with a multisampled RGBA renderbuffer. The framebuffer remains bound.
+   * @param width {number}
+   * @param height {number}
+   * @param samples {number}
+   * @returns {{framebuffer: WebGLFramebuffer, renderbuffer: WebGLRenderbuffer}}
+   */
+  createMultisampledFramebuffer (width, height, samples) {
+    const { gl } = this
+
+    const framebuffer = gl.createFramebuffer()
+    const renderbuffer = gl.createRenderbuffer()
+
+    gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer)
+    gl.renderbufferStorageMultisample(gl.RENDERBUFFER, samples, gl.RGBA8, width, height)
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer)
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, renderbuffer)
+
+    return { framebuffer, renderbuffer }
+  }
+
+  /**
+   * Resolve the multisampled framebuffer into the canvas, and bind the canvas
+   */
+  resolveMultisampledFramebuffer () {
+    const { gl } = this
+    const { framebuffer, width, height } = this.multisampled
+
+    // Blits are scissored
+    gl.disable(gl.SCISSOR_TEST)
+
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, framebuffer)
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null)
+    gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, gl.COLOR_BUFFER_BIT, gl.NEAREST)
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null)
+  }
+
+  deleteMultisampledFramebuffer () {
+    const multisampled = this.multisampled
+
+    if (multisampled) {
+      this.gl.deleteFramebuffer(multisampled.framebuffer)
+      this.gl.deleteRenderbuffer(multisampled.renderbuffer)
+
+      this.multisampled = null
+    }
+  }
+
+  /**
+   * Get the offscreen target of layers at a given depth of nesting, (re)creating it at the size of the canvas if
+   * necessary. Layers are drawn into a texture attached to a framebuffer, or, when multisampling, into a multisampled
+   * framebuffer which is resolved into the texture before compositing.
+   * @param depth {number}
+   * @param multisample {boolean}
+   * @returns {{}}
+   */
+  getLayerTarget (depth, multisample) {
+    const { gl, canvas } = this
+    const { width, height } = canvas
+    const samples = multisample ? this.multisampled.samples : 0
+
+    let target = this.layerTargets[depth]
+    if (target && target.width === width && target.height === height && target.samples === samples) return target
+
+    this.deleteLayerTarget(depth)
+
+    const texture = gl.createTexture()
+
+    gl.bindTexture(gl.TEXTURE_2D, texture)
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+
+    const framebuffer = gl.createFramebuffer()
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer)
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0)
+
+    target = { texture, framebuffer, width, height, samples, msFramebuffer: null, renderbuffer: null }
+
+    if (samples) {
+      const { framebuffer: msFramebuffer, renderbuffer } = this.createMultisampledFramebuffer(width, height, samples)
+
+      target.msFramebuffer = msFramebuffer
+      target.renderbuffer = renderbuffer
+    }
+
+    return this.layerTargets[depth] = target
+  }
+
+  deleteLayerTarget (depth) {
+    const target = this.layerTargets[depth]
+    if (!target) return
+
+    const { gl } = this
+
+    gl.deleteTexture(target.texture)
+    gl.deleteFramebuffer(target.framebuffer)
+
+    if (target.msFramebuffer) {
+      gl.deleteFramebuffer(target.msFramebuffer)
+      gl.deleteRenderbuffer(target.renderbuffer)
+    }
+
+    this.layerTargets[depth] = null
+  }
+
+  /**
+   * Composite a layer into a framebuffer (null being the canvas), with an opacity and blend mode
+   * @param target {{}} The layer's target
+   * @param framebuffer {WebGLFramebuffer|null}
+   * @param opacity {number}
+   * @param blend {string} "normal", "multiply", "screen" or "additive"
+   */
+  compositeLayer (target, framebuffer, opacity, blend) {
+    const { gl } = this
+    const { width, height } = target
+
+    const blendFunction = LAYER_BLEND_FUNCTIONS[blend]
+    if (!blendFunction) throw new Error(`Unknown blend mode ${blend}`)
+
+    if (target.msFramebuffer) {
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, target.msFramebuffer)
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, target.framebuffer)
+      gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, gl.COLOR_BUFFER_BIT, gl.NEAREST)
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer)
+
+    const program = this.layerCompositeProgram()
+    gl.useProgram(program.glProgram)
+
+    gl.bindVertexArray(this.layerQuadVAO())
+
+    gl.activeTexture(gl.TEXTURE0)
+    gl.bindTexture(gl.TEXTURE_2D, target.texture)
+
+    gl.uniform1i(program.uniforms.layer, 0)
+    gl.uniform2f(program.uniforms.layerSize, width, height)
+    gl.uniform1f(program.uniforms.opacity, opacity)
+
+    gl.blendFuncSeparate(...blendFunction.map(factor => gl[factor]))
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4)
+
+    this.setDefaultBlending()
+  }
+
   getXYScale () {
     return [ 2 / this.canvas.width, -2 / this.canvas.height ]
   }
 
   renderScene (scene, log=false) {
-    scene.updateAll()
+    if (this.destroyed) throw new Error("Cannot render with a destroyed WebGLRenderer")
+
+    // Nothing can be drawn until the context is restored, at which point displayed scenes are rerendered
+    if (this.contextLost || this.gl.isContextLost()) return
 
-    const graph = new SceneGraph()
-    graph.renderer = this
+    // During an asynchronous update, only update synchronously what can be, so that slow elements are rendered in their
+    // last complete state rather than blocking the page
+    if (scene.isUpdatingAsync()) {
+      scene.updateAllAsync()
+    } else {
+      scene.updateAll()
+    }
+
+    const graph = this.getSceneGraph(scene)
 
     let startTime = performance.now()
     let globalStartTime = startTime
@@ -439,6 +1136,7 @@ export class WebGLRenderer {
     if (log) console.log(`Instruction compute time: ${endTime - startTime}ms`)
 
     startTime = performance.now()
+    graph.batchInstructions()
     graph.compile()
     endTime = performance.now()
 
@@ -471,15 +1169,31 @@ export class WebGLRenderer {
     startTime = performance.now()
 
     gl.enable(gl.BLEND)
-    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    this.setDefaultBlending()
+
+    // Whether the scene is being drawn into the multisampled framebuffer
+    let multisampling = false
+
+    // Framebuffer being drawn into (null being the canvas), and the number of layers entered
+    let framebuffer = null
+    let layerDepth = 0
 
     graph.forEachCompiledInstruction(instruction => {
       let drawMode = 0
       switch (instruction.type) {
         case "scene": {
-          const { dims, backgroundColor } = instruction
+          const { dims, backgroundColor, antialiasing } = instruction
 
+          gl.bindFramebuffer(gl.FRAMEBUFFER, null)
           this.clearAndResizeCanvas(dims.canvasWidth, dims.canvasHeight, dims.dpr, backgroundColor)
+
+          if (antialiasing === "msaa" && this.bindMultisampledFramebuffer()) {
+            multisampling = true
+            framebuffer = this.multisampled.framebuffer
+
+            this.clearCanvas(backgroundColor)
+          }
+
           contexts.push(null)
 
           break
@@ -490,6 +1204,19 @@ export class WebGLRenderer {
 
           break
         }
+        case "layer": {
+          const target = this.getLayerTarget(layerDepth++, multisampling)
+
+          contexts.push({ type: "layer", target, framebuffer, opacity: instruction.opacity ?? 1, blend: instruction.blend ?? "normal" })
+
+          framebuffer = target.msFramebuffer ?? target.framebuffer
+          gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer)
+
+          // Only the scissored region is composited, so only it need be cleared
+          this.clearCanvas(Colors.TRANSPARENT)
+
+          break
+        }
         case "text": {
           const program = this.textProgram()
           gl.useProgram(program.glProgram)
@@ -502,15 +1229,74 @@ export class WebGLRenderer {
           gl.activeTexture(gl.TEXTURE0)
           gl.bindTexture(gl.TEXTURE_2D, texture)
 
+          const { color, shadowColor } = instruction
+
           gl.uniform1i(program.uniforms.textAtlas, 0)
           gl.uniform2f(program.uniforms.textureSize, atlasWidth, atlasHeight)
           gl.uniform2fv(program.uniforms.xyScale, this.getXYScale())
+          gl.uniform4f(program.uniforms.color, color.r / 255, color.g / 255, color.b / 255, color.a / 255)
+          gl.uniform4f(program.uniforms.shadowColor, shadowColor.r / 255, shadowColor.g / 255, shadowColor.b / 255, shadowColor.a / 255)
+
+          gl.drawArrays(gl.TRIANGLE_STRIP, 0, instruction.vertexCount)
+
+          break
+        }
+
+        case "sdf_text": {
+          const program = this.sdfTextProgram()
+          gl.useProgram(program.glProgram)
+
+          gl.bindVertexArray(this.getVAO(instruction.vao))
+
+          let { id: atlasID, width: atlasWidth, height: atlasHeight } = graph.resources.sdfAtlas
+
+          gl.activeTexture(gl.TEXTURE0)
+          gl.bindTexture(gl.TEXTURE_2D, this.getTexture(atlasID))
+
+          const { color, shadowColor } = instruction
+
+          gl.uniform1i(program.uniforms.sdfAtlas, 0)
+          gl.uniform2f(program.uniforms.textureSize, atlasWidth, atlasHeight)
+          gl.uniform2fv(program.uniforms.xyScale, this.getXYScale())
+          gl.uniform4f(program.uniforms.color, color.r / 255, color.g / 255, color.b / 255, color.a / 255)
+          gl.uniform4f(program.uniforms.shadowColor, shadowColor.r / 255, shadowColor.g / 255, shadowColor.b / 255, shadowColor.a / 255)
+          gl.uniform1f(program.uniforms.edge, instruction.edge)
+          gl.uniform1f(program.uniforms.haloEdge, instruction.haloEdge)
+          gl.uniform1f(program.uniforms.smoothing, instruction.smoothing)
 
           gl.drawArrays(gl.TRIANGLE_STRIP, 0, instruction.vertexCount)
 
           break
         }
+        case "image": {
+          const program = this.imageProgram()
+          gl.useProgram(program.glProgram)
+
+          gl.bindVertexArray(this.getVAO(instruction.vao))
+
+          gl.activeTexture(gl.TEXTURE0)
+          gl.bindTexture(gl.TEXTURE_2D, this.getTexture(instruction.texture))
+
+          gl.uniform1i(program.uniforms.image, 0)
+          gl.uniform2fv(program.uniforms.xyScale, this.getXYScale())
+          gl.uniform1f(program.uniforms.opacity, instruction.opacity)
+
+          gl.drawArrays(gl.TRIANGLE_STRIP, 0, instruction.vertexCount)
 
+          break
+        }
+        case "colored_triangle_strip":
+        case "colored_triangles": {
+          const program = this.multicolorGeometryProgram()
+          gl.useProgram(program.glProgram)
+
+          gl.bindVertexArray(this.getVAO(instruction.vao))
+          gl.uniform2fv(program.uniforms.xyScale, this.getXYScale())
+
+          const mode = (instruction.type === "colored_triangles") ? gl.TRIANGLES : gl.TRIANGLE_STRIP
+          gl.drawArrays(mode, 0, instruction.vertexCount)
+          break
+        }
         case "triangle_strip": // LOL
           drawMode++
         case "triangles":
@@ -542,6 +1328,13 @@ export class WebGLRenderer {
               setScissor(popped.enabled, popped.scissor)
               break
             }
+            case "layer": {
+              layerDepth--
+              framebuffer = popped.framebuffer
+
+              this.compositeLayer(popped.target, framebuffer, popped.opacity, popped.blend)
+              break
+            }
           }
 
           break
@@ -551,17 +1344,68 @@ export class WebGLRenderer {
       }
     })
 
+    if (multisampling) this.resolveMultisampledFramebuffer()
+
     endTime = performance.now()
     if (log) console.log(`Render time: ${endTime - globalStartTime}ms`)
+  }
+
+  /**
+   * Get the persistent scene graph of a scene, creating it if necessary. The graph keeps compiled instructions (and
+   * their buffers) between frames, so that only changed elements are recompiled.
+   * @param scene {Scene}
+   * @returns {SceneGraph}
+   */
+  getSceneGraph (scene) {
+    let cache = this.sceneCaches.get(scene.id)
+
+    if (!cache) {
+      const graph = new SceneGraph()
+      graph.renderer = this
+
+      this.sceneCaches.set(scene.id, cache = { graph, scene, displayed: false })
+    }
+
+    return cache.graph
+  }
+
+  /**
+   * Free the scene graph and GPU resources associated with a scene, e.g. when it will no longer be rendered
+   * @param scene {Scene}
+   */
+  deleteSceneCache (scene) {
+    const cache = this.sceneCaches.get(scene.id)
 
-    graph.destroy()
+    if (cache) {
+      cache.graph.destroy()
+      this.sceneCaches.delete(scene.id)
+    }
   }
 
   renderDOMScene (scene) {
-    this.renderScene(scene)
+    // Displayed scenes are rerendered when a lost context is restored
+    this.getSceneGraph(scene)
+    this.sceneCaches.get(scene.id).displayed = true
 
-    createImageBitmap(this.canvas).then(bitmap => {
-      scene.bitmapRenderer.transferFromImageBitmap(bitmap)
-    })
+    this.renderScene(scene)
+    scene.displayCanvas(this.canvas)
   }
 }
+
+/**
+ * Create the best renderer available in this environment: a WebGLRenderer if WebGL2 is supported, and a
+ * Canvas2DRenderer otherwise.
+ * @param opts {{}}
+ * @param opts.preferred {string} "webgl" or "canvas2d"; the preferred backend, used if it is supported (default "webgl")
+ * @returns {WebGLRenderer|Canvas2DRenderer}
+ */
+export function createRenderer (opts={}) {
+  const preferred = opts.preferred ?? "webgl"
+
+  if (preferred !== "webgl" && preferred !== "canvas2d")
+    throw new Error(`Unknown renderer backend ${preferred}; expected "webgl" or "canvas2d"`)
+
+  if (preferred === "webgl" && WebGLRenderer.isSupported()) return new WebGLRenderer()
+
+  return new Canvas2DRenderer()
+}
@@ -5,18 +5,24 @@
 
 // Map: id -> { parent, elem id, info, children: [{ child: id, instructions: [] }, { , version, ... }
 
-import {getStringID, getVersionID} from "../core/utils.js"
-import {convertTriangleStrip} from "../algorithm/polyline_triangulation.js"
+import {getStringID} from "../core/utils.js"
+import {calculateFeatheredPolylineVertices, calculatePolylineVertices} from "../algorithm/polyline_triangulation.js"
 import {
+  combineColoredTriangleStrips,
+  combineTriangleStrips,
+  coverageToColors,
   generateRectangleDebug,
   generateRectangleTriangleStrip,
   getActualTextLocation
 } from "../algorithm/misc_geometry.js"
 import {BoundingBox} from "../math/bounding_box.js"
-import {Colors} from "../styles/definitions.js"
+import {Colors, TextStyle} from "../styles/definitions.js"
+import {TextRenderer} from "./text_renderer.js"
+import {SDF_EDGE, SDF_RADIUS, SDFTextRenderer} from "./sdf_text_renderer.js"
 
 /**
- * Validate, shallow clone instructions and change their zIndex, et cetera
+ * Validate, shallow clone instructions and change their zIndex, et cetera. Instructions with the same zIndex may be
+ * reordered when batched, unless they have strictOrdering: true.
  * @param instruction
  */
 function adjustInstruction (instruction) {
@@ -51,6 +57,44 @@ function adjustInstruction (instruction) {
   return out
 }
 
+// Instruction types which are drawn as triangle strips by the geometry programs, and may therefore be batched
+const BATCHABLE_TYPES = [ "polyline", "triangle_strip" ]
+
+// Types of contexts which renderers act on, entering them when they begin and leaving them at the following pop_context.
+// Layers ({ type: "layer", opacity, blend }) are drawn offscreen and composited once, with the given opacity and blend
+// mode ("normal", "multiply", "screen" or "additive").
+const RENDERED_CONTEXT_TYPES = [ "scene", "scissor", "layer" ]
+
+/**
+ * Rotate a flat array of vertices counterclockwise (as seen on screen, where y points down) about a center
+ * @param vertices {Float32Array}
+ * @param center {Vec2}
+ * @param angle {number} Angle in radians
+ * @returns {Float32Array} The rotated vertices, in place
+ */
+function rotateVertices (vertices, center, angle) {
+  const c = Math.cos(angle), s = Math.sin(angle)
+
+  for (let i = 0; i < vertices.length; i += 2) {
+    let dx = vertices[i] - center.x, dy = vertices[i + 1] - center.y
+
+    vertices[i] = center.x + c * dx + s * dy
+    vertices[i + 1] = center.y - s * dx + c * dy
+  }
+
+  return vertices
+}
+
+/**
+ * Whether two colors are the same
+ * @param c1 {Color}
+ * @param c2 {Color}
+ * @returns {boolean}
+ */
+function colorsEqual (c1, c2) {
+  return c1.r === c2.r && c1.g === c2.g && c1.b === c2.b && c1.a === c2.a
+}
+
 /**
  * Return whether a given context is the correct context to escape to, depending on what information is provided.
  * @param context
@@ -97,6 +141,46 @@ export class SceneGraph {
       textures: {},
       buffers: {}
     }
+
+    /**
+     * Compiled instructions from previous compilations, keyed by instruction key (see computeInstructions), along
+     * with the version of the element which emitted them. The graph persists between frames, and an instruction is only
+     * recompiled when its element's version (or, for text, its location in the atlas) changes.
+     * @type {Map<string, { version: number, compiled: {}, atlasRect: string|null }>}
+     */
+    this.compiledCache = new Map()
+
+    /**
+     * Persistent atlas of the graph's text, created when text is first compiled, depending on the renderer's
+     * textRendering mode
+     * @type {TextRenderer|null}
+     */
+    this.textRenderer = null
+
+    /**
+     * @type {SDFTextRenderer|null}
+     */
+    this.sdfTextRenderer = null
+
+    /**
+     * Triangle strip vertices of polylines and triangle strips, keyed by instruction key (see getTriangleStrip)
+     * @type {Map<string, { version: number, vertices: Float32Array }>}
+     */
+    this.stripCache = new Map()
+
+    /**
+     * Antialiasing mode of the scene ("none", "msaa" or "feather") and its device pixel ratio, as of the last call to
+     * constructFromScene. When feathering, polylines are compiled with a feather band one device pixel wide.
+     * @type {string}
+     */
+    this.antialiasing = "none"
+    this.dpr = 1
+
+    /**
+     * Antialiasing mode and dpr with which the cached instructions were compiled
+     * @type {string|null}
+     */
+    this.compiledGeometryMode = null
   }
 
   destroyAll () {
@@ -104,7 +188,8 @@ export class SceneGraph {
   }
 
   /**
-   * Construct a graph from scratch
+   * Construct the graph's contexts and instructions from the scene. Compiled instructions are kept, so that a
+   * persistent graph may be reconstructed each frame and only changed instructions recompiled.
    * @param scene
    * @returns {*}
    */
@@ -112,6 +197,9 @@ export class SceneGraph {
     this.destroyAll()
     const contextMap = this.contextMap
 
+    this.antialiasing = scene.get("antialiasing") ?? "none"
+    this.dpr = scene.get("dpr") ?? 1
+
     let topContext = { parent: null, id: "top", info: { type: "top" }, children: [], contextDepth: 0 }
     contextMap.set("top", topContext)
 
@@ -134,12 +222,14 @@ export class SceneGraph {
         // Time to build contexts
         contexts = Array.isArray(contexts) ? contexts : [ contexts ]
 
-        for (const c of contexts) {
+        for (let i = 0; i < contexts.length; ++i) {
+          const c = contexts[i]
           contextDepth++
 
           let newContext = {
             type: "context",
-            id: c.id ?? (elem.id + '-' + getVersionID()),
+            // Stable across frames, like instruction keys
+            id: c.id ?? (elem.id + '-context-' + i),
             parent: currentContext,
             children: [],
             info: c,
@@ -160,6 +250,7 @@ export class SceneGraph {
 
         currentContext.children.push({
           id: elem.id,
+          version: elem.internal.version,
           instructions
         })
       }
@@ -211,8 +302,13 @@ export class SceneGraph {
             }
           }
         } else {
-          for (const instruction of child.instructions) {
-            let adj = adjustInstruction(instruction)
+          for (let i = 0; i < child.instructions.length; ++i) {
+            let adj = adjustInstruction(child.instructions[i])
+
+            // Identify the instruction by its element and position, so that it can be matched with its compiled form
+            // across frames
+            adj.key = child.id + '-' + i
+            adj.elementVersion = child.version
 
             if (adj.escapeContext) {
               escapingInstructions.push(adj)
@@ -232,6 +328,62 @@ export class SceneGraph {
     }
   }
 
+  /**
+   * Merge instructions which can be drawn by the same program into batches, each compiled into one buffer and drawn
+   * with one draw call. Within a zIndex, instructions may be rearranged so that batchable instructions are adjacent,
+   * except across instructions with strictOrdering: true, which keep their position relative to all other
+   * instructions. Contexts likewise separate batches. Batches of differently colored instructions are drawn with
+   * per-vertex colors. Should be called after computeInstructions, and only by renderers which compile instructions.
+   */
+  batchInstructions () {
+    // Feathered polylines are drawn with per-vertex coverage, so they aren't triangle strips
+    const isBatchable = (this.antialiasing === "feather") ?
+      (i => i.type === "triangle_strip") : (i => BATCHABLE_TYPES.includes(i.type))
+
+    this.forEachContext(context => {
+      const batched = []
+      let segment = []
+
+      // Stably move batchable instructions to the front of the segment and merge them
+      const flushSegment = () => {
+        const members = segment.filter(isBatchable)
+        const others = segment.filter(i => !isBatchable(i))
+
+        if (members.length === 1) {
+          batched.push(members[0])
+        } else if (members.length > 1) {
+          batched.push({
+            type: "batch",
+            zIndex: members[0].zIndex,
+            members,
+            // The batch must be recompiled if any member changes, or membership changes
+            key: members[0].key + '-batch',
+            elementVersion: members.map(i => i.key + ':' + i.elementVersion).join(',')
+          })
+        }
+
+        batched.push(...others)
+        segment = []
+      }
+
+      for (const instruction of context.instructions) {
+        if (instruction.type === "context" || instruction.strictOrdering) {
+          flushSegment()
+          batched.push(instruction)
+          continue
+        }
+
+        if (segment.length > 0 && segment[0].zIndex !== instruction.zIndex) flushSegment()
+
+        segment.push(instruction)
+      }
+
+      flushSegment()
+
+      context.instructions = batched
+    })
+  }
+
   /**
    * Execute a callback on each context of the scene graph
    * @param callback
@@ -260,29 +412,53 @@ export class SceneGraph {
     return ret
   }
 
-  loadTextAtlas (img) {
+  /**
+   * Upload a text atlas to its texture: the whole atlas if the texture is new or the atlas was resized or repacked,
+   * and otherwise only the rectangles drawn since the last upload
+   * @param textRenderer {TextRenderer|SDFTextRenderer}
+   * @param resource {string} "textAtlas" or "sdfAtlas"; where the texture's information is stored in this.resources
+   */
+  loadTextAtlas (textRenderer, resource="textAtlas") {
     const renderer = this.renderer
     const gl = renderer.gl
+    const img = textRenderer.image
+    const channels = textRenderer.channels
+    const atlas = this.resources[resource]
 
-    let name = "__" + this.id + "-text"
+    let name = "__" + this.id + "-" + resource
     let texture = renderer.getTexture(name)
     let needsInitialize = !texture
 
+    let fullUpload = needsInitialize || textRenderer.needsFullUpload || !atlas ||
+      atlas.width !== img.width || atlas.height !== img.height
+
+    if (!fullUpload && textRenderer.dirtyRects.length === 0) return
+
     if (needsInitialize) {
       texture = renderer.createTexture(name)
     }
 
     gl.bindTexture(gl.TEXTURE_2D, texture)
 
+    // The bitmap atlas's channels are coverages (see TextRenderer.drawText), which must not be divided by alpha
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true)
+
     if (needsInitialize) {
       gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
       gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
       gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
     }
 
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img)
+    if (fullUpload) {
+      renderer.texImage2D(name, img, channels)
+    } else {
+      for (const rect of textRenderer.dirtyRects) renderer.texSubImage2D(name, img, rect, channels)
+    }
 
-    this.resources.textAtlas = { id: name, width: img.width, height: img.height }
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false)
+    textRenderer.clearDirty()
+
+    this.resources[resource] = { id: name, width: img.width, height: img.height }
   }
 
   freeCompiledInstructions (inst) {
@@ -296,188 +472,509 @@ export class SceneGraph {
       if (i.buffers) {
         i.buffers.forEach(b => this.renderer.deleteBuffer(b))
       }
+
+      if (i.textures) {
+        i.textures.forEach(t => this.renderer.deleteTexture(t))
+      }
     }
   }
 
   compile () {
     // Convert context instructions into a series of renderable instructions, generating appropriate vertex arrays and
-    // textures. Until this step, the scene graph is independent of the renderer.
+    // textures. Until this step, the scene graph is independent of the renderer. Compiled instructions are cached by
+    // instruction key, so only instructions whose elements have a new version are recompiled and re-uploaded.
 
     const renderer = this.renderer
     if (!renderer) throw new Error("Compiling a scene graph requires the graph to be attached to a renderer.")
 
     const gl = renderer.gl
-    const textRenderer = renderer.textRenderer
+    const { compiledCache } = this
     const textInstructions = this.getTextInstructions()
 
+    // Polylines are triangulated differently when feathered, so a change of mode (or of the device pixel ratio, which
+    // sets the width of the feather band) recompiles everything
+    const geometryMode = this.antialiasing + ';' + this.dpr
+
+    if (geometryMode !== this.compiledGeometryMode) {
+      for (const cached of compiledCache.values()) this.freeCompiledInstructions([ cached.compiled ])
+
+      compiledCache.clear()
+      this.compiledGeometryMode = geometryMode
+    }
+
+    // Place text in the persistent atlas, drawing and uploading only new text (or glyphs)
     if (textInstructions.length !== 0) {
-      textRenderer.drawText(textInstructions)
-      this.loadTextAtlas(textRenderer.canvas)
+      if (renderer.textRendering === "sdf") {
+        if (!this.sdfTextRenderer) this.sdfTextRenderer = new SDFTextRenderer()
+
+        this.sdfTextRenderer.addText(textInstructions)
+        this.loadTextAtlas(this.sdfTextRenderer, "sdfAtlas")
+      } else {
+        if (!this.textRenderer) this.textRenderer = new TextRenderer()
+
+        this.textRenderer.drawText(textInstructions)
+        this.loadTextAtlas(this.textRenderer)
+      }
     }
 
-    this.forEachContext (context => {
-      this.freeCompiledInstructions(context.compiledInstructions)
+    // Keys of instructions (and of batch members) seen in this compilation; all other cached instructions are stale
+    const seenKeys = new Set()
+    const seenStripKeys = new Set()
 
+    this.forEachContext (context => {
       const instructions = context.instructions
       const compiledInstructions = []
 
+      if (RENDERED_CONTEXT_TYPES.includes(context.info.type)) compiledInstructions.push(context.info)
 
-      switch (context.info.type) {
-        case "scene":
-        case "scissor":
-          compiledInstructions.push(context.info)
-          break
+      for (const instruction of instructions) {
+        if (instruction.type === "context") {
+          compiledInstructions.push(instruction)
+          continue
+        }
+
+        const key = instruction.key
+        const cached = compiledCache.get(key)
+
+        seenKeys.add(key)
+        if (instruction.members) instruction.members.forEach(m => seenStripKeys.add(m.key))
+        else seenStripKeys.add(key)
+
+        // Bitmap text must also be recompiled if it moved in the atlas (glyphs in the SDF atlas never move)
+        const rect = instruction.rect
+        const atlasRect = (instruction.type === "text" && rect) ? `${rect.x},${rect.y},${rect.w},${rect.h}` : null
+
+        if (cached && cached.version === instruction.elementVersion && cached.atlasRect === atlasRect) {
+          compiledInstructions.push(cached.compiled)
+          continue
+        }
+
+        const compiled = this.compileInstruction(instruction, key)
+
+        if (cached) this.freeUnusedResources(cached.compiled, compiled)
+
+        compiledCache.set(key, { version: instruction.elementVersion, compiled, atlasRect })
+        compiledInstructions.push(compiled)
       }
 
-      // Super simple (and hella inefficient) for now
-      for (const instruction of instructions) {
-        switch (instruction.type) {
-          case "context":
-            compiledInstructions.push(instruction)
-            break
-          case "polyline": {
-            let vertices = convertTriangleStrip(instruction.vertices, instruction.pen)
-            let color = instruction.pen.color
-
-            let buffName = context.id + '-' + getVersionID()
-            let vaoName = context.id + '-' + getVersionID()
-
-            let buff = renderer.createBuffer(buffName)
-            let vao = renderer.createVAO(vaoName)
-
-            gl.bindVertexArray(vao)
-
-            gl.bindBuffer(gl.ARRAY_BUFFER, buff)
-            gl.enableVertexAttribArray(0 /* position buffer */)
-            gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
-
-            gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW)
-
-            let compiled = {
-              type: "triangle_strip",
-              vao: vaoName,
-              buffers: [buffName],
-              vertexCount: vertices.length / 2,
-              color
-            }
-            compiledInstructions.push(compiled)
+      gl.bindVertexArray(null)
 
-            break
-          }
-          case "text": {
-            let tcName = context.id + '-' + getVersionID()
-            let scName = context.id + '-' + getVersionID()
-            let vaoName = context.id + '-' + getVersionID()
+      compiledInstructions.push({ type: "pop_context" })
 
-            let textureCoords = renderer.createBuffer(tcName)
-            let sceneCoords = renderer.createBuffer(scName)
-            let vao = renderer.createVAO(vaoName)
+      context.compiledInstructions = compiledInstructions
+    })
 
-            gl.bindVertexArray(vao)
+    // Free the resources of instructions whose elements were removed or no longer emit them
+    for (const [ key, cached ] of compiledCache) {
+      if (!seenKeys.has(key)) {
+        this.freeCompiledInstructions([ cached.compiled ])
+        compiledCache.delete(key)
+      }
+    }
 
-            gl.bindBuffer(gl.ARRAY_BUFFER, sceneCoords)
-            gl.enableVertexAttribArray(0 /* position buffer */)
-            gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+    for (const key of this.stripCache.keys()) {
+      if (!seenStripKeys.has(key)) this.stripCache.delete(key)
+    }
+  }
 
-            let rect = getActualTextLocation(instruction.rect, instruction.pos)
+  /**
+   * Get the triangle strip vertices of a polyline or triangle strip instruction, cached by key and version so that
+   * unchanged members of a changed batch aren't triangulated again
+   * @param instruction {{}}
+   * @returns {Float32Array}
+   */
+  getTriangleStrip (instruction) {
+    const cached = this.stripCache.get(instruction.key)
+    if (cached && cached.version === instruction.elementVersion) return cached.vertices
 
-            rect.x |= 0
-            rect.y |= 0
+    // Dashes, if the pen has any, are applied here
+    const vertices = (instruction.type === "polyline") ?
+      calculatePolylineVertices(instruction.vertices, instruction.pen) : instruction.vertices
 
-            gl.bufferData(gl.ARRAY_BUFFER, generateRectangleTriangleStrip(rect), gl.STATIC_DRAW)
+    this.stripCache.set(instruction.key, { version: instruction.elementVersion, vertices })
+    return vertices
+  }
 
-            gl.bindBuffer(gl.ARRAY_BUFFER, textureCoords)
-            gl.enableVertexAttribArray(1 /* texture coords buffer */)
-            gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 0, 0)
+  /**
+   * Free the buffers, textures and VAO of an old compiled instruction which aren't reused by its replacement
+   * @param old {{}}
+   * @param replacement {{}}
+   */
+  freeUnusedResources (old, replacement) {
+    if (old.vao && old.vao !== replacement.vao) this.renderer.deleteVAO(old.vao)
 
-            gl.bufferData(gl.ARRAY_BUFFER, generateRectangleTriangleStrip(instruction.rect), gl.STATIC_DRAW)
+    if (old.buffers) {
+      for (const b of old.buffers) {
+        if (!replacement.buffers?.includes(b)) this.renderer.deleteBuffer(b)
+      }
+    }
 
-            let compiled = {
-              type: "text",
-              vao: vaoName,
-              buffers: [tcName, scName],
-              vertexCount: 4,
-              text: instruction.text
-            }
-            compiledInstructions.push(compiled)
+    if (old.textures) {
+      for (const t of old.textures) {
+        if (!replacement.textures?.includes(t)) this.renderer.deleteTexture(t)
+      }
+    }
+  }
 
-            break
-          }
-          case "triangle_strip": {
-            let vertices = instruction.vertices
-            let color = instruction.color
+  /**
+   * Compile a single instruction, uploading its vertices to buffers (and a VAO) named after its key, so that a changed
+   * instruction reuses the buffers of its previous version
+   * @param instruction {{}}
+   * @param key {string}
+   * @returns {{}}
+   */
+  compileInstruction (instruction, key) {
+    const renderer = this.renderer
+    const gl = renderer.gl
 
-            let buffName = context.id + '-' + getVersionID()
-            let vaoName = context.id + '-' + getVersionID()
+    switch (instruction.type) {
+      case "batch": {
+        const members = instruction.members
+        const strips = members.map(m => this.getTriangleStrip(m))
+        const colors = members.map(m => (m.type === "polyline") ? m.pen.color : m.color)
 
-            let buff = renderer.createBuffer(buffName)
-            let vao = renderer.createVAO(vaoName)
+        // Each strip after the first is joined by two degenerate vertices
+        let nonempty = strips.filter(s => s.length > 0).length
+        let length = strips.reduce((total, s) => total + s.length, 0) + 4 * Math.max(nonempty - 1, 0)
 
-            gl.bindVertexArray(vao)
+        let vertices = new Float32Array(length)
+        let buffName = key + '-vertices'
+        let vaoName = key
 
-            gl.bindBuffer(gl.ARRAY_BUFFER, buff)
-            gl.enableVertexAttribArray(0 /* position buffer */)
-            gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+        let buff = renderer.createBuffer(buffName)
+        let vao = renderer.createVAO(vaoName)
 
-            gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW)
+        gl.bindVertexArray(vao)
 
-            let compiled = {
-              type: "triangle_strip",
-              vao: vaoName,
-              buffers: [buffName],
-              vertexCount: vertices.length / 2,
-              color
-            }
-            compiledInstructions.push(compiled)
-            break
+        if (colors.every(c => colorsEqual(c, colors[0]))) {
+          const add = combineTriangleStrips(vertices)
+          strips.forEach(s => add(s))
+
+          gl.bindBuffer(gl.ARRAY_BUFFER, buff)
+          gl.enableVertexAttribArray(0 /* position buffer */)
+          gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+
+          renderer.bufferData(buffName, vertices)
+
+          return {
+            type: "triangle_strip",
+            vao: vaoName,
+            buffers: [buffName],
+            vertexCount: vertices.length / 2,
+            color: colors[0]
           }
-          case "debug": {
-            let buffName = context.id + '-' + getVersionID()
-            let vaoName = context.id + '-' + getVersionID()
+        }
 
-            let buff = renderer.createBuffer(buffName)
-            let vao = renderer.createVAO(vaoName)
+        // Differently colored members are drawn with per-vertex colors
+        let vertexColors = new Float32Array(2 * length)
+        let colorBuffName = key + '-colors'
+        let colorBuff = renderer.createBuffer(colorBuffName)
 
-            gl.bindVertexArray(vao)
+        const add = combineColoredTriangleStrips(vertices, vertexColors)
+        strips.forEach((s, i) => add(s, colors[i]))
 
-            gl.bindBuffer(gl.ARRAY_BUFFER, buff)
-            gl.enableVertexAttribArray(0 /* position buffer */)
-            gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+        gl.bindBuffer(gl.ARRAY_BUFFER, buff)
+        gl.enableVertexAttribArray(0 /* position buffer */)
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
 
-            let vertices
-            if (instruction.rect) {
-              let rect = BoundingBox.fromObj(instruction.rect)
-              if (!rect) throw new Error("Invalid rectangle debug instruction")
+        renderer.bufferData(buffName, vertices)
 
-              vertices = generateRectangleDebug(rect)
-            } else {
-              throw new Error("Unrecognized debug instruction")
-            }
+        gl.bindBuffer(gl.ARRAY_BUFFER, colorBuff)
+        gl.enableVertexAttribArray(1 /* color buffer */)
+        gl.vertexAttribPointer(1, 4, gl.FLOAT, false, 0, 0)
 
-            gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW)
+        renderer.bufferData(colorBuffName, vertexColors)
 
-            let compiled = {
-              type: "line_strip",
-              vao: vaoName,
-              buffers: [buffName],
-              vertexCount: vertices.length / 2,
-              color: Colors.RED
-            }
-            compiledInstructions.push(compiled)
-            break
-          }
+        return {
+          type: "colored_triangle_strip",
+          vao: vaoName,
+          buffers: [buffName, colorBuffName],
+          vertexCount: vertices.length / 2
+        }
+      }
+      case "colored_triangle_strip":
+      case "colored_triangles": {
+        let { vertices, colors } = instruction
+
+        if (!(colors instanceof Uint8Array) || colors.length !== 2 * vertices.length)
+          throw new Error(`Instruction of type ${instruction.type} requires a Uint8Array of RGBA colors, four per vertex`)
+
+        let buffName = key + '-vertices'
+        let colorBuffName = key + '-colors'
+        let vaoName = key
+
+        let buff = renderer.createBuffer(buffName)
+        let colorBuff = renderer.createBuffer(colorBuffName)
+        let vao = renderer.createVAO(vaoName)
+
+        gl.bindVertexArray(vao)
 
-          default:
-            throw new Error(`Unsupported instruction type ${instruction.type}`)
+        gl.bindBuffer(gl.ARRAY_BUFFER, buff)
+        gl.enableVertexAttribArray(0 /* position buffer */)
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+
+        renderer.bufferData(buffName, vertices)
+
+        // Colors are normalized from [0, 255] to [0, 1]
+        gl.bindBuffer(gl.ARRAY_BUFFER, colorBuff)
+        gl.enableVertexAttribArray(1 /* color buffer */)
+        gl.vertexAttribPointer(1, 4, gl.UNSIGNED_BYTE, true, 0, 0)
+
+        renderer.bufferData(colorBuffName, colors)
+
+        return {
+          type: instruction.type,
+          vao: vaoName,
+          buffers: [buffName, colorBuffName],
+          vertexCount: vertices.length / 2
         }
       }
+      case "polyline": {
+        if (this.antialiasing === "feather") {
+          const pen = instruction.pen
+          const { vertices, coverage } = calculateFeatheredPolylineVertices(instruction.vertices, pen, 1 / this.dpr)
 
-      gl.bindVertexArray(null)
+          return this.compileInstruction({ type: "colored_triangles", vertices, colors: coverageToColors(coverage, pen.color) }, key)
+        }
 
-      compiledInstructions.push({ type: "pop_context" })
+        let vertices = this.getTriangleStrip(instruction)
+        let color = instruction.pen.color
 
-      context.compiledInstructions = compiledInstructions
-    })
+        let buffName = key + '-vertices'
+        let vaoName = key
+
+        let buff = renderer.createBuffer(buffName)
+        let vao = renderer.createVAO(vaoName)
+
+        gl.bindVertexArray(vao)
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buff)
+        gl.enableVertexAttribArray(0 /* position buffer */)
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+
+        renderer.bufferData(buffName, vertices)
+
+        return {
+          type: "triangle_strip",
+          vao: vaoName,
+          buffers: [buffName],
+          vertexCount: vertices.length / 2,
+          color
+        }
+      }
+      case "text": {
+        if (renderer.textRendering === "sdf") return this.compileSDFText(instruction, key)
+
+        let tcName = key + '-texture-coords'
+        let scName = key + '-vertices'
+        let vaoName = key
+
+        let textureCoords = renderer.createBuffer(tcName)
+        let sceneCoords = renderer.createBuffer(scName)
+        let vao = renderer.createVAO(vaoName)
+
+        gl.bindVertexArray(vao)
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, sceneCoords)
+        gl.enableVertexAttribArray(0 /* position buffer */)
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+
+        const style = instruction.style ?? TextStyle.default
+        const shadowRadius = style.shadowRadius ?? 0
+
+        let rect = getActualTextLocation(instruction.rect, instruction.pos, {
+          align: style.align,
+          baseline: style.baseline,
+          padding: shadowRadius,
+          ascent: instruction.metrics?.actualBoundingBoxAscent
+        })
+
+        let vertices
+        if (style.rotation) {
+          vertices = rotateVertices(generateRectangleTriangleStrip(rect), instruction.pos, style.rotation)
+        } else {
+          // Align unrotated text to the pixel grid, for crispness
+          rect.x = Math.round(rect.x)
+          rect.y = Math.round(rect.y)
+
+          vertices = generateRectangleTriangleStrip(rect)
+        }
+
+        renderer.bufferData(scName, vertices)
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, textureCoords)
+        gl.enableVertexAttribArray(1 /* texture coords buffer */)
+        gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 0, 0)
+
+        renderer.bufferData(tcName, generateRectangleTriangleStrip(instruction.rect))
+
+        return {
+          type: "text",
+          vao: vaoName,
+          buffers: [tcName, scName],
+          vertexCount: 4,
+          text: instruction.text,
+          color: style.color ?? TextStyle.default.color,
+          shadowColor: shadowRadius ? (style.shadowColor ?? TextStyle.default.shadowColor) : Colors.TRANSPARENT
+        }
+      }
+      case "triangle_strip": {
+        let vertices = instruction.vertices
+        let color = instruction.color
+
+        let buffName = key + '-vertices'
+        let vaoName = key
+
+        let buff = renderer.createBuffer(buffName)
+        let vao = renderer.createVAO(vaoName)
+
+        gl.bindVertexArray(vao)
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buff)
+        gl.enableVertexAttribArray(0 /* position buffer */)
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+
+        renderer.bufferData(buffName, vertices)
+
+        return {
+          type: "triangle_strip",
+          vao: vaoName,
+          buffers: [buffName],
+          vertexCount: vertices.length / 2,
+          color
+        }
+      }
+      case "image": {
+        // The texture is named after the element, not the instruction, and only uploaded again when the source changes,
+        // so that moving the image (e.g., panning) just moves its vertices
+        let textureName = "__image-" + instruction.textureKey
+        let buffName = key + '-vertices'
+        let tcName = key + '-texture-coords'
+        let vaoName = key
+
+        renderer.loadImageTexture(textureName, instruction.source, instruction.sourceVersion, instruction.smoothing)
+
+        let buff = renderer.createBuffer(buffName)
+        let textureCoords = renderer.createBuffer(tcName)
+        let vao = renderer.createVAO(vaoName)
+
+        gl.bindVertexArray(vao)
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buff)
+        gl.enableVertexAttribArray(0 /* position buffer */)
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+
+        renderer.bufferData(buffName, instruction.vertices)
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, textureCoords)
+        gl.enableVertexAttribArray(1 /* texture coords buffer */)
+        gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 0, 0)
+
+        renderer.bufferData(tcName, new Float32Array([ 0, 0, 1, 0, 0, 1, 1, 1 ]))
+
+        return {
+          type: "image",
+          vao: vaoName,
+          buffers: [buffName, tcName],
+          textures: [textureName],
+          vertexCount: 4,
+          texture: textureName,
+          opacity: instruction.opacity ?? 1
+        }
+      }
+      case "debug": {
+        let buffName = key + '-vertices'
+        let vaoName = key
+
+        let buff = renderer.createBuffer(buffName)
+        let vao = renderer.createVAO(vaoName)
+
+        gl.bindVertexArray(vao)
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buff)
+        gl.enableVertexAttribArray(0 /* position buffer */)
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+
+        let vertices
+        if (instruction.rect) {
+          let rect = BoundingBox.fromObj(instruction.rect)
+          if (!rect) throw new Error("Invalid rectangle debug instruction")
+
+          vertices = generateRectangleDebug(rect)
+        } else {
+          throw new Error("Unrecognized debug instruction")
+        }
+
+        renderer.bufferData(buffName, vertices)
+
+        return {
+          type: "line_strip",
+          vao: vaoName,
+          buffers: [buffName],
+          vertexCount: vertices.length / 2,
+          color: Colors.RED
+        }
+      }
+
+      default:
+        throw new Error(`Unsupported instruction type ${instruction.type}`)
+    }
+  }
+
+  /**
+   * Compile a text instruction into glyph quads drawn from the SDF atlas
+   * @param instruction {{}}
+   * @param key {string}
+   * @returns {{}}
+   */
+  compileSDFText (instruction, key) {
+    const renderer = this.renderer
+    const gl = renderer.gl
+
+    const style = instruction.style ?? TextStyle.default
+    const shadowRadius = style.shadowRadius ?? 0
+
+    let { vertices, texCoords, scale } = this.sdfTextRenderer.layoutText({ ...instruction, style })
+    if (style.rotation) rotateVertices(vertices, instruction.pos, style.rotation)
+
+    let tcName = key + '-texture-coords'
+    let scName = key + '-vertices'
+    let vaoName = key
+
+    let textureCoords = renderer.createBuffer(tcName)
+    let sceneCoords = renderer.createBuffer(scName)
+    let vao = renderer.createVAO(vaoName)
+
+    gl.bindVertexArray(vao)
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, sceneCoords)
+    gl.enableVertexAttribArray(0 /* position buffer */)
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0)
+
+    renderer.bufferData(scName, vertices)
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, textureCoords)
+    gl.enableVertexAttribArray(1 /* texture coords buffer */)
+    gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 0, 0)
+
+    renderer.bufferData(tcName, texCoords)
+
+    // Change in distance value per pixel of the drawn text. The outline extends half of shadowRadius outside the glyph,
+    // like the stroked halo of the other text renderers
+    const perPixel = 1 / (SDF_RADIUS * scale)
+
+    return {
+      type: "sdf_text",
+      vao: vaoName,
+      buffers: [tcName, scName],
+      vertexCount: vertices.length / 2,
+      text: instruction.text,
+      color: style.color ?? TextStyle.default.color,
+      shadowColor: shadowRadius ? (style.shadowColor ?? TextStyle.default.shadowColor) : Colors.TRANSPARENT,
+      edge: SDF_EDGE,
+      haloEdge: Math.max(SDF_EDGE - perPixel * shadowRadius / 2, 0),
+      smoothing: perPixel / 2
+    }
   }
 
   // Yield a list of all compiled instructions
@@ -495,6 +992,30 @@ export class SceneGraph {
     }
   }
 
+  /**
+   * Yield the (uncompiled) instructions of the graph in drawing order, for renderers which draw them directly. Like the
+   * compiled instructions, each context begins with its info (e.g. { type: "scissor", scissor }), if it is of a known
+   * type, and ends with { type: "pop_context" }.
+   * @param callback {Function}
+   * @param contextID {string}
+   */
+  forEachInstruction (callback, contextID="top") {
+    const ctx = this.contextMap.get(contextID)
+    const type = ctx.info.type
+
+    if (RENDERED_CONTEXT_TYPES.includes(type)) callback(ctx.info)
+
+    for (const instruction of ctx.instructions) {
+      if (instruction.type === "context") {
+        this.forEachInstruction(callback, instruction.id)
+      } else {
+        callback(instruction)
+      }
+    }
+
+    callback({ type: "pop_context" })
+  }
+
   /**
    * Get pre-rendering info so the renderer knows what to expect. This includes, notably, text
    */
@@ -502,7 +1023,32 @@ export class SceneGraph {
 
   }
 
+  /**
+   * Forget all compiled instructions and the text atlas without freeing their resources, which no longer exist after the
+   * renderer's context is lost. Everything is recompiled (and reuploaded) on the next compilation.
+   */
+  invalidate () {
+    this.compiledCache.clear()
+    this.compiledGeometryMode = null
+    this.resources.textAtlas = null
+    this.resources.sdfAtlas = null
+  }
+
   destroy () {
-    this.forEachContext(c => this.freeCompiledInstructions(c.compiledInstructions))
+    for (const cached of this.compiledCache.values()) this.freeCompiledInstructions([ cached.compiled ])
+
+    this.compiledCache.clear()
+    this.stripCache.clear()
+    this.textRenderer = null
+    this.sdfTextRenderer = null
+
+    for (const resource of [ "textAtlas", "sdfAtlas" ]) {
+      if (this.resources[resource]) {
+        this.renderer.deleteTexture(this.resources[resource].id)
+        this.resources[resource] = null
+      }
+    }
+
+    this.destroyAll()
   }
 }
@@ -0,0 +1,239 @@
+import {TinySDF} from "../other/sdf_generator.js"
+import {DynamicRectanglePacker} from "../algorithm/rectangle_packing.js"
+import {combineTriangleStrips, getActualTextLocation} from "../algorithm/misc_geometry.js"
+
+// Font size at which glyphs are rasterized. The signed distance field lets them be drawn crisply at any other size.
+export const SDF_FONT_SIZE = 24
+
+// Distance in pixels (at SDF_FONT_SIZE) spanned by the values of the SDF, and the value of glyph edges, where 0
+// is SDF_RADIUS outside the glyph and 1 is far inside it
+export const SDF_RADIUS = 8
+export const SDF_EDGE = 0.75
+
+// Space around each glyph in its SDF, which must be at least as large as any outline
+const SDF_BUFFER = 3
+
+// Extra space between glyphs in the atlas, so that linear filtering doesn't sample neighbors
+const PADDING = 1
+
+const INITIAL_SIZE = 256
+const MAX_SIZE = 4096
+
+/**
+ * An atlas of glyphs as signed distance fields, generated with TinySDF and packed with a DynamicRectanglePacker. Text is
+ * laid out glyph by glyph, using each glyph's advance, so that every size of a font shares the same glyphs and text
+ * stays crisp when scaled. Outlines (halos) are drawn by the shader from the distance field. Glyphs are never evicted;
+ * when the atlas is full, it is grown, keeping the positions of glyphs already packed. The atlas is single-channel,
+ * stored in a Uint8Array, and the rectangles drawn since the last upload are tracked as in TextRenderer.
+ */
+export class SDFTextRenderer {
+  constructor () {
+    /**
+     * Map of fonts to the TinySDF used to rasterize their glyphs
+     * @type {Map<string, TinySDF>}
+     */
+    this.generators = new Map()
+
+    /**
+     * Map of font;char to glyphs { rect: {x, y, w, h}|null, advance, glyphTop, glyphHeight }, in pixels at SDF_FONT_SIZE
+     * @type {Map<string, {}>}
+     */
+    this.glyphs = new Map()
+
+    this.packer = new DynamicRectanglePacker(INITIAL_SIZE, INITIAL_SIZE)
+
+    this.data = new Uint8Array(INITIAL_SIZE * INITIAL_SIZE)
+    this.width = INITIAL_SIZE
+    this.height = INITIAL_SIZE
+
+    this.dirtyRects = []
+    this.needsFullUpload = true
+
+    /**
+     * Number of channels of the atlas's image
+     * @type {number}
+     */
+    this.channels = 1
+  }
+
+  /**
+   * The atlas as an image to upload, of one channel
+   * @returns {{data: Uint8Array, width: number, height: number}}
+   */
+  get image () {
+    return { data: this.data, width: this.width, height: this.height }
+  }
+
+  getGenerator (font) {
+    let generator = this.generators.get(font)
+
+    if (!generator) {
+      generator = new TinySDF({ fontSize: SDF_FONT_SIZE, buffer: SDF_BUFFER, radius: SDF_RADIUS, cutoff: 1 - SDF_EDGE, fontFamily: font })
+      this.generators.set(font, generator)
+    }
+
+    return generator
+  }
+
+  /**
+   * Get a glyph, rasterizing it into the atlas if it isn't already there
+   * @param font {string}
+   * @param char {string}
+   * @returns {{rect: {}|null, advance: number, glyphTop: number, glyphHeight: number}}
+   */
+  getGlyph (font, char) {
+    const key = font + ';' + char
+    let glyph = this.glyphs.get(key)
+
+    if (glyph) return glyph
+
+    const drawn = this.getGenerator(font).draw(char)
+
+    glyph = { rect: null, advance: drawn.glyphAdvance, glyphTop: drawn.glyphTop, glyphHeight: drawn.glyphHeight }
+
+    // Glyphs without ink (like spaces) only advance
+    if (drawn.glyphWidth > 0 && drawn.glyphHeight > 0) {
+      glyph.rect = this.allocate(key, drawn.width, drawn.height)
+      this.paste(drawn.data, glyph.rect)
+    }
+
+    this.glyphs.set(key, glyph)
+    return glyph
+  }
+
+  /**
+   * Rasterize the glyphs of the given text instructions, if necessary
+   * @param textInfos {Array}
+   */
+  addText (textInfos) {
+    for (const { text, style } of textInfos) {
+      for (const char of text) this.getGlyph(style.font, char)
+    }
+  }
+
+  /**
+   * Find room for a glyph, growing the atlas until there is room
+   * @param key {string}
+   * @param width {number}
+   * @param height {number}
+   * @returns {{x: number, y: number, w: number, h: number}}
+   */
+  allocate (key, width, height) {
+    let packed
+
+    while (!(packed = this.packer.add(key, width + PADDING, height + PADDING))) {
+      if (this.width >= MAX_SIZE && this.height >= MAX_SIZE)
+        throw new Error(`SDF text atlas exceeded the maximum size of ${MAX_SIZE}x${MAX_SIZE}`)
+
+      // Grow the shorter side, keeping the atlas roughly square
+      if (this.height < this.width) this.resize(this.width, this.height * 2)
+      else this.resize(this.width * 2, this.height)
+    }
+
+    return { x: packed.x, y: packed.y, w: width, h: height }
+  }
+
+  /**
+   * Grow the atlas, keeping its contents
+   * @param width {number}
+   * @param height {number}
+   */
+  resize (width, height) {
+    const data = new Uint8Array(width * height)
+
+    for (let y = 0; y < this.height; ++y) {
+      data.set(this.data.subarray(y * this.width, (y + 1) * this.width), y * width)
+    }
+
+    this.data = data
+    this.width = width
+    this.height = height
+
+    this.packer.resize(width, height)
+
+    this.dirtyRects = []
+    this.needsFullUpload = true
+  }
+
+  /**
+   * Copy a glyph's SDF into the atlas
+   * @param glyphData {Uint8ClampedArray}
+   * @param rect {{x: number, y: number, w: number, h: number}}
+   */
+  paste (glyphData, rect) {
+    for (let y = 0; y < rect.h; ++y) {
+      this.data.set(glyphData.subarray(y * rect.w, (y + 1) * rect.w), (rect.y + y) * this.width + rect.x)
+    }
+
+    if (!this.needsFullUpload) this.dirtyRects.push(rect)
+  }
+
+  /**
+   * Lay out a text instruction as glyph quads, anchored according to its style. The glyphs must already be in the atlas
+   * (see addText).
+   * @param instruction {{text: string, pos: Vec2, style: TextStyle}}
+   * @returns {{vertices: Float32Array, texCoords: Float32Array, scale: number}} Vertices and texture coordinates (in
+   * atlas pixels) of one triangle strip, and the scale of the glyphs relative to SDF_FONT_SIZE
+   */
+  layoutText (instruction) {
+    const { text, pos, style } = instruction
+    const scale = style.fontSize / SDF_FONT_SIZE
+
+    const glyphs = Array.from(text).map(char => this.getGlyph(style.font, char))
+
+    let advance = 0, ascent = 0, descent = 0
+    let quadCount = 0
+
+    for (const glyph of glyphs) {
+      advance += glyph.advance
+
+      if (glyph.rect) {
+        // The baseline is one pixel below glyphTop (see TinySDF.draw)
+        ascent = Math.max(ascent, glyph.glyphTop + 1)
+        descent = Math.max(descent, glyph.glyphHeight - glyph.glyphTop - 1)
+        quadCount++
+      }
+    }
+
+    const box = getActualTextLocation({ w: advance * scale, h: (ascent + descent) * scale }, pos, {
+      align: style.align,
+      baseline: style.baseline,
+      ascent: ascent * scale
+    })
+
+    const baselineY = box.y + ascent * scale
+    let penX = box.x
+
+    // Quads are joined by degenerate triangles
+    const length = Math.max(12 * quadCount - 4, 0)
+    const vertices = new Float32Array(length)
+    const texCoords = new Float32Array(length)
+    const addVertices = combineTriangleStrips(vertices)
+    const addTexCoords = combineTriangleStrips(texCoords)
+
+    for (const glyph of glyphs) {
+      const rect = glyph.rect
+
+      if (rect) {
+        const x = penX - SDF_BUFFER * scale
+        const y = baselineY - (SDF_BUFFER + glyph.glyphTop + 1) * scale
+        const w = rect.w * scale, h = rect.h * scale
+
+        addVertices([ x, y, x + w, y, x, y + h, x + w, y + h ])
+        addTexCoords([ rect.x, rect.y, rect.x + rect.w, rect.y, rect.x, rect.y + rect.h, rect.x + rect.w, rect.y + rect.h ])
+      }
+
+      penX += glyph.advance * scale
+    }
+
+    return { vertices, texCoords, scale }
+  }
+
+  /**
+   * Mark the atlas as uploaded
+   */
+  clearDirty () {
+    this.dirtyRects = []
+    this.needsFullUpload = false
+  }
+}
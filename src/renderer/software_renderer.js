@@ -0,0 +1,435 @@
+/**
+ * Pure-JavaScript renderer for headless environments (Node, CI) where neither WebGL nor a canvas is available. It walks
+ * the same scene graph as the other renderers and rasterizes its instructions into an RGBA Uint8ClampedArray, the way
+ * the WebGL renderer would draw them: polylines are triangulated with calculatePolylineVertices, triangles are filled
+ * by sampling pixel centers, colors are blended with SRC_ALPHA, ONE_MINUS_SRC_ALPHA, scissor contexts clip to their
+ * boxes, and layer contexts are drawn into a separate image, then composited with the same blend functions as the WebGL
+ * renderer's. Of the scene's antialiasing modes, only "feather" is honored, since it is part of the geometry; "msaa" is
+ * drawn like "none", with one sample per pixel. Text is not drawn, since rasterizing glyphs requires a canvas, and
+ * neither are images whose source is not pixel data (e.g., an ImageBitmap). The resulting image can be encoded with
+ * encodePNG and compared with diffImages (see image_utils.js).
+ */
+
+import {SceneGraph} from "./scene_graph.js"
+import {calculateFeatheredPolylineVertices, calculatePolylineVertices} from "../algorithm/polyline_triangulation.js"
+import {coverageToColors, forEachTriangle, generateRectangleCycle} from "../algorithm/misc_geometry.js"
+import {Colors, Pen} from "../styles/definitions.js"
+import {encodePNG} from "./image_utils.js"
+
+/**
+ * Whether a pixel center on an edge of a triangle belongs to it. Edges shared by two triangles are traversed in
+ * opposite directions by them, so exactly one of the triangles gets the pixel, and no pixel is blended twice.
+ * @param dx {number} x component of the edge's direction
+ * @param dy {number} y component of the edge's direction
+ * @returns {boolean}
+ */
+function ownsEdge (dx, dy) {
+  return dy > 0 || (dy === 0 && dx < 0)
+}
+
+/**
+ * Whether a point is covered by a triangle, given its edges (opposite to each vertex) and which of them it owns. If so,
+ * the barycentric coordinates of the point are written to weights.
+ * @param edges {Array<Array<number>>} Each edge as [ ax, ay, bx, by ], oriented so its edge function is positive inside
+ * @param owned {Array<boolean>}
+ * @param area {number} Twice the area of the triangle
+ * @param px {number}
+ * @param py {number}
+ * @param weights {Array<number>}
+ * @returns {boolean}
+ */
+function coversPoint (edges, owned, area, px, py, weights) {
+  for (let e = 0; e < 3; ++e) {
+    const [ ax, ay, bx, by ] = edges[e]
+    const w = (bx - ax) * (py - ay) - (by - ay) * (px - ax)
+
+    if (w < 0 || (w === 0 && !owned[e])) return false
+    weights[e] = w / area
+  }
+
+  return true
+}
+
+/**
+ * Blend functions of the colors of layers, as in the WebGL renderer: each takes a premultiplied source and destination
+ * channel and the source's alpha, and returns the premultiplied result
+ */
+const LAYER_BLEND_FUNCTIONS = {
+  normal: (s, d, sa) => s + d * (1 - sa),
+  multiply: (s, d, sa) => s * d + d * (1 - sa),
+  screen: (s, d) => s + d * (1 - s),
+  additive: (s, d) => Math.min(s + d, 1)
+}
+
+export class SoftwareRenderer {
+  constructor () {
+    /**
+     * RGBA pixels of the rendered image, not premultiplied, row by row from the top left
+     * @type {Uint8ClampedArray}
+     */
+    this.data = new Uint8ClampedArray(0)
+
+    this.width = 0
+    this.height = 0
+    this.dpr = 1
+
+    /**
+     * Current clipping rectangle in pixels, { x1, y1, x2, y2 } with x2 and y2 exclusive
+     * @type {{}}
+     */
+    this.clip = { x1: 0, y1: 0, x2: 0, y2: 0 }
+  }
+
+  /**
+   * The rendered image
+   * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+   */
+  get image () {
+    return { data: this.data, width: this.width, height: this.height }
+  }
+
+  /**
+   * Resize the image to the given size in CSS pixels and fill it with the given color
+   * @param width {number}
+   * @param height {number}
+   * @param dpr {number}
+   * @param clear {Color}
+   */
+  clearAndResize (width, height, dpr=1, clear=Colors.TRANSPARENT) {
+    this.dpr = dpr
+
+    width = Math.round(width * dpr)
+    height = Math.round(height * dpr)
+
+    if (width !== this.width || height !== this.height) {
+      this.data = new Uint8ClampedArray(4 * width * height)
+      this.width = width
+      this.height = height
+    }
+
+    const { data } = this
+    const { r, g, b, a } = clear
+
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = r
+      data[i + 1] = g
+      data[i + 2] = b
+      data[i + 3] = a
+    }
+
+    this.clip = { x1: 0, y1: 0, x2: width, y2: height }
+  }
+
+  /**
+   * Update the scene and rasterize it
+   * @param scene {Scene}
+   * @returns {{data: Uint8ClampedArray, width: number, height: number}} The rendered image
+   */
+  renderScene (scene) {
+    scene.updateAll()
+
+    const graph = new SceneGraph()
+
+    graph.constructFromScene(scene)
+    graph.computeInstructions()
+
+    // Clipping rectangles (and, for layers, images) to restore when each entered context is popped
+    const contexts = []
+    let feather = false
+
+    graph.forEachInstruction(instruction => {
+      switch (instruction.type) {
+        case "scene": {
+          const { dims, backgroundColor } = instruction
+
+          feather = instruction.antialiasing === "feather"
+          this.clearAndResize(dims.width, dims.height, dims.dpr, backgroundColor)
+          contexts.push({ clip: this.clip })
+
+          break
+        }
+        case "layer": {
+          contexts.push({ clip: this.clip, data: this.data, layer: instruction })
+          this.data = new Uint8ClampedArray(this.data.length)
+
+          break
+        }
+        case "scissor": {
+          const box = instruction.scissor
+          const { clip, dpr } = this
+
+          contexts.push({ clip })
+
+          if (box) {
+            this.clip = {
+              x1: Math.max(clip.x1, Math.round(box.x * dpr)),
+              y1: Math.max(clip.y1, Math.round(box.y * dpr)),
+              x2: Math.min(clip.x2, Math.round((box.x + box.w) * dpr)),
+              y2: Math.min(clip.y2, Math.round((box.y + box.h) * dpr))
+            }
+          }
+
+          break
+        }
+        case "polyline": {
+          const pen = instruction.pen
+          if (!pen || pen.visible === false) break
+
+          if (feather) {
+            const { vertices, coverage } = calculateFeatheredPolylineVertices(instruction.vertices, pen, 1 / this.dpr)
+
+            this.fillColoredTriangles(vertices, coverageToColors(coverage, pen.color), false)
+            break
+          }
+
+          this.fillTriangles(calculatePolylineVertices(instruction.vertices, pen), true, pen.color)
+          break
+        }
+        case "triangle_strip":
+          this.fillTriangles(instruction.vertices, true, instruction.color)
+          break
+        case "colored_triangle_strip":
+        case "colored_triangles":
+          this.fillColoredTriangles(instruction.vertices, instruction.colors, instruction.type === "colored_triangle_strip")
+          break
+        case "text":
+          // Not supported; see above
+          break
+        case "image": {
+          const source = instruction.source
+          if (!source || !ArrayBuffer.isView(source.data)) break  // Not supported; see above
+
+          this.fillImage(instruction.vertices, source, instruction.smoothing ?? true, instruction.opacity ?? 1)
+          break
+        }
+        case "debug": {
+          const rect = instruction.rect
+          if (!rect) throw new Error("Unrecognized debug instruction")
+
+          const pen = Pen.create({ color: Colors.RED, thickness: 1, join: "miter" })
+          this.fillTriangles(calculatePolylineVertices(generateRectangleCycle(rect), pen), true, pen.color)
+
+          break
+        }
+        case "pop_context": {
+          const popped = contexts.pop()
+          if (!popped) break
+
+          const { clip, data, layer } = popped
+          this.clip = clip
+
+          if (layer) {
+            const layerData = this.data
+
+            this.data = data
+            this.compositeLayer(layerData, layer.opacity ?? 1, layer.blend ?? "normal")
+          }
+
+          break
+        }
+        default:
+          throw new Error(`Unknown instruction type ${instruction.type}`)
+      }
+    })
+
+    return this.image
+  }
+
+  /**
+   * Blend a color into a pixel
+   * @param index {number} Index of the pixel's red channel
+   * @param r {number}
+   * @param g {number}
+   * @param b {number}
+   * @param a {number}
+   */
+  blendPixel (index, r, g, b, a) {
+    const { data } = this
+
+    const srcAlpha = a / 255
+    const dstAlpha = data[index + 3] / 255 * (1 - srcAlpha)
+    const outAlpha = srcAlpha + dstAlpha
+
+    if (outAlpha === 0) return
+
+    // The image isn't premultiplied, so the blended color is divided by the resulting alpha
+    data[index] = (r * srcAlpha + data[index] * dstAlpha) / outAlpha
+    data[index + 1] = (g * srcAlpha + data[index + 1] * dstAlpha) / outAlpha
+    data[index + 2] = (b * srcAlpha + data[index + 2] * dstAlpha) / outAlpha
+    data[index + 3] = outAlpha * 255
+  }
+
+  /**
+   * Composite a layer into the image, within the clipping rectangle
+   * @param layerData {Uint8ClampedArray} The layer's pixels, of the image's size
+   * @param opacity {number}
+   * @param blend {string} "normal", "multiply", "screen" or "additive"
+   */
+  compositeLayer (layerData, opacity, blend) {
+    const blendFunction = LAYER_BLEND_FUNCTIONS[blend]
+    if (!blendFunction) throw new Error(`Unknown blend mode ${blend}`)
+
+    const { data, clip, width } = this
+
+    for (let y = clip.y1; y < clip.y2; ++y) {
+      for (let x = clip.x1; x < clip.x2; ++x) {
+        const index = 4 * (y * width + x)
+
+        const sa = layerData[index + 3] / 255 * opacity
+        if (sa === 0) continue
+
+        const da = data[index + 3] / 255
+        const outAlpha = (blend === "additive") ? Math.min(sa + da, 1) : sa + da * (1 - sa)
+
+        for (let c = 0; c < 3; ++c) {
+          // Premultiply, blend and divide by the resulting alpha, since the image isn't premultiplied
+          const s = layerData[index + c] / 255 * sa
+          const d = data[index + c] / 255 * da
+
+          data[index + c] = outAlpha ? blendFunction(s, d, sa) / outAlpha * 255 : 0
+        }
+
+        data[index + 3] = outAlpha * 255
+      }
+    }
+  }
+
+  /**
+   * Rasterize a triangle within the clipping rectangle, calling the callback with the index of each covered pixel and
+   * the barycentric coordinates of its center. Degenerate triangles and triangles with NaN vertices cover nothing.
+   * @param vertices {Float32Array} Vertices in CSS pixels
+   * @param i1 {number}
+   * @param i2 {number}
+   * @param i3 {number}
+   * @param callback {Function}
+   */
+  rasterizeTriangle (vertices, i1, i2, i3, callback) {
+    const { dpr, clip, width } = this
+
+    let x1 = vertices[2 * i1] * dpr, y1 = vertices[2 * i1 + 1] * dpr
+    let x2 = vertices[2 * i2] * dpr, y2 = vertices[2 * i2 + 1] * dpr
+    let x3 = vertices[2 * i3] * dpr, y3 = vertices[2 * i3 + 1] * dpr
+
+    let area = (x2 - x1) * (y3 - y1) - (x3 - x1) * (y2 - y1)
+    if (!area) return  // degenerate or NaN
+
+    // Make the triangle's orientation consistent, so that the edge functions are positive inside it
+    if (area < 0) {
+      [ x2, x3 ] = [ x3, x2 ]
+      ;[ y2, y3 ] = [ y3, y2 ]
+      ;[ i2, i3 ] = [ i3, i2 ]
+      area = -area
+    }
+
+    const minX = Math.max(clip.x1, Math.floor(Math.min(x1, x2, x3)))
+    const maxX = Math.min(clip.x2 - 1, Math.ceil(Math.max(x1, x2, x3)))
+    const minY = Math.max(clip.y1, Math.floor(Math.min(y1, y2, y3)))
+    const maxY = Math.min(clip.y2 - 1, Math.ceil(Math.max(y1, y2, y3)))
+
+    // Edges opposite to each vertex
+    const edges = [ [ x2, y2, x3, y3 ], [ x3, y3, x1, y1 ], [ x1, y1, x2, y2 ] ]
+    const owned = edges.map(([ ax, ay, bx, by ]) => ownsEdge(bx - ax, by - ay))
+    const weights = [ 0, 0, 0 ]
+
+    for (let y = minY; y <= maxY; ++y) {
+      const py = y + 0.5
+
+      for (let x = minX; x <= maxX; ++x) {
+        if (!coversPoint(edges, owned, area, x + 0.5, py, weights)) continue
+
+        callback(4 * (y * width + x), weights[0], weights[1], weights[2], i1, i2, i3)
+      }
+    }
+  }
+
+  /**
+   * Fill triangles with a single color
+   * @param vertices {Float32Array}
+   * @param isStrip {boolean}
+   * @param color {Color}
+   */
+  fillTriangles (vertices, isStrip, color) {
+    const { r, g, b, a } = color
+    if (!a) return
+
+    forEachTriangle(vertices.length / 2, isStrip, (i1, i2, i3) => {
+      this.rasterizeTriangle(vertices, i1, i2, i3, index => this.blendPixel(index, r, g, b, a))
+    })
+  }
+
+  /**
+   * Fill triangles with per-vertex colors, interpolated across each triangle
+   * @param vertices {Float32Array}
+   * @param colors {Uint8Array} RGBA colors, four per vertex
+   * @param isStrip {boolean}
+   */
+  fillColoredTriangles (vertices, colors, isStrip) {
+    const interpolate = (c, w1, w2, w3, i1, i2, i3) => w1 * colors[4 * i1 + c] + w2 * colors[4 * i2 + c] + w3 * colors[4 * i3 + c]
+
+    forEachTriangle(vertices.length / 2, isStrip, (i1, i2, i3) => {
+      this.rasterizeTriangle(vertices, i1, i2, i3, (index, w1, w2, w3, j1, j2, j3) => {
+        this.blendPixel(index,
+          interpolate(0, w1, w2, w3, j1, j2, j3),
+          interpolate(1, w1, w2, w3, j1, j2, j3),
+          interpolate(2, w1, w2, w3, j1, j2, j3),
+          interpolate(3, w1, w2, w3, j1, j2, j3))
+      })
+    })
+  }
+
+  /**
+   * Fill the quad of an image instruction with the image, sampled like a texture clamped to its edges
+   * @param vertices {Float32Array} Top left, top right, bottom left and bottom right corners, as a triangle strip
+   * @param image {{data: Uint8Array|Uint8ClampedArray, width: number, height: number}} RGBA pixels
+   * @param smoothing {boolean} Whether to interpolate bilinearly, rather than take the nearest pixel
+   * @param opacity {number}
+   */
+  fillImage (vertices, image, smoothing, opacity) {
+    const { data, width, height } = image
+    const texCoords = [ 0, 0, 1, 0, 0, 1, 1, 1 ]
+    const sample = [ 0, 0, 0, 0 ]
+
+    const clampX = x => Math.min(Math.max(x, 0), width - 1)
+    const clampY = y => Math.min(Math.max(y, 0), height - 1)
+
+    const sampleAt = (u, v) => {
+      // Texel centers are at half-integer coordinates
+      const tx = u * width - 0.5, ty = v * height - 0.5
+
+      if (!smoothing) {
+        const i = 4 * (clampY(Math.round(ty)) * width + clampX(Math.round(tx)))
+        for (let c = 0; c < 4; ++c) sample[c] = data[i + c]
+
+        return
+      }
+
+      const x0 = Math.floor(tx), y0 = Math.floor(ty)
+      const fx = tx - x0, fy = ty - y0
+
+      const i00 = 4 * (clampY(y0) * width + clampX(x0)), i10 = 4 * (clampY(y0) * width + clampX(x0 + 1))
+      const i01 = 4 * (clampY(y0 + 1) * width + clampX(x0)), i11 = 4 * (clampY(y0 + 1) * width + clampX(x0 + 1))
+
+      for (let c = 0; c < 4; ++c) {
+        sample[c] = (data[i00 + c] * (1 - fx) + data[i10 + c] * fx) * (1 - fy) + (data[i01 + c] * (1 - fx) + data[i11 + c] * fx) * fy
+      }
+    }
+
+    forEachTriangle(4, true, (i1, i2, i3) => {
+      this.rasterizeTriangle(vertices, i1, i2, i3, (index, w1, w2, w3, j1, j2, j3) => {
+        sampleAt(w1 * texCoords[2 * j1] + w2 * texCoords[2 * j2] + w3 * texCoords[2 * j3],
+          w1 * texCoords[2 * j1 + 1] + w2 * texCoords[2 * j2 + 1] + w3 * texCoords[2 * j3 + 1])
+
+        this.blendPixel(index, sample[0], sample[1], sample[2], sample[3] * opacity)
+      })
+    })
+  }
+
+  /**
+   * Encode the rendered image as a PNG
+   * @param opts {{}} Options passed to encodePNG
+   * @returns {Uint8Array}
+   */
+  toPNG (opts={}) {
+    return encodePNG(this.image, opts)
+  }
+}
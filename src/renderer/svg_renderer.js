@@ -0,0 +1,400 @@
+/**
+ * Renders scenes to SVG strings, for vector figures and for rendering without a GPU or DOM (e.g., generating figures in
+ * Node). The renderer walks the same scene graph as the WebGL renderer (constructFromScene, then computeInstructions),
+ * but instead of compiling the instructions into buffers, it converts each into the equivalent SVG element: polylines
+ * become stroked paths (so that endcaps, joins and dashes are done by the SVG renderer, at full quality), triangle
+ * strips become filled paths, text becomes <text> with a stroked halo, images with pixel data become <image> with an
+ * embedded PNG, scissor contexts become clip paths, and layer contexts become groups with an opacity and mix-blend-mode.
+ */
+
+import {SceneGraph} from "./scene_graph.js"
+import {encodePNG} from "./image_utils.js"
+import {forEachTriangle} from "../algorithm/misc_geometry.js"
+
+const ENDCAPS = { butt: "butt", round: "round", square: "square" }
+
+// SVG has no equivalent of the "dynamic" join (miter if short, round otherwise); its miter limit fallback is a bevel
+const JOINS = { bevel: "bevel", round: "round", miter: "miter", dynamic: "miter" }
+
+// Our miters are never limited, but SVG requires some limit
+const MITER_LIMIT = 100
+
+// CSS mix-blend-mode of layer blend modes
+const BLEND_MODES = { normal: null, multiply: "multiply", screen: "screen", additive: "plus-lighter" }
+
+// Text anchoring by TextStyle align and baseline
+const TEXT_ANCHORS = { left: "start", center: "middle", right: "end" }
+const TEXT_BASELINES = { top: "text-before-edge", middle: "central", bottom: "text-after-edge", alphabetic: "alphabetic" }
+
+/**
+ * Format a number compactly, to two decimal places
+ * @param x {number}
+ * @returns {string}
+ */
+function formatNumber (x) {
+  return (Math.round(x * 100) / 100) + ""
+}
+
+/**
+ * Escape a string for use in XML text or attribute values
+ * @param str {string}
+ * @returns {string}
+ */
+function escapeXML (str) {
+  return (str + "").replace(/[&<>"']/g, c => ({ '&': "&amp;", '<': "&lt;", '>': "&gt;", '"': "&quot;", "'": "&apos;" })[c])
+}
+
+/**
+ * Convert a color into an SVG paint and opacity, like ["rgb(255,0,0)", "0.5"]
+ * @param color {{r: number, g: number, b: number, a: number}}
+ * @returns {string[]}
+ */
+function colorToSVG (color) {
+  let { r, g, b, a } = color
+  let rgb = `rgb(${Math.round(r)},${Math.round(g)},${Math.round(b)})`
+
+  return [ rgb, formatNumber((a ?? 255) / 255) ]
+}
+
+/**
+ * Convert a flat array of vertices into path data, breaking the path at NaN vertices
+ * @param vertices {Float32Array|Array}
+ * @returns {string}
+ */
+function polylineToPathData (vertices) {
+  let d = ""
+  let penDown = false
+
+  for (let i = 0; i < vertices.length; i += 2) {
+    let x = vertices[i], y = vertices[i + 1]
+
+    if (Number.isNaN(x) || Number.isNaN(y)) {
+      penDown = false
+      continue
+    }
+
+    d += (penDown ? "L" : "M") + formatNumber(x) + " " + formatNumber(y)
+    penDown = true
+  }
+
+  return d
+}
+
+/**
+ * Convert a triangle, given by the indices of its vertices, into path data, or "" if it is degenerate. The triangle is
+ * made counterclockwise so that overlapping triangles don't cancel under the nonzero fill rule.
+ * @param vertices {Float32Array|Array}
+ * @param i1 {number}
+ * @param i2 {number}
+ * @param i3 {number}
+ * @returns {string}
+ */
+function triangleToPathData (vertices, i1, i2, i3) {
+  let x1 = vertices[2 * i1], y1 = vertices[2 * i1 + 1]
+  let x2 = vertices[2 * i2], y2 = vertices[2 * i2 + 1]
+  let x3 = vertices[2 * i3], y3 = vertices[2 * i3 + 1]
+
+  let area = (x2 - x1) * (y3 - y1) - (x3 - x1) * (y2 - y1)
+  if (!area) return ""  // degenerate or NaN
+
+  if (area < 0) {
+    [ x2, x3 ] = [ x3, x2 ]
+    ;[ y2, y3 ] = [ y3, y2 ]
+  }
+
+  return `M${formatNumber(x1)} ${formatNumber(y1)}L${formatNumber(x2)} ${formatNumber(y2)}L${formatNumber(x3)} ${formatNumber(y3)}Z`
+}
+
+/**
+ * Convert a triangle strip into path data of its (non-degenerate) triangles
+ * @param vertices {Float32Array|Array}
+ * @returns {string}
+ */
+function triangleStripToPathData (vertices) {
+  let d = ""
+
+  forEachTriangle(vertices.length / 2, true, (i1, i2, i3) => {
+    d += triangleToPathData(vertices, i1, i2, i3)
+  })
+
+  return d
+}
+
+/**
+ * Convert per-vertex colored triangles into one path per color. SVG can't interpolate colors across a triangle, so each
+ * triangle is filled with the average color of its vertices.
+ * @param vertices {Float32Array}
+ * @param colors {Uint8Array} RGBA colors, four per vertex
+ * @param isStrip {boolean}
+ * @returns {string}
+ */
+function coloredTrianglesToSVG (vertices, colors, isStrip) {
+  // Map of color -> path data
+  const paths = new Map()
+
+  forEachTriangle(vertices.length / 2, isStrip, (i1, i2, i3) => {
+    const d = triangleToPathData(vertices, i1, i2, i3)
+    if (!d) return
+
+    const [ r, g, b, a ] = [ 0, 1, 2, 3 ].map(c => (colors[4 * i1 + c] + colors[4 * i2 + c] + colors[4 * i3 + c]) / 3)
+    const color = colorToSVG({ r, g, b, a }).join(" ")
+
+    paths.set(color, (paths.get(color) ?? "") + d)
+  })
+
+  let out = ""
+
+  for (const [ color, d ] of paths) {
+    const [ fill, opacity ] = color.split(" ")
+
+    out += `<path${attributesToString({ d, fill, "fill-opacity": (opacity !== "1") ? opacity : null })}/>`
+  }
+
+  return out
+}
+
+/**
+ * Encode RGBA pixel data as a PNG data URI
+ * @param image {{data: Uint8Array|Uint8ClampedArray, width: number, height: number}}
+ * @returns {string}
+ */
+function imageToDataURI (image) {
+  const png = encodePNG(image)
+  let binary = ""
+
+  // In chunks, to stay under the maximum number of arguments
+  for (let i = 0; i < png.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, png.subarray(i, i + 0x8000))
+  }
+
+  return "data:image/png;base64," + btoa(binary)
+}
+
+/**
+ * Serialize a dictionary of attributes, skipping undefined and null values
+ * @param attributes {{}}
+ * @returns {string}
+ */
+function attributesToString (attributes) {
+  let out = ""
+
+  for (let [ name, value ] of Object.entries(attributes)) {
+    if (value === undefined || value === null) continue
+
+    out += ` ${name}="${escapeXML(value)}"`
+  }
+
+  return out
+}
+
+export class SVGRenderer {
+  constructor () {
+    /**
+     * Counter used to generate unique ids (for clip paths) within one rendered SVG
+     * @type {number}
+     */
+    this.idCounter = 0
+  }
+
+  /**
+   * Update the scene and render it to an SVG string
+   * @param scene {Scene}
+   * @returns {string}
+   */
+  renderScene (scene) {
+    scene.updateAll()
+
+    const graph = new SceneGraph()
+
+    graph.constructFromScene(scene)
+    graph.computeInstructions()
+
+    this.idCounter = 0
+
+    const { width, height } = scene.get("sceneDims")
+    const defs = []
+    const body = this.renderContext(graph, "top", defs)
+
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    if (defs.length > 0) svg += `<defs>${defs.join("")}</defs>`
+
+    return svg + body + "</svg>"
+  }
+
+  /**
+   * Render the instructions of a context (and, recursively, of its child contexts)
+   * @param graph {SceneGraph}
+   * @param contextID {string}
+   * @param defs {string[]} Definitions (clip paths) needed by the SVG, to be placed in <defs>
+   * @returns {string}
+   */
+  renderContext (graph, contextID, defs) {
+    const context = graph.contextMap.get(contextID)
+    const info = context.info
+
+    let inner = ""
+
+    for (const instruction of context.instructions) {
+      inner += (instruction.type === "context") ?
+        this.renderContext(graph, instruction.id, defs) :
+        this.renderInstruction(instruction)
+    }
+
+    switch (info.type) {
+      case "scene": {
+        const { dims, backgroundColor } = info
+        let background = ""
+
+        if (backgroundColor && backgroundColor.a) {
+          let [ fill, opacity ] = colorToSVG(backgroundColor)
+
+          background = `<rect${attributesToString({ x: 0, y: 0, width: dims.width, height: dims.height, fill, "fill-opacity": opacity })}/>`
+        }
+
+        return background + inner
+      }
+      case "scissor": {
+        const box = info.scissor
+        if (!box) return inner
+
+        const id = "clip-" + (++this.idCounter)
+
+        defs.push(`<clipPath id="${id}"><rect${attributesToString({
+          x: formatNumber(box.x), y: formatNumber(box.y), width: formatNumber(box.w), height: formatNumber(box.h)
+        })}/></clipPath>`)
+
+        return `<g clip-path="url(#${id})">${inner}</g>`
+      }
+      case "layer": {
+        const opacity = info.opacity ?? 1
+        const blend = BLEND_MODES[info.blend ?? "normal"]
+
+        if (blend === undefined) throw new Error(`Unknown blend mode ${info.blend}`)
+
+        return `<g${attributesToString({
+          opacity: (opacity !== 1) ? formatNumber(opacity) : null,
+          style: blend ? `mix-blend-mode:${blend}` : null
+        })}>${inner}</g>`
+      }
+      default:
+        return inner
+    }
+  }
+
+  /**
+   * Convert a single instruction into SVG
+   * @param instruction {{}}
+   * @returns {string}
+   */
+  renderInstruction (instruction) {
+    switch (instruction.type) {
+      case "polyline": {
+        const pen = instruction.pen
+        if (!pen || pen.visible === false) return ""
+
+        const d = polylineToPathData(instruction.vertices)
+        if (!d) return ""
+
+        const [ stroke, opacity ] = colorToSVG(pen.color)
+        const dashPattern = pen.dashPattern ?? []
+
+        return `<path${attributesToString({
+          d,
+          fill: "none",
+          stroke,
+          "stroke-opacity": (opacity !== "1") ? opacity : null,
+          "stroke-width": formatNumber(pen.thickness),
+          "stroke-linecap": ENDCAPS[pen.endcap] ?? "butt",
+          "stroke-linejoin": JOINS[pen.join] ?? "miter",
+          "stroke-miterlimit": (pen.join === "miter") ? MITER_LIMIT : null,
+          "stroke-dasharray": (dashPattern.length > 0) ? dashPattern.map(formatNumber).join(" ") : null,
+          "stroke-dashoffset": (dashPattern.length > 0 && pen.dashOffset) ? formatNumber(pen.dashOffset) : null
+        })}/>`
+      }
+      case "triangle_strip": {
+        const d = triangleStripToPathData(instruction.vertices)
+        if (!d) return ""
+
+        const [ fill, opacity ] = colorToSVG(instruction.color)
+
+        return `<path${attributesToString({ d, fill, "fill-opacity": (opacity !== "1") ? opacity : null })}/>`
+      }
+      case "colored_triangle_strip":
+      case "colored_triangles":
+        return coloredTrianglesToSVG(instruction.vertices, instruction.colors, instruction.type === "colored_triangle_strip")
+      case "text": {
+        const style = instruction.style ?? {}
+        const pos = instruction.pos
+        const [ fill, opacity ] = colorToSVG(style.color ?? { r: 0, g: 0, b: 0, a: 255 })
+        const shadowRadius = style.shadowRadius ?? 0
+
+        let halo = {}
+
+        if (shadowRadius) {
+          const [ stroke, strokeOpacity ] = colorToSVG(style.shadowColor ?? { r: 255, g: 255, b: 255, a: 255 })
+
+          // Draw the stroke behind the fill, like the halo in the text atlas
+          halo = {
+            stroke,
+            "stroke-opacity": (strokeOpacity !== "1") ? strokeOpacity : null,
+            "stroke-width": formatNumber(shadowRadius),
+            "stroke-linejoin": "round",
+            "paint-order": "stroke"
+          }
+        }
+
+        // SVG rotations are clockwise
+        const rotation = style.rotation ?
+          `rotate(${formatNumber(-style.rotation * 180 / Math.PI)} ${formatNumber(pos.x)} ${formatNumber(pos.y)})` : null
+
+        return `<text${attributesToString({
+          x: formatNumber(pos.x),
+          y: formatNumber(pos.y),
+          transform: rotation,
+          "font-family": style.font,
+          "font-size": style.fontSize,
+          "text-anchor": TEXT_ANCHORS[style.align] ?? "middle",
+          "dominant-baseline": TEXT_BASELINES[style.baseline] ?? "central",
+          fill,
+          "fill-opacity": (opacity !== "1") ? opacity : null,
+          ...halo
+        })}>${escapeXML(instruction.text)}</text>`
+      }
+      case "image": {
+        const { source, vertices, smoothing, opacity } = instruction
+
+        // Image sources other than pixel data (e.g., ImageBitmaps) can't be serialized without a canvas
+        if (!ArrayBuffer.isView(source.data)) return ""
+
+        const { width, height } = source
+
+        // Map the image onto the parallelogram of its top left, top right and bottom left corners
+        const matrix = [
+          (vertices[2] - vertices[0]) / width, (vertices[3] - vertices[1]) / width,
+          (vertices[4] - vertices[0]) / height, (vertices[5] - vertices[1]) / height,
+          vertices[0], vertices[1]
+        ]
+
+        return `<image${attributesToString({
+          width, height,
+          href: imageToDataURI(source),
+          preserveAspectRatio: "none",
+          transform: `matrix(${matrix.map(x => +x.toFixed(6)).join(" ")})`,
+          opacity: (opacity ?? 1) !== 1 ? formatNumber(opacity) : null,
+          style: (smoothing === false) ? "image-rendering:pixelated" : null
+        })}/>`
+      }
+      case "debug": {
+        const rect = instruction.rect
+        if (!rect) throw new Error("Unrecognized debug instruction")
+
+        return `<rect${attributesToString({
+          x: formatNumber(rect.x), y: formatNumber(rect.y), width: formatNumber(rect.w), height: formatNumber(rect.h),
+          fill: "none", stroke: "red"
+        })}/>`
+      }
+      default:
+        throw new Error(`Unsupported instruction type ${instruction.type}`)
+    }
+  }
+}
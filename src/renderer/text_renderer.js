@@ -1,18 +1,85 @@
-import {packRectangles, potpack} from "../algorithm/rectangle_packing.js"
-import {getVersionID, nextPowerOfTwo} from "../core/utils.js"
+import {DynamicRectanglePacker} from "../algorithm/rectangle_packing.js"
 
+// Extra space around each piece of text in the atlas, so that antialiased pixels don't spill into neighbors
+const PADDING = 2
+
+const INITIAL_SIZE = 256
+const MAX_SIZE = 4096
+
+/**
+ * A long-lived atlas of text, drawn on a canvas and uploaded as a texture. Each distinct piece of text, keyed by its
+ * string and the parts of its style affecting its shape (font, size and halo), is drawn once and kept until it hasn't
+ * been used for evictAfter frames, so that panning a plot only draws the tick labels which newly appear. Text is
+ * placed with a DynamicRectanglePacker; the atlas is only repacked (and, if necessary, grown) when it is full. The
+ * rectangles drawn since the last upload are tracked, so that only they need to be uploaded.
+ */
 export class TextRenderer {
-  constructor () {
+  /**
+   * @param opts {{}}
+   * @param opts.evictAfter {number} Number of frames after which unused text is evicted (default 60)
+   */
+  constructor (opts={}) {
     this.canvas = document.createElement("canvas")
-    let ctx = this.ctx = this.canvas.getContext("2d")
+    this.ctx = this.canvas.getContext("2d")
 
-    ctx.textAlign = "left"
-    ctx.textBaseline = "alphabetic"
+    this.evictAfter = opts.evictAfter ?? 60
+
+    /**
+     * Map of keys to atlas entries { rect: {x, y, w, h}, metrics: TextMetrics, text, style, lastUsed: frame }
+     * @type {Map<string, {}>}
+     */
+    this.entries = new Map()
+
+    this.packer = new DynamicRectanglePacker(INITIAL_SIZE, INITIAL_SIZE)
+
+    /**
+     * Incremented on each call to drawText
+     * @type {number}
+     */
+    this.frame = 0
+
+    /**
+     * Rectangles of the canvas which have been drawn since the last upload
+     * @type {Array}
+     */
+    this.dirtyRects = []
+
+    /**
+     * Whether the whole canvas must be uploaded, because it has been resized or repacked
+     * @type {boolean}
+     */
+    this.needsFullUpload = true
+
+    /**
+     * Number of channels of the atlas's image
+     * @type {number}
+     */
+    this.channels = 4
+
+    this.resizeCanvas(INITIAL_SIZE, INITIAL_SIZE)
+  }
+
+  /**
+   * The atlas as an image to upload
+   * @returns {HTMLCanvasElement}
+   */
+  get image () {
+    return this.canvas
   }
 
   /**
-   * Clear out all previous text stores. In the future, when doing a dynamic text packing, this will be called sometimes
-   * to do a reallocation.
+   * Key identifying text of the same string and shape
+   * @param textInfo {{text: string, style: TextStyle}}
+   * @returns {string}
+   */
+  static getKey (textInfo) {
+    const { font, fontSize, shadowRadius } = textInfo.style
+
+    return `${font};${fontSize};${shadowRadius ?? 0};${textInfo.text}`
+  }
+
+  /**
+   * Clear out all previous text stores
    */
   clearText () {
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
@@ -35,69 +102,166 @@ export class TextRenderer {
 
     ctx.textAlign = "left"
     ctx.textBaseline = "alphabetic"
+
+    // The atlas stores coverage rather than colors, so that the text shader can apply each style's colors: the red
+    // channel is the coverage of the text and the green channel the coverage of its halo. Drawing with "lighter" adds
+    // the channels independently.
+    ctx.globalCompositeOperation = "lighter"
+    ctx.fillStyle = "#f00"
+    ctx.strokeStyle = "#0f0"
+    ctx.lineJoin = "round"
   }
 
+  /**
+   * Place each piece of text in the atlas, drawing those not already present. Each text instruction is given a rect
+   * { x, y, w, h } (its location in the atlas) and its metrics. Counts as one frame for the purposes of eviction.
+   * @param textInfos {Array}
+   */
   drawText (textInfos) {
-    const { ctx } = this
-    const padding = 2  // Extra padding to allow for various antialiased pixels to spill over
+    const { entries } = this
+    const frame = ++this.frame
 
-    // Sort by font to avoid excess ctx.font modifications
-    textInfos.sort((c1, c2) => (c1.style.font < c2.style.font))
+    const added = []
 
-    // Compute where to place the text. Note that the text instructions are mutated in this process (in fact, the point
-    // of this process is to provide the instruction compiler with enough info to get the correct vertices)
-    const rects = []
     for (const draw of textInfos) {
-      const metrics = this.getMetrics(draw)
+      const key = TextRenderer.getKey(draw)
+      let entry = entries.get(key)
 
-      let shadowDiameter = 2 * draw.style.shadowRadius ?? 0
+      if (!entry) {
+        const metrics = this.getMetrics(draw)
+        const shadowDiameter = 2 * (draw.style.shadowRadius ?? 0)
 
-      const width = Math.ceil(metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight) +
-        shadowDiameter + padding
-      const height = Math.ceil(metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent) +
-        shadowDiameter + padding
+        entry = {
+          key,
+          text: draw.text,
+          style: draw.style,
+          metrics,
+          w: Math.ceil(metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight) + shadowDiameter,
+          h: Math.ceil(metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent) + shadowDiameter,
+          rect: null
+        }
 
+        entries.set(key, entry)
+        added.push(entry)
+      }
+
+      entry.lastUsed = frame
+    }
+
+    this.evict(frame - this.evictAfter)
+
+    for (const entry of added) {
+      if (!this.allocate(entry)) {
+        this.repack()
+        break
+      }
+
+      this.drawEntry(entry)
+    }
+
+    for (const draw of textInfos) {
+      const { rect, metrics } = entries.get(TextRenderer.getKey(draw))
+
+      draw.rect = { x: rect.x, y: rect.y, w: rect.w, h: rect.h }
       draw.metrics = metrics
-      draw.rect = { w: width, h: height }
+    }
+  }
 
-      rects.push(draw.rect)
+  /**
+   * Evict entries last used before a given frame
+   * @param frame {number}
+   */
+  evict (frame) {
+    for (const [ key, entry ] of this.entries) {
+      if (entry.lastUsed < frame) {
+        this.packer.delete(key)
+        this.entries.delete(key)
+      }
     }
+  }
 
-    const { w: packedWidth, h: packedHeight } = potpack(rects)
+  /**
+   * Find room for an entry in the atlas, returning whether there was room
+   * @param entry {{}}
+   * @returns {boolean}
+   */
+  allocate (entry) {
+    const packed = this.packer.add(entry.key, entry.w + PADDING, entry.h + PADDING)
+    if (!packed) return false
 
-    // Powers of two are generally nicer when working with textures
-    const canvasWidth = nextPowerOfTwo(packedWidth), canvasHeight = nextPowerOfTwo(packedHeight)
+    entry.rect = { x: packed.x, y: packed.y, w: entry.w, h: entry.h }
+    return true
+  }
 
-    this.resizeCanvas(canvasWidth, canvasHeight)
-    this.clearText()
+  /**
+   * Draw an entry at its location, marking it as dirty
+   * @param entry {{}}
+   */
+  drawEntry (entry) {
+    const { ctx } = this
+    const { rect, metrics, style } = entry
+    const shadowRadius = style.shadowRadius ?? 0
 
-    ctx.fillStyle = "black"
+    // The space may have been used by evicted text
+    ctx.clearRect(rect.x, rect.y, rect.w + PADDING, rect.h + PADDING)
 
-    // Each draw is now { metrics: TextMetrics, rect: {w, h, x, y}, text, style }
-    for (const draw of textInfos) {
-      const style = draw.style
+    ctx.font = `${style.fontSize}px ${style.font}`
 
-      ctx.font = `${style.fontSize}px ${style.font}`
-      const shadowRadius = draw.style.shadowRadius ?? 0
+    let x = rect.x + metrics.actualBoundingBoxLeft + shadowRadius
+    let y = rect.y + metrics.actualBoundingBoxAscent + shadowRadius
 
-      let x = draw.rect.x + draw.metrics.actualBoundingBoxLeft + shadowRadius
-      let y = draw.rect.y + draw.metrics.actualBoundingBoxAscent + shadowRadius
+    if (shadowRadius) {
+      ctx.lineWidth = shadowRadius
+      ctx.strokeText(entry.text, x, y)
+    }
 
-      // Stroke text behind the text with white
-      if (shadowRadius) {
-        ctx.strokeStyle = "white"
-        ctx.lineWidth = shadowRadius
+    ctx.fillText(entry.text, x, y)
 
-        ctx.strokeText(draw.text, x, y)
+    this.dirtyRects.push({ x: rect.x, y: rect.y, w: rect.w + PADDING, h: rect.h + PADDING })
+  }
 
-        ctx.fillStyle = "black"
-      }
+  /**
+   * Pack all entries from scratch, tallest first, doubling the size of the atlas until they fit, then redraw them.
+   * Entries which are not used in the current frame are evicted first.
+   */
+  repack () {
+    this.evict(this.frame)
+
+    const entries = Array.from(this.entries.values()).sort((e1, e2) => e2.h - e1.h)
+    let { width, height } = this.packer
+
+    while (true) {
+      this.packer.clear()
+
+      if (entries.every(entry => this.allocate(entry))) break
+
+      if (width >= MAX_SIZE && height >= MAX_SIZE)
+        throw new Error(`Text atlas exceeded the maximum size of ${MAX_SIZE}x${MAX_SIZE}`)
 
-      ctx.fillText(draw.text, x, y)
+      // Grow the shorter side, keeping the atlas roughly square
+      if (height < width) height *= 2
+      else width *= 2
 
-      // The actual texture coordinates used should be minus the padding (which is only used for potpack)
-      draw.rect.w -= padding
-      draw.rect.h -= padding
+      this.packer.resize(width, height)
     }
+
+    if (width !== this.canvas.width || height !== this.canvas.height) {
+      this.resizeCanvas(width, height)
+    } else {
+      this.clearText()
+    }
+
+    for (const entry of entries) this.drawEntry(entry)
+
+    this.dirtyRects = []
+    this.needsFullUpload = true
+  }
+
+  /**
+   * Mark the atlas as uploaded
+   */
+  clearDirty () {
+    this.dirtyRects = []
+    this.needsFullUpload = false
   }
 }
@@ -59,6 +59,60 @@ class Color {
     return new Color(this)
   }
 
+  /**
+   * Hue, saturation and value, each in [0, 1]
+   * @returns {{h: number, s: number, v: number}}
+   */
+  toHSV () {
+    return rgbToHsv(this.r, this.g, this.b)
+  }
+
+  /**
+   * Channels in linear sRGB, each in [0, 1] (i.e., without the sRGB transfer function)
+   * @returns {{r: number, g: number, b: number}}
+   */
+  toLinearRGB () {
+    return { r: srgbToLinear(this.r), g: srgbToLinear(this.g), b: srgbToLinear(this.b) }
+  }
+
+  /**
+   * CIELAB coordinates under the D65 white point, with l in [0, 100]
+   * @returns {{l: number, a: number, b: number}}
+   */
+  toLab () {
+    return linearRgbToLab(this.toLinearRGB())
+  }
+
+  /**
+   * OKLab coordinates, with l in [0, 1]
+   * @returns {{l: number, a: number, b: number}}
+   */
+  toOKLab () {
+    return linearRgbToOKLab(this.toLinearRGB())
+  }
+
+  /**
+   * Coordinates in a color space: "rgb", "linear", "hsv", "lab" or "oklab"
+   * @param space {string}
+   * @returns {{}}
+   */
+  toSpace (space) {
+    switch (space) {
+      case "rgb":
+        return { r: this.r, g: this.g, b: this.b }
+      case "linear":
+        return this.toLinearRGB()
+      case "hsv":
+        return this.toHSV()
+      case "lab":
+        return this.toLab()
+      case "oklab":
+        return this.toOKLab()
+      default:
+        throw new Error(`Unknown color space ${space}`)
+    }
+  }
+
   static rgb (r, g, b) {
     return new Color({
       r,
@@ -87,6 +141,98 @@ class Color {
     return color
   }
 
+  static hsv (h, s, v) {
+    return new Color(hsvToRgb(h, s, v))
+  }
+
+  static hsva (h, s, v, a) {
+    let color = Color.hsv(h, s, v)
+    color.a = 255 * a
+
+    return color
+  }
+
+  /**
+   * Color from channels in linear sRGB, each in [0, 1]; out-of-gamut channels are clamped
+   */
+  static linearRGB (r, g, b, a = 255) {
+    return new Color({ r: linearToSrgb(r), g: linearToSrgb(g), b: linearToSrgb(b), a })
+  }
+
+  /**
+   * Color from CIELAB coordinates under the D65 white point; out-of-gamut colors are clamped
+   */
+  static lab (l, a, b, alpha = 255) {
+    let { r, g, b: bl } = labToLinearRgb(l, a, b)
+
+    return Color.linearRGB(r, g, bl, alpha)
+  }
+
+  /**
+   * Color from OKLab coordinates; out-of-gamut colors are clamped
+   */
+  static oklab (l, a, b, alpha = 255) {
+    let { r, g, b: bl } = oklabToLinearRgb(l, a, b)
+
+    return Color.linearRGB(r, g, bl, alpha)
+  }
+
+  /**
+   * Color from coordinates in a color space (see toSpace)
+   * @param space {string}
+   * @param coords {{}}
+   * @param alpha {number}
+   * @returns {Color}
+   */
+  static fromSpace (space, coords, alpha = 255) {
+    switch (space) {
+      case "rgb":
+        return Color.rgba(clamp255(coords.r), clamp255(coords.g), clamp255(coords.b), alpha)
+      case "linear":
+        return Color.linearRGB(coords.r, coords.g, coords.b, alpha)
+      case "hsv":
+        return Color.hsva(coords.h, coords.s, coords.v, alpha / 255)
+      case "lab":
+        return Color.lab(coords.l, coords.a, coords.b, alpha)
+      case "oklab":
+        return Color.oklab(coords.l, coords.a, coords.b, alpha)
+      default:
+        throw new Error(`Unknown color space ${space}`)
+    }
+  }
+
+  /**
+   * Interpolate between two colors in a color space: "oklab" (the default; perceptually uniform), "lab", "linear"
+   * (physically correct mixing of light), "rgb" or "hsv" (along the shorter arc of hues). Alpha is interpolated linearly.
+   * @param c1 {Color}
+   * @param c2 {Color}
+   * @param t {number} 0 gives c1, 1 gives c2
+   * @param space {string}
+   * @returns {Color}
+   */
+  static mix (c1, c2, t, space = "oklab") {
+    c1 = Color.fromObj(c1)
+    c2 = Color.fromObj(c2)
+
+    let p = c1.toSpace(space), q = c2.toSpace(space)
+    let mixed = {}
+
+    for (let key in p) mixed[key] = p[key] + (q[key] - p[key]) * t
+
+    if (space === "hsv") {
+      // Grays have no hue, so take the other color's
+      let h1 = p.s ? p.h : q.h, h2 = q.s ? q.h : h1
+      let dh = h2 - h1
+
+      if (dh > 0.5) dh -= 1
+      else if (dh < -0.5) dh += 1
+
+      mixed.h = ((h1 + dh * t) % 1 + 1) % 1
+    }
+
+    return Color.fromSpace(space, mixed, c1.a + (c2.a - c1.a) * t)
+  }
+
   static fromHex (string) {
     return new Color(hexToRgb(string))
   }
@@ -169,6 +315,110 @@ function hslToRgb (h, s, l) {
   return { r: 255 * r, g: 255 * g, b: 255 * b }
 }
 
+function clamp255 (x) {
+  return Math.min(Math.max(x, 0), 255)
+}
+
+function rgbToHsv (r, g, b) {
+  r /= 255
+  g /= 255
+  b /= 255
+
+  let max = Math.max(r, g, b), min = Math.min(r, g, b)
+  let d = max - min
+  let h = 0
+
+  if (d !== 0) {
+    if (max === r) h = ((g - b) / d + 6) % 6
+    else if (max === g) h = (b - r) / d + 2
+    else h = (r - g) / d + 4
+  }
+
+  return { h: h / 6, s: max ? d / max : 0, v: max }
+}
+
+function hsvToRgb (h, s, v) {
+  h = ((h % 1) + 1) % 1 * 6
+
+  let i = Math.floor(h), f = h - i
+  let p = v * (1 - s), q = v * (1 - f * s), t = v * (1 - (1 - f) * s)
+  let [ r, g, b ] = [ [ v, t, p ], [ q, v, p ], [ p, v, t ], [ p, q, v ], [ t, p, v ], [ v, p, q ] ][i % 6]
+
+  return { r: 255 * r, g: 255 * g, b: 255 * b }
+}
+
+// sRGB transfer function, between channels in [0, 255] and linear channels in [0, 1]
+function srgbToLinear (c) {
+  c /= 255
+
+  return (c <= 0.04045) ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+}
+
+function linearToSrgb (c) {
+  c = Math.min(Math.max(c, 0), 1)
+
+  return 255 * ((c <= 0.0031308) ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055)
+}
+
+// D65 white point, and the constants of CIELAB's nonlinearity
+const D65 = { x: 0.95047, y: 1, z: 1.08883 }
+const LAB_DELTA = 6 / 29
+
+function labF (t) {
+  return (t > LAB_DELTA ** 3) ? Math.cbrt(t) : t / (3 * LAB_DELTA ** 2) + 4 / 29
+}
+
+function labFInverse (t) {
+  return (t > LAB_DELTA) ? t ** 3 : 3 * LAB_DELTA ** 2 * (t - 4 / 29)
+}
+
+function linearRgbToLab ({ r, g, b }) {
+  let fx = labF((0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / D65.x)
+  let fy = labF((0.2126729 * r + 0.7151522 * g + 0.0721750 * b) / D65.y)
+  let fz = labF((0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / D65.z)
+
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) }
+}
+
+function labToLinearRgb (l, a, b) {
+  let fy = (l + 16) / 116
+
+  let x = D65.x * labFInverse(fy + a / 500)
+  let y = D65.y * labFInverse(fy)
+  let z = D65.z * labFInverse(fy - b / 200)
+
+  return {
+    r: 3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+    g: -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+    b: 0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+  }
+}
+
+// Credit to https://bottosson.github.io/posts/oklab/
+function linearRgbToOKLab ({ r, g, b }) {
+  let l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b)
+  let m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b)
+  let s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b)
+
+  return {
+    l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  }
+}
+
+function oklabToLinearRgb (L, a, b) {
+  let l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3
+  let m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3
+  let s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3
+
+  return {
+    r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    b: -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  }
+}
+
 const rgb = Color.rgb
 
 const Colors = {
@@ -600,6 +850,235 @@ const Colors = {
 
 export { Color, Colors }
 
+// Colors of the built-in colormaps, evenly spaced. Sequential maps are from matplotlib (viridis, magma, inferno, plasma
+// and cividis) and ColorBrewer (RdBu and PiYG); coolwarm is Kenneth Moreland's diverging map.
+const COLORMAP_PRESETS = {
+  VIRIDIS: [ "#440154", "#482475", "#414487", "#355f8d", "#2a788e", "#21918c", "#22a884", "#44bf70", "#7ad151", "#bddf26", "#fde725" ],
+  MAGMA: [ "#000004", "#140e36", "#3b0f70", "#641a80", "#8c2981", "#b73779", "#de4968", "#f7705c", "#fe9f6d", "#fecf92", "#fcfdbf" ],
+  INFERNO: [ "#000004", "#160b39", "#420a68", "#6a176e", "#932667", "#bc3754", "#dd513a", "#f37819", "#fca50a", "#f6d746", "#fcffa4" ],
+  PLASMA: [ "#0d0887", "#41049d", "#6a00a8", "#8f0da4", "#b12a90", "#cc4778", "#e16462", "#f2844b", "#fca636", "#fcce25", "#f0f921" ],
+  CIVIDIS: [ "#00224e", "#123570", "#3b496c", "#575d6d", "#707173", "#8a8779", "#a69d75", "#c4b56c", "#e4cf5b", "#fee838" ],
+  COOLWARM: [ "#3b4cc0", "#6788ee", "#9abbff", "#c9d7f0", "#edd1c2", "#f7a889", "#e26952", "#b40426" ],
+  RDBU: [ "#67001f", "#b2182b", "#d6604d", "#f4a582", "#fddbc7", "#f7f7f7", "#d1e5f0", "#92c5de", "#4393c3", "#2166ac", "#053061" ],
+  PIYG: [ "#8e0152", "#c51b7d", "#de77ae", "#f1b6da", "#fde0ef", "#f7f7f7", "#e6f5d0", "#b8e186", "#7fbc41", "#4d9221", "#276419" ]
+}
+
+// Credit to https://github.com/d3/d3-scale-chromatic (a polynomial approximation of Google's turbo)
+function turbo (t) {
+  return Color.rgb(
+    clamp255(34.61 + t * (1172.33 - t * (10793.56 - t * (33300.12 - t * (38394.49 - t * 14825.05))))),
+    clamp255(23.31 + t * (557.33 + t * (1225.33 - t * (3574.96 - t * (1073.77 + t * 707.56))))),
+    clamp255(27.2 + t * (3211.1 - t * (15327.97 - t * (27814 - t * (22569.18 - t * 6838.66)))))
+  )
+}
+
+// Number of stops at which colormaps given as functions are sampled
+const COLORMAP_FUNCTION_STOPS = 64
+
+/**
+ * A map from [0, 1] to colors, given by colors at increasing positions ("stops") and interpolated between them in some
+ * color space (see Color.mix). Colormaps are immutable. Built-in maps are in Colormaps; any of them may be referred to
+ * by name (case-insensitively, with a suffix "_r" for the reversed map) where a colormap is expected.
+ */
+class Colormap {
+  /**
+   * @param stops {Array<{position: number, color: Color}>} Stops with positions increasing from 0 to 1
+   * @param opts {{}}
+   * @param opts.space {string} Color space in which to interpolate (default "oklab")
+   */
+  constructor (stops, opts={}) {
+    if (!Array.isArray(stops) || stops.length === 0) throw new Error("A colormap needs at least one stop")
+
+    this.stops = stops.map(({ position, color }) => ({ position, color: Color.fromObj(color) }))
+    this.space = opts.space ?? "oklab"
+
+    for (let i = 1; i < this.stops.length; ++i) {
+      if (!(this.stops[i].position >= this.stops[i - 1].position))
+        throw new Error("Colormap stop positions must be increasing")
+    }
+
+    Object.freeze(this.stops)
+    Object.freeze(this)
+  }
+
+  /**
+   * Get the color at a position, clamped to [0, 1]. NaN gives a transparent color.
+   * @param t {number}
+   * @returns {Color}
+   */
+  sample (t) {
+    const { stops, space } = this
+
+    if (Number.isNaN(t)) return Colors.TRANSPARENT
+    if (t <= stops[0].position) return stops[0].color.clone()
+
+    for (let i = 1; i < stops.length; ++i) {
+      let { position, color } = stops[i]
+
+      if (t <= position) {
+        let prev = stops[i - 1]
+        let width = position - prev.position
+
+        return width ? Color.mix(prev.color, color, (t - prev.position) / width, space) : color.clone()
+      }
+    }
+
+    return stops[stops.length - 1].color.clone()
+  }
+
+  /**
+   * Sample the colormap at evenly spaced positions from 0 to 1, into a lookup table of RGBA bytes
+   * @param size {number} Number of entries
+   * @returns {Uint8Array}
+   */
+  toLUT (size=256) {
+    let lut = new Uint8Array(4 * size)
+
+    for (let i = 0; i < size; ++i) {
+      let { r, g, b, a } = this.sample(size > 1 ? i / (size - 1) : 0)
+
+      lut[4 * i] = Math.round(r)
+      lut[4 * i + 1] = Math.round(g)
+      lut[4 * i + 2] = Math.round(b)
+      lut[4 * i + 3] = Math.round(a)
+    }
+
+    return lut
+  }
+
+  /**
+   * @returns {Colormap} The colormap running from 1 to 0
+   */
+  reversed () {
+    return new Colormap(this.stops.map(({ position, color }) => ({ position: 1 - position, color })).reverse(), { space: this.space })
+  }
+
+  /**
+   * Colormap with evenly spaced colors
+   * @param colors {Array<Color|string>}
+   * @param opts {{}} See the constructor
+   * @returns {Colormap}
+   */
+  static fromColors (colors, opts={}) {
+    let n = colors.length
+
+    return new Colormap(colors.map((color, i) => ({ position: (n > 1) ? i / (n - 1) : 0, color })), opts)
+  }
+
+  /**
+   * Convert a colormap specification into a Colormap: a Colormap, the name of a built-in map (e.g. "viridis",
+   * "magma_r"), an array of colors (evenly spaced) or of [ position, color ] pairs, a function from [0, 1] to colors
+   * (sampled at 64 stops), or { stops, space, reverse }, where stops is an array as above.
+   * @param obj {*}
+   * @returns {Colormap}
+   */
+  static fromObj (obj) {
+    if (obj instanceof Colormap) return obj
+
+    if (typeof obj === "string") {
+      let name = obj.toUpperCase()
+      let reverse = name.endsWith("_R")
+
+      if (reverse) name = name.slice(0, -2)
+
+      let colormap = Colormaps[name]
+      if (!(colormap instanceof Colormap)) throw new Error(`Unknown colormap ${obj}`)
+
+      return reverse ? colormap.reversed() : colormap
+    }
+
+    if (typeof obj === "function") {
+      let colors = []
+      for (let i = 0; i < COLORMAP_FUNCTION_STOPS; ++i) colors.push(Color.fromObj(obj(i / (COLORMAP_FUNCTION_STOPS - 1))))
+
+      return Colormap.fromColors(colors, { space: "rgb" })
+    }
+
+    let opts = {}, stops = obj, reverse = false
+
+    if (obj && !Array.isArray(obj) && typeof obj === "object") {
+      ({ stops, reverse = false } = obj)
+      opts.space = obj.space
+    }
+
+    if (!Array.isArray(stops)) throw new Error(`Expected a colormap, got ${obj}`)
+
+    let colormap = Array.isArray(stops[0]) ?
+      new Colormap(stops.map(([ position, color ]) => ({ position, color })), opts) : Colormap.fromColors(stops, opts)
+
+    return reverse ? colormap.reversed() : colormap
+  }
+
+  // Composition, so that colormaps can be element properties (see lookupCompositionType). The last given specification wins.
+  static compose (...args) {
+    let ret = Colormap.default
+
+    for (let i = 0; i < args.length; ++i) {
+      if (args[i] !== undefined) ret = Colormap.fromObj(args[i])
+    }
+
+    return ret
+  }
+
+  static create (params) {
+    return Colormap.compose(Colormap.default, params)
+  }
+
+  static get default () {
+    return Colormaps.VIRIDIS
+  }
+}
+
+// Built-in colormaps are constructed when first used
+const colormapCache = new Map()
+
+function presetColormap (name) {
+  let colormap = colormapCache.get(name)
+
+  if (!colormap) {
+    let colors = (name === "TURBO") ?
+      Array.from({ length: 32 }, (_, i) => turbo(i / 31)) : COLORMAP_PRESETS[name]
+
+    colormap = Colormap.fromColors(colors, { space: "rgb" })
+    colormapCache.set(name, colormap)
+  }
+
+  return colormap
+}
+
+const Colormaps = {
+  get VIRIDIS () {
+    return presetColormap("VIRIDIS")
+  },
+  get MAGMA () {
+    return presetColormap("MAGMA")
+  },
+  get INFERNO () {
+    return presetColormap("INFERNO")
+  },
+  get PLASMA () {
+    return presetColormap("PLASMA")
+  },
+  get CIVIDIS () {
+    return presetColormap("CIVIDIS")
+  },
+  get TURBO () {
+    return presetColormap("TURBO")
+  },
+  // Diverging
+  get COOLWARM () {
+    return presetColormap("COOLWARM")
+  },
+  get RDBU () {
+    return presetColormap("RDBU")
+  },
+  get PIYG () {
+    return presetColormap("PIYG")
+  }
+}
+
+export { Colormap, Colormaps }
+
 export const Pen = {
   // take a list of partial pen specifications and combine them into a complete pen by combining each and keeping only
   // the valid parameters TODO
@@ -697,7 +1176,9 @@ export const TextStyle = {
     fontSize: 12,
     shadowRadius: 0,
     align: "left",
-    baseline: "bottom"
+    baseline: "bottom",
+    // Counterclockwise angle in radians about the anchor, e.g. Math.PI / 2 for a vertical axis label
+    rotation: 0
   })
 }
 
@@ -780,6 +1261,8 @@ export function lookupCompositionType (type) {
       return GenericObject
     case "BooleanDict":
       return BooleanDict
+    case "Colormap":
+      return Colormap
   }
 }
 
@@ -800,5 +1283,5 @@ export const DefaultStyles = {
   gridlinesAxis: Pen.create({ thickness: 4, endcap: "butt" }),
   plotLabelPositions: LabelPosition.default,
   Pen: Pen.default,
-  label: TextStyle.create({ fontSize: 16, shadowRadius: 2 })
+  label: TextStyle.create({ fontSize: 16, shadowRadius: 2, align: "center", baseline: "middle" })
 }
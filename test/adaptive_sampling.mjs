@@ -0,0 +1,117 @@
+import { adaptivelySample, adaptivelySampleParametric, sampleUniformly } from "../src/algorithm/adaptive_sampling.js"
+import { RealInterval } from "../src/math/real_interval/interval.js"
+import { expect } from "chai"
+
+// Return the x coordinates around which the sampled polyline is broken by a NaN, NaN vertex
+function getBreaks (vertices) {
+  let breaks = []
+
+  for (let i = 2; i < vertices.length - 2; i += 2) {
+    if (Number.isNaN(vertices[i]) && Number.isNaN(vertices[i + 1])) {
+      breaks.push((vertices[i - 2] + vertices[i + 2]) / 2)
+    }
+  }
+
+  return breaks
+}
+
+describe("sampleUniformly", () => {
+  it("should sample at evenly spaced points, including the endpoints", () => {
+    let vertices = sampleUniformly(x => 2 * x, 0, 1, 5)
+
+    expect(Array.from(vertices)).to.deep.equal([ 0, 0, 0.25, 0.5, 0.5, 1, 0.75, 1.5, 1, 2 ])
+  })
+
+  it("should convert undefined and infinite values to NaN", () => {
+    let vertices = sampleUniformly(x => (x === 0) ? Infinity : (x > 0 ? undefined : x), -1, 1, 3)
+
+    expect(vertices[1]).to.equal(-1)
+    expect(vertices[3]).to.be.NaN
+    expect(vertices[5]).to.be.NaN
+  })
+})
+
+describe("adaptivelySample", () => {
+  it("should throw on invalid arguments", () => {
+    expect(() => adaptivelySample(null, 0, 1)).to.throw(TypeError)
+    expect(() => adaptivelySample(x => x, 1, 0)).to.throw(RangeError)
+    expect(() => adaptivelySample(x => x, 0, 1, { samples: 1 })).to.throw(RangeError)
+  })
+
+  it("should not refine a straight line", () => {
+    let vertices = adaptivelySample(x => 3 * x + 1, -5, 5, { samples: 50 })
+
+    expect(vertices.length).to.equal(100)
+  })
+
+  it("should refine around sharp turns", () => {
+    let vertices = adaptivelySample(Math.abs, -1, 1.01, { samples: 20, maxDepth: 5 })
+    let nearZero = 0
+
+    for (let i = 0; i < vertices.length; i += 2) {
+      if (Math.abs(vertices[i]) < 0.1) nearZero++
+    }
+
+    expect(vertices.length).to.be.greaterThan(40)
+    expect(nearZero).to.be.greaterThan(5)
+  })
+
+  it("should not break continuous functions", () => {
+    let vertices = adaptivelySample(x => x ** 3, -10, 10, { jumpThreshold: 0.01 })
+
+    expect(getBreaks(vertices)).to.deep.equal([])
+  })
+
+  it("should break at the poles of tan(x)", () => {
+    let vertices = adaptivelySample(Math.tan, -4, 4, { jumpThreshold: 0.1 })
+    let breaks = getBreaks(vertices)
+
+    expect(breaks.length).to.equal(2)
+    expect(breaks[0]).to.be.closeTo(-Math.PI / 2, 1e-6)
+    expect(breaks[1]).to.be.closeTo(Math.PI / 2, 1e-6)
+  })
+
+  it("should break at the jumps of floor(x)", () => {
+    let vertices = adaptivelySample(Math.floor, -2.5, 2.5, { jumpThreshold: 0.5 })
+    let breaks = getBreaks(vertices)
+
+    expect(breaks.length).to.equal(5)
+    breaks.forEach((x, i) => expect(x).to.be.closeTo(i - 2, 1e-6))
+  })
+
+  it("should use interval def/cont flags when an interval function is given", () => {
+    // Interval version of 1/x, which is discontinuous (and undefined) at 0
+    let reciprocal = int => {
+      if (int.min <= 0 && int.max >= 0) return new RealInterval(-Infinity, Infinity, false, true, false, true)
+      return new RealInterval(1 / int.max, 1 / int.min)
+    }
+
+    let vertices = adaptivelySample(x => 1 / x, -1, 1.5, { intervalFunction: reciprocal })
+    let breaks = getBreaks(vertices)
+
+    expect(breaks.length).to.equal(1)
+    expect(breaks[0]).to.be.closeTo(0, 1e-6)
+  })
+})
+
+describe("adaptivelySampleParametric", () => {
+  it("should refine until segments are shorter than the maximum length", () => {
+    // Circle of radius 100, traversed much faster near t = 0
+    let vertices = adaptivelySampleParametric(t => [ 100 * Math.cos(t ** 3), 100 * Math.sin(t ** 3) ], 0, 2, {
+      samples: 10, maxSegmentLength: 2
+    })
+
+    for (let i = 2; i < vertices.length; i += 2) {
+      expect(Math.hypot(vertices[i] - vertices[i - 2], vertices[i + 1] - vertices[i - 1])).to.be.at.most(2)
+    }
+  })
+
+  it("should break at undefined points and jumps", () => {
+    // Undefined for t in (1, 2), and jumps from y = 0 to y = 100 at t = 3
+    let f = t => (t > 1 && t < 2) ? [ NaN, 0 ] : [ 10 * t, t < 3 ? 0 : 100 ]
+    let vertices = adaptivelySampleParametric(f, 0, 4, { samples: 9, jumpThreshold: 5 })
+    let pieces = Array.from(vertices).join(",").split("NaN,NaN").filter(s => s.replace(/,/g, "").length > 0)
+
+    expect(pieces.length).to.equal(3)
+  })
+})
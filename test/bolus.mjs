@@ -0,0 +1,100 @@
+import { asyncDigest, coatBolus, syncDigest, testBolus, BolusCancellationError, BolusTimeoutError } from "../src/core/bolus.js"
+import { expect } from "chai"
+
+// Bolus which yields count times, busy-waiting for stepTime ms before each yield
+function slowBolus (count, stepTime = 1) {
+  let i = 0
+  let cleanedUp = false
+
+  return {
+    next () {
+      let start = Date.now()
+      while (Date.now() - start < stepTime);
+
+      if (++i > count) return { value: "done", done: true }
+      return { value: i / count, done: false }
+    },
+    cleanup () {
+      cleanedUp = true
+    },
+    get cleanedUp () {
+      return cleanedUp
+    }
+  }
+}
+
+describe("asyncDigest", () => {
+  it("should resolve to the result of the bolus", async () => {
+    expect(await asyncDigest(testBolus(1e6))).to.equal(1e6 * (1e6 + 1) / 2)
+  })
+
+  it("should forward non-boluses", async () => {
+    expect(await asyncDigest(5)).to.equal(5)
+  })
+
+  it("should report increasing progress between slices", async () => {
+    let progress = []
+
+    await asyncDigest(slowBolus(40), p => progress.push(p), -1, 4)
+
+    expect(progress.length).to.be.greaterThan(1)
+    progress.reduce((a, b) => {
+      expect(b).to.be.greaterThan(a)
+      return b
+    })
+  })
+
+  it("should clean up and reject when cancelled", async () => {
+    let bolus = slowBolus(1000)
+    let promise = asyncDigest(bolus, p => {
+      if (p > 0.01) promise.cancel()
+    })
+
+    let err = await promise.catch(e => e)
+
+    expect(err).to.be.instanceOf(BolusCancellationError)
+    expect(bolus.cleanedUp).to.be.true
+  })
+
+  it("should clean up and reject when timed out", async () => {
+    let bolus = slowBolus(1000)
+    let err = await asyncDigest(bolus, null, 20).catch(e => e)
+
+    expect(err).to.be.instanceOf(BolusTimeoutError)
+    expect(bolus.cleanedUp).to.be.true
+  })
+
+  it("should clean up and reject when the bolus throws", async () => {
+    let cleanedUp = false
+    let bolus = {
+      next () {
+        throw new Error("indigestion")
+      },
+      cleanup () {
+        cleanedUp = true
+      }
+    }
+
+    let err = await asyncDigest(bolus).catch(e => e)
+
+    expect(err.message).to.equal("indigestion")
+    expect(cleanedUp).to.be.true
+  })
+})
+
+describe("coatBolus", () => {
+  it("should map progress into the given step", () => {
+    let bolus = coatBolus(slowBolus(4, 0), 1, 4)
+    let values = []
+    let next
+
+    while (!(next = bolus.next()).done) values.push(next.value)
+
+    expect(values).to.deep.equal([ 0.3125, 0.375, 0.4375, 0.5 ])
+    expect(next.value).to.equal("done")
+  })
+
+  it("should convert plain values into boluses", () => {
+    expect(syncDigest(coatBolus(3, 0, 1))).to.equal(3)
+  })
+})
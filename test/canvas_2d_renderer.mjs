@@ -0,0 +1,97 @@
+import { Canvas2DRenderer } from "../src/renderer/canvas_2d_renderer.js"
+import { WebGLRenderer } from "../src/renderer/renderer.js"
+import { Scene } from "../src/core/scene.js"
+import { Element } from "../src/core/element.js"
+import { Group } from "../src/core/group.js"
+import { Pen, Color } from "../src/styles/definitions.js"
+import { expect } from "chai"
+
+// Canvas whose 2D context records the methods called on it and the properties set on it
+function recordingCanvas () {
+  let calls = []
+  let ctx = new Proxy({}, {
+    get (target, name) {
+      return (...args) => { calls.push([ name, ...args ]) }
+    },
+    set (target, name, value) {
+      calls.push([ "set", name, value ])
+      return true
+    }
+  })
+
+  return { width: 0, height: 0, calls, getContext: type => (type === "2d") ? ctx : null }
+}
+
+// Element which emits its instructions
+class InstructionElement extends Element {
+  _update () {
+    this.internal.renderInfo = { instructions: this.instructions }
+  }
+}
+
+// Group which scissors its children to its box
+class ScissorGroup extends Group {
+  _update () {
+    this.internal.renderInfo = { contexts: { type: "scissor", scissor: this.box } }
+  }
+}
+
+describe("Canvas2DRenderer", () => {
+  it("should resize and clear the canvas according to the scene", () => {
+    let canvas = recordingCanvas()
+    let scene = new Scene()
+
+    scene.set({ width: 300, height: 200, dpr: 2, backgroundColor: Color.rgb(255, 0, 0) })
+    new Canvas2DRenderer(canvas).renderScene(scene)
+
+    expect(canvas.width).to.equal(600)
+    expect(canvas.height).to.equal(400)
+    expect(canvas.calls).to.deep.include([ "setTransform", 2, 0, 0, 2, 0, 0 ])
+    expect(canvas.calls).to.deep.include([ "set", "fillStyle", "rgba(255,0,0,1)" ])
+    expect(canvas.calls).to.deep.include([ "fillRect", 0, 0, 300, 200 ])
+  })
+
+  it("should stroke polylines within scissored contexts", () => {
+    let canvas = recordingCanvas()
+    let scene = new Scene()
+    let group = new ScissorGroup()
+    let line = new InstructionElement()
+
+    group.box = { x: 10, y: 20, w: 30, h: 40 }
+    line.instructions = { type: "polyline", vertices: [ 0, 0, 10, 0, NaN, NaN, 20, 5, 30, 5 ], pen: Pen.create({ dashPattern: [ 4, 2 ] }) }
+
+    group.add(line)
+    scene.add(group)
+
+    new Canvas2DRenderer(canvas).renderScene(scene)
+
+    let names = canvas.calls.map(c => c[0])
+    let clip = names.indexOf("clip"), stroke = names.indexOf("stroke"), restore = names.indexOf("restore")
+
+    expect(canvas.calls).to.deep.include([ "rect", 10, 20, 30, 40 ])
+    expect(clip).to.be.lessThan(stroke)
+    expect(stroke).to.be.lessThan(restore)
+    expect(names.filter(n => n === "moveTo").length).to.equal(2)
+    expect(canvas.calls).to.deep.include([ "setLineDash", [ 4, 2 ] ])
+  })
+
+  it("should skip degenerate triangles of triangle strips", () => {
+    let canvas = recordingCanvas()
+    let scene = new Scene()
+    let strip = new InstructionElement()
+
+    strip.instructions = { type: "triangle_strip", vertices: [ 0, 0, 10, 0, 0, 10, 0, 10, 0, 10 ], color: Color.rgb(0, 0, 255) }
+    scene.add(strip)
+
+    new Canvas2DRenderer(canvas).renderScene(scene)
+
+    expect(canvas.calls.filter(c => c[0] === "moveTo").length).to.equal(1)
+    expect(canvas.calls).to.deep.include([ "fill" ])
+  })
+})
+
+describe("WebGLRenderer", () => {
+  it("should not be supported without a DOM", () => {
+    expect(WebGLRenderer.isSupported()).to.be.false
+  })
+})
@@ -0,0 +1,48 @@
+import { Color, Colormap, Colormaps } from "../src/styles/definitions.js"
+import { expect } from "chai"
+
+describe("Color", () => {
+  it("should convert to and from HSV, linear sRGB, CIELAB and OKLab", () => {
+    let color = Color.rgb(200, 100, 50)
+
+    let { h, s, v } = color.toHSV()
+    expect(Color.hsv(h, s, v).rounded()).to.deep.equal({ r: 200, g: 100, b: 50, a: 255 })
+
+    let lab = color.toLab()
+    expect([ lab.l, lab.a, lab.b ].map(Math.round)).to.deep.equal([ 54, 36, 45 ])
+    expect(Color.lab(lab.l, lab.a, lab.b).rounded()).to.deep.equal({ r: 200, g: 100, b: 50, a: 255 })
+
+    let ok = Color.rgb(255, 255, 255).toOKLab()
+    expect(ok.l).to.be.closeTo(1, 1e-6)
+
+    ok = color.toOKLab()
+    expect(Color.oklab(ok.l, ok.a, ok.b).rounded()).to.deep.equal({ r: 200, g: 100, b: 50, a: 255 })
+  })
+
+  it("should mix colors in a color space", () => {
+    let red = Color.rgb(255, 0, 0), blue = Color.rgba(0, 0, 255, 0)
+
+    expect(Color.mix(red, blue, 0.5, "rgb").rounded()).to.deep.equal({ r: 128, g: 0, b: 128, a: 128 })
+    expect(Color.mix(red, blue, 0.5, "linear").rounded()).to.deep.equal({ r: 188, g: 0, b: 188, a: 128 })
+
+    // Along the shorter arc of hues, through magenta
+    expect(Color.mix(red, blue, 0.5, "hsv").rounded()).to.deep.equal({ r: 255, g: 0, b: 255, a: 128 })
+  })
+})
+
+describe("Colormap", () => {
+  it("should sample built-in and custom colormaps", () => {
+    expect(Colormaps.VIRIDIS.sample(0.5).rounded()).to.deep.equal({ r: 33, g: 145, b: 140, a: 255 })
+    expect(Array.from(Colormap.fromObj("viridis_r").toLUT(2))).to.deep.equal([ 253, 231, 37, 255, 68, 1, 84, 255 ])
+
+    let custom = Colormap.fromObj({ stops: [ [ 0, "red" ], [ 0.25, "white" ], [ 1, "blue" ] ], space: "rgb" })
+
+    expect(custom.sample(0.125).rounded()).to.deep.equal({ r: 255, g: 128, b: 128, a: 255 })
+    expect(custom.sample(2).rounded()).to.deep.equal({ r: 0, g: 0, b: 255, a: 255 })
+    expect(custom.reversed().sample(0.75).rounded()).to.deep.equal({ r: 255, g: 255, b: 255, a: 255 })
+    expect(custom.sample(NaN).a).to.equal(0)
+
+    expect(Colormap.create("magma")).to.equal(Colormaps.MAGMA)
+    expect(() => Colormap.fromObj("nonexistent")).to.throw()
+  })
+})
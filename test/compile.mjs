@@ -0,0 +1,38 @@
+import { parseString } from "../src/ast/parse_string.js"
+import { compileNode } from "../src/ast/compile.js"
+import { RealInterval } from "../src/math/real_interval/interval.js"
+import { expect } from "chai"
+
+// Compile an expression in x in interval mode
+function compileInterval (expression) {
+  let node = parseString(expression)
+  node.resolveTypes({ x: "real" })
+
+  return compileNode(node, { mode: "interval" }).evaluate
+}
+
+describe("compileNode", () => {
+  it("should evaluate exactly representable fractional powers like the equivalent functions in interval mode", () => {
+    let x = new RealInterval(-1, 2)
+
+    let half = compileInterval("x^0.5")({ x })
+    let sqrt = compileInterval("sqrt(x)")({ x })
+
+    expect([ half.min, half.max, half.defMax ]).to.deep.equal([ sqrt.min, sqrt.max, true ])
+    expect(half.min).to.be.at.most(0)
+    expect(half.max).to.be.within(Math.SQRT2, 1.4143)
+
+    let threeHalves = compileInterval("x^1.5")({ x })
+
+    expect(threeHalves.defMax).to.equal(true)
+    expect(threeHalves.min).to.be.at.most(0)
+    expect(threeHalves.max).to.be.within(2 * Math.SQRT2, 2.8285)
+  })
+
+  it("should round inexact constants outward in interval mode", () => {
+    let tenth = compileInterval("x + 0.1")({ x: new RealInterval(0) })
+
+    expect(tenth.min).to.be.below(0.1)
+    expect(tenth.max).to.be.above(0.1)
+  })
+})
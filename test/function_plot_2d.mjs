@@ -0,0 +1,93 @@
+import { FunctionPlot2D } from "../src/elements/function_plot_2d.js"
+import { LinearPlot2DTransform } from "../src/math/plot_transforms.js"
+import { expect } from "chai"
+
+// Plot transform of a 400x400 pixel box showing [-4, 4] x [-4, 4], so that x = (px - 200) / 50
+const transform = (gx=-4) => new LinearPlot2DTransform(0, 0, 400, 400, gx, -4, 8, 8)
+
+// Update a plot outside a scene, marking its props as updated like Scene.updateAll does
+function update (plot) {
+  plot.update()
+  plot.props.markGlobalUpdateComplete()
+}
+
+function plot (expression, gx) {
+  let plot = new FunctionPlot2D({ function: expression })
+  plot.props.set("plotTransform", transform(gx))
+
+  update(plot)
+  return plot
+}
+
+// Graph x coordinates around which the plotted polyline is broken by a NaN, NaN vertex
+function getBreaks (plot) {
+  let vertices = plot.internal.vertices
+  let { xm, xb } = plot.props.get("plotTransform").getReducedGraphToPixelTransform()
+  let breaks = []
+
+  for (let i = 2; i < vertices.length - 2; i += 2) {
+    if (Number.isNaN(vertices[i]) && !Number.isNaN(vertices[i - 2])) {
+      let j = i + 2
+      while (Number.isNaN(vertices[j])) j += 2
+
+      breaks.push(((vertices[i - 2] + vertices[j]) / 2 - xb) / xm)
+    }
+  }
+
+  return breaks
+}
+
+describe("FunctionPlot2D", () => {
+  it("should break the plot where the function is undefined", () => {
+    // acosh is undefined below 1, so acosh(x^2) is undefined on (-1, 1)
+    let p = plot("acosh(x^2)")
+    let breaks = getBreaks(p)
+
+    expect(breaks.some(x => Math.abs(x) < 0.01)).to.equal(true)
+
+    // Nothing is drawn over (-1, 1); x = (px - 200) / 50
+    let xs = p.internal.vertices.filter((v, i) => i % 2 === 0 && !Number.isNaN(v)).map(px => (px - 200) / 50)
+    expect(xs.some(x => Math.abs(x) < 0.999)).to.equal(false)
+
+    breaks = getBreaks(plot("1/x"))
+
+    expect(breaks).to.have.length(1)
+    expect(breaks[0]).to.be.closeTo(0, 0.01)
+
+    breaks = getBreaks(plot("tan(x)"))
+
+    expect(breaks).to.have.length(2)
+    expect(breaks[0]).to.be.closeTo(-Math.PI / 2, 0.01)
+    expect(breaks[1]).to.be.closeTo(Math.PI / 2, 0.01)
+  })
+
+  it("should break the plot at jumps", () => {
+    // Shown over [-3.5, 4.5], so that no jump is at an end
+    let breaks = getBreaks(plot("floor(x)", -3.5))
+
+    expect(breaks).to.have.length(8)
+    breaks.forEach((x, i) => expect(x).to.be.closeTo(i - 3, 0.01))
+  })
+
+  it("should only resample when the function or plot transform changes", () => {
+    let p = plot("x^2")
+    let vertices = p.internal.vertices
+
+    p.set({ pen: { color: { r: 255, g: 0, b: 0, a: 255 } } })
+    update(p)
+
+    expect(p.internal.vertices).to.equal(vertices)
+    expect(p.internal.renderInfo.instructions.pen.color.r).to.equal(255)
+
+    p.props.set("plotTransform", transform(-3))
+    update(p)
+
+    expect(p.internal.vertices).to.not.equal(vertices)
+    vertices = p.internal.vertices
+
+    p.set({ function: "x^3" })
+    update(p)
+
+    expect(p.internal.vertices).to.not.equal(vertices)
+  })
+})
@@ -0,0 +1,117 @@
+import { Heatmap2D } from "../src/elements/heatmap_2d.js"
+import { LinearPlot2DTransform } from "../src/math/plot_transforms.js"
+import { expect } from "chai"
+
+// Update a heatmap outside a scene, marking its props as updated like Scene.updateAll does
+function update (heatmap) {
+  heatmap.update()
+  heatmap.props.markGlobalUpdateComplete()
+}
+
+// Plot transform of a 100x100 pixel box showing [gx, gx + 2] x [gy, gy + 2]
+function transform (gx=-1, gy=-1) {
+  return new LinearPlot2DTransform(0, 0, 100, 100, gx, gy, 2, 2)
+}
+
+function gridHeatmap (values, params={}) {
+  let heatmap = new Heatmap2D({ grid: { values, width: 2, height: 2 }, graphRect: { x: 0, y: 0, w: 2, h: 2 }, ...params })
+  heatmap.props.set("plotTransform", transform())
+
+  update(heatmap)
+  return heatmap
+}
+
+// Color of the cell (i, j) of the image, counting rows from the top
+function getCell (heatmap, i, j) {
+  let { data, width } = heatmap.internal.image
+  let offset = 4 * (j * width + i)
+
+  return Array.from(data.subarray(offset, offset + 4))
+}
+
+// Color of the given entry of the heatmap's 256-entry colormap lookup table
+function lutColor (heatmap, index) {
+  return Array.from(heatmap.internal.lut.subarray(4 * index, 4 * index + 4))
+}
+
+describe("Heatmap2D", () => {
+  it("should only evaluate the newly visible cells when panned", () => {
+    let heatmap = new Heatmap2D({ function: "x*y", colorBar: false })
+
+    heatmap.props.set("plotTransform", transform())
+    update(heatmap)
+
+    let { cols, rows } = heatmap.internal.cells
+    expect(heatmap.internal.evaluatedCells).to.equal(cols * rows)
+
+    // Pan right by a tenth of the view
+    heatmap.props.set("plotTransform", transform(-0.8, -1))
+    update(heatmap)
+
+    let cells = heatmap.internal.cells
+    expect(heatmap.internal.evaluatedCells).to.be.above(0).and.at.most(Math.ceil(0.1 * cols + 1) * rows)
+
+    // Reused and new values alike are those of the function at the cells' centers
+    for (let n of [ 0, cells.values.length >> 1, cells.values.length - 1 ]) {
+      let x = (cells.i0 + n % cells.cols + 0.5) * cells.dx, y = (cells.j0 + Math.floor(n / cells.cols) + 0.5) * cells.dy
+
+      expect(cells.values[n]).to.be.closeTo(x * y, 1e-12)
+    }
+
+    // Zooming changes the lattice, so every cell is evaluated again
+    heatmap.props.set("plotTransform", new LinearPlot2DTransform(0, 0, 100, 100, -0.5, -0.5, 1, 1))
+    update(heatmap)
+
+    expect(heatmap.internal.evaluatedCells).to.equal(heatmap.internal.cells.values.length)
+  })
+
+  it("should map grid values through the colormap, over the automatic or a fixed range", () => {
+    // Rows are from the bottom, so 2 and 3 are the top row of the image
+    let heatmap = gridHeatmap([ 0, 1, 2, 3 ])
+
+    expect(heatmap.internal.valueRange).to.deep.equal([ 0, 3 ])
+    expect(getCell(heatmap, 0, 0)).to.deep.equal(lutColor(heatmap, 170))
+    expect(getCell(heatmap, 1, 1)).to.deep.equal(lutColor(heatmap, 85))
+    expect(getCell(heatmap, 0, 1)).to.deep.equal(lutColor(heatmap, 0))
+
+    heatmap.set({ range: [ 0, 10 ] })
+    update(heatmap)
+
+    expect(heatmap.internal.valueRange).to.deep.equal([ 0, 10 ])
+    expect(getCell(heatmap, 1, 0)).to.deep.equal(lutColor(heatmap, 77))
+  })
+
+  it("should leave undefined values transparent and out of the automatic range", () => {
+    let heatmap = gridHeatmap([ NaN, 1, Infinity, 5 ])
+
+    expect(heatmap.internal.valueRange).to.deep.equal([ 1, 5 ])
+    expect(getCell(heatmap, 0, 1)).to.deep.equal([ 0, 0, 0, 0 ])
+    expect(getCell(heatmap, 0, 0)).to.deep.equal([ 0, 0, 0, 0 ])
+    expect(getCell(heatmap, 1, 0)).to.deep.equal(lutColor(heatmap, 255))
+  })
+
+  it("should reject invalid grids", () => {
+    let heatmap = new Heatmap2D({ grid: { values: [ 0, 1, 2 ], width: 2, height: 2 }, graphRect: { x: 0, y: 0, w: 1, h: 1 } })
+    expect(() => heatmap.update()).to.throw(RangeError, /has 3 values/)
+
+    heatmap = new Heatmap2D({ grid: { values: [ 0, 1 ], width: 2.5, height: 1 }, graphRect: { x: 0, y: 0, w: 1, h: 1 } })
+    expect(() => heatmap.update()).to.throw(RangeError, /invalid dimensions/)
+
+    heatmap = new Heatmap2D({ grid: { values: [ 0, 1 ], width: 2, height: 1 } })
+    expect(() => heatmap.update()).to.throw(/requires a graphRect/)
+  })
+
+  it("should draw a color bar labeled with the range", () => {
+    let heatmap = gridHeatmap([ 0, 1, 2, 3 ], { range: [ -1, 2.5 ] })
+    let instructions = heatmap.internal.renderInfo.instructions
+
+    expect(instructions.map(instruction => instruction.type)).to.deep.equal([ "image", "image", "polyline", "text", "text" ])
+    expect(instructions[1].textureKey).to.equal(heatmap.id + "-colorbar")
+    expect(instructions.slice(3).map(instruction => instruction.text)).to.deep.equal([ "2.5", "-1" ])
+
+    heatmap.set({ colorBar: false })
+    update(heatmap)
+
+    expect(heatmap.internal.renderInfo.instructions).to.have.length(1)
+  })
+})
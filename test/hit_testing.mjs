@@ -0,0 +1,71 @@
+import { Scene } from "../src/core/scene.js"
+import { Element } from "../src/core/element.js"
+import { PolylineElement } from "../src/elements/polyline_element.js"
+import { PointElement } from "../src/elements/point_element.js"
+import { LinearPlot2DTransform } from "../src/math/plot_transforms.js"
+import { distanceToTriangles } from "../src/algorithm/hit_testing.js"
+import { expect } from "chai"
+
+// Element drawing a filled square from (x, y) to (x + 10, y + 10), with an optional z-index
+class SquareElement extends Element {
+  constructor (x, y, zIndex) {
+    super()
+
+    this.internal.renderInfo = {
+      instructions: { type: "triangle_strip", vertices: new Float32Array([ x, y, x + 10, y, x, y + 10, x + 10, y + 10 ]), zIndex }
+    }
+  }
+
+  update () {
+
+  }
+}
+
+describe("distanceToTriangles", () => {
+  it("should be 0 inside a triangle and the distance to the nearest edge outside it", () => {
+    const triangle = [ 0, 0, 10, 0, 0, 10 ]
+
+    expect(distanceToTriangles(2, 2, triangle)).to.equal(0)
+    expect(distanceToTriangles(-3, 5, triangle)).to.equal(3)
+    expect(distanceToTriangles(13, -4, triangle)).to.equal(5)
+  })
+})
+
+describe("Element.hitTest", () => {
+  it("should hit polylines within the tolerance, accounting for their thickness", () => {
+    const polyline = new PolylineElement()
+    polyline.props.set("vertices", [ 0, 0, 100, 0 ])
+    polyline.props.set("pen", { thickness: 4 })
+
+    expect(polyline.hitTest({ x: 50, y: 1 })).to.deep.include({ distance: 0 })
+    expect(polyline.hitTest({ x: 50, y: 7 })).to.equal(null)
+    expect(polyline.hitTest({ x: 50, y: 7 }, 5).distance).to.equal(5)
+  })
+
+  it("should hit points within the tolerance of their dot", () => {
+    const point = new PointElement({ position: [ 1, 1 ], size: 2 })
+    point.props.set("plotTransform", new LinearPlot2DTransform(0, 0, 100, 100, 0, 0, 2, 2))
+    point.update()
+
+    // (1, 1) in graph coordinates is at (50, 50) in pixels
+    expect(point.hitTest({ x: 53, y: 54 }, 4).distance).to.equal(3)
+    expect(point.hitTest({ x: 53, y: 54 })).to.equal(null)
+    expect(point.hitTest({ x: 51, y: 50 }).distance).to.equal(0)
+  })
+})
+
+describe("Scene.pick", () => {
+  it("should return the topmost hit, by z-index and then by order", () => {
+    const scene = new Scene()
+    const top = new SquareElement(0, 0, 1), lower = new SquareElement(5, 5), last = new SquareElement(8, 8)
+
+    scene.add(top)
+    scene.add(lower)
+    scene.add(last)
+
+    expect(scene.pick([ 7, 7 ]).element).to.equal(top)
+    expect(scene.pick([ 12, 12 ]).element).to.equal(last)
+    expect(scene.pick([ 30, 30 ])).to.equal(null)
+    expect(scene.pick([ 30, 30 ], 20).element).to.equal(last)
+  })
+})
@@ -0,0 +1,107 @@
+import { implicitPlotBolus, joinSegments } from "../src/algorithm/implicit_plot.js"
+import { RealIntervalFunctions as F } from "../src/math/real_interval/functions.js"
+import { RealInterval } from "../src/math/real_interval/interval.js"
+import { syncDigest } from "../src/core/bolus.js"
+import { ImplicitPlot2D } from "../src/elements/implicit_plot_2d.js"
+import { LinearPlot2DTransform } from "../src/math/plot_transforms.js"
+import { expect } from "chai"
+
+const box = { x: -1, y: -1, w: 2, h: 2 }
+
+// x^2 + y^2 - 0.25, whose zero set is the circle of radius 0.5
+const circle = (x, y) => x * x + y * y - 0.25
+const circleInterval = (x, y) => F.Subtract(F.Add(F.Pow(x, new RealInterval(2)), F.Pow(y, new RealInterval(2))), new RealInterval(0.25))
+
+describe("joinSegments", () => {
+  it("should join segments sharing endpoints into polylines", () => {
+    let joined = joinSegments([ 1, 1, 2, 2, 0, 0, 1, 1, 5, 5, 6, 6 ])
+
+    expect(Array.from(joined)).to.deep.equal([ 0, 0, 1, 1, 2, 2, NaN, NaN, 5, 5, 6, 6 ])
+  })
+})
+
+describe("implicitPlotBolus", () => {
+  it("should trace a circle as a single closed curve", () => {
+    let { fill, curve } = syncDigest(implicitPlotBolus(circleInterval, circle, box, { minCellWidth: 0.02, minCellHeight: 0.02 }))
+
+    expect(fill.length).to.equal(0)
+    expect(curve.some(Number.isNaN)).to.be.false
+    expect(curve[0]).to.equal(curve[curve.length - 2])
+    expect(curve[1]).to.equal(curve[curve.length - 1])
+
+    for (let i = 0; i < curve.length; i += 2) {
+      expect(Math.hypot(curve[i], curve[i + 1])).to.be.closeTo(0.5, 0.01)
+    }
+  })
+
+  it("should fill the inside of an inequality", () => {
+    let { fill } = syncDigest(implicitPlotBolus(circleInterval, circle, box, {
+      relation: "inequality", minCellWidth: 0.01, minCellHeight: 0.01
+    }))
+
+    let area = 0
+    for (let i = 0; i < fill.length; i += 4) {
+      area += (fill[i + 2] - fill[i]) * (fill[i + 3] - fill[i + 1])
+
+      // Cell centers must be inside the circle
+      expect(circle((fill[i] + fill[i + 2]) / 2, (fill[i + 1] + fill[i + 3]) / 2)).to.be.lessThan(0)
+    }
+
+    expect(area).to.be.closeTo(Math.PI * 0.25, 0.02)
+  })
+
+  it("should not draw across the discontinuity of 1/x = 2y", () => {
+    let f = (x, y) => 1 / x - 2 * y
+    let fInterval = (x, y) => F.Subtract(F.Divide(new RealInterval(1), x), F.Add(y, y))
+
+    let { curve } = syncDigest(implicitPlotBolus(fInterval, f, box, { minCellWidth: 0.01, minCellHeight: 0.01 }))
+
+    for (let i = 0; i < curve.length - 2; i += 2) {
+      // No segment crosses x = 0
+      if (!Number.isNaN(curve[i]) && !Number.isNaN(curve[i + 2])) expect(curve[i] * curve[i + 2]).to.be.at.least(0)
+    }
+
+    expect(curve.filter(Number.isNaN).length).to.equal(2)
+  })
+
+  it("should report progress as the fraction of area resolved", () => {
+    let bolus = implicitPlotBolus(circleInterval, circle, box, { minCellWidth: 0.001, minCellHeight: 0.001 })
+    let last = 0, next
+
+    while (!(next = bolus.next()).done) {
+      expect(next.value).to.be.within(last, 1)
+      last = next.value
+    }
+
+    expect(last).to.be.greaterThan(0)
+  })
+})
+
+describe("ImplicitPlot2D", () => {
+  it("should compute its plot when updated, recomputing only when the relation or transform changes", () => {
+    let plot = new ImplicitPlot2D({ function: "x^2+y^2=0.25" })
+
+    // [-1, 1] x [-1, 1] shown in a 200x200 pixel box
+    plot.props.set("plotTransform", new LinearPlot2DTransform(0, 0, 200, 200, -1, -1, 2, 2))
+    plot.update()
+    plot.props.markGlobalUpdateComplete()
+
+    let { curve } = plot.internal.plot
+    expect(curve.length).to.be.above(0)
+    expect(Math.hypot(curve[0], curve[1])).to.be.closeTo(0.5, 0.02)
+    expect(plot.internal.renderInfo.instructions.map(instruction => instruction.type)).to.deep.equal([ "polyline" ])
+
+    let computed = plot.internal.plot
+
+    plot.set({ pen: { thickness: 4 } })
+    plot.update()
+    plot.props.markGlobalUpdateComplete()
+
+    expect(plot.internal.plot).to.equal(computed)
+
+    plot.set({ function: "x^2+y^2<0.25" })
+    plot.update()
+
+    expect(plot.internal.plot.fill.length).to.be.above(0)
+  })
+})
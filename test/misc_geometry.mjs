@@ -0,0 +1,27 @@
+import { getActualTextLocation } from "../src/algorithm/misc_geometry.js"
+import { Vec2 } from "../src/math/vec/vec2.js"
+import { expect } from "chai"
+
+describe("getActualTextLocation", () => {
+  const rect = { w: 24, h: 14 }
+  const anchor = new Vec2(100, 50)
+
+  it("should anchor text by its alignment and baseline, excluding padding", () => {
+    let location = (align, baseline) => {
+      let { x, y } = getActualTextLocation(rect, anchor, { align, baseline, padding: 2 })
+
+      return [ x, y ]
+    }
+
+    expect(location("left", "top")).to.deep.equal([ 98, 48 ])
+    expect(location("center", "middle")).to.deep.equal([ 88, 43 ])
+    expect(location("right", "bottom")).to.deep.equal([ 78, 38 ])
+  })
+
+  it("should place the alphabetic baseline below the ascent", () => {
+    let box = getActualTextLocation(rect, anchor, { align: "left", baseline: "alphabetic", padding: 2, ascent: 8 })
+
+    expect(box.y).to.equal(40)
+    expect(box.h).to.equal(14)
+  })
+})
@@ -0,0 +1,84 @@
+import { FigureBaubles } from "../src/elements/new_figure_baubles.js"
+import { PolarPlot2D } from "../src/elements/polar_plot_2d.js"
+import { LinearPlot2DTransform } from "../src/math/plot_transforms.js"
+import { expect } from "chai"
+
+// Plot transform of a 400x400 pixel box showing [gx, gx + gw] x [gy, gy + gw]
+const transform = (gx=-4, gy=-4, gw=8) => new LinearPlot2DTransform(0, 0, 400, 400, gx, gy, gw, gw)
+
+// Update an element outside a scene, marking its props as updated like Scene.updateAll does
+function update (elem) {
+  elem.update()
+  elem.props.markGlobalUpdateComplete()
+}
+
+function polarBaubles (params={}, tr=transform()) {
+  let baubles = new FigureBaubles({ gridType: "polar", ...params })
+  baubles.props.set("plotTransform", tr)
+
+  update(baubles)
+  return baubles
+}
+
+const labels = baubles => baubles.internal.labelInstructions.map(instruction => instruction.text)
+
+describe("FigureBaubles polar grid", () => {
+  it("should label the spokes in radians or degrees", () => {
+    let baubles = polarBaubles()
+
+    expect(labels(baubles)).to.have.members([ "0", "π/6", "π/3", "π/2", "2π/3", "5π/6", "π", "7π/6", "4π/3", "3π/2", "5π/3", "11π/6" ])
+
+    baubles.set({ angleUnits: "degrees" })
+    update(baubles)
+
+    expect(labels(baubles)).to.include.members([ "0°", "30°", "90°", "270°", "330°" ])
+  })
+
+  it("should demarcate the visible radii and angles", () => {
+    // The view [1, 3] x [1, 3] sees radii from √2 to √18 and angles from atan(1/3) to atan(3)
+    let baubles = polarBaubles({}, transform(1, 1, 2))
+    let ticks = baubles.props.get("ticks")
+
+    expect(ticks.rMin).to.be.closeTo(Math.SQRT2, 1e-12)
+    expect(ticks.rMax).to.be.closeTo(Math.sqrt(18), 1e-12)
+    expect(ticks.thetaMin).to.be.closeTo(Math.atan2(1, 3), 1e-12)
+    expect(ticks.thetaMax).to.be.closeTo(Math.atan2(3, 1), 1e-12)
+
+    expect(ticks.major.r).to.deep.equal([ 2, 3, 4 ])
+    expect(ticks.major.theta).to.deep.equal([ Math.PI / 6, Math.PI / 3 ])
+    expect(ticks.minor.theta).to.deep.equal([ Math.PI / 4 ])
+    expect(ticks.axis.theta).to.deep.equal([])
+
+    // Radii are labeled along the middle of the visible angles, where they are in the plot
+    expect(labels(baubles)).to.include.members([ "2", "3", "π/6", "π/3" ])
+  })
+
+  it("should reject an invalid grid type", () => {
+    expect(() => new FigureBaubles({ gridType: "hexagonal" })).to.throw()
+    expect(() => new FigureBaubles({ angleUnits: "gradians" })).to.throw()
+  })
+})
+
+describe("PolarPlot2D", () => {
+  it("should plot r = f(θ) around the origin", () => {
+    let plot = new PolarPlot2D({ function: "2" })
+    plot.props.set("plotTransform", transform())
+    update(plot)
+
+    // The circle of radius 2 is 100 pixels around (200, 200)
+    let vertices = plot.internal.vertices
+    expect(vertices.length).to.be.above(100)
+
+    for (let i = 0; i < vertices.length; i += 2) {
+      expect(Math.hypot(vertices[i] - 200, vertices[i + 1] - 200)).to.be.closeTo(100, 1e-3)
+    }
+
+    // θ is another name for theta
+    plot.set({ function: "θ / 2" })
+    update(plot)
+
+    let end = plot.internal.vertices.slice(-2)
+    expect(end[0]).to.be.closeTo(200 + 50 * Math.PI, 1e-3)
+    expect(end[1]).to.be.closeTo(200, 1e-3)
+  })
+})
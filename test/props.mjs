@@ -19,4 +19,23 @@ describe("Props", () => {
     expect(props.get("cow")).to.equal(3)
     expect(props.getUserValue("cow")).to.equal(4)
   })
+  it("should mark a child as changed when an inherited value changes", () => {
+    let parent = new Props(), child = new Props()
+
+    parent.set("plotTransform", 1)
+    parent.setPropertyInheritance("plotTransform", true)
+
+    child.inheritPropertiesFrom(parent, true)
+    parent.markGlobalUpdateComplete()
+    child.markGlobalUpdateComplete()
+
+    expect(child.get("plotTransform")).to.equal(1)
+    expect(child.haveChanged([ "plotTransform" ])).to.not.be.ok
+
+    parent.set("plotTransform", 2)
+    child.inheritPropertiesFrom(parent)
+
+    expect(child.get("plotTransform")).to.equal(2)
+    expect(child.haveChanged([ "plotTransform" ])).to.equal(true)
+  })
 })
@@ -0,0 +1,149 @@
+import { RealIntervalFunctions as F } from "../src/math/real_interval/functions.js"
+import { RealInterval, RealIntervalSet } from "../src/math/real_interval/interval.js"
+import { expect } from "chai"
+
+const int = (min, max) => new RealInterval(min, max)
+
+// Check that the interval contains every value of f sampled across the input interval
+function expectEncloses (res, f, min, max) {
+  for (let i = 0; i <= 100; ++i) {
+    let y = f(min + (max - min) * i / 100)
+
+    expect(res.min).to.be.at.most(y)
+    expect(res.max).to.be.at.least(y)
+  }
+}
+
+describe("RealIntervalFunctions", () => {
+  it("should round arithmetic outward", () => {
+    let res = F.Add(int(0.1, 0.1), int(0.2, 0.2))
+
+    expect(res.min).to.be.lessThan(0.1 + 0.2)
+    expect(res.max).to.be.greaterThan(0.1 + 0.2)
+    expect(res.defMin).to.be.true
+    expect(res.contMin).to.be.true
+  })
+
+  it("should multiply and subtract intervals of mixed sign", () => {
+    let prod = F.Multiply(int(-2, 3), int(-5, 4))
+
+    expect(prod.min).to.be.closeTo(-15, 1e-12)
+    expect(prod.max).to.be.closeTo(12, 1e-12)
+
+    let diff = F.Subtract(int(1, 2), int(-1, 5))
+
+    expect(diff.min).to.be.closeTo(-4, 1e-12)
+    expect(diff.max).to.be.closeTo(3, 1e-12)
+  })
+
+  it("should mark division by an interval containing zero as possibly undefined and discontinuous", () => {
+    let res = F.Divide(int(1, 1), int(-1, 1))
+
+    expect(res.min).to.equal(-Infinity)
+    expect(res.max).to.equal(Infinity)
+    expect(res.defMin).to.be.false
+    expect(res.defMax).to.be.true
+    expect(res.contMin).to.be.false
+
+    expect(F.Divide(int(1, 1), int(0, 0)).defMax).to.be.false
+    expectEncloses(F.Divide(int(1, 1), int(2, 4)), x => 1 / x, 2, 4)
+  })
+
+  it("should restrict sqrt and ln to their domains", () => {
+    let partial = F.Sqrt(int(-1, 4))
+
+    expect(partial.min).to.equal(0)
+    expect(partial.max).to.be.at.least(2)
+    expect(partial.defMin).to.be.false
+    expect(partial.defMax).to.be.true
+
+    expect(F.Sqrt(int(-2, -1)).defMax).to.be.false
+    expect(F.Ln(int(-2, 0)).defMax).to.be.false
+    expect(F.Ln(int(0, 1)).min).to.equal(-Infinity)
+    expectEncloses(F.Ln(int(0.5, 3)), Math.log, 0.5, 3)
+  })
+
+  it("should find the extrema of sin and cos", () => {
+    let s = F.Sin(int(0, 3))
+
+    expect(s.max).to.equal(1)
+    expectEncloses(s, Math.sin, 0, 3)
+
+    let c = F.Cos(int(3, 4))
+
+    expect(c.min).to.equal(-1)
+    expectEncloses(c, Math.cos, 3, 4)
+    expectEncloses(F.Sin(int(-0.5, 0.5)), Math.sin, -0.5, 0.5)
+  })
+
+  it("should detect the poles of tan", () => {
+    expect(F.Tan(int(1, 2)).contMin).to.be.false
+    expect(F.Tan(int(-1, 1)).contMin).to.be.true
+    expectEncloses(F.Tan(int(-1, 1)), Math.tan, -1, 1)
+  })
+
+  it("should mark floor as discontinuous only across integers", () => {
+    let res = F.Floor(int(0.5, 1.5))
+
+    expect([ res.min, res.max ]).to.deep.equal([ 0, 1 ])
+    expect(res.defMin).to.be.true
+    expect(res.contMin).to.be.false
+    expect(F.Floor(int(0.2, 0.8)).contMin).to.be.true
+  })
+
+  it("should compute abs and pow", () => {
+    let abs = F.Abs(int(-3, 2))
+    expect([ abs.min, abs.max ]).to.deep.equal([ 0, 3 ])
+
+    let square = F.Pow(int(-3, 2), int(2, 2))
+    expect(square.min).to.equal(0)
+    expectEncloses(square, x => x * x, -3, 2)
+
+    expectEncloses(F.Pow(int(-2, 3), int(3, 3)), x => x ** 3, -2, 3)
+    expectEncloses(F.Pow(int(1, 4), int(0.5, 0.5)), Math.sqrt, 1, 4)
+    expect(F.Pow(int(-4, -1), int(0.5, 0.5)).defMax).to.be.false
+    expect(F.Pow(int(-1, 1), int(-1, -1)).contMin).to.be.false
+  })
+
+  it("should compare intervals", () => {
+    let t = F.Less(int(0, 1), int(2, 3))
+    let f = F.Less(int(2, 3), int(0, 1))
+    let unsure = F.Less(int(0, 2), int(1, 3))
+
+    expect([ t.min, t.max ]).to.deep.equal([ 1, 1 ])
+    expect([ f.min, f.max ]).to.deep.equal([ 0, 0 ])
+    expect([ unsure.min, unsure.max ]).to.deep.equal([ 0, 1 ])
+    expect(F.Equal(int(1, 1), int(1, 1)).min).to.equal(1)
+    expect(F.NotEqual(int(1, 1), int(1, 1)).max).to.equal(0)
+  })
+
+  it("should propagate undefinedness", () => {
+    let undef = F.Sqrt(int(-2, -1))
+
+    expect(F.Add(undef, int(0, 1)).defMax).to.be.false
+    expect(F.Sin(undef).defMax).to.be.false
+  })
+
+  it("should accept interval sets", () => {
+    let res = F.Add(new RealIntervalSet([ int(0, 1), int(3, 4) ]), int(1, 1))
+
+    expect(res.isSet()).to.be.true
+    expect(res.intervals.length).to.equal(2)
+    expect(res.intervals[1].min).to.be.closeTo(4, 1e-12)
+  })
+})
+
+describe("RealInterval.from", () => {
+  it("should be exact only for exactly representable decimals", () => {
+    for (const str of [ "0.5", "0.25", "1.5", "-3.75e2", "1e-3" ]) {
+      let int = RealInterval.from(str), exact = str !== "1e-3"
+
+      expect(int.min === int.max).to.equal(exact)
+      expect(int.min).to.be.at.most(parseFloat(str))
+      expect(int.max).to.be.at.least(parseFloat(str))
+    }
+
+    // Numbers, whose intended value is unknown, are always rounded outward
+    expect(RealInterval.from(0.5).min).to.be.below(0.5)
+  })
+})
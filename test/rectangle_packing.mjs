@@ -0,0 +1,40 @@
+import { DynamicRectanglePacker } from "../src/algorithm/rectangle_packing.js"
+import { expect } from "chai"
+
+function overlaps (r1, r2) {
+  return r1.x < r2.x + r2.w && r2.x < r1.x + r1.w && r1.y < r2.y + r2.h && r2.y < r1.y + r1.h
+}
+
+describe("DynamicRectanglePacker", () => {
+  it("should pack rectangles without overlap and fail when full", () => {
+    let packer = new DynamicRectanglePacker(64, 32)
+    let rects = []
+
+    for (let i = 0; i < 8; ++i) rects.push(packer.add("r" + i, 16, 14 + (i % 2)))
+
+    expect(rects.every(r => r && r.x + r.w <= 64 && r.y + r.h <= 32)).to.equal(true)
+
+    for (let i = 0; i < rects.length; ++i) {
+      for (let j = i + 1; j < rects.length; ++j) expect(overlaps(rects[i], rects[j])).to.equal(false)
+    }
+
+    expect(packer.add("full", 16, 14)).to.equal(null)
+  })
+
+  it("should reuse the space of deleted rectangles without moving others", () => {
+    let packer = new DynamicRectanglePacker(32, 16)
+    let a = packer.add("a", 16, 16)
+    let b = packer.add("b", 16, 16)
+
+    expect(packer.add("c", 16, 16)).to.equal(null)
+
+    packer.delete("a")
+
+    let c = packer.add("c", 16, 16)
+    expect([ c.x, c.y ]).to.deep.equal([ a.x, a.y ])
+    expect(packer.get("b")).to.equal(b)
+
+    packer.resize(48, 16)
+    expect(packer.add("d", 16, 16).x).to.equal(32)
+  })
+})
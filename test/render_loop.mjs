@@ -0,0 +1,100 @@
+import { RenderLoop } from "../src/renderer/render_loop.js"
+import { Scene } from "../src/core/scene.js"
+import { Element } from "../src/core/element.js"
+import { expect } from "chai"
+
+// Renderer recording which scenes it renders
+function mockRenderer () {
+  return {
+    rendered: [],
+    renderDOMScene (scene) {
+      scene.updateAll()
+      this.rendered.push(scene)
+    }
+  }
+}
+
+// Render loop whose frames are run by calling runFrame()
+function manualLoop (renderer) {
+  let callbacks = []
+
+  let loop = new RenderLoop({
+    renderer,
+    requestFrame: callback => callbacks.push(callback),
+    cancelFrame: handle => { callbacks[handle - 1] = null }
+  })
+
+  loop.runFrame = () => {
+    let pending = callbacks.filter(c => c)
+    callbacks = []
+
+    pending.forEach(c => c(0))
+  }
+
+  loop.requestedFrames = () => callbacks.filter(c => c).length
+
+  return loop
+}
+
+function scenes (count) {
+  return Array.from({ length: count }, () => {
+    let scene = new Scene()
+    scene.add(new Element())
+
+    return scene
+  })
+}
+
+describe("RenderLoop", () => {
+  it("should coalesce render requests into one frame, rendering only changed scenes", () => {
+    let renderer = mockRenderer()
+    let loop = manualLoop(renderer)
+    let [ a, b, c ] = scenes(3)
+
+    loop.requestRender(a)
+    loop.requestRender(b)
+    loop.requestRender(c)
+
+    expect(loop.requestedFrames()).to.equal(1)
+    loop.runFrame()
+    expect(renderer.rendered).to.deep.equal([ a, b, c ])
+
+    // Nothing changed
+    loop.requestRender(a)
+    loop.runFrame()
+    expect(renderer.rendered.length).to.equal(3)
+
+    b.set({ width: 200 })
+    c.remove(c.children[0])
+    loop.requestRender(a)
+    loop.runFrame()
+    expect(renderer.rendered.slice(3)).to.deep.equal([ b, c ])
+
+    // Forced renders happen regardless
+    loop.requestRender(a, true)
+    loop.runFrame()
+    expect(renderer.rendered.slice(5)).to.deep.equal([ a ])
+  })
+
+  it("should record frame statistics", () => {
+    let loop = manualLoop(mockRenderer())
+    let [ a, b ] = scenes(2)
+
+    loop.requestRender(a)
+    loop.requestRender(b)
+    loop.runFrame()
+
+    a.set({ dpr: 2 })
+    loop.requestRender(a)
+    loop.runFrame()
+
+    let stats = loop.getStats()
+
+    expect([ stats.frames, stats.scenesRendered, stats.scenesSkipped ]).to.deep.equal([ 2, 3, 1 ])
+    expect(stats.averageFrameTime).to.be.at.least(0).and.at.most(stats.maxFrameTime)
+
+    loop.remove(a)
+    loop.remove(b)
+    expect(loop.scenes.size).to.equal(0)
+  })
+})
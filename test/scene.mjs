@@ -0,0 +1,121 @@
+import { Scene } from "../src/core/scene.js"
+import { Element } from "../src/core/element.js"
+import { constructInterface } from "../src/core/interface.js"
+import { expect } from "chai"
+
+const slowInterface = constructInterface({
+  interface: {
+    steps: { typecheck: { type: "integer", min: 1, max: 1e6 } }
+  },
+  internal: {
+    steps: { type: "integer", computed: "default", default: 10 }
+  }
+})
+
+// Element whose update is a bolus taking steps steps of about 2 ms each
+class SlowElement extends Element {
+  getInterface () {
+    return slowInterface
+  }
+
+  _update () {
+    this.defaultComputeProps()
+
+    let steps = this.props.get("steps")
+    let internal = this.internal
+    let i = 0
+
+    return {
+      next () {
+        let start = Date.now()
+        while (Date.now() - start < 2);
+
+        if (++i > steps) {
+          internal.renderInfo = { steps }
+          return { done: true }
+        }
+
+        return { value: i / steps, done: false }
+      }
+    }
+  }
+}
+
+// Element whose update is synchronous
+class FastElement extends Element {
+  _update () {
+    this.internal.renderInfo = { fast: true }
+  }
+}
+
+describe("Scene", () => {
+  it("should digest boluses synchronously in updateAll", () => {
+    let scene = new Scene()
+    let slow = new SlowElement({ steps: 3 })
+
+    scene.add(slow)
+    scene.updateAll()
+
+    expect(slow.internal.renderInfo).to.deep.equal({ steps: 3 })
+    expect(slow.updateStage).to.equal(100)
+  })
+
+  it("should update fast elements immediately and slow elements asynchronously", async () => {
+    let scene = new Scene()
+    let slow = new SlowElement({ steps: 20 }), fast = new FastElement()
+    let progress = [], completed = false
+
+    scene.add(slow)
+    scene.add(fast)
+
+    scene.addEventListener("updateprogress", data => { progress.push(data.progress) })
+    scene.addEventListener("updatecomplete", () => { completed = true })
+
+    let update = scene.updateAllAsync()
+
+    expect(fast.internal.renderInfo).to.deep.equal({ fast: true })
+    expect(slow.internal.renderInfo).to.be.undefined
+    expect(scene.isUpdatingAsync()).to.be.true
+
+    await update
+
+    expect(slow.internal.renderInfo).to.deep.equal({ steps: 20 })
+    expect(slow.updateStage).to.equal(100)
+    expect(progress.length).to.be.greaterThan(0)
+    expect(completed).to.be.true
+    expect(scene.isUpdatingAsync()).to.be.false
+  })
+
+  it("should restart a pending bolus when the element changes", async () => {
+    let scene = new Scene()
+    let slow = new SlowElement({ steps: 20 })
+
+    scene.add(slow)
+
+    let update = scene.updateAllAsync()
+
+    slow.set("steps", 5)
+
+    expect(scene.updateAllAsync()).to.equal(update)
+    await update
+
+    expect(slow.internal.renderInfo).to.deep.equal({ steps: 5 })
+  })
+
+  it("should completely update cancelled elements next time", async () => {
+    let scene = new Scene()
+    let slow = new SlowElement({ steps: 20 })
+
+    scene.add(slow)
+
+    let update = scene.updateAllAsync()
+    update.cancel()
+
+    await update.catch(() => {})
+
+    expect(slow.updateStage).to.equal(-1)
+
+    scene.updateAll()
+    expect(slow.internal.renderInfo).to.deep.equal({ steps: 20 })
+  })
+})
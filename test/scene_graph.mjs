@@ -0,0 +1,200 @@
+import { SceneGraph } from "../src/renderer/scene_graph.js"
+import { Scene } from "../src/core/scene.js"
+import { Element } from "../src/core/element.js"
+import { Color } from "../src/styles/definitions.js"
+import { expect } from "chai"
+
+// Minimal stand-in for a WebGLRenderer, recording buffer uploads and deletions
+function mockRenderer () {
+  let uploads = 0
+  let buffers = new Map(), vaos = new Map()
+
+  let gl = new Proxy({}, { get: () => () => {} })
+
+  return {
+    gl,
+    buffers,
+    vaos,
+    get uploads () { return uploads },
+    createBuffer (name) { if (!buffers.has(name)) buffers.set(name, {}); return buffers.get(name) },
+    bufferData () { uploads++ },
+    deleteBuffer (name) { buffers.delete(name) },
+    createVAO (name) { if (!vaos.has(name)) vaos.set(name, {}); return vaos.get(name) },
+    deleteVAO (name) { vaos.delete(name) }
+  }
+}
+
+// Element which draws a triangle strip of the given color
+class StripElement extends Element {
+  _update () {
+    this.internal.renderInfo = { instructions: { type: "triangle_strip", vertices: new Float32Array([ 0, 0, 1, 0, 0, 1 ]), color: this.color } }
+  }
+}
+
+// Element which emits its instructions
+class InstructionElement extends Element {
+  _update () {
+    this.internal.renderInfo = { instructions: this.instructions }
+  }
+}
+
+function strip (color) {
+  let elem = new StripElement()
+  elem.color = color
+
+  return elem
+}
+
+function compileScene (graph, scene, batch=false) {
+  scene.updateAll()
+
+  graph.constructFromScene(scene)
+  graph.computeInstructions()
+  if (batch) graph.batchInstructions()
+  graph.compile()
+}
+
+// Compiled instructions of the scene's context, excluding the context info and pop_context
+function compiledInstructions (graph) {
+  let context = Array.from(graph.contextMap.values()).find(c => c.info.type === "scene")
+
+  return context.compiledInstructions.filter(i => i.type !== "scene" && i.type !== "pop_context")
+}
+
+describe("SceneGraph", () => {
+  it("should only recompile instructions of elements which changed", () => {
+    let renderer = mockRenderer()
+    let graph = new SceneGraph()
+    let scene = new Scene()
+    let a = strip(Color.rgb(255, 0, 0)), b = strip(Color.rgb(0, 0, 255))
+
+    graph.renderer = renderer
+    scene.add(a)
+    scene.add(b)
+
+    compileScene(graph, scene)
+    expect(renderer.uploads).to.equal(2)
+
+    compileScene(graph, scene)
+    expect(renderer.uploads).to.equal(2)
+
+    // Force an update of b
+    b.updateStage = 0
+    compileScene(graph, scene)
+    expect(renderer.uploads).to.equal(3)
+    expect(renderer.buffers.size).to.equal(2)
+  })
+
+  it("should free the resources of removed elements", () => {
+    let renderer = mockRenderer()
+    let graph = new SceneGraph()
+    let scene = new Scene()
+    let a = strip(Color.rgb(255, 0, 0)), b = strip(Color.rgb(0, 0, 255))
+
+    graph.renderer = renderer
+    scene.add(a)
+    scene.add(b)
+
+    compileScene(graph, scene)
+    scene.remove(b)
+    compileScene(graph, scene)
+
+    expect(renderer.buffers.size).to.equal(1)
+    expect(renderer.vaos.size).to.equal(1)
+
+    graph.destroy()
+    expect(renderer.buffers.size).to.equal(0)
+  })
+
+  it("should batch same-colored strips into one triangle strip", () => {
+    let graph = new SceneGraph()
+    let scene = new Scene()
+
+    graph.renderer = mockRenderer()
+    scene.add(strip(Color.rgb(255, 0, 0)))
+    scene.add(strip(Color.rgb(255, 0, 0)))
+
+    compileScene(graph, scene, true)
+
+    let compiled = compiledInstructions(graph)
+
+    expect(compiled.length).to.equal(1)
+    expect(compiled[0].type).to.equal("triangle_strip")
+    expect(compiled[0].vertexCount).to.equal(3 + 2 + 3)
+  })
+
+  it("should batch differently colored strips with per-vertex colors", () => {
+    let renderer = mockRenderer()
+    let graph = new SceneGraph()
+    let scene = new Scene()
+    let b = strip(Color.rgb(0, 0, 255))
+
+    graph.renderer = renderer
+    scene.add(strip(Color.rgb(255, 0, 0)))
+    scene.add(b)
+
+    compileScene(graph, scene, true)
+
+    let compiled = compiledInstructions(graph)
+
+    expect(compiled.length).to.equal(1)
+    expect(compiled[0].type).to.equal("colored_triangle_strip")
+    expect(compiled[0].buffers.length).to.equal(2)
+
+    // Changing a member recompiles the batch
+    let uploads = renderer.uploads
+    b.updateStage = 0
+    compileScene(graph, scene, true)
+
+    expect(renderer.uploads).to.equal(uploads + 2)
+  })
+
+  it("should not batch across instructions with strict ordering", () => {
+    let graph = new SceneGraph()
+    let scene = new Scene()
+    let strict = new StripElement()
+
+    strict._update = function () {
+      this.internal.renderInfo = { instructions: { type: "debug", rect: { x: 0, y: 0, w: 1, h: 1 }, strictOrdering: true } }
+    }
+
+    graph.renderer = mockRenderer()
+    scene.add(strip(Color.rgb(255, 0, 0)))
+    scene.add(strict)
+    scene.add(strip(Color.rgb(255, 0, 0)))
+
+    compileScene(graph, scene, true)
+
+    expect(compiledInstructions(graph).map(i => i.type)).to.deep.equal([ "triangle_strip", "line_strip", "triangle_strip" ])
+  })
+
+  it("should compile triangles with per-vertex colors", () => {
+    let renderer = mockRenderer()
+    let graph = new SceneGraph()
+    let scene = new Scene()
+    let elem = new InstructionElement()
+
+    elem.instructions = {
+      type: "colored_triangles",
+      vertices: new Float32Array([ 0, 0, 1, 0, 0, 1 ]),
+      colors: new Uint8Array([ 255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255 ])
+    }
+
+    graph.renderer = renderer
+    scene.add(elem)
+
+    compileScene(graph, scene)
+
+    let compiled = compiledInstructions(graph)
+
+    expect(compiled.length).to.equal(1)
+    expect(compiled[0]).to.include({ type: "colored_triangles", vertexCount: 3 })
+    expect(renderer.uploads).to.equal(2)
+
+    // Colors must be given for each vertex
+    elem.instructions = { ...elem.instructions, colors: new Uint8Array(4) }
+    elem.updateStage = 0
+
+    expect(() => compileScene(graph, scene)).to.throw()
+  })
+})
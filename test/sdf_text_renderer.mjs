@@ -0,0 +1,65 @@
+import { SDFTextRenderer } from "../src/renderer/sdf_text_renderer.js"
+import { TextStyle } from "../src/styles/definitions.js"
+import { expect } from "chai"
+
+// 2D context in which each glyph advances 10 pixels and has ink 8 pixels wide and 10 pixels tall, except for spaces,
+// which have no ink
+function mockContext () {
+  return new Proxy({}, {
+    get (target, name) {
+      if (name === "measureText") return text => (text === " ") ?
+        { width: 10, actualBoundingBoxLeft: 0, actualBoundingBoxRight: 0, actualBoundingBoxAscent: 0, actualBoundingBoxDescent: 0 } :
+        { width: 10, actualBoundingBoxLeft: 0, actualBoundingBoxRight: 8, actualBoundingBoxAscent: 8, actualBoundingBoxDescent: 2 }
+      if (name === "getImageData") return (x, y, w, h) => ({ data: new Uint8ClampedArray(4 * w * h) })
+
+      return () => {}
+    }
+  })
+}
+
+function label (text, opts={}) {
+  return { text, pos: { x: 0, y: 0 }, style: TextStyle.create({ font: "Helvetica", fontSize: 12, align: "left", baseline: "alphabetic", ...opts }) }
+}
+
+describe("SDFTextRenderer", () => {
+  before(() => {
+    globalThis.document = { createElement: () => ({ width: 0, height: 0, getContext: () => mockContext() }) }
+  })
+
+  after(() => {
+    delete globalThis.document
+  })
+
+  it("should rasterize each glyph once, sharing glyphs between sizes", () => {
+    let renderer = new SDFTextRenderer()
+
+    renderer.addText([ label("ab a") ])
+    renderer.clearDirty()
+
+    expect(renderer.glyphs.size).to.equal(3)
+
+    renderer.addText([ label("ba", { fontSize: 30 }), label("c") ])
+
+    expect(renderer.glyphs.size).to.equal(4)
+    expect(renderer.dirtyRects.length).to.equal(1)
+  })
+
+  it("should lay out glyphs by their advances", () => {
+    let renderer = new SDFTextRenderer()
+    let text = label("ab c")
+
+    renderer.addText([ text ])
+
+    let { vertices, texCoords, scale } = renderer.layoutText(text)
+
+    // Three quads, joined by degenerate triangles; the space has no quad
+    expect(scale).to.equal(0.5)
+    expect(vertices.length).to.equal(3 * 8 + 2 * 4)
+    expect(texCoords.length).to.equal(vertices.length)
+
+    // Left edges of the quads (less the glyphs' buffers of 3 pixels), at advances of 5 pixels. The alphabetic
+    // baseline is at the anchor, and glyphs extend 9 pixels (at the SDF's font size) above it
+    expect([ vertices[0], vertices[12], vertices[24] ]).to.deep.equal([ -1.5, 3.5, 13.5 ])
+    expect(vertices[1]).to.equal(-6)
+  })
+})
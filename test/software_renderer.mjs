@@ -0,0 +1,320 @@
+import { SoftwareRenderer } from "../src/renderer/software_renderer.js"
+import { encodePNG, diffImages } from "../src/renderer/image_utils.js"
+import { Scene } from "../src/core/scene.js"
+import { Element } from "../src/core/element.js"
+import { Group } from "../src/core/group.js"
+import { NewFigure } from "../src/elements/new_figure.js"
+import { FigureBaubles } from "../src/elements/new_figure_baubles.js"
+import { PointElement } from "../src/elements/point_element.js"
+import { ImageElement } from "../src/elements/image_element.js"
+import { Heatmap2D } from "../src/elements/heatmap_2d.js"
+import { Pen, Color } from "../src/styles/definitions.js"
+import { expect } from "chai"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import zlib from "zlib"
+
+// Reference images are in test/golden. Run with UPDATE_GOLDEN=1 to (re)generate them after an intended change.
+const GOLDEN_DIR = new URL("./golden/", import.meta.url)
+
+// Element which emits its instructions
+class InstructionElement extends Element {
+  _update () {
+    this.internal.renderInfo = { instructions: this.instructions }
+  }
+}
+
+// Group which scissors its children to its box
+class ScissorGroup extends Group {
+  _update () {
+    this.internal.renderInfo = { contexts: { type: "scissor", scissor: this.box } }
+  }
+}
+
+function instructionElement (instructions) {
+  let elem = new InstructionElement()
+  elem.instructions = instructions
+
+  return elem
+}
+
+function renderInstructions (instructions, width=100, height=100) {
+  let scene = new Scene()
+
+  scene.set({ width, height })
+  scene.add(instructionElement(instructions))
+
+  return new SoftwareRenderer().renderScene(scene)
+}
+
+function getPixel (image, x, y) {
+  return Array.from(image.data.subarray(4 * (y * image.width + x), 4 * (y * image.width + x + 1)))
+}
+
+// Decode a PNG written by encodePNG, whose scanlines are never filtered
+function decodePNG (bytes) {
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  let width, height, idat = []
+
+  for (let offset = 8; offset < bytes.length;) {
+    let length = view.getUint32(offset)
+    let type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+    let chunk = bytes.subarray(offset + 8, offset + 8 + length)
+
+    if (type === "IHDR") {
+      width = view.getUint32(offset + 8)
+      height = view.getUint32(offset + 12)
+    } else if (type === "IDAT") {
+      idat.push(chunk)
+    }
+
+    offset += length + 12
+  }
+
+  let raw = zlib.inflateSync(Buffer.concat(idat))
+  let data = new Uint8ClampedArray(4 * width * height)
+
+  for (let y = 0; y < height; ++y) {
+    let start = y * (4 * width + 1)
+    if (raw[start] !== 0) throw new Error("Filtered PNG scanlines are not supported")
+
+    data.set(raw.subarray(start + 1, start + 1 + 4 * width), 4 * width * y)
+  }
+
+  return { data, width, height }
+}
+
+function expectToMatchGolden (image, name) {
+  let file = new URL(name + ".png", GOLDEN_DIR)
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true })
+    fs.writeFileSync(file, encodePNG(image, { deflate: zlib.deflateSync }))
+
+    return
+  }
+
+  if (!fs.existsSync(file)) throw new Error(`Missing reference image ${name}.png; run with UPDATE_GOLDEN=1 to create it`)
+
+  let diff = diffImages(decodePNG(fs.readFileSync(file)), image)
+
+  if (diff.count > 0) {
+    let actualFile = path.join(os.tmpdir(), name + ".actual.png")
+    let diffFile = path.join(os.tmpdir(), name + ".diff.png")
+
+    fs.writeFileSync(actualFile, encodePNG(image))
+    fs.writeFileSync(diffFile, encodePNG(diff.image))
+
+    throw new Error(`${diff.count} pixels differ from ${name}.png (largest difference ${diff.maxDifference}); see ${actualFile} and ${diffFile}`)
+  }
+}
+
+describe("SoftwareRenderer", () => {
+  it("should clear to the background color at the scene's resolution", () => {
+    let scene = new Scene()
+    scene.set({ width: 300, height: 200, dpr: 2, backgroundColor: Color.rgba(255, 0, 0, 128) })
+
+    let image = new SoftwareRenderer().renderScene(scene)
+
+    expect([ image.width, image.height, image.data.length ]).to.deep.equal([ 600, 400, 600 * 400 * 4 ])
+    expect(getPixel(image, 599, 399)).to.deep.equal([ 255, 0, 0, 128 ])
+  })
+
+  it("should fill triangle strips by pixel centers, blending shared edges once", () => {
+    // A translucent square as two triangles sharing a diagonal
+    let image = renderInstructions({ type: "triangle_strip", vertices: new Float32Array([ 2, 2, 8, 2, 2, 8, 8, 8 ]), color: Color.rgba(0, 0, 255, 128) })
+
+    for (let y = 0; y < 10; ++y) {
+      for (let x = 0; x < 10; ++x) {
+        let inside = x >= 2 && x < 8 && y >= 2 && y < 8
+
+        expect(getPixel(image, x, y)).to.deep.equal(inside ? [ 0, 0, 255, 128 ] : [ 0, 0, 0, 0 ])
+      }
+    }
+  })
+
+  it("should blend translucent colors over the background", () => {
+    let scene = new Scene()
+
+    scene.set({ width: 100, height: 100, backgroundColor: Color.rgb(255, 255, 255) })
+    scene.add(instructionElement({ type: "triangle_strip", vertices: new Float32Array([ 0, 0, 4, 0, 0, 4, 4, 4 ]), color: Color.rgba(255, 0, 0, 51) }))
+
+    expect(getPixel(new SoftwareRenderer().renderScene(scene), 1, 1)).to.deep.equal([ 255, 204, 204, 255 ])
+  })
+
+  it("should interpolate per-vertex colors", () => {
+    let image = renderInstructions({
+      type: "colored_triangle_strip",
+      vertices: new Float32Array([ 0, 0, 10, 0, 0, 10, 10, 10 ]),
+      colors: new Uint8Array([ 255, 0, 0, 255, 0, 0, 255, 255, 255, 0, 0, 255, 0, 0, 255, 255 ])
+    })
+
+    expect(getPixel(image, 0, 5)).to.deep.equal([ 242, 0, 13, 255 ])
+    expect(getPixel(image, 9, 5)).to.deep.equal([ 13, 0, 242, 255 ])
+  })
+
+  it("should clip to scissor contexts", () => {
+    let scene = new Scene()
+    let group = new ScissorGroup()
+
+    scene.set({ width: 100, height: 100 })
+    group.box = { x: 0, y: 0, w: 5, h: 10 }
+    group.add(instructionElement({ type: "polyline", vertices: new Float32Array([ 0, 5, 10, 5 ]), pen: Pen.create({ thickness: 2, endcap: "butt" }) }))
+    scene.add(group)
+
+    let image = new SoftwareRenderer().renderScene(scene)
+
+    expect(getPixel(image, 4, 4)).to.deep.equal([ 0, 0, 0, 255 ])
+    expect(getPixel(image, 5, 4)).to.deep.equal([ 0, 0, 0, 0 ])
+  })
+
+  it("should feather the edges of polylines when antialiasing is feather", () => {
+    let scene = new Scene()
+
+    scene.set({ width: 100, height: 100, antialiasing: "feather" })
+    scene.add(instructionElement({ type: "polyline", vertices: new Float32Array([ 10, 50.5, 90, 50.5 ]), pen: Pen.create({ thickness: 2, endcap: "butt" }) }))
+
+    let image = new SoftwareRenderer().renderScene(scene)
+
+    // The edges of the line pass through the centers of rows 49 and 51, which are half covered
+    expect([ 48, 49, 50, 51, 52 ].map(y => getPixel(image, 50, y)[3])).to.deep.equal([ 0, 128, 255, 128, 0 ])
+  })
+
+  it("should composite layers once, with their opacity and blend mode", () => {
+    let scene = new Scene()
+    let faded = new Group(), multiplied = new Group()
+
+    scene.set({ width: 100, height: 100, backgroundColor: Color.rgb(255, 255, 255) })
+    faded.set({ opacity: 0.5 })
+    multiplied.set({ blendMode: "multiply" })
+
+    // Overlapping squares, which must not darken where they overlap
+    faded.add(instructionElement([
+      { type: "triangle_strip", vertices: new Float32Array([ 0, 0, 20, 0, 0, 20, 20, 20 ]), color: Color.rgb(255, 0, 0) },
+      { type: "triangle_strip", vertices: new Float32Array([ 10, 0, 30, 0, 10, 20, 30, 20 ]), color: Color.rgb(255, 0, 0) }
+    ]))
+
+    multiplied.add(instructionElement({ type: "triangle_strip", vertices: new Float32Array([ 0, 40, 20, 40, 0, 60, 20, 60 ]), color: Color.rgb(0, 128, 255) }))
+
+    scene.add(faded)
+    scene.add(multiplied)
+
+    let image = new SoftwareRenderer().renderScene(scene)
+
+    expect(getPixel(image, 5, 5)).to.deep.equal([ 255, 128, 128, 255 ])
+    expect(getPixel(image, 15, 5)).to.deep.equal([ 255, 128, 128, 255 ])
+    expect(getPixel(image, 5, 45)).to.deep.equal([ 0, 128, 255, 255 ])
+  })
+
+  it("should fade a whole figure, within its plotting box", () => {
+    let scene = new Scene()
+    let figure = new NewFigure()
+
+    scene.set({ width: 200, height: 200, backgroundColor: Color.rgb(255, 255, 255) })
+    figure.set({ opacity: 0.5, interactivity: false })
+
+    figure.add(instructionElement({ type: "triangle_strip", vertices: new Float32Array([ 0, 0, 200, 0, 0, 200, 200, 200 ]), color: Color.rgb(255, 0, 0) }))
+    scene.add(figure)
+
+    let image = new SoftwareRenderer().renderScene(scene)
+
+    expect(getPixel(image, 100, 100)).to.deep.equal([ 255, 128, 128, 255 ])
+    expect(getPixel(image, 10, 10)).to.deep.equal([ 255, 255, 255, 255 ])
+
+    figure.set({ opacity: 1 })
+    image = new SoftwareRenderer().renderScene(scene)
+
+    expect(getPixel(image, 100, 100)).to.deep.equal([ 255, 0, 0, 255 ])
+  })
+
+  it("should draw images over their rect, nearest or smoothed, with their opacity", () => {
+    let scene = new Scene()
+    let sharp = new ImageElement(), smooth = new ImageElement()
+
+    // Red and blue pixels side by side
+    let source = { data: new Uint8Array([ 255, 0, 0, 255, 0, 0, 255, 255 ]), width: 2, height: 1 }
+
+    sharp.set({ source, graphRect: { x: 0, y: 0, w: 20, h: 10 }, smoothing: false })
+    smooth.set({ source, graphRect: { x: 0, y: 20, w: 20, h: 10 }, opacity: 0.5 })
+
+    scene.set({ width: 100, height: 100 })
+    scene.add(sharp)
+    scene.add(smooth)
+
+    let image = new SoftwareRenderer().renderScene(scene)
+
+    expect(getPixel(image, 9, 5)).to.deep.equal([ 255, 0, 0, 255 ])
+    expect(getPixel(image, 10, 5)).to.deep.equal([ 0, 0, 255, 255 ])
+    expect(getPixel(image, 2, 25)).to.deep.equal([ 255, 0, 0, 128 ])
+    expect(getPixel(image, 10, 25)).to.deep.equal([ 115, 0, 140, 128 ])
+  })
+
+  it("should encode PNGs which decode to the same image", () => {
+    let image = renderInstructions({ type: "triangle_strip", vertices: new Float32Array([ 0, 0, 7, 0, 0, 7 ]), color: Color.rgb(0, 128, 0) }, 101, 100)
+    let png = encodePNG(image)
+
+    expect(Array.from(png.subarray(0, 8))).to.deep.equal([ 137, 80, 78, 71, 13, 10, 26, 10 ])
+    expect(diffImages(decodePNG(png), image).count).to.equal(0)
+  })
+
+  it("should match the reference image of a figure's outline, gridlines and points", () => {
+    let scene = new Scene()
+    let figure = new NewFigure()
+    let a = new PointElement(), b = new PointElement()
+
+    scene.set({ width: 200, height: 150, backgroundColor: Color.rgb(255, 255, 255) })
+
+    a.set({ position: [ 0.5, 0.5 ], color: Color.rgb(255, 0, 0) })
+    b.set({ position: [ -1, -0.5 ], color: Color.rgba(0, 0, 255, 128), size: 10 })
+
+    figure.add(new FigureBaubles())
+    figure.add(a)
+    figure.add(b)
+    scene.add(figure)
+
+    expectToMatchGolden(new SoftwareRenderer().renderScene(scene), "figure")
+  })
+
+  it("should match the reference image of translucent, dashed and scissored geometry", () => {
+    let scene = new Scene()
+    let group = new ScissorGroup()
+
+    scene.set({ width: 100, height: 100, backgroundColor: Color.rgb(240, 240, 240) })
+
+    group.box = { x: 10, y: 10, w: 60, h: 60 }
+    group.add(instructionElement([
+      { type: "triangle_strip", vertices: new Float32Array([ 0, 0, 50, 0, 0, 50, 50, 50 ]), color: Color.rgba(255, 0, 0, 128) },
+      { type: "triangle_strip", vertices: new Float32Array([ 30, 30, 90, 30, 30, 90, 90, 90 ]), color: Color.rgba(0, 0, 255, 128), zIndex: 1 }
+    ]))
+
+    scene.add(group)
+    scene.add(instructionElement([
+      {
+        type: "colored_triangles",
+        vertices: new Float32Array([ 75, 5, 95, 40, 75, 40 ]),
+        colors: new Uint8Array([ 255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255 ])
+      },
+      { type: "polyline", vertices: new Float32Array([ 5, 75, 50, 50, 95, 75 ]), pen: Pen.create({ thickness: 3, endcap: "butt", dashPattern: [ 6, 3 ], color: Color.rgb(0, 128, 0) }) }
+    ]))
+
+    expectToMatchGolden(new SoftwareRenderer().renderScene(scene), "geometry")
+  })
+
+  it("should match the reference image of a heatmap and its color bar", () => {
+    let scene = new Scene()
+    let figure = new NewFigure()
+    let heatmap = new Heatmap2D()
+
+    scene.set({ width: 200, height: 150, backgroundColor: Color.rgb(255, 255, 255) })
+
+    // Undefined where x < 0, which is left transparent
+    heatmap.set({ function: "sqrt(x) * cos(3 * y)", colormap: "magma", resolution: 6, smoothing: false })
+
+    figure.set({ interactivity: false })
+    figure.add(heatmap)
+    scene.add(figure)
+
+    expectToMatchGolden(new SoftwareRenderer().renderScene(scene), "heatmap")
+  })
+})
@@ -0,0 +1,115 @@
+import { SVGRenderer } from "../src/renderer/svg_renderer.js"
+import { Scene } from "../src/core/scene.js"
+import { Element } from "../src/core/element.js"
+import { Group } from "../src/core/group.js"
+import { Pen, TextStyle, Color } from "../src/styles/definitions.js"
+import { Vec2 } from "../src/math/vec/vec2.js"
+import { expect } from "chai"
+
+// Element which emits its instructions
+class InstructionElement extends Element {
+  _update () {
+    this.internal.renderInfo = { instructions: this.instructions }
+  }
+}
+
+// Group which scissors its children to its box
+class ScissorGroup extends Group {
+  _update () {
+    this.internal.renderInfo = { contexts: { type: "scissor", scissor: this.box } }
+  }
+}
+
+function instructionElement (instructions) {
+  let elem = new InstructionElement()
+  elem.instructions = instructions
+
+  return elem
+}
+
+function renderInstructions (instructions) {
+  let scene = new Scene()
+  scene.add(instructionElement(instructions))
+
+  return new SVGRenderer().renderScene(scene)
+}
+
+describe("SVGRenderer", () => {
+  it("should produce an SVG of the scene's dimensions", () => {
+    let scene = new Scene()
+    scene.set({ width: 300, height: 200, backgroundColor: Color.rgb(255, 255, 255) })
+
+    let svg = new SVGRenderer().renderScene(scene)
+
+    expect(svg).to.match(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="300" height="200"/)
+    expect(svg).to.contain('<rect x="0" y="0" width="300" height="200" fill="rgb(255,255,255)"')
+    expect(svg).to.match(/<\/svg>$/)
+  })
+
+  it("should convert polylines into stroked paths, broken at NaNs", () => {
+    let pen = Pen.create({ color: Color.rgba(255, 0, 0, 128), thickness: 3, endcap: "butt", join: "round", dashPattern: [ 4, 2 ] })
+    let svg = renderInstructions({ type: "polyline", vertices: new Float32Array([ 0, 0, 10, 0, NaN, NaN, 20, 5, 30.125, 5 ]), pen })
+
+    expect(svg).to.contain('d="M0 0L10 0M20 5L30.13 5"')
+    expect(svg).to.contain('fill="none" stroke="rgb(255,0,0)" stroke-opacity="0.5" stroke-width="3" stroke-linecap="butt" stroke-linejoin="round"')
+    expect(svg).to.contain('stroke-dasharray="4 2"')
+  })
+
+  it("should convert triangle strips into filled paths without degenerate triangles", () => {
+    let svg = renderInstructions({ type: "triangle_strip", vertices: new Float32Array([ 0, 0, 10, 0, 0, 10, 0, 10, 0, 10 ]), color: Color.rgb(0, 0, 255) })
+
+    expect(svg).to.contain('<path d="M0 0L10 0L0 10Z" fill="rgb(0,0,255)"/>')
+  })
+
+  it("should fill per-vertex colored triangles with their average colors", () => {
+    let svg = renderInstructions({
+      type: "colored_triangles",
+      vertices: new Float32Array([ 0, 0, 10, 0, 0, 10, 10, 0, 10, 10, 0, 10 ]),
+      colors: new Uint8Array([ 255, 0, 0, 255, 0, 0, 255, 255, 0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255 ])
+    })
+
+    expect(svg).to.contain('<path d="M0 0L10 0L0 10Z" fill="rgb(85,0,85)"/>')
+    expect(svg).to.contain('fill="rgb(0,0,0)"/>')
+  })
+
+  it("should render escaped text with a halo", () => {
+    let style = TextStyle.create({ font: "Helvetica", fontSize: 14, shadowRadius: 2 })
+    let svg = renderInstructions({ type: "text", text: "x < 1 & y", pos: new Vec2(5, 6), style })
+
+    expect(svg).to.contain('font-family="Helvetica" font-size="14"')
+    expect(svg).to.contain('stroke="rgb(255,255,255)" stroke-width="2" stroke-linejoin="round" paint-order="stroke">x &lt; 1 &amp; y</text>')
+  })
+
+  it("should anchor and rotate text according to its style", () => {
+    let style = TextStyle.create({ align: "right", baseline: "top", rotation: Math.PI / 2 })
+    let svg = renderInstructions({ type: "text", text: "y", pos: new Vec2(5, 6), style })
+
+    expect(svg).to.contain('transform="rotate(-90 5 6)"')
+    expect(svg).to.contain('text-anchor="end" dominant-baseline="text-before-edge"')
+  })
+
+  it("should convert scissor contexts into clip paths", () => {
+    let scene = new Scene()
+    let group = new ScissorGroup()
+
+    group.box = { x: 10, y: 20, w: 30, h: 40 }
+    group.add(instructionElement({ type: "polyline", vertices: [ 0, 0, 100, 100 ], pen: Pen.default }))
+    scene.add(group)
+
+    let svg = new SVGRenderer().renderScene(scene)
+
+    expect(svg).to.contain('<defs><clipPath id="clip-1"><rect x="10" y="20" width="30" height="40"/></clipPath></defs>')
+    expect(svg).to.match(/<g clip-path="url\(#clip-1\)"><path d="M0 0L100 100"[^>]*\/><\/g>/)
+  })
+
+  it("should convert layer contexts into groups with an opacity and blend mode", () => {
+    let scene = new Scene()
+    let group = new Group()
+
+    group.set({ opacity: 0.25, blendMode: "multiply" })
+    group.add(instructionElement({ type: "polyline", vertices: [ 0, 0, 100, 100 ], pen: Pen.default }))
+    scene.add(group)
+
+    expect(new SVGRenderer().renderScene(scene)).to.match(/<g opacity="0.25" style="mix-blend-mode:multiply"><path d="M0 0L100 100"[^>]*\/><\/g>/)
+  })
+})
@@ -0,0 +1,73 @@
+import { TextRenderer } from "../src/renderer/text_renderer.js"
+import { TextStyle } from "../src/styles/definitions.js"
+import { expect } from "chai"
+
+// 2D context counting the text drawn. Each character is 10 pixels wide and text is 10 pixels tall
+function mockContext () {
+  let ctx = new Proxy({ drawn: 0 }, {
+    get (target, name) {
+      if (name in target) return target[name]
+      if (name === "measureText") return text => ({
+        actualBoundingBoxLeft: 0, actualBoundingBoxRight: 10 * text.length, actualBoundingBoxAscent: 8, actualBoundingBoxDescent: 2
+      })
+      if (name === "fillText") return () => { target.drawn++ }
+
+      return () => {}
+    }
+  })
+
+  return ctx
+}
+
+function label (text) {
+  return { text, style: TextStyle.create({ font: "Helvetica", fontSize: 10 }) }
+}
+
+describe("TextRenderer", () => {
+  before(() => {
+    globalThis.document = { createElement: () => ({ width: 0, height: 0, getContext: () => mockContext() }) }
+  })
+
+  after(() => {
+    delete globalThis.document
+  })
+
+  it("should only draw text not already in the atlas", () => {
+    let renderer = new TextRenderer()
+    let labels = [ label("1"), label("2"), label("3") ]
+
+    renderer.drawText(labels)
+    renderer.clearDirty()
+
+    expect(renderer.ctx.drawn).to.equal(3)
+    expect(labels[1].rect).to.deep.equal({ x: 12, y: 0, w: 10, h: 10 })
+
+    // Panning: one label disappears and one appears
+    let next = [ label("2"), label("3"), label("4") ]
+    renderer.drawText(next)
+
+    expect(renderer.ctx.drawn).to.equal(4)
+    expect(next[0].rect).to.deep.equal(labels[1].rect)
+    expect(renderer.dirtyRects.length).to.equal(1)
+    expect(renderer.needsFullUpload).to.equal(false)
+  })
+
+  it("should evict unused text and grow the atlas when full", () => {
+    let renderer = new TextRenderer({ evictAfter: 2 })
+
+    renderer.drawText([ label("a") ])
+    renderer.drawText([ label("b") ])
+    renderer.drawText([ label("b") ])
+    renderer.drawText([ label("b") ])
+
+    expect(renderer.entries.size).to.equal(1)
+
+    // 400 pixel wide text doesn't fit in the initial 256x256 atlas
+    renderer.clearDirty()
+    renderer.drawText([ label("b"), label("x".repeat(40)) ])
+
+    expect(renderer.canvas.width).to.equal(512)
+    expect(renderer.needsFullUpload).to.equal(true)
+    expect(renderer.entries.size).to.equal(2)
+  })
+})
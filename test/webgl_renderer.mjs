@@ -0,0 +1,228 @@
+import { WebGLRenderer } from "../src/renderer/renderer.js"
+import { Scene } from "../src/core/scene.js"
+import { Element } from "../src/core/element.js"
+import { Group } from "../src/core/group.js"
+import { NewFigure } from "../src/elements/new_figure.js"
+import { ImageElement } from "../src/elements/image_element.js"
+import { Color } from "../src/styles/definitions.js"
+import { expect } from "chai"
+
+// Mock WebGL2 context, recording calls by name. Constants are 0, creation functions return new objects, checks
+// (compile status and the like) succeed, and getParameter returns the given value
+function mockGL (parameter=null) {
+  let calls = {}
+  let lost = false
+
+  let gl = new Proxy({}, {
+    get (target, name) {
+      if (name === "calls") return calls
+      if (name === "setLost") return value => { lost = value }
+      if (name === "isContextLost") return () => lost
+      if (typeof name === "string" && name.toUpperCase() === name) return 0
+
+      return () => {
+        calls[name] = (calls[name] ?? 0) + 1
+
+        if (name.startsWith("create")) return {}
+        if (name === "getShaderParameter" || name === "getProgramParameter") return true
+        if (name === "getParameter") return parameter
+        return null
+      }
+    }
+  })
+
+  return gl
+}
+
+function mockCanvas (gl) {
+  let canvas = new EventTarget()
+
+  canvas.width = canvas.height = 0
+  canvas.getContext = () => gl
+
+  return canvas
+}
+
+// Element which draws a triangle strip of the given color. Strips are given distinct z-indices so that they aren't
+// batched
+class StripElement extends Element {
+  _update () {
+    this.internal.renderInfo = { instructions: { type: "triangle_strip", vertices: new Float32Array([ 0, 0, 1, 0, 0, 1 ]), color: this.color, zIndex: this.zIndex } }
+  }
+}
+
+function strip (color, zIndex) {
+  let elem = new StripElement()
+  elem.color = color
+  elem.zIndex = zIndex
+
+  return elem
+}
+
+describe("WebGLRenderer", () => {
+  it("should account for buffers and VAOs, and free them when elements are removed", () => {
+    let gl = mockGL()
+    let renderer = new WebGLRenderer(mockCanvas(gl))
+    let scene = new Scene()
+    let a = strip(Color.rgb(255, 0, 0), 0), b = strip(Color.rgb(0, 0, 255), 1)
+
+    scene.add(a)
+    scene.add(b)
+
+    renderer.renderScene(scene)
+
+    let usage = renderer.getResourceUsage()
+    expect(usage.buffers).to.deep.equal({ count: 2, bytes: 2 * 6 * 4 })
+    expect(usage.vaos.count).to.equal(2)
+    expect(usage.programs.count).to.equal(1)
+    expect(usage.totalBytes).to.equal(48)
+
+    scene.remove(b)
+    renderer.renderScene(scene)
+
+    usage = renderer.getResourceUsage()
+    expect(usage.buffers).to.deep.equal({ count: 1, bytes: 6 * 4 })
+    expect(usage.vaos.count).to.equal(1)
+    expect(gl.calls.deleteVertexArray).to.equal(1)
+  })
+
+  it("should recreate programs and reupload buffers after the context is restored", () => {
+    let gl = mockGL()
+    let canvas = mockCanvas(gl)
+    let renderer = new WebGLRenderer(canvas)
+    let scene = new Scene()
+
+    scene.add(strip(Color.rgb(255, 0, 0), 0))
+    scene.add(strip(Color.rgb(0, 0, 255), 1))
+
+    renderer.renderScene(scene)
+    expect(gl.calls.bufferData).to.equal(2)
+    expect(gl.calls.createProgram).to.equal(1)
+
+    let lostEvent = new Event("webglcontextlost", { cancelable: true })
+
+    gl.setLost(true)
+    canvas.dispatchEvent(lostEvent)
+
+    expect(lostEvent.defaultPrevented).to.equal(true)
+
+    // Nothing is drawn while the context is lost
+    renderer.renderScene(scene)
+    expect(gl.calls.drawArrays).to.equal(2)
+
+    gl.setLost(false)
+    canvas.dispatchEvent(new Event("webglcontextrestored"))
+
+    expect(renderer.getResourceUsage().buffers.count).to.equal(0)
+
+    renderer.renderScene(scene)
+    expect(gl.calls.bufferData).to.equal(4)
+    expect(gl.calls.createProgram).to.equal(2)
+    expect(gl.calls.drawArrays).to.equal(4)
+    expect(renderer.getResourceUsage().buffers.count).to.equal(2)
+  })
+
+  it("should delete all resources when destroyed", () => {
+    let gl = mockGL()
+    let renderer = new WebGLRenderer(mockCanvas(gl))
+    let scene = new Scene()
+
+    scene.add(strip(Color.rgb(255, 0, 0), 0))
+    renderer.renderScene(scene)
+    renderer.destroy()
+
+    let usage = renderer.getResourceUsage()
+
+    expect(usage.totalBytes).to.equal(0)
+    expect([ usage.programs.count, usage.buffers.count, usage.vaos.count ]).to.deep.equal([ 0, 0, 0 ])
+    expect(gl.calls.deleteBuffer).to.equal(1)
+    expect(gl.calls.deleteVertexArray).to.equal(1)
+    expect(gl.calls.deleteProgram).to.equal(1)
+
+    expect(() => renderer.renderScene(scene)).to.throw()
+  })
+
+  it("should render into a multisampled framebuffer and resolve it when antialiasing is msaa", () => {
+    // getParameter(MAX_SAMPLES) returns 8, of which 4 are used
+    let gl = mockGL(8)
+    let renderer = new WebGLRenderer(mockCanvas(gl))
+    let scene = new Scene()
+
+    scene.set({ width: 200, height: 100, antialiasing: "msaa" })
+    scene.add(strip(Color.rgb(255, 0, 0), 0))
+
+    renderer.renderScene(scene)
+    renderer.renderScene(scene)
+
+    expect(gl.calls.renderbufferStorageMultisample).to.equal(1)
+    expect(gl.calls.blitFramebuffer).to.equal(2)
+    expect(renderer.getResourceUsage().renderbuffers).to.deep.equal({ count: 1, bytes: 4 * 200 * 100 * 4 })
+
+    scene.set({ antialiasing: "none" })
+    renderer.renderScene(scene)
+
+    expect(gl.calls.blitFramebuffer).to.equal(2)
+
+    renderer.destroy()
+    expect(gl.calls.deleteRenderbuffer).to.equal(1)
+  })
+
+  it("should draw layers into offscreen framebuffers and composite them", () => {
+    let gl = mockGL()
+    let renderer = new WebGLRenderer(mockCanvas(gl))
+    let scene = new Scene()
+    let group = new Group()
+
+    scene.set({ width: 200, height: 100 })
+    group.set({ opacity: 0.5, blendMode: "screen" })
+    group.add(strip(Color.rgb(255, 0, 0), 0))
+    scene.add(group)
+
+    renderer.renderScene(scene)
+    renderer.renderScene(scene)
+
+    // The target is reused, and the layer is composited each frame
+    expect(gl.calls.framebufferTexture2D).to.equal(1)
+    expect(gl.calls.drawArrays).to.equal(4)
+    expect(renderer.getResourceUsage().layers).to.deep.equal({ count: 1, bytes: 4 * 200 * 100 })
+
+    renderer.destroy()
+    expect(gl.calls.deleteFramebuffer).to.equal(1)
+    expect(renderer.getResourceUsage().layers.count).to.equal(0)
+  })
+
+  it("should upload an image's texture once, not again when it is panned, until its source changes", () => {
+    let gl = mockGL()
+    let renderer = new WebGLRenderer(mockCanvas(gl))
+    let scene = new Scene()
+    let figure = new NewFigure()
+    let image = new ImageElement()
+    let source = { data: new Uint8Array(4 * 3 * 2), width: 3, height: 2 }
+
+    image.set({ source, graphRect: { x: 0, y: 0, w: 1, h: 1 } })
+    figure.add(image)
+    scene.add(figure)
+
+    renderer.renderScene(scene)
+    expect(gl.calls.texImage2D).to.equal(1)
+    expect(renderer.getResourceUsage().textures.bytes).to.equal(4 * 3 * 2)
+
+    // Pan the figure
+    let transform = figure.props.get("plotTransform").clone()
+    transform.gx1 += 0.5
+    figure.props.set("plotTransform", transform)
+
+    renderer.renderScene(scene)
+    expect(gl.calls.texImage2D).to.equal(1)
+
+    source.data[0] = 255
+    image.invalidateSource()
+
+    renderer.renderScene(scene)
+    expect(gl.calls.texImage2D).to.equal(2)
+
+    figure.remove(image)
+    renderer.renderScene(scene)
+    expect(renderer.getResourceUsage().textures.count).to.equal(0)
+  })
+})